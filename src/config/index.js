@@ -18,6 +18,12 @@ dotenv.config();
  * @property {Object} binance - Binance API configuration
  * @property {string} binance.apiKey - Binance API key
  * @property {string} binance.apiSecret - Binance API secret
+ * @property {Array<string>} binance.symbols - Trading pairs always queried for orders (e.g., BTCUSDT)
+ * @property {Array<string>} binance.quoteAssets - Quote assets considered when discovering traded pairs
+ * @property {string} binance.apiUrl - Base URL of the Binance REST API
+ * @property {string} binance.streamUrl - Base URL of the Binance WebSocket streams
+ * @property {boolean} binance.userStream - Whether to consume the user data stream for real-time order updates
+ * @property {number} binance.recvWindow - Milliseconds after its timestamp a signed request stays valid
  * @property {Object} revolut - Revolut API configuration
  * @property {string} revolut.apiKey - Revolut API key
  * @property {string} revolut.apiSecret - Revolut API secret
@@ -25,9 +31,63 @@ dotenv.config();
  * @property {Object} kraken - Kraken API configuration
  * @property {string} kraken.apiKey - Kraken API key
  * @property {string} kraken.apiSecret - Kraken API secret
+ * @property {string} kraken.apiUrl - Base URL of the Kraken REST API
+ * @property {string} kraken.wsUrl - URL of the authenticated Kraken WebSocket v2 API
+ * @property {boolean} kraken.executionStream - Whether to consume the executions channel for real-time order updates
+ * @property {string} kraken.tier - Verification tier of the account, which sets its API call counter limits
+ * @property {Object} coinbase - Coinbase Advanced Trade API configuration
+ * @property {string} coinbase.apiKeyName - CDP API key name (organizations/{org}/apiKeys/{key})
+ * @property {string} coinbase.apiPrivateKey - CDP API EC private key in PEM format
+ * @property {string} coinbase.webhookSecret - Secret used to sign webhook payloads
+ * @property {Object} bitstamp - Bitstamp API configuration
+ * @property {string} bitstamp.apiKey - Bitstamp API key
+ * @property {string} bitstamp.apiSecret - Bitstamp API secret
+ * @property {Object} http - Exchange HTTP client configuration
+ * @property {number} http.timeoutSeconds - Time after which a request to an exchange or price provider is aborted
+ * @property {number} http.maxAttempts - Attempts of a request failing with a retryable error, retries included
+ * @property {Object} exchanges - Exchange adapter configuration
+ * @property {Array<string>} exchanges.enabled - Built-in platforms or adapter module paths to register
+ * @property {Object} accounts - Exchange account configuration
+ * @property {string} accounts.file - Path to the JSON file listing the accounts of each exchange (optional)
+ * @property {Object} credentials - Credential store configuration
+ * @property {string} credentials.masterKey - Key encrypting the data key of every stored credential (32 bytes,
+ * base64 or hex); the store is disabled without it
+ * @property {number} credentials.cacheSeconds - Seconds resolved credentials are reused before being read again
+ * @property {Object} auth - API authentication configuration
+ * @property {number} auth.rateLimitPerMinute - Requests an API key may make per minute, unless set on the key
+ * @property {number} auth.auditRetentionDays - Days the audit log entries are kept
+ * @property {Object} webhooks - Webhook inbox configuration
+ * @property {number} webhooks.toleranceSeconds - Maximum age of a signed delivery timestamp, either way
+ * @property {number} webhooks.maxAttempts - Processing attempts of a webhook event before it is left failed
+ * @property {Object} polling - Intraday polling configuration
+ * @property {number} polling.intervalMinutes - Minutes between two polls of a platform, 0 to disable polling
+ * @property {Object<string, number>} polling.intervals - Polling interval of specific platforms, by platform code
+ * @property {number} polling.overlapMinutes - Minutes before the cursor a poll starts from, for late updates
+ * @property {Object} jobs - Job runner configuration
+ * @property {number} jobs.maxAttempts - Attempts of a failing job step (e.g., a platform fetch), retries included
+ * @property {number} jobs.retryDelaySeconds - Delay before the first retry of a step, doubled on every further retry
+ * @property {Object} sinks - Output sink configuration
+ * @property {Array<string>} sinks.enabled - Built-in sink names or sink module paths transactions are synced to
+ * @property {string} sinks.filePath - Path of the CSV or JSONL file written by the file sink
+ * @property {string} sinks.xlsxPath - Path of the workbook written by the xlsx sink
+ * @property {string} sinks.postgresUrl - Connection string of the PostgreSQL database written by the postgres sink
+ * @property {string} sinks.sqlitePath - Path of the SQLite database written by the sqlite sink
+ * @property {string} sinks.table - Table the database sinks write transactions to
+ * @property {Object} reconciliation - Balance reconciliation configuration
+ * @property {number} reconciliation.tolerance - Relative difference allowed between reported and implied holdings
+ * @property {number} reconciliation.minimumDifference - Absolute difference always ignored (dust)
+ * @property {Object} transfers - Internal transfer matching configuration
+ * @property {number} transfers.feeTolerance - Relative amount a deposit may fall short of its withdrawal
+ * @property {number} transfers.matchWindowHours - Hours after a withdrawal within which its deposit must arrive
+ * @property {Object} pricing - Valuation configuration
+ * @property {string} pricing.reportingCurrency - Currency transactions are valued in (e.g., EUR)
+ * @property {string} pricing.provider - Historical price provider (cryptocompare or file)
+ * @property {string} pricing.priceFile - Path to the CSV or JSON price file used by the file provider
+ * @property {string} pricing.cryptoCompareApiKey - CryptoCompare API key (optional)
  * @property {Object} googleSheets - Google Sheets configuration
  * @property {string} googleSheets.credentialsPath - Path to Google credentials file
  * @property {string} googleSheets.sheetId - ID of the Google Sheet
+ * @property {string} googleSheets.layoutFile - Path to the JSON file describing the sheet views (optional)
  */
 
 /**
@@ -45,6 +105,18 @@ const config = {
   binance: {
     apiKey: process.env.BINANCE_API_KEY,
     apiSecret: process.env.BINANCE_API_SECRET,
+    symbols: (process.env.BINANCE_SYMBOLS || '')
+      .split(',')
+      .map(symbol => symbol.trim().toUpperCase())
+      .filter(Boolean),
+    quoteAssets: (process.env.BINANCE_QUOTE_ASSETS || 'USDT,USDC,FDUSD,BTC,ETH,BNB,EUR')
+      .split(',')
+      .map(asset => asset.trim().toUpperCase())
+      .filter(Boolean),
+    apiUrl: process.env.BINANCE_API_URL || 'https://api.binance.com',
+    streamUrl: process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443',
+    userStream: process.env.BINANCE_USER_STREAM === 'true',
+    recvWindow: parseInt(process.env.BINANCE_RECV_WINDOW || '5000', 10),
   },
   revolut: {
     apiKey: process.env.REVOLUT_API_KEY,
@@ -54,10 +126,88 @@ const config = {
   kraken: {
     apiKey: process.env.KRAKEN_API_KEY,
     apiSecret: process.env.KRAKEN_API_SECRET,
+    apiUrl: process.env.KRAKEN_API_URL || 'https://api.kraken.com',
+    wsUrl: process.env.KRAKEN_WS_URL || 'wss://ws-auth.kraken.com/v2',
+    executionStream: process.env.KRAKEN_EXECUTION_STREAM === 'true',
+    tier: (process.env.KRAKEN_TIER || 'starter').trim().toLowerCase(),
+  },
+  coinbase: {
+    apiKeyName: process.env.COINBASE_API_KEY_NAME,
+    apiPrivateKey: process.env.COINBASE_API_PRIVATE_KEY,
+    webhookSecret: process.env.COINBASE_WEBHOOK_SECRET,
+  },
+  bitstamp: {
+    apiKey: process.env.BITSTAMP_API_KEY,
+    apiSecret: process.env.BITSTAMP_API_SECRET,
+  },
+  http: {
+    timeoutSeconds: parseInt(process.env.HTTP_TIMEOUT_SECONDS || '30', 10),
+    maxAttempts: parseInt(process.env.HTTP_MAX_ATTEMPTS || '5', 10),
+  },
+  exchanges: {
+    enabled: (process.env.EXCHANGES || 'BINANCE,REVOLUT,KRAKEN')
+      .split(',')
+      .map(exchange => exchange.trim())
+      .filter(Boolean),
+  },
+  accounts: {
+    file: process.env.ACCOUNTS_FILE || './accounts.json',
+  },
+  credentials: {
+    masterKey: process.env.CREDENTIALS_MASTER_KEY,
+    cacheSeconds: parseInt(process.env.CREDENTIALS_CACHE_SECONDS || '60', 10),
+  },
+  auth: {
+    rateLimitPerMinute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || '120', 10),
+    auditRetentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || '90', 10),
+  },
+  webhooks: {
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  },
+  polling: {
+    intervalMinutes: parseInt(process.env.POLL_INTERVAL_MINUTES || '15', 10),
+    // e.g. BINANCE=5,KRAKEN=30
+    intervals: Object.fromEntries((process.env.POLL_INTERVALS || '')
+      .split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([platform, minutes]) => platform && minutes)
+      .map(([platform, minutes]) => [platform.toUpperCase(), parseInt(minutes, 10)])),
+    overlapMinutes: parseInt(process.env.POLL_OVERLAP_MINUTES || '5', 10),
+  },
+  jobs: {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+    retryDelaySeconds: parseInt(process.env.JOB_RETRY_DELAY_SECONDS || '30', 10),
+  },
+  sinks: {
+    enabled: (process.env.SINKS || 'sheets')
+      .split(',')
+      .map(sink => sink.trim())
+      .filter(Boolean),
+    filePath: process.env.SINK_FILE_PATH || './exports/transactions.csv',
+    xlsxPath: process.env.SINK_XLSX_PATH || './exports/transactions.xlsx',
+    postgresUrl: process.env.SINK_POSTGRES_URL,
+    sqlitePath: process.env.SINK_SQLITE_PATH || './exports/transactions.sqlite',
+    table: process.env.SINK_TABLE || 'transactions',
+  },
+  reconciliation: {
+    tolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE || '0.001'),
+    minimumDifference: parseFloat(process.env.RECONCILIATION_MINIMUM_DIFFERENCE || '0.00000001'),
+  },
+  transfers: {
+    feeTolerance: parseFloat(process.env.TRANSFER_FEE_TOLERANCE || '0.01'),
+    matchWindowHours: parseFloat(process.env.TRANSFER_MATCH_WINDOW_HOURS || '72'),
+  },
+  pricing: {
+    reportingCurrency: (process.env.REPORTING_CURRENCY || 'EUR').trim().toUpperCase(),
+    provider: (process.env.PRICE_PROVIDER || 'cryptocompare').trim().toLowerCase(),
+    priceFile: process.env.PRICE_FILE || './prices.csv',
+    cryptoCompareApiKey: process.env.CRYPTOCOMPARE_API_KEY,
   },
   googleSheets: {
     credentialsPath: process.env.GOOGLE_APPLICATION_CREDENTIALS || './credentials.json',
     sheetId: process.env.GOOGLE_SHEET_ID,
+    layoutFile: process.env.SHEET_LAYOUT_FILE || './sheet-layout.json',
   },
 };
 
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Controller for managing the API keys of the service's endpoints and reading the audit log
+ * @module controllers/apiKeyController
+ */
+
+const mongoose = require('mongoose');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Parses and validates the audit log filters of a query string
+ * @param {Object} query - Express query object
+ * @returns {{filters: Object}|{error: string}} Filters or a validation error
+ * @private
+ */
+const _parseFilters = (query) => {
+  const filters = {};
+  
+  if (query.key) {
+    filters.key = query.key.toString();
+    
+    if (!mongoose.isValidObjectId(filters.key)) {
+      return { error: 'Invalid key ID' };
+    }
+  }
+  
+  if (query.status) {
+    filters.status = parseInt(query.status, 10);
+    
+    if (isNaN(filters.status) || filters.status < 100 || filters.status > 599) {
+      return { error: 'Invalid status, expected an HTTP status code' };
+    }
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      filters[field] = new Date(query[field]);
+      
+      if (isNaN(filters[field].getTime())) {
+        return { error: `Invalid "${field}" date` };
+      }
+    }
+  }
+  
+  if (query.limit) {
+    filters.limit = parseInt(query.limit, 10);
+    
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+      return { error: 'Invalid limit, expected 1 to 1000' };
+    }
+  }
+  
+  return { filters };
+};
+
+/**
+ * Lists the API keys without their secrets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    
+    return res.status(200).json({ keys });
+  } catch (error) {
+    console.error('API key listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Issues an API key, returned only in this response (body: name, scopes, rateLimitPerMinute)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createKey = async (req, res) => {
+  try {
+    const { apiKey, key, error } = await apiKeyService.createKey(req.body || {});
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    return res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Revokes an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const revokeKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id);
+    
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    return res.status(200).json({ success: true, apiKey });
+  } catch (error) {
+    console.error('API key revocation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Lists the calls made to the authenticated endpoints, most recent first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listAuditLog = async (req, res) => {
+  try {
+    const { filters, error } = _parseFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const entries = await apiKeyService.listAuditLog(filters);
+    
+    return res.status(200).json({ entries });
+  } catch (error) {
+    console.error('Audit log listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listKeys,
+  createKey,
+  revokeKey,
+  listAuditLog,
+}; 
\ No newline at end of file
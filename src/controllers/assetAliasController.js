@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Controller for managing asset aliases and symbol normalization
+ * @module controllers/assetAliasController
+ */
+
+const symbolNormalizationService = require('../services/symbolNormalizationService');
+
+/**
+ * Lists the asset aliases
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listAliases = async (req, res) => {
+  try {
+    const aliases = await symbolNormalizationService.listAliases();
+    
+    return res.status(200).json({ aliases });
+  } catch (error) {
+    console.error('Asset alias listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Creates or updates an asset alias
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const setAlias = async (req, res) => {
+  try {
+    const { asset } = req.body || {};
+    
+    if (!asset || typeof asset !== 'string') {
+      return res.status(400).json({ error: 'Invalid asset' });
+    }
+    
+    const alias = await symbolNormalizationService.setAlias(req.params.alias, asset);
+    
+    return res.status(200).json({ success: true, alias });
+  } catch (error) {
+    console.error('Asset alias update error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Removes an asset alias
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const removeAlias = async (req, res) => {
+  try {
+    const alias = await symbolNormalizationService.removeAlias(req.params.alias);
+    
+    if (!alias) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    
+    return res.status(200).json({ success: true, alias });
+  } catch (error) {
+    console.error('Asset alias removal error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Re-normalizes the base and quote assets of every stored transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const normalizeTransactions = async (req, res) => {
+  try {
+    const updated = await symbolNormalizationService.migrateTransactions({ all: true });
+    
+    return res.status(200).json({ success: true, updated });
+  } catch (error) {
+    console.error('Transaction normalization error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listAliases,
+  setAlias,
+  removeAlias,
+  normalizeTransactions,
+}; 
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Controller for handling historical backfill requests
+ * @module controllers/backfillController
+ */
+
+const jobService = require('../services/jobService');
+
+/**
+ * Handles requests to backfill an account's transactions for a date range, starting a run of the backfill job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const handleBackfill = async (req, res) => {
+  try {
+    // Same validation as the backfill job
+    const { params, error } = jobService.getJob('backfill').parseParams(req.body || {});
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Long ranges take longer than a request may wait, so the backfill runs as a job
+    const started = await jobService.start('backfill', { trigger: 'MANUAL', params });
+    
+    if (!started) {
+      return res.status(409).json({ error: 'The backfill job is already running' });
+    }
+    
+    // The run is followed with GET /api/jobs/backfill/runs
+    return res.status(202).json({ success: true, run: started.run });
+  } catch (error) {
+    console.error('Backfill processing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  handleBackfill,
+}; 
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Controller for balance snapshots and holdings reconciliation
+ * @module controllers/balanceController
+ */
+
+const balanceService = require('../services/balanceService');
+const exchangeRegistry = require('../services/exchangeRegistry');
+const accountRegistry = require('../services/accountRegistry');
+
+/**
+ * Returns the latest balance snapshot of every account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getLatestBalances = async (req, res) => {
+  try {
+    const snapshots = await balanceService.getLatestSnapshots();
+    
+    return res.status(200).json({ snapshots });
+  } catch (error) {
+    console.error('Balance lookup error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Lists stored balance snapshots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listSnapshots = async (req, res) => {
+  try {
+    const platforms = exchangeRegistry.platforms;
+    const platform = req.query.platform ? req.query.platform.toString().toUpperCase() : undefined;
+    const account = req.query.account ? req.query.account.toString() : undefined;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (platform && !platforms.includes(platform)) {
+      return res.status(400).json({ error: `Invalid platform, expected one of ${platforms.join(', ')}` });
+    }
+    
+    if (account && !accountRegistry.hasAccount(account)) {
+      return res.status(400).json({ error: `Invalid account, expected one of ${accountRegistry.ids.join(', ')}` });
+    }
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({ error: 'Invalid limit' });
+    }
+    
+    const snapshots = await balanceService.listSnapshots({
+      platform,
+      account,
+      discrepanciesOnly: req.query.discrepancies === 'true',
+      limit,
+    });
+    
+    return res.status(200).json({ snapshots });
+  } catch (error) {
+    console.error('Balance snapshot listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Takes a balance snapshot of every account now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const takeSnapshots = async (req, res) => {
+  try {
+    const result = await balanceService.takeSnapshots();
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Balance snapshot error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getLatestBalances,
+  listSnapshots,
+  takeSnapshots,
+}; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Controller for managing the Binance symbol watch list
+ * @module controllers/binanceSymbolController
+ */
+
+const binanceSymbolService = require('../services/binanceSymbolService');
+
+/**
+ * Lists the watched Binance symbols
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listSymbols = async (req, res) => {
+  try {
+    const symbols = await binanceSymbolService.listSymbols();
+    
+    return res.status(200).json({ symbols });
+  } catch (error) {
+    console.error('Binance symbol listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Adds a symbol to the Binance watch list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const addSymbol = async (req, res) => {
+  try {
+    const { symbol } = req.body || {};
+    
+    if (!symbol || typeof symbol !== 'string') {
+      return res.status(400).json({ error: 'Invalid symbol' });
+    }
+    
+    const watchedSymbol = await binanceSymbolService.addSymbol(symbol);
+    
+    if (!watchedSymbol) {
+      return res.status(400).json({ error: `Symbol ${symbol} is not listed on Binance` });
+    }
+    
+    return res.status(200).json({ success: true, symbol: watchedSymbol });
+  } catch (error) {
+    console.error('Binance symbol creation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Disables a symbol on the Binance watch list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const disableSymbol = async (req, res) => {
+  try {
+    const watchedSymbol = await binanceSymbolService.disableSymbol(req.params.symbol);
+    
+    if (!watchedSymbol) {
+      return res.status(404).json({ error: 'Symbol not found' });
+    }
+    
+    return res.status(200).json({ success: true, symbol: watchedSymbol });
+  } catch (error) {
+    console.error('Binance symbol removal error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Runs symbol discovery from the account balances
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const discoverSymbols = async (req, res) => {
+  try {
+    const symbols = await binanceSymbolService.discoverSymbols();
+    
+    return res.status(200).json({ success: true, symbols });
+  } catch (error) {
+    console.error('Binance symbol discovery error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listSymbols,
+  addSymbol,
+  disableSymbol,
+  discoverSymbols,
+}; 
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Controller for managing the stored API credentials of exchange accounts
+ * @module controllers/credentialController
+ */
+
+const credentialService = require('../services/credentialService');
+const accountRegistry = require('../services/accountRegistry');
+const exchangeRegistry = require('../services/exchangeRegistry');
+
+/**
+ * Returns the credential fields of an account's adapter
+ * @param {Object} account - Registered exchange account
+ * @returns {Object<string, string>|null} Credential fields or null if the adapter cannot use stored credentials
+ * @private
+ */
+const _credentialVariables = (account) => {
+  const adapter = exchangeRegistry.getAdapter(account.platform);
+  
+  return typeof adapter.withCredentials === 'function' ? adapter.credentialVariables || null : null;
+};
+
+/**
+ * Lists where the credentials of every account come from, without any secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listCredentials = async (req, res) => {
+  try {
+    const credentials = await credentialService.listCredentials(accountRegistry.getAccounts());
+    
+    return res.status(200).json({ enabled: credentialService.enabled, credentials });
+  } catch (error) {
+    console.error('Credential listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Stores the first credentials of an account (body: the credential fields, e.g. apiKey and apiSecret)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const addCredentials = async (req, res) => {
+  try {
+    if (!accountRegistry.hasAccount(req.params.account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    
+    const account = accountRegistry.getAccount(req.params.account);
+    const variables = _credentialVariables(account);
+    
+    if (!variables) {
+      return res.status(400).json({ error: `${account.platform} adapter does not support stored credentials` });
+    }
+    
+    const { credential, error } = await credentialService.addCredentials(account, variables, req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    return res.status(201).json({ success: true, credential });
+  } catch (error) {
+    console.error('Credential creation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Replaces the stored credentials of an account (body: the credential fields, e.g. apiKey and apiSecret)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const rotateCredentials = async (req, res) => {
+  try {
+    if (!accountRegistry.hasAccount(req.params.account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    
+    const account = accountRegistry.getAccount(req.params.account);
+    const variables = _credentialVariables(account);
+    
+    if (!variables) {
+      return res.status(400).json({ error: `${account.platform} adapter does not support stored credentials` });
+    }
+    
+    const result = await credentialService.rotateCredentials(account, variables, req.body);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'No stored credentials for this account' });
+    }
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    return res.status(200).json({ success: true, credential: result.credential });
+  } catch (error) {
+    console.error('Credential rotation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Disables the stored credentials of an account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const disableCredentials = async (req, res) => {
+  try {
+    if (!accountRegistry.hasAccount(req.params.account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    
+    const credential = await credentialService.disableCredentials(accountRegistry.getAccount(req.params.account));
+    
+    if (!credential) {
+      return res.status(404).json({ error: 'No stored credentials for this account' });
+    }
+    
+    return res.status(200).json({ success: true, credential });
+  } catch (error) {
+    console.error('Credential disabling error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Tests the credentials of an account by fetching its balances
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const testCredentials = async (req, res) => {
+  try {
+    if (!accountRegistry.hasAccount(req.params.account)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    
+    const account = accountRegistry.getAccount(req.params.account);
+    const result = await credentialService.testCredentials(account, accountRegistry.getAdapter(account.id));
+    
+    return res.status(200).json({ account: account.id, ...result });
+  } catch (error) {
+    console.error('Credential test error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listCredentials,
+  addCredentials,
+  rotateCredentials,
+  disableCredentials,
+  testCredentials,
+}; 
\ No newline at end of file
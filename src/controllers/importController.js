@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Controller for importing exchange CSV statements
+ * @module controllers/importController
+ */
+
+const statementImportService = require('../services/statementImportService');
+
+/**
+ * Imports the transactions of a CSV statement sent as the request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const importStatement = async (req, res) => {
+  try {
+    const format = (req.query.format || '').toString().toLowerCase();
+    const account = req.query.account ? req.query.account.toString() : undefined;
+    const dryRun = req.query.dryRun === 'true';
+    const formats = Object.keys(statementImportService.formats);
+    
+    if (!formats.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of ${formats.join(', ')}` });
+    }
+    
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Missing CSV statement, send it as a text/csv body' });
+    }
+    
+    const result = await statementImportService.importStatement(format, req.body, { account, dryRun });
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    return res.status(200).json({ success: true, ...result.report });
+  } catch (error) {
+    console.error('Statement import error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  importStatement,
+}; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Controller for listing jobs, their run history and running them on demand
+ * @module controllers/jobController
+ */
+
+const jobService = require('../services/jobService');
+const JobRun = require('../models/jobRun');
+
+/**
+ * Lists the jobs with their schedule and last run
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listJobs = async (req, res) => {
+  try {
+    const jobs = await jobService.listJobs();
+    
+    return res.status(200).json({ jobs });
+  } catch (error) {
+    console.error('Job listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Lists the runs of a job, most recent first (query: status, limit)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!jobService.hasJob(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const filters = {};
+    
+    if (req.query.status) {
+      filters.status = req.query.status.toString().toUpperCase();
+      
+      if (!JobRun.STATUSES.includes(filters.status)) {
+        return res.status(400).json({ error: `Invalid status, expected one of ${JobRun.STATUSES.join(', ')}` });
+      }
+    }
+    
+    if (req.query.limit) {
+      filters.limit = parseInt(req.query.limit, 10);
+      
+      if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+        return res.status(400).json({ error: 'Invalid limit, expected 1 to 1000' });
+      }
+    }
+    
+    const runs = await jobService.listRuns(name, filters);
+    
+    return res.status(200).json({ runs });
+  } catch (error) {
+    console.error('Job run listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Starts a run of a job with the parameters in the body, without waiting for it to finish
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!jobService.hasJob(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const job = jobService.getJob(name);
+    let params = {};
+    
+    if (job.parseParams) {
+      const parsed = job.parseParams(req.body || {});
+      
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      
+      params = parsed.params;
+    }
+    
+    const started = await jobService.start(name, { trigger: 'MANUAL', params });
+    
+    if (!started) {
+      return res.status(409).json({ error: `The ${name} job is already running` });
+    }
+    
+    // The run is followed with GET /api/jobs/:name/runs
+    return res.status(202).json({ success: true, run: started.run });
+  } catch (error) {
+    console.error('Job run error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listJobs,
+  listRuns,
+  runJob,
+}; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Controller for ledger entries (deposits, withdrawals, rewards and other movements)
+ * @module controllers/ledgerController
+ */
+
+const ledgerService = require('../services/ledgerService');
+const LedgerEntry = require('../models/ledgerEntry');
+const exchangeRegistry = require('../services/exchangeRegistry');
+const accountRegistry = require('../services/accountRegistry');
+
+/**
+ * Parses and validates the ledger filters of a query string
+ * @param {Object} query - Express query object
+ * @returns {{filters: Object}|{error: string}} Filters or a validation error
+ * @private
+ */
+const _parseFilters = (query) => {
+  const filters = {};
+  const platforms = exchangeRegistry.platforms;
+  
+  if (query.platform) {
+    filters.platform = query.platform.toString().toUpperCase();
+    
+    if (!platforms.includes(filters.platform)) {
+      return { error: `Invalid platform, expected one of ${platforms.join(', ')}` };
+    }
+  }
+  
+  if (query.account) {
+    filters.account = query.account.toString();
+    
+    if (!accountRegistry.hasAccount(filters.account)) {
+      return { error: `Invalid account, expected one of ${accountRegistry.ids.join(', ')}` };
+    }
+  }
+  
+  if (query.type) {
+    filters.type = query.type.toString().toUpperCase();
+    
+    if (!LedgerEntry.TYPES.includes(filters.type)) {
+      return { error: `Invalid type, expected one of ${LedgerEntry.TYPES.join(', ')}` };
+    }
+  }
+  
+  if (query.asset) {
+    filters.asset = query.asset.toString().toUpperCase();
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      filters[field] = new Date(query[field]);
+      
+      if (isNaN(filters[field].getTime())) {
+        return { error: `Invalid "${field}" date` };
+      }
+    }
+  }
+  
+  if (query.limit) {
+    filters.limit = parseInt(query.limit, 10);
+    
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+      return { error: 'Invalid limit, expected 1 to 1000' };
+    }
+  }
+  
+  return { filters };
+};
+
+/**
+ * Lists stored ledger entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listEntries = async (req, res) => {
+  try {
+    const { filters, error } = _parseFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const entries = await ledgerService.listEntries(filters);
+    
+    return res.status(200).json({ entries });
+  } catch (error) {
+    console.error('Ledger listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listEntries,
+}; 
\ No newline at end of file
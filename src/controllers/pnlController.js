@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Controller for handling realized profit and loss requests
+ * @module controllers/pnlController
+ */
+
+const pnlService = require('../services/pnlService');
+
+/**
+ * Parses and validates the cost basis method and year of a request
+ * @param {Object} input - Query string or request body
+ * @returns {{options: Object}|{error: string}} Calculation options or a validation error
+ * @private
+ */
+const _parseOptions = (input = {}) => {
+  const method = (input.method || 'fifo').toString().toUpperCase();
+  const year = input.year ? parseInt(input.year, 10) : new Date().getUTCFullYear();
+  
+  if (!pnlService.methods.includes(method)) {
+    return { error: `Invalid method, expected one of ${pnlService.methods.join(', ').toLowerCase()}` };
+  }
+  
+  if (isNaN(year)) {
+    return { error: 'Invalid year' };
+  }
+  
+  return { options: { method, year } };
+};
+
+/**
+ * Returns the stored realized gains of a year
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getRealizedGains = async (req, res) => {
+  try {
+    const { options, error } = _parseOptions(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const report = await pnlService.getRealizedGains(options);
+    
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error('P&L retrieval error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Recalculates and stores the realized gains of a year
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const calculateRealizedGains = async (req, res) => {
+  try {
+    const { options, error } = _parseOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const report = await pnlService.calculateRealizedGains(options);
+    
+    return res.status(200).json({
+      success: true,
+      method: report.method,
+      year: report.year,
+      disposals: report.disposals.length,
+      totals: report.totals,
+    });
+  } catch (error) {
+    console.error('P&L calculation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Calculates the realized gains of a year and writes them to the "P&L" sheet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const syncRealizedGains = async (req, res) => {
+  try {
+    const { options, error } = _parseOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const report = await pnlService.syncRealizedGainsToGoogleSheets(options);
+    
+    return res.status(200).json({
+      success: true,
+      method: report.method,
+      year: report.year,
+      disposals: report.disposals.length,
+    });
+  } catch (error) {
+    console.error('P&L sheet sync error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getRealizedGains,
+  calculateRealizedGains,
+  syncRealizedGains,
+}; 
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Controller for the intraday polling of the exchange accounts
+ * @module controllers/pollingController
+ */
+
+const pollingService = require('../services/pollingService');
+
+/**
+ * Lists the sync cursor of every account polled so far, with the polling interval of its platform
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listStates = async (req, res) => {
+  try {
+    const states = await pollingService.getStates();
+    
+    return res.status(200).json({
+      states: states.map(state => ({
+        ...state.toObject(),
+        intervalMinutes: pollingService.getInterval(state.platform),
+      })),
+    });
+  } catch (error) {
+    console.error('Polling state listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listStates,
+}; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Controller for historical prices and transaction valuation
+ * @module controllers/priceController
+ */
+
+const priceService = require('../services/priceService');
+
+/**
+ * Returns the historical price of an asset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPrice = async (req, res) => {
+  try {
+    const base = (req.query.base || '').toString().toUpperCase();
+    const quote = (req.query.quote || priceService.reportingCurrency).toString().toUpperCase();
+    const time = req.query.time ? new Date(req.query.time) : new Date();
+    
+    if (!base) {
+      return res.status(400).json({ error: 'Missing base asset' });
+    }
+    
+    if (isNaN(time.getTime())) {
+      return res.status(400).json({ error: 'Invalid time' });
+    }
+    
+    const rate = await priceService.getRate(base, quote, time);
+    
+    if (rate === null) {
+      return res.status(404).json({ error: `No ${base}/${quote} price available` });
+    }
+    
+    return res.status(200).json({
+      base,
+      quote,
+      time,
+      rate,
+      source: priceService.provider.name,
+    });
+  } catch (error) {
+    console.error('Price lookup error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Values stored transactions in the reporting currency
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const valueTransactions = async (req, res) => {
+  try {
+    const all = Boolean(req.body && req.body.all);
+    const result = await priceService.valueStoredTransactions({ all });
+    
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Transaction valuation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getPrice,
+  valueTransactions,
+}; 
\ No newline at end of file
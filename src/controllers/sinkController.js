@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Controller for the output sinks transactions are synced to
+ * @module controllers/sinkController
+ */
+
+const transactionService = require('../services/transactionService');
+const sinkRegistry = require('../services/sinkRegistry');
+
+/**
+ * Lists the enabled sinks with the number of transactions each has not synced yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listSinks = async (req, res) => {
+  try {
+    const sinks = await transactionService.getSinkStatus();
+    
+    return res.status(200).json({ sinks });
+  } catch (error) {
+    console.error('Sink listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Syncs the new and changed transactions to every enabled sink now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const syncSinks = async (req, res) => {
+  try {
+    const synced = await transactionService.syncTransactionsToSinks();
+    
+    return res.status(200).json({ success: true, synced });
+  } catch (error) {
+    console.error('Sink sync error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Rewrites every enabled sink, or the one given in the body, from the stored transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const rebuildSinks = async (req, res) => {
+  try {
+    const { sink } = req.body || {};
+    
+    if (sink !== undefined && !sinkRegistry.hasSink(sink)) {
+      return res.status(400).json({ error: `Unknown sink, expected one of ${sinkRegistry.names.join(', ')}` });
+    }
+    
+    const rebuilt = await transactionService.rebuildSinks(sink);
+    
+    return res.status(200).json({ success: true, rebuilt });
+  } catch (error) {
+    console.error('Sink rebuild error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listSinks,
+  syncSinks,
+  rebuildSinks,
+}; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Controller for handling annual tax report requests
+ * @module controllers/taxReportController
+ */
+
+const pnlService = require('../services/pnlService');
+const taxReportService = require('../services/taxReportService');
+
+/**
+ * Supported export formats
+ * @type {Array<string>}
+ */
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+/**
+ * Parses and validates the year and cost basis method of a request
+ * @param {Object} input - Query string or request body
+ * @returns {{options: Object}|{error: string}} Report options or a validation error
+ * @private
+ */
+const _parseOptions = (input = {}) => {
+  const method = (input.method || 'fifo').toString().toUpperCase();
+  const year = input.year ? parseInt(input.year, 10) : new Date().getUTCFullYear() - 1;
+  
+  if (!pnlService.methods.includes(method)) {
+    return { error: `Invalid method, expected one of ${pnlService.methods.join(', ').toLowerCase()}` };
+  }
+  
+  if (isNaN(year)) {
+    return { error: 'Invalid year' };
+  }
+  
+  return { options: { method, year } };
+};
+
+/**
+ * Exports the capital gains report of a year as JSON, CSV or XLSX
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const exportTaxReport = async (req, res) => {
+  try {
+    const { options, error } = _parseOptions(req.query);
+    const format = (req.query.format || 'json').toString().toLowerCase();
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const report = await taxReportService.generateReport(options);
+    const filename = `tax-report-${report.year}-${report.method.toLowerCase()}`;
+    
+    if (format === 'csv') {
+      res.attachment(`${filename}.csv`);
+      return res.type('text/csv').send(taxReportService.toCsv(report));
+    }
+    
+    if (format === 'xlsx') {
+      res.attachment(`${filename}.xlsx`);
+      return res.send(Buffer.from(await taxReportService.toXlsx(report)));
+    }
+    
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error('Tax report export error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Writes the capital gains report of a year to a "Tax Report <year>" sheet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const syncTaxReport = async (req, res) => {
+  try {
+    const { options, error } = _parseOptions(req.body);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const report = await taxReportService.syncTaxReportToGoogleSheets(options);
+    
+    return res.status(200).json({
+      success: true,
+      year: report.year,
+      method: report.method,
+      rows: report.rows.length,
+    });
+  } catch (error) {
+    console.error('Tax report sheet sync error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  exportTaxReport,
+  syncTaxReport,
+}; 
\ No newline at end of file
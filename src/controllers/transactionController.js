@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Controller for reading stored transactions
+ * @module controllers/transactionController
+ */
+
+const transactionQueryService = require('../services/transactionQueryService');
+const exchangeRegistry = require('../services/exchangeRegistry');
+const accountRegistry = require('../services/accountRegistry');
+
+/**
+ * Parses and validates the transaction filters of a query string
+ * @param {Object} query - Express query object
+ * @returns {{filters: Object}|{error: string}} Filters or a validation error
+ * @private
+ */
+const _parseFilters = (query) => {
+  const filters = {};
+  const platforms = exchangeRegistry.platforms;
+  
+  if (query.platform) {
+    filters.platform = query.platform.toString().toUpperCase();
+    
+    if (!platforms.includes(filters.platform)) {
+      return { error: `Invalid platform, expected one of ${platforms.join(', ')}` };
+    }
+  }
+  
+  if (query.account) {
+    filters.account = query.account.toString();
+    
+    if (!accountRegistry.hasAccount(filters.account)) {
+      return { error: `Invalid account, expected one of ${accountRegistry.ids.join(', ')}` };
+    }
+  }
+  
+  if (query.symbol) {
+    filters.symbol = query.symbol.toString().toUpperCase();
+  }
+  
+  if (query.side) {
+    filters.side = query.side.toString().toUpperCase();
+    
+    if (!['BUY', 'SELL'].includes(filters.side)) {
+      return { error: 'Invalid side, expected BUY or SELL' };
+    }
+  }
+  
+  if (query.status) {
+    filters.status = query.status.toString().toUpperCase();
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      filters[field] = new Date(query[field]);
+      
+      if (isNaN(filters[field].getTime())) {
+        return { error: `Invalid "${field}" date` };
+      }
+    }
+  }
+  
+  if (query.synced !== undefined) {
+    if (!['true', 'false'].includes(query.synced)) {
+      return { error: 'Invalid synced flag, expected true or false' };
+    }
+    
+    filters.synced = query.synced === 'true';
+  }
+  
+  return { filters };
+};
+
+/**
+ * Lists stored transactions with filters, sorting and cursor pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listTransactions = async (req, res) => {
+  try {
+    const { filters, error } = _parseFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const sort = req.query.sort || 'time';
+    const order = req.query.order || 'desc';
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (!transactionQueryService.sortFields.includes(sort)) {
+      return res.status(400).json({
+        error: `Invalid sort, expected one of ${transactionQueryService.sortFields.join(', ')}`
+      });
+    }
+    
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ error: 'Invalid order, expected asc or desc' });
+    }
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({ error: 'Invalid limit' });
+    }
+    
+    if (req.query.cursor && !transactionQueryService.isValidCursor(req.query.cursor, sort)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const page = await transactionQueryService.listTransactions(filters, {
+      limit,
+      cursor: req.query.cursor,
+      sort,
+      order,
+    });
+    
+    return res.status(200).json(page);
+  } catch (error) {
+    console.error('Transaction listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Returns a stored transaction and its fills
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getTransaction = async (req, res) => {
+  try {
+    const result = await transactionQueryService.getTransaction(
+      req.params.platform.toUpperCase(),
+      req.params.orderId,
+      req.query.symbol ? req.query.symbol.toString().toUpperCase() : undefined,
+      req.query.account ? req.query.account.toString() : undefined
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Transaction lookup error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Aggregates volume and trade counts of stored transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const aggregateTransactions = async (req, res) => {
+  try {
+    const { filters, error } = _parseFilters(req.query);
+    const groupBy = req.query.groupBy || 'day';
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    if (!transactionQueryService.groupByFields.includes(groupBy)) {
+      return res.status(400).json({
+        error: `Invalid groupBy, expected one of ${transactionQueryService.groupByFields.join(', ')}`
+      });
+    }
+    
+    const aggregates = await transactionQueryService.aggregateTransactions(filters, groupBy);
+    
+    return res.status(200).json({ groupBy, aggregates });
+  } catch (error) {
+    console.error('Transaction aggregation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listTransactions,
+  getTransaction,
+  aggregateTransactions,
+}; 
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Controller for transfers between our own accounts and their review list
+ * @module controllers/transferController
+ */
+
+const transferService = require('../services/transferService');
+
+/**
+ * Lists matched transfers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listTransfers = async (req, res) => {
+  try {
+    const asset = req.query.asset ? req.query.asset.toString().toUpperCase() : undefined;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 1000)) {
+      return res.status(400).json({ error: 'Invalid limit, expected 1 to 1000' });
+    }
+    
+    const transfers = await transferService.listTransfers({ asset, limit });
+    
+    return res.status(200).json({ transfers });
+  } catch (error) {
+    console.error('Transfer listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Pairs the unmatched withdrawals and deposits now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const matchTransfers = async (req, res) => {
+  try {
+    const summary = await transferService.matchTransfers();
+    
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Transfer matching error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Pairs a withdrawal and a deposit manually
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createTransfer = async (req, res) => {
+  try {
+    const { withdrawalId, depositId } = req.body || {};
+    
+    if (!withdrawalId || !depositId) {
+      return res.status(400).json({ error: 'Missing withdrawalId or depositId' });
+    }
+    
+    const { transfer, error } = await transferService.pairEntries(withdrawalId, depositId);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    return res.status(201).json({ transfer });
+  } catch (error) {
+    console.error('Transfer creation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Removes a transfer, returning its movements to the review list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const deleteTransfer = async (req, res) => {
+  try {
+    const removed = await transferService.unpair(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Transfer removal error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Lists the withdrawals and deposits waiting for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getReviewList = async (req, res) => {
+  try {
+    const entries = await transferService.getReviewList();
+    
+    return res.status(200).json({ entries });
+  } catch (error) {
+    console.error('Transfer review listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Marks a withdrawal or deposit on the review list as external, or back as a transfer candidate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const reviewEntry = async (req, res) => {
+  try {
+    const { external } = req.body || {};
+    
+    if (typeof external !== 'boolean') {
+      return res.status(400).json({ error: '"external" must be true or false' });
+    }
+    
+    const entry = await transferService.setExternal(req.params.entryId, external);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Unmatched deposit or withdrawal not found' });
+    }
+    
+    return res.status(200).json({ entry });
+  } catch (error) {
+    console.error('Transfer review error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listTransfers,
+  matchTransfers,
+  createTransfer,
+  deleteTransfer,
+  getReviewList,
+  reviewEntry,
+}; 
\ No newline at end of file
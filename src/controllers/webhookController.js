@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Controller for handling exchange webhook requests
+ * @module controllers/webhookController
+ */
+
+const webhookInboxService = require('../services/webhookInboxService');
+const accountRegistry = require('../services/accountRegistry');
+
+/**
+ * Creates the webhook handler of an exchange account
+ *
+ * Verified deliveries are stored in the webhook inbox before being processed, so a failed delivery is retried
+ * in the background rather than lost, and a redelivery is acknowledged without being processed twice.
+ * @param {Object} account - Registered exchange account
+ * @returns {function(Object, Object): Promise<void>} Express handler for the account's webhook
+ */
+const createWebhookHandler = (account) => async (req, res) => {
+  const adapter = accountRegistry.getAdapter(account.id);
+  
+  try {
+    // For security, validate the request signature with the account's secret before anything is stored
+    if (!(await adapter.verifyWebhook(req))) {
+      console.warn(`Invalid ${account.id} webhook signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const { event, duplicate } = await webhookInboxService.receive(account, adapter, req);
+    
+    if (duplicate) {
+      return res.status(200).json({ 
+        success: true, 
+        duplicate: true,
+        eventId: event._id,
+        status: event.status
+      });
+    }
+    
+    const result = await webhookInboxService.processEvent(event);
+    
+    // The delivery is stored, so the exchange does not need to resend it while it is retried
+    if (result.status === 'FAILED') {
+      return res.status(202).json({ 
+        success: false, 
+        eventId: result._id,
+        message: 'Processing failed, the event will be retried'
+      });
+    }
+    
+    // Return appropriate response even if transaction was not saved (non-completed orders)
+    if (result.status === 'IGNORED') {
+      return res.status(200).json({ 
+        success: true, 
+        saved: false, 
+        eventId: result._id,
+        message: result.lastError
+      });
+    }
+    
+    return res.status(200).json({ 
+      success: true, 
+      saved: true,
+      eventId: result._id,
+      orderId: result.orderId,
+      platform: result.platform,
+      account: result.accountId
+    });
+  } catch (error) {
+    console.error(`${account.id} webhook processing error:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  createWebhookHandler,
+}; 
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Controller for inspecting and replaying stored webhook deliveries
+ * @module controllers/webhookEventController
+ */
+
+const webhookInboxService = require('../services/webhookInboxService');
+const WebhookEvent = require('../models/webhookEvent');
+const exchangeRegistry = require('../services/exchangeRegistry');
+const accountRegistry = require('../services/accountRegistry');
+
+/**
+ * Parses and validates the webhook event filters of a query string
+ * @param {Object} query - Express query object
+ * @returns {{filters: Object}|{error: string}} Filters or a validation error
+ * @private
+ */
+const _parseFilters = (query) => {
+  const filters = {};
+  const platforms = exchangeRegistry.platforms;
+  
+  if (query.platform) {
+    filters.platform = query.platform.toString().toUpperCase();
+    
+    if (!platforms.includes(filters.platform)) {
+      return { error: `Invalid platform, expected one of ${platforms.join(', ')}` };
+    }
+  }
+  
+  if (query.account) {
+    filters.account = query.account.toString();
+    
+    if (!accountRegistry.hasAccount(filters.account)) {
+      return { error: `Invalid account, expected one of ${accountRegistry.ids.join(', ')}` };
+    }
+  }
+  
+  if (query.status) {
+    filters.status = query.status.toString().toUpperCase();
+    
+    if (!WebhookEvent.STATUSES.includes(filters.status)) {
+      return { error: `Invalid status, expected one of ${WebhookEvent.STATUSES.join(', ')}` };
+    }
+  }
+  
+  if (query.limit) {
+    filters.limit = parseInt(query.limit, 10);
+    
+    if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 1000) {
+      return { error: 'Invalid limit, expected 1 to 1000' };
+    }
+  }
+  
+  return { filters };
+};
+
+/**
+ * Lists stored webhook events, most recent first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listEvents = async (req, res) => {
+  try {
+    const { filters, error } = _parseFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const events = await webhookInboxService.listEvents(filters);
+    
+    return res.status(200).json({ events });
+  } catch (error) {
+    console.error('Webhook event listing error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Returns a stored webhook event with its headers and raw body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getEvent = async (req, res) => {
+  try {
+    const event = await webhookInboxService.getEvent(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    
+    return res.status(200).json({ event });
+  } catch (error) {
+    console.error('Webhook event lookup error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Processes a stored webhook event again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const replayEvent = async (req, res) => {
+  try {
+    const event = await webhookInboxService.replayEvent(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    
+    return res.status(200).json({
+      success: event.status !== 'FAILED',
+      eventId: event._id,
+      status: event.status,
+      orderId: event.orderId,
+      error: event.status === 'FAILED' ? event.lastError : undefined,
+    });
+  } catch (error) {
+    console.error('Webhook event replay error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listEvents,
+  getEvent,
+  replayEvent,
+}; 
\ No newline at end of file
@@ -8,12 +8,20 @@ const { connectDatabase } = require('./utils/database');
 const config = require('./config');
 const routes = require('./routes');
 const scheduler = require('./utils/scheduler');
+const jobService = require('./services/jobService');
+const binanceUserStreamService = require('./services/binanceUserStreamService');
+const krakenExecutionStreamService = require('./services/krakenExecutionStreamService');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
-app.use(express.json());
+// Keep the raw body, webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
@@ -37,13 +45,28 @@ const startServer = async () => {
       console.log(`Server running on port ${PORT} in ${config.server.env} mode`);
     });
     
+    // Runs left RUNNING by a previous process will never finish
+    await jobService.markInterruptedRuns();
+    
     // Initialize scheduled tasks
     scheduler.initTasks();
     
+    // Receive Binance order updates in real time, Binance never calls the webhook itself
+    if (config.binance.userStream) {
+      await binanceUserStreamService.start();
+    }
+    
+    // Receive Kraken order updates in real time, Kraken never calls the webhook itself
+    if (config.kraken.executionStream) {
+      await krakenExecutionStreamService.start();
+    }
+    
     // Handle graceful shutdown
     process.on('SIGINT', async () => {
       console.log('Shutting down gracefully...');
       scheduler.stopAllTasks();
+      await binanceUserStreamService.stop();
+      await krakenExecutionStreamService.stop();
       process.exit(0);
     });
   } catch (error) {
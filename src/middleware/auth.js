@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Middleware authenticating calls to the service's endpoints with scoped API keys
+ * @module middleware/auth
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Reads the API key of a request, sent as a bearer token or in the X-API-Key header
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or null if none was sent
+ * @private
+ */
+const _readKey = (req) => {
+  const authorization = req.get('authorization') || '';
+  
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  
+  return req.get('x-api-key') || null;
+};
+
+/**
+ * Creates the middleware of an endpoint requiring a scope
+ *
+ * The request must carry an active API key granting the scope (or admin) and stay within the key's rate limit.
+ * Every call, refused or not, is recorded in the audit log once the response is sent.
+ * @param {string} scope - Required scope (read:transactions, run:jobs or admin)
+ * @returns {function(Object, Object, Function): Promise<void>} Express middleware
+ */
+const requireScope = (scope) => async (req, res, next) => {
+  const startedAt = new Date();
+  let apiKey = null;
+  
+  res.on('finish', () => {
+    apiKeyService.recordCall({
+      apiKey: apiKey ? apiKey._id : null,
+      keyName: apiKey ? apiKey.name : null,
+      keyPrefix: apiKey ? apiKey.prefix : null,
+      method: req.method,
+      path: req.originalUrl,
+      scope,
+      status: res.statusCode,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt.getTime(),
+      time: startedAt,
+    }).catch(error => console.error('Audit log error:', error.message));
+  });
+  
+  try {
+    apiKey = await apiKeyService.authenticate(_readKey(req));
+    
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Missing or invalid API key' });
+    }
+    
+    if (!apiKeyService.hasScope(apiKey, scope)) {
+      return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    }
+    
+    const retryAfter = apiKeyService.consume(apiKey);
+    
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+    
+    req.apiKey = apiKey;
+    
+    return next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  requireScope,
+}; 
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview ApiKey model for storing the hashed API keys that authenticate calls to the service's endpoints
+ * @module models/apiKey
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Scopes an API key can be granted; admin grants every other scope too
+ * @type {Array<string>}
+ */
+const SCOPES = ['read:transactions', 'run:jobs', 'admin'];
+
+/**
+ * States of an API key
+ * @type {Array<string>}
+ */
+const STATUSES = ['ACTIVE', 'REVOKED'];
+
+/**
+ * ApiKey Schema
+ * @typedef {Object} ApiKeySchema
+ * @property {string} name - Who or what uses the key (e.g., ops-dashboard)
+ * @property {string} prefix - Public start of the key, to tell keys apart without their secret
+ * @property {string} keyHash - SHA-256 of the key, the key itself is never stored
+ * @property {Array<string>} scopes - Granted scopes (read:transactions, run:jobs, admin)
+ * @property {number} rateLimitPerMinute - Requests allowed per minute, null for the configured default
+ * @property {string} status - ACTIVE, or REVOKED once the key is no longer accepted
+ * @property {Date} lastUsedAt - When the key last authenticated a request
+ * @property {Date} revokedAt - When the key was revoked, null while active
+ */
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [String],
+      enum: SCOPES,
+      default: [],
+    },
+    rateLimitPerMinute: {
+      type: Number,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'ACTIVE',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * ApiKey model
+ * @type {mongoose.Model}
+ */
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+ApiKey.STATUSES = STATUSES;
+
+module.exports = ApiKey; 
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview AssetAlias model mapping platform-specific asset codes to their common name
+ * @module models/assetAlias
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * AssetAlias Schema
+ * @typedef {Object} AssetAliasSchema
+ * @property {string} alias - Platform-specific asset code (e.g., XBT, ZEUR)
+ * @property {string} asset - Common asset code (e.g., BTC, EUR)
+ */
+
+const assetAliasSchema = new mongoose.Schema(
+  {
+    alias: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    asset: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * AssetAlias model
+ * @type {mongoose.Model}
+ */
+const AssetAlias = mongoose.model('AssetAlias', assetAliasSchema);
+
+module.exports = AssetAlias; 
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview AuditLogEntry model for recording the calls to the authenticated endpoints
+ * @module models/auditLogEntry
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * AuditLogEntry Schema
+ * @typedef {Object} AuditLogEntrySchema
+ * @property {mongoose.Types.ObjectId} apiKey - API key that made the call, null when none was accepted
+ * @property {string} keyName - Name of the API key
+ * @property {string} keyPrefix - Public start of the API key
+ * @property {string} method - HTTP method
+ * @property {string} path - Requested URL, with its query string
+ * @property {string} scope - Scope the endpoint requires
+ * @property {number} status - HTTP status of the response
+ * @property {string} ip - Address the call came from
+ * @property {number} durationMs - Time taken to respond
+ * @property {Date} time - When the call was received
+ */
+
+const auditLogEntrySchema = new mongoose.Schema(
+  {
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null,
+    },
+    keyName: {
+      type: String,
+      default: null,
+    },
+    keyPrefix: {
+      type: String,
+      default: null,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: Number,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    time: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+auditLogEntrySchema.index({ apiKey: 1, time: -1 });
+
+// Entries are removed by MongoDB once older than the retention period
+auditLogEntrySchema.index({ time: 1 }, { expireAfterSeconds: config.auth.auditRetentionDays * 24 * 60 * 60 });
+
+/**
+ * AuditLogEntry model
+ * @type {mongoose.Model}
+ */
+const AuditLogEntry = mongoose.model('AuditLogEntry', auditLogEntrySchema);
+
+module.exports = AuditLogEntry; 
\ No newline at end of file
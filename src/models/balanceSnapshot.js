@@ -0,0 +1,128 @@
+/**
+ * @fileoverview BalanceSnapshot model for storing exchange balances and their reconciliation
+ * @module models/balanceSnapshot
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Balance sub-schema
+ * @typedef {Object} BalanceSchema
+ * @property {string} asset - Normalized asset code
+ * @property {number} free - Amount available for trading
+ * @property {number} locked - Amount locked in open orders
+ * @property {number} total - Total amount held
+ */
+
+const balanceSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: String,
+      required: true,
+    },
+    free: {
+      type: Number,
+      default: 0,
+    },
+    locked: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Discrepancy sub-schema
+ * @typedef {Object} DiscrepancySchema
+ * @property {string} asset - Normalized asset code
+ * @property {number} reported - Amount reported by the exchange
+ * @property {number} implied - Amount implied by the recorded transactions
+ * @property {number} difference - Reported minus implied amount
+ */
+
+const discrepancySchema = new mongoose.Schema(
+  {
+    asset: {
+      type: String,
+      required: true,
+    },
+    reported: {
+      type: Number,
+      required: true,
+    },
+    implied: {
+      type: Number,
+      required: true,
+    },
+    difference: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * BalanceSnapshot Schema
+ * @typedef {Object} BalanceSnapshotSchema
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} accountId - ID of the exchange account whose balances were fetched
+ * @property {Date} takenAt - Time the balances were fetched
+ * @property {Array<BalanceSchema>} balances - Balances reported by the exchange
+ * @property {Array<DiscrepancySchema>} discrepancies - Assets whose holdings differ beyond the tolerance
+ * @property {boolean} hasDiscrepancies - Whether any asset differs beyond the tolerance
+ */
+
+const balanceSnapshotSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+    },
+    takenAt: {
+      type: Date,
+      required: true,
+    },
+    balances: {
+      type: [balanceSchema],
+      default: [],
+    },
+    discrepancies: {
+      type: [discrepancySchema],
+      default: [],
+    },
+    hasDiscrepancies: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Snapshots are read per platform or account, most recent first
+balanceSnapshotSchema.index({ platform: 1, takenAt: -1 });
+balanceSnapshotSchema.index({ accountId: 1, takenAt: -1 });
+
+/**
+ * BalanceSnapshot model
+ * @type {mongoose.Model}
+ */
+const BalanceSnapshot = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
+
+module.exports = BalanceSnapshot; 
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Credential model for storing the encrypted API credentials of exchange accounts
+ * @module models/credential
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * States of stored credentials
+ * @type {Array<string>}
+ */
+const STATUSES = ['ACTIVE', 'DISABLED'];
+
+/**
+ * Credential Schema
+ * @typedef {Object} CredentialSchema
+ * @property {string} accountId - ID of the exchange account the credentials belong to
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} status - ACTIVE, or DISABLED once the account must no longer call the exchange
+ * @property {Array<string>} fields - Names of the stored credential fields (e.g., apiKey, apiSecret)
+ * @property {string} keyHint - Last characters of the first field, to tell which key is stored
+ * @property {Object} envelope - Credentials encrypted with their own data key, see utils/envelopeEncryption
+ * @property {string} envelope.masterKeyId - Fingerprint of the master key that encrypted the data key
+ * @property {string} envelope.encryptedKey - Data key encrypted with the master key
+ * @property {string} envelope.ciphertext - Credentials encrypted with the data key, as JSON
+ * @property {Date} rotatedAt - When the credentials were last replaced
+ * @property {Date} disabledAt - When the credentials were disabled, null while active
+ * @property {Date} lastTestedAt - When the credentials were last tested against the exchange
+ * @property {boolean} lastTestSucceeded - Whether the last test succeeded
+ * @property {string} lastTestError - Error of the last failed test
+ */
+
+const credentialSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    platform: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'ACTIVE',
+    },
+    fields: {
+      type: [String],
+      default: [],
+    },
+    keyHint: {
+      type: String,
+      default: null,
+    },
+    envelope: {
+      masterKeyId: {
+        type: String,
+        required: true,
+      },
+      encryptedKey: {
+        type: String,
+        required: true,
+      },
+      ciphertext: {
+        type: String,
+        required: true,
+      },
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    lastTestedAt: {
+      type: Date,
+      default: null,
+    },
+    lastTestSucceeded: {
+      type: Boolean,
+      default: null,
+    },
+    lastTestError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Credential model
+ * @type {mongoose.Model}
+ */
+const Credential = mongoose.model('Credential', credentialSchema);
+
+Credential.STATUSES = STATUSES;
+
+module.exports = Credential; 
\ No newline at end of file
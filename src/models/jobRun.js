@@ -0,0 +1,137 @@
+/**
+ * @fileoverview JobRun model for recording the runs of scheduled and manually triggered jobs
+ * @module models/jobRun
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * States of a job run
+ * @type {Array<string>}
+ */
+const STATUSES = ['RUNNING', 'SUCCEEDED', 'PARTIAL', 'FAILED'];
+
+/**
+ * What started a job run
+ * @type {Array<string>}
+ */
+const TRIGGERS = ['SCHEDULE', 'MANUAL'];
+
+/**
+ * Account outcome sub-schema
+ * @typedef {Object} PlatformOutcomeSchema
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} account - ID of the exchange account
+ * @property {string} status - SUCCEEDED or FAILED
+ * @property {number} attempts - Number of attempts, retries included
+ * @property {Object} counts - Counts reported for the account (e.g., fetched, saved)
+ * @property {string} error - Error of the last failed attempt
+ */
+
+const platformOutcomeSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: true,
+    },
+    account: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['SUCCEEDED', 'FAILED'],
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    counts: {
+      type: Object,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * JobRun Schema
+ * @typedef {Object} JobRunSchema
+ * @property {string} job - Name of the job
+ * @property {string} trigger - SCHEDULE or MANUAL
+ * @property {Object} params - Parameters of a manual run (e.g., account and date range of a backfill)
+ * @property {string} status - RUNNING until finished, then SUCCEEDED, PARTIAL (some accounts failed) or FAILED
+ * @property {Date} startedAt - Start of the run
+ * @property {Date} finishedAt - End of the run
+ * @property {Array<PlatformOutcomeSchema>} platforms - Outcome of every account the run went through
+ * @property {Object} counts - Counts reported for the whole run (e.g., transactions synced per sink)
+ * @property {string} error - Error that failed the run
+ */
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: TRIGGERS,
+      required: true,
+    },
+    params: {
+      type: Object,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'RUNNING',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    platforms: {
+      type: [platformOutcomeSchema],
+      default: [],
+    },
+    counts: {
+      type: Object,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Runs are listed per job, most recent first
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+
+/**
+ * JobRun model
+ * @type {mongoose.Model}
+ */
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+JobRun.STATUSES = STATUSES;
+JobRun.TRIGGERS = TRIGGERS;
+
+module.exports = JobRun; 
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview LedgerEntry model for storing balance movements that are not trades
+ * @module models/ledgerEntry
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Ledger entry types
+ * @type {Array<string>}
+ */
+const LEDGER_ENTRY_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'STAKING_REWARD', 'AIRDROP', 'FEE', 'TRANSFER', 'OTHER'];
+
+/**
+ * Sync state sub-schema
+ * @typedef {Object} SyncStateSchema
+ * @property {string} sink - Name of the output sink
+ * @property {Date} syncedAt - When the entry was written to the sink
+ */
+
+const syncStateSchema = new mongoose.Schema(
+  {
+    sink: {
+      type: String,
+      required: true,
+    },
+    syncedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * LedgerEntry Schema
+ * @typedef {Object} LedgerEntrySchema
+ * @property {string} entryId - Exchange ID of the movement
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} accountId - ID of the exchange account the movement belongs to
+ * @property {string} type - Entry type (DEPOSIT, WITHDRAWAL, STAKING_REWARD, AIRDROP, FEE, TRANSFER, OTHER)
+ * @property {string} asset - Normalized asset code (e.g., BTC)
+ * @property {number} amount - Signed amount, positive when credited and negative when debited
+ * @property {number} fee - Fee charged on top of the amount, in the same asset
+ * @property {string} txId - On-chain transaction hash, for deposits and withdrawals
+ * @property {string} description - Exchange description of the movement (e.g., the staking product)
+ * @property {Date} time - Time of the movement
+ * @property {mongoose.Types.ObjectId} transfer - Internal transfer the deposit or withdrawal belongs to, once matched
+ * @property {boolean} isExternal - Whether the deposit or withdrawal was reviewed as coming from or going to a
+ * third party
+ * @property {Array<Object>} syncState - Output sinks the current version of the entry is synced to
+ * @property {number} sheetRow - Row of the entry in the "Ledger" tab of the Google Sheet, once assigned
+ */
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    entryId: {
+      type: String,
+      required: true,
+    },
+    platform: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+      index: true,
+    },
+    asset: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    txId: {
+      type: String,
+      default: null,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    time: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    transfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transfer',
+      default: null,
+      index: true,
+    },
+    isExternal: {
+      type: Boolean,
+      default: false,
+    },
+    syncState: [syncStateSchema],
+    sheetRow: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create a compound index for entryId, platform, type and account to ensure uniqueness
+// (Binance deposit, withdrawal and reward IDs come from separate sequences)
+ledgerEntrySchema.index({ entryId: 1, platform: 1, type: 1, accountId: 1 }, { unique: true });
+
+// Finds the entries a sink has not synced yet
+ledgerEntrySchema.index({ 'syncState.sink': 1 });
+
+// Finds the last row used in the "Ledger" tab when assigning rows to new entries
+ledgerEntrySchema.index({ sheetRow: 1 });
+
+/**
+ * LedgerEntry model
+ * @type {mongoose.Model}
+ */
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+LedgerEntry.TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = LedgerEntry; 
\ No newline at end of file
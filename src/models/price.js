@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Price model caching historical exchange rates fetched from price providers
+ * @module models/price
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Price Schema
+ * @typedef {Object} PriceSchema
+ * @property {string} base - Asset being priced (e.g., BTC)
+ * @property {string} quote - Currency the price is expressed in (e.g., EUR)
+ * @property {Date} time - Start of the hour the price applies to
+ * @property {number} rate - Amount of quote currency for one unit of the base asset
+ * @property {string} source - Provider the price was fetched from
+ */
+
+const priceSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    quote: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    time: {
+      type: Date,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+    },
+    source: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A provider has a single price per pair and hour
+priceSchema.index({ base: 1, quote: 1, time: 1, source: 1 }, { unique: true });
+
+/**
+ * Price model
+ * @type {mongoose.Model}
+ */
+const Price = mongoose.model('Price', priceSchema);
+
+module.exports = Price; 
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview RealizedGain model for storing the gain or loss of each sale and the lots it consumed
+ * @module models/realizedGain
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Consumed lot sub-schema
+ * @typedef {Object} ConsumedLotSchema
+ * @property {mongoose.Types.ObjectId} transaction - Transaction that acquired the lot
+ * @property {string} platform - Platform the lot was acquired on
+ * @property {Date} acquiredAt - Acquisition time
+ * @property {number} quantity - Quantity consumed from the lot
+ * @property {number} costBasis - Cost basis of the consumed quantity
+ */
+
+const consumedLotSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+    platform: {
+      type: String,
+    },
+    acquiredAt: {
+      type: Date,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    costBasis: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * RealizedGain Schema
+ * @typedef {Object} RealizedGainSchema
+ * @property {string} method - Cost basis method (FIFO, LIFO, HIFO, AVERAGE)
+ * @property {number} year - Tax year of the sale
+ * @property {mongoose.Types.ObjectId} transaction - Sale transaction
+ * @property {string} orderId - Exchange order ID of the sale
+ * @property {string} platform - Trading platform of the sale
+ * @property {string} asset - Asset sold
+ * @property {string} costCurrency - Currency proceeds and cost basis are expressed in
+ * @property {Date} disposedAt - Sale time
+ * @property {number} quantity - Quantity sold
+ * @property {number} proceeds - Sale proceeds before fees
+ * @property {number} costBasis - Cost basis of the quantity sold
+ * @property {number} fees - Fees charged on the sale
+ * @property {number} gain - Realized gain (negative for a loss)
+ * @property {number} unmatchedQuantity - Quantity sold without a recorded acquisition
+ * @property {Array<ConsumedLotSchema>} lots - Lots consumed by the sale
+ */
+
+const realizedGainSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ['FIFO', 'LIFO', 'HIFO', 'AVERAGE'],
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      required: true,
+    },
+    orderId: {
+      type: String,
+      required: true,
+    },
+    platform: {
+      type: String,
+      required: true,
+    },
+    asset: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    costCurrency: {
+      type: String,
+      required: true,
+    },
+    disposedAt: {
+      type: Date,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    proceeds: {
+      type: Number,
+      required: true,
+    },
+    costBasis: {
+      type: Number,
+      required: true,
+    },
+    fees: {
+      type: Number,
+      default: 0,
+    },
+    gain: {
+      type: Number,
+      required: true,
+    },
+    unmatchedQuantity: {
+      type: Number,
+      default: 0,
+    },
+    lots: {
+      type: [consumedLotSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Reports are regenerated per method and year
+realizedGainSchema.index({ method: 1, year: 1, disposedAt: 1 });
+
+/**
+ * RealizedGain model
+ * @type {mongoose.Model}
+ */
+const RealizedGain = mongoose.model('RealizedGain', realizedGainSchema);
+
+module.exports = RealizedGain; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview SyncState model for storing the polling cursor of each exchange account
+ * @module models/syncState
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * SyncState Schema
+ * @typedef {Object} SyncStateSchema
+ * @property {string} accountId - ID of the exchange account
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {Date} cursor - Time up to which the account's orders and fills are stored, the next poll starts
+ * from it
+ * @property {Date} lastPolledAt - Start of the last poll, successful or not
+ * @property {Date} lastSucceededAt - End of the last successful poll
+ * @property {Object} lastCounts - Counts of the last successful poll (e.g., fetched, saved)
+ * @property {string} lastError - Error of the last poll, null once a poll succeeds
+ */
+
+const syncStateSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    platform: {
+      type: String,
+      required: true,
+    },
+    cursor: {
+      type: Date,
+      default: null,
+    },
+    lastPolledAt: {
+      type: Date,
+      default: null,
+    },
+    lastSucceededAt: {
+      type: Date,
+      default: null,
+    },
+    lastCounts: {
+      type: Object,
+      default: {},
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SyncState model
+ * @type {mongoose.Model}
+ */
+const SyncState = mongoose.model('SyncState', syncStateSchema);
+
+module.exports = SyncState; 
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Trade model for storing the individual fills of exchange orders
+ * @module models/trade
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Trade Schema
+ * @typedef {Object} TradeSchema
+ * @property {string} tradeId - Exchange trade (fill) ID
+ * @property {string} orderId - Exchange ID of the parent order
+ * @property {mongoose.Types.ObjectId} transaction - Parent transaction document, once stored
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} accountId - ID of the exchange account the fill belongs to
+ * @property {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+ * @property {string} side - Trade side (BUY or SELL)
+ * @property {number} price - Executed price
+ * @property {number} quantity - Executed quantity
+ * @property {number} quoteQuantity - Executed quote quantity
+ * @property {number} commission - Fee charged for the fill
+ * @property {string} commissionAsset - Asset the fee was charged in
+ * @property {boolean} isMaker - Whether the fill added liquidity
+ * @property {Date} time - Execution time
+ */
+
+const tradeSchema = new mongoose.Schema(
+  {
+    tradeId: {
+      type: String,
+      required: true,
+    },
+    orderId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+      index: true,
+    },
+    platform: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    side: {
+      type: String,
+      enum: ['BUY', 'SELL'],
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    quoteQuantity: {
+      type: Number,
+      required: true,
+    },
+    commission: {
+      type: Number,
+      default: 0,
+    },
+    commissionAsset: {
+      type: String,
+      default: null,
+    },
+    isMaker: {
+      type: Boolean,
+      default: false,
+    },
+    time: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create a compound index for tradeId, platform, symbol and account to ensure uniqueness
+// (Binance trade IDs are only unique within a symbol)
+tradeSchema.index({ tradeId: 1, platform: 1, symbol: 1, accountId: 1 }, { unique: true });
+
+/**
+ * Trade model
+ * @type {mongoose.Model}
+ */
+const Trade = mongoose.model('Trade', tradeSchema);
+
+module.exports = Trade; 
\ No newline at end of file
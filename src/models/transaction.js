@@ -5,22 +5,81 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Sheet row sub-schema
+ * @typedef {Object} SheetRowSchema
+ * @property {string} view - Name of the sheet view
+ * @property {string} tab - Title of the tab the order is written to
+ * @property {number} row - Row of the order in the tab
+ */
+
+const sheetRowSchema = new mongoose.Schema(
+  {
+    view: {
+      type: String,
+      required: true,
+    },
+    tab: {
+      type: String,
+      required: true,
+    },
+    row: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+/**
+ * Sync state sub-schema
+ * @typedef {Object} SyncStateSchema
+ * @property {string} sink - Name of the output sink
+ * @property {Date} syncedAt - When the order was written to the sink
+ */
+
+const syncStateSchema = new mongoose.Schema(
+  {
+    sink: {
+      type: String,
+      required: true,
+    },
+    syncedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 /**
  * Transaction Schema
  * @typedef {Object} TransactionSchema
  * @property {string} orderId - Exchange order ID
- * @property {string} platform - Trading platform (BINANCE, REVOLUT, KRAKEN)
+ * @property {string} platform - Trading platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} accountId - ID of the exchange account the order was placed from (e.g., binance-company)
  * @property {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+ * @property {string} baseAsset - Normalized base asset (e.g., BTC)
+ * @property {string} quoteAsset - Normalized quote asset (e.g., USDT)
  * @property {string} side - Order side (BUY or SELL)
  * @property {string} type - Order type (LIMIT, MARKET, etc.)
  * @property {number} price - Order price
  * @property {number} quantity - Order quantity
+ * @property {number} executedQuantity - Quantity actually filled
  * @property {number} quoteQuantity - Quote order quantity
+ * @property {string} reportingCurrency - Currency the order is valued in (e.g., EUR)
+ * @property {number} fxRate - Rate from the quote asset to the reporting currency at order time
+ * @property {number} valueInReportingCurrency - Quote quantity valued in the reporting currency
  * @property {string} status - Order status
  * @property {Date} time - Order time
  * @property {Date} updateTime - Last update time
  * @property {boolean} isWorking - Whether the order is working
- * @property {boolean} isSynced - Whether the order is synced with Google Sheets
+ * @property {Array<Object>} syncState - Output sinks the current version of the order is synced to
+ * @property {Array<Object>} sheetRows - Tab and row of the order in each sheet view, once assigned
  */
 
 const transactionSchema = new mongoose.Schema(
@@ -32,7 +91,11 @@ const transactionSchema = new mongoose.Schema(
     },
     platform: {
       type: String,
-      enum: ['BINANCE', 'REVOLUT', 'KRAKEN'],
+      required: true,
+      index: true,
+    },
+    accountId: {
+      type: String,
       required: true,
       index: true,
     },
@@ -41,6 +104,15 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    baseAsset: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    quoteAsset: {
+      type: String,
+      default: null,
+    },
     side: {
       type: String,
       enum: ['BUY', 'SELL'],
@@ -58,10 +130,25 @@ const transactionSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    executedQuantity: {
+      type: Number,
+    },
     quoteQuantity: {
       type: Number,
       required: true,
     },
+    reportingCurrency: {
+      type: String,
+      default: null,
+    },
+    fxRate: {
+      type: Number,
+      default: null,
+    },
+    valueInReportingCurrency: {
+      type: Number,
+      default: null,
+    },
     status: {
       type: String,
       required: true,
@@ -79,18 +166,23 @@ const transactionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    isSynced: {
-      type: Boolean,
-      default: false,
-    },
+    syncState: [syncStateSchema],
+    sheetRows: [sheetRowSchema],
   },
   {
     timestamps: true,
   }
 );
 
-// Create a compound index for orderId and platform to ensure uniqueness
-transactionSchema.index({ orderId: 1, platform: 1 }, { unique: true });
+// Create a compound index for orderId, platform, symbol and account to ensure uniqueness
+// (Binance order IDs are only unique within a symbol)
+transactionSchema.index({ orderId: 1, platform: 1, symbol: 1, accountId: 1 }, { unique: true });
+
+// Finds the orders a sink has not synced yet
+transactionSchema.index({ 'syncState.sink': 1 });
+
+// Finds the last row used in a tab when assigning rows to new orders
+transactionSchema.index({ 'sheetRows.view': 1, 'sheetRows.tab': 1 });
 
 /**
  * Transaction model
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Transfer model for storing movements between our own accounts
+ * @module models/transfer
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Transfer Schema
+ * @typedef {Object} TransferSchema
+ * @property {string} asset - Normalized asset code (e.g., BTC)
+ * @property {mongoose.Types.ObjectId} withdrawal - Ledger entry of the outgoing movement
+ * @property {mongoose.Types.ObjectId} deposit - Ledger entry of the incoming movement
+ * @property {string} fromPlatform - Platform the asset left
+ * @property {string} toPlatform - Platform the asset arrived on
+ * @property {string} fromAccount - ID of the account the asset left
+ * @property {string} toAccount - ID of the account the asset arrived on
+ * @property {number} sentAmount - Amount withdrawn, excluding the withdrawal fee
+ * @property {number} receivedAmount - Amount deposited
+ * @property {number} fee - Amount lost on the way: withdrawal fee plus any shortfall of the deposit
+ * @property {Date} sentAt - Time of the withdrawal
+ * @property {Date} receivedAt - Time of the deposit
+ * @property {string} txId - On-chain transaction hash, when known
+ * @property {string} matchedBy - How the movements were paired (TXID, AMOUNT or MANUAL)
+ */
+
+const transferSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    withdrawal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry',
+      required: true,
+      unique: true,
+    },
+    deposit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry',
+      required: true,
+      unique: true,
+    },
+    fromPlatform: {
+      type: String,
+      required: true,
+    },
+    toPlatform: {
+      type: String,
+      required: true,
+    },
+    fromAccount: {
+      type: String,
+      default: null,
+    },
+    toAccount: {
+      type: String,
+      default: null,
+    },
+    sentAmount: {
+      type: Number,
+      required: true,
+    },
+    receivedAmount: {
+      type: Number,
+      required: true,
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    receivedAt: {
+      type: Date,
+      required: true,
+    },
+    txId: {
+      type: String,
+      default: null,
+    },
+    matchedBy: {
+      type: String,
+      enum: ['TXID', 'AMOUNT', 'MANUAL'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Transfer model
+ * @type {mongoose.Model}
+ */
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+module.exports = Transfer; 
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview WatchedSymbol model for storing the trading pairs queried on each exchange
+ * @module models/watchedSymbol
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * WatchedSymbol Schema
+ * @typedef {Object} WatchedSymbolSchema
+ * @property {string} platform - Trading platform (BINANCE)
+ * @property {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+ * @property {string} source - How the symbol was added (MANUAL or DISCOVERED)
+ * @property {boolean} enabled - Whether orders are fetched for the symbol
+ * @property {Date} lastDiscoveredAt - Last time the symbol was found by discovery
+ */
+
+const watchedSymbolSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      enum: ['BINANCE'],
+      required: true,
+      index: true,
+    },
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ['MANUAL', 'DISCOVERED'],
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    lastDiscoveredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each symbol is watched at most once per platform
+watchedSymbolSchema.index({ platform: 1, symbol: 1 }, { unique: true });
+
+/**
+ * WatchedSymbol model
+ * @type {mongoose.Model}
+ */
+const WatchedSymbol = mongoose.model('WatchedSymbol', watchedSymbolSchema);
+
+module.exports = WatchedSymbol; 
\ No newline at end of file
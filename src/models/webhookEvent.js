@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Webhook event model for storing exchange webhook deliveries before they are processed
+ * @module models/webhookEvent
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Processing states of a webhook event
+ * @type {Array<string>}
+ */
+const STATUSES = ['RECEIVED', 'PROCESSED', 'IGNORED', 'FAILED'];
+
+/**
+ * WebhookEvent Schema
+ * @typedef {Object} WebhookEventSchema
+ * @property {string} platform - Platform code of the exchange adapter that received the delivery
+ * @property {string} accountId - ID of the exchange account whose webhook route received the delivery
+ * @property {string} eventId - ID of the event, the SHA-256 of the raw body, so redeliveries are stored once
+ * @property {Object} headers - Request headers of the first delivery
+ * @property {string} rawBody - Request body exactly as received
+ * @property {string} status - RECEIVED until processed, then PROCESSED, IGNORED (not an order or not completed)
+ * or FAILED
+ * @property {number} attempts - Number of processing attempts
+ * @property {string} lastError - Error of the last failed attempt
+ * @property {Date} nextAttemptAt - When a failed event is retried, null once attempts are exhausted
+ * @property {Date} processedAt - When the event was last processed successfully
+ * @property {string} orderId - Order ID of the transaction the event carried, once processed
+ * @property {mongoose.Types.ObjectId} transaction - Transaction saved from the event
+ */
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    headers: {
+      type: Object,
+      default: {},
+    },
+    rawBody: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'RECEIVED',
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    orderId: {
+      type: String,
+      default: null,
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Redeliveries of an event to the same account share its ID
+webhookEventSchema.index({ platform: 1, accountId: 1, eventId: 1 }, { unique: true });
+
+/**
+ * WebhookEvent model
+ * @type {mongoose.Model}
+ */
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+WebhookEvent.STATUSES = STATUSES;
+
+module.exports = WebhookEvent; 
\ No newline at end of file
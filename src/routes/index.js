@@ -4,40 +4,424 @@
  */
 
 const express = require('express');
-const binanceWebhookController = require('../controllers/webhookController');
-const revolutWebhookController = require('../controllers/revolutWebhookController');
-const krakenWebhookController = require('../controllers/krakenWebhookController');
+const exchangeRegistry = require('../services/exchangeRegistry');
+const accountRegistry = require('../services/accountRegistry');
+const binanceUserStreamService = require('../services/binanceUserStreamService');
+const krakenExecutionStreamService = require('../services/krakenExecutionStreamService');
+const webhookController = require('../controllers/webhookController');
+const webhookEventController = require('../controllers/webhookEventController');
+const backfillController = require('../controllers/backfillController');
+const binanceSymbolController = require('../controllers/binanceSymbolController');
+const pnlController = require('../controllers/pnlController');
+const taxReportController = require('../controllers/taxReportController');
+const assetAliasController = require('../controllers/assetAliasController');
+const transactionController = require('../controllers/transactionController');
+const balanceController = require('../controllers/balanceController');
+const priceController = require('../controllers/priceController');
+const sinkController = require('../controllers/sinkController');
+const importController = require('../controllers/importController');
+const ledgerController = require('../controllers/ledgerController');
+const transferController = require('../controllers/transferController');
+const jobController = require('../controllers/jobController');
+const pollingController = require('../controllers/pollingController');
+const credentialController = require('../controllers/credentialController');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireScope } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * @route GET /api/health
- * @description Health check endpoint
+ * @description Health check endpoint, with the connection state of the exchange streams
  * @access Public
  */
 router.get('/health', (req, res) => {
-  res.status(200).json({ status: 'OK', timestamp: new Date() });
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date(),
+    streams: {
+      binance: binanceUserStreamService.getStatus(),
+      kraken: krakenExecutionStreamService.getStatus(),
+    },
+  });
 });
 
 /**
- * @route POST /api/webhook/binance
- * @description Webhook endpoint for Binance transaction updates
+ * @route POST /api/webhook/:platform
+ * @description Webhook endpoint for transaction updates of a platform's default account, one per registered
+ * exchange (e.g., /api/webhook/binance)
  * @access Private (secured by signature validation)
  */
-router.post('/webhook/binance', binanceWebhookController.handleWebhook);
+exchangeRegistry.platforms.forEach(platform => {
+  router.post(
+    `/webhook/${platform.toLowerCase()}`,
+    webhookController.createWebhookHandler(accountRegistry.getDefaultAccount(platform))
+  );
+});
 
 /**
- * @route POST /api/webhook/revolut
- * @description Webhook endpoint for Revolut transaction updates
+ * @route POST /api/webhook/:platform/:account
+ * @description Webhook endpoint for transaction updates of an account (e.g., /api/webhook/binance/binance-company)
  * @access Private (secured by signature validation)
  */
-router.post('/webhook/revolut', revolutWebhookController.handleWebhook);
+accountRegistry.getAccounts().forEach(account => {
+  router.post(
+    `/webhook/${account.platform.toLowerCase()}/${account.id}`,
+    webhookController.createWebhookHandler(account)
+  );
+});
 
 /**
- * @route POST /api/webhook/kraken
- * @description Webhook endpoint for Kraken transaction updates
- * @access Private (secured by signature validation)
+ * @route GET /api/webhook-events
+ * @description Lists stored webhook deliveries without their body (query: platform, account, status, limit)
+ * @access Private (read:transactions scope)
+ */
+router.get('/webhook-events', requireScope('read:transactions'), webhookEventController.listEvents);
+
+/**
+ * @route GET /api/webhook-events/:id
+ * @description Returns a stored webhook delivery with its headers and raw body
+ * @access Private (admin scope)
+ */
+router.get('/webhook-events/:id', requireScope('admin'), webhookEventController.getEvent);
+
+/**
+ * @route POST /api/webhook-events/:id/replay
+ * @description Processes a stored webhook delivery again
+ * @access Private (run:jobs scope)
+ */
+router.post('/webhook-events/:id/replay', requireScope('run:jobs'), webhookEventController.replayEvent);
+
+/**
+ * @route POST /api/backfill
+ * @description Fetches and stores an account's transactions for a date range (body: account or platform, from, to)
+ * @access Private (run:jobs scope)
+ */
+router.post('/backfill', requireScope('run:jobs'), backfillController.handleBackfill);
+
+/**
+ * @route GET /api/binance/symbols
+ * @description Lists the Binance symbols whose orders are fetched
+ * @access Private (read:transactions scope)
+ */
+router.get('/binance/symbols', requireScope('read:transactions'), binanceSymbolController.listSymbols);
+
+/**
+ * @route POST /api/binance/symbols
+ * @description Adds a symbol to the Binance watch list
+ * @access Private (admin scope)
+ */
+router.post('/binance/symbols', requireScope('admin'), binanceSymbolController.addSymbol);
+
+/**
+ * @route POST /api/binance/symbols/discover
+ * @description Discovers traded Binance symbols from the account balances
+ * @access Private (run:jobs scope)
+ */
+router.post('/binance/symbols/discover', requireScope('run:jobs'), binanceSymbolController.discoverSymbols);
+
+/**
+ * @route DELETE /api/binance/symbols/:symbol
+ * @description Disables a symbol on the Binance watch list
+ * @access Private (admin scope)
+ */
+router.delete('/binance/symbols/:symbol', requireScope('admin'), binanceSymbolController.disableSymbol);
+
+/**
+ * @route GET /api/pnl
+ * @description Stored realized gains of a year (query: method=fifo|lifo|hifo|average, year)
+ * @access Private (read:transactions scope)
+ */
+router.get('/pnl', requireScope('read:transactions'), pnlController.getRealizedGains);
+
+/**
+ * @route POST /api/pnl/calculate
+ * @description Recalculates and stores the realized gains of a year
+ * @access Private (run:jobs scope)
+ */
+router.post('/pnl/calculate', requireScope('run:jobs'), pnlController.calculateRealizedGains);
+
+/**
+ * @route POST /api/pnl/sync
+ * @description Writes the realized gains of a year to the "P&L" sheet
+ * @access Private (run:jobs scope)
+ */
+router.post('/pnl/sync', requireScope('run:jobs'), pnlController.syncRealizedGains);
+
+/**
+ * @route GET /api/reports/tax
+ * @description Capital gains report of a year (query: year, method, format=json|csv|xlsx)
+ * @access Private (read:transactions scope)
+ */
+router.get('/reports/tax', requireScope('read:transactions'), taxReportController.exportTaxReport);
+
+/**
+ * @route POST /api/reports/tax/sync
+ * @description Writes the capital gains report of a year to a "Tax Report <year>" sheet
+ * @access Private (run:jobs scope)
+ */
+router.post('/reports/tax/sync', requireScope('run:jobs'), taxReportController.syncTaxReport);
+
+/**
+ * @route GET /api/assets/aliases
+ * @description Lists the asset aliases used to normalize symbols
+ * @access Private (read:transactions scope)
+ */
+router.get('/assets/aliases', requireScope('read:transactions'), assetAliasController.listAliases);
+
+/**
+ * @route PUT /api/assets/aliases/:alias
+ * @description Creates or updates an asset alias (e.g., XBT -> BTC)
+ * @access Private (admin scope)
+ */
+router.put('/assets/aliases/:alias', requireScope('admin'), assetAliasController.setAlias);
+
+/**
+ * @route DELETE /api/assets/aliases/:alias
+ * @description Removes an asset alias
+ * @access Private (admin scope)
+ */
+router.delete('/assets/aliases/:alias', requireScope('admin'), assetAliasController.removeAlias);
+
+/**
+ * @route POST /api/assets/normalize
+ * @description Re-normalizes the base and quote assets of every stored transaction
+ * @access Private (run:jobs scope)
+ */
+router.post('/assets/normalize', requireScope('run:jobs'), assetAliasController.normalizeTransactions);
+
+/**
+ * @route GET /api/transactions
+ * @description Lists stored transactions (query: platform, account, symbol, side, status, from, to,
+ * synced, sort, order, limit, cursor)
+ * @access Private (read:transactions scope)
+ */
+router.get('/transactions', requireScope('read:transactions'), transactionController.listTransactions);
+
+/**
+ * @route GET /api/transactions/aggregates
+ * @description Volume and trade counts grouped by day, month, asset, platform or account (query: groupBy
+ * plus the listing filters)
+ * @access Private (read:transactions scope)
+ */
+router.get('/transactions/aggregates', requireScope('read:transactions'), transactionController.aggregateTransactions);
+
+/**
+ * @route GET /api/transactions/:platform/:orderId
+ * @description Returns a stored transaction and its fills (query: symbol, account)
+ * @access Private (read:transactions scope)
+ */
+router.get('/transactions/:platform/:orderId', requireScope('read:transactions'), transactionController.getTransaction);
+
+/**
+ * @route GET /api/ledger
+ * @description Lists deposits, withdrawals, rewards and other movements that are not trades, most recent
+ * first (query: platform, account, type, asset, from, to, limit)
+ * @access Private (read:transactions scope)
+ */
+router.get('/ledger', requireScope('read:transactions'), ledgerController.listEntries);
+
+/**
+ * @route GET /api/transfers
+ * @description Lists transfers between our own accounts, most recent first (query: asset, limit)
+ * @access Private (read:transactions scope)
+ */
+router.get('/transfers', requireScope('read:transactions'), transferController.listTransfers);
+
+/**
+ * @route POST /api/transfers
+ * @description Pairs a withdrawal and a deposit manually (body: withdrawalId, depositId)
+ * @access Private (admin scope)
+ */
+router.post('/transfers', requireScope('admin'), transferController.createTransfer);
+
+/**
+ * @route POST /api/transfers/match
+ * @description Pairs the unmatched withdrawals and deposits now
+ * @access Private (run:jobs scope)
+ */
+router.post('/transfers/match', requireScope('run:jobs'), transferController.matchTransfers);
+
+/**
+ * @route GET /api/transfers/review
+ * @description Lists the withdrawals and deposits left unmatched and not marked as external
+ * @access Private (read:transactions scope)
+ */
+router.get('/transfers/review', requireScope('read:transactions'), transferController.getReviewList);
+
+/**
+ * @route PUT /api/transfers/review/:entryId
+ * @description Marks an unmatched withdrawal or deposit as external or back as a candidate (body: external)
+ * @access Private (admin scope)
+ */
+router.put('/transfers/review/:entryId', requireScope('admin'), transferController.reviewEntry);
+
+/**
+ * @route DELETE /api/transfers/:id
+ * @description Removes a transfer, returning its withdrawal and deposit to the review list
+ * @access Private (admin scope)
+ */
+router.delete('/transfers/:id', requireScope('admin'), transferController.deleteTransfer);
+
+/**
+ * @route GET /api/balances
+ * @description Latest balance snapshot of every account with its discrepancies
+ * @access Private (read:transactions scope)
+ */
+router.get('/balances', requireScope('read:transactions'), balanceController.getLatestBalances);
+
+/**
+ * @route GET /api/balances/snapshots
+ * @description Lists balance snapshots, most recent first (query: platform, account, discrepancies, limit)
+ * @access Private (read:transactions scope)
+ */
+router.get('/balances/snapshots', requireScope('read:transactions'), balanceController.listSnapshots);
+
+/**
+ * @route POST /api/balances/snapshots
+ * @description Takes and reconciles a balance snapshot of every platform now
+ * @access Private (run:jobs scope)
+ */
+router.post('/balances/snapshots', requireScope('run:jobs'), balanceController.takeSnapshots);
+
+/**
+ * @route GET /api/prices
+ * @description Historical price of an asset (query: base, quote, time)
+ * @access Private (read:transactions scope)
+ */
+router.get('/prices', requireScope('read:transactions'), priceController.getPrice);
+
+/**
+ * @route POST /api/prices/value-transactions
+ * @description Values stored transactions in the reporting currency (body: all)
+ * @access Private (run:jobs scope)
+ */
+router.post('/prices/value-transactions', requireScope('run:jobs'), priceController.valueTransactions);
+
+/**
+ * @route GET /api/sinks
+ * @description Lists the enabled output sinks with their number of unsynced transactions
+ * @access Private (read:transactions scope)
+ */
+router.get('/sinks', requireScope('read:transactions'), sinkController.listSinks);
+
+/**
+ * @route POST /api/sinks/sync
+ * @description Writes new and changed transactions to every enabled output sink
+ * @access Private (run:jobs scope)
+ */
+router.post('/sinks/sync', requireScope('run:jobs'), sinkController.syncSinks);
+
+/**
+ * @route POST /api/sinks/rebuild
+ * @description Rewrites the output sinks from the transactions stored in MongoDB (body: sink)
+ * @access Private (run:jobs scope)
+ */
+router.post('/sinks/rebuild', requireScope('run:jobs'), sinkController.rebuildSinks);
+
+/**
+ * @route GET /api/jobs
+ * @description Lists the jobs with their schedule and last run
+ * @access Private (read:transactions scope)
+ */
+router.get('/jobs', requireScope('read:transactions'), jobController.listJobs);
+
+/**
+ * @route GET /api/jobs/:name/runs
+ * @description Lists the runs of a job, most recent first (query: status, limit)
+ * @access Private (read:transactions scope)
+ */
+router.get('/jobs/:name/runs', requireScope('read:transactions'), jobController.listRuns);
+
+/**
+ * @route POST /api/jobs/:name/run
+ * @description Starts a run of a job (body: job parameters, e.g. account, from and to for backfill)
+ * @access Private (run:jobs scope)
+ */
+router.post('/jobs/:name/run', requireScope('run:jobs'), jobController.runJob);
+
+/**
+ * @route GET /api/polling
+ * @description Lists the sync cursor, last poll and polling interval of every polled account
+ * @access Private (read:transactions scope)
+ */
+router.get('/polling', requireScope('read:transactions'), pollingController.listStates);
+
+/**
+ * @route GET /api/credentials
+ * @description Lists where the credentials of every account come from (store or environment), without secrets
+ * @access Private (admin scope)
+ */
+router.get('/credentials', requireScope('admin'), credentialController.listCredentials);
+
+/**
+ * @route POST /api/credentials/:account
+ * @description Stores the credentials of an account encrypted (body: credential fields, e.g. apiKey, apiSecret)
+ * @access Private (admin scope)
+ */
+router.post('/credentials/:account', requireScope('admin'), credentialController.addCredentials);
+
+/**
+ * @route PUT /api/credentials/:account
+ * @description Replaces the stored credentials of an account and enables them (body: credential fields)
+ * @access Private (admin scope)
+ */
+router.put('/credentials/:account', requireScope('admin'), credentialController.rotateCredentials);
+
+/**
+ * @route POST /api/credentials/:account/disable
+ * @description Disables the stored credentials of an account, stopping its exchange requests
+ * @access Private (admin scope)
+ */
+router.post('/credentials/:account/disable', requireScope('admin'), credentialController.disableCredentials);
+
+/**
+ * @route POST /api/credentials/:account/test
+ * @description Tests the credentials of an account by fetching its balances
+ * @access Private (admin scope)
+ */
+router.post('/credentials/:account/test', requireScope('admin'), credentialController.testCredentials);
+
+/**
+ * @route GET /api/keys
+ * @description Lists the API keys of the service's endpoints, without their secrets
+ * @access Private (admin scope)
+ */
+router.get('/keys', requireScope('admin'), apiKeyController.listKeys);
+
+/**
+ * @route POST /api/keys
+ * @description Issues an API key, returned only once (body: name, scopes, rateLimitPerMinute)
+ * @access Private (admin scope)
+ */
+router.post('/keys', requireScope('admin'), apiKeyController.createKey);
+
+/**
+ * @route DELETE /api/keys/:id
+ * @description Revokes an API key
+ * @access Private (admin scope)
+ */
+router.delete('/keys/:id', requireScope('admin'), apiKeyController.revokeKey);
+
+/**
+ * @route GET /api/audit-log
+ * @description Lists the calls to the authenticated endpoints, most recent first (query: key, status, from, to,
+ * limit)
+ * @access Private (admin scope)
+ */
+router.get('/audit-log', requireScope('admin'), apiKeyController.listAuditLog);
+
+/**
+ * @route POST /api/import
+ * @description Imports the transactions of an exchange CSV statement sent as a text/csv body
+ * (query: format, account, dryRun)
+ * @access Private (admin scope)
  */
-router.post('/webhook/kraken', krakenWebhookController.handleWebhook);
+router.post(
+  '/import',
+  requireScope('admin'),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' }),
+  importController.importStatement
+);
 
 module.exports = router; 
\ No newline at end of file
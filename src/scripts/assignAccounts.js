@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Migration assigning the transactions, fills, ledger entries, snapshots, webhook events and polling
+ * cursors stored before accounts existed to the default account of their platform
+ * @module scripts/assignAccounts
+ *
+ * Usage: npm run migrate:accounts
+ * Run it once after upgrading, before starting the service, so the unique indexes include the account.
+ */
+
+const { connectDatabase } = require('../utils/database');
+const accountRegistry = require('../services/accountRegistry');
+
+const run = async () => {
+  try {
+    await connectDatabase();
+    
+    const updated = await accountRegistry.assignDefaultAccounts();
+    
+    Object.entries(updated).forEach(([model, count]) => console.log(`${model}: ${count} documents assigned`));
+    console.log('Migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Account migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run(); 
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Issues an API key from the command line, e.g. the first admin key
+ * @module scripts/createApiKey
+ *
+ * Usage: npm run keys:create -- --name ops --scopes admin [--rate-limit 120]
+ * Scopes: read:transactions, run:jobs, admin (comma-separated).
+ */
+
+const { connectDatabase } = require('../utils/database');
+const apiKeyService = require('../services/apiKeyService');
+
+const run = async () => {
+  try {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+      const index = args.indexOf(name);
+      
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+    const name = option('--name');
+    const scopes = option('--scopes');
+    const rateLimit = option('--rate-limit');
+    
+    if (!name || !scopes) {
+      console.error('Usage: npm run keys:create -- --name <name> --scopes <scope,...> [--rate-limit <per minute>]');
+      process.exit(1);
+    }
+    
+    await connectDatabase();
+    
+    const { apiKey, key, error } = await apiKeyService.createKey({
+      name,
+      scopes: scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+      rateLimitPerMinute: rateLimit !== undefined ? Number(rateLimit) : undefined,
+    });
+    
+    if (error) {
+      console.error(`Key creation failed: ${error}`);
+      process.exit(1);
+    }
+    
+    console.log(`Created API key ${apiKey.name} (${apiKey.prefix}) with scopes ${apiKey.scopes.join(', ')}`);
+    console.log('Store it now, it is not shown again:');
+    console.log(key);
+    process.exit(0);
+  } catch (error) {
+    console.error('API key creation failed:', error);
+    process.exit(1);
+  }
+};
+
+run(); 
\ No newline at end of file
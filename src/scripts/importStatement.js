@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Imports the transactions of an exchange CSV statement from the command line
+ * @module scripts/importStatement
+ *
+ * Usage: npm run import:statement -- --format kraken-trades path/to/trades.csv [--account kraken] [--dry-run]
+ * Formats: binance-trades, kraken-trades, kraken-ledgers, revolut-statement.
+ */
+
+const fs = require('fs');
+const { connectDatabase } = require('../utils/database');
+const statementImportService = require('../services/statementImportService');
+
+const run = async () => {
+  try {
+    const args = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const accountIndex = args.indexOf('--account');
+    const format = formatIndex !== -1 ? args[formatIndex + 1] : null;
+    const account = accountIndex !== -1 ? args[accountIndex + 1] : undefined;
+    const file = args.find((arg, index) => (
+      !arg.startsWith('--') && index !== formatIndex + 1 && (accountIndex === -1 || index !== accountIndex + 1)
+    ));
+    
+    if (!format || !file) {
+      console.error('Usage: npm run import:statement -- --format <format> <file> [--account <account>] [--dry-run]');
+      process.exit(1);
+    }
+    
+    await connectDatabase();
+    
+    const result = await statementImportService.importStatement(format, fs.readFileSync(file, 'utf8'), {
+      account,
+      dryRun: args.includes('--dry-run'),
+    });
+    
+    if (result.error) {
+      console.error(`Import failed: ${result.error}`);
+      process.exit(1);
+    }
+    
+    console.log(JSON.stringify(result.report, null, 2));
+    process.exit(0);
+  } catch (error) {
+    console.error('Statement import failed:', error);
+    process.exit(1);
+  }
+};
+
+run(); 
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Migration adding normalized base and quote assets to stored transactions
+ * @module scripts/normalizeSymbols
+ *
+ * Usage: npm run migrate:symbols [-- --all]
+ * Pass --all to re-normalize every transaction, e.g. after editing the asset aliases.
+ */
+
+const { connectDatabase } = require('../utils/database');
+const symbolNormalizationService = require('../services/symbolNormalizationService');
+
+const run = async () => {
+  try {
+    await connectDatabase();
+    
+    const updated = await symbolNormalizationService.migrateTransactions({
+      all: process.argv.includes('--all'),
+    });
+    
+    console.log(`Migration completed, ${updated} transactions updated`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Symbol migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run(); 
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Registry of the exchange accounts the service fetches transactions from
+ * @module services/accountRegistry
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const Transaction = require('../models/transaction');
+const Trade = require('../models/trade');
+const LedgerEntry = require('../models/ledgerEntry');
+const BalanceSnapshot = require('../models/balanceSnapshot');
+const WebhookEvent = require('../models/webhookEvent');
+const SyncState = require('../models/syncState');
+const exchangeRegistry = require('./exchangeRegistry');
+const credentialService = require('./credentialService');
+
+/**
+ * Exchange account
+ * @typedef {Object} Account
+ * @property {string} id - Account ID stored on transactions (e.g., binance-company)
+ * @property {string} label - Display name (e.g., Company)
+ * @property {string} platform - Platform code of a registered exchange adapter (e.g., BINANCE)
+ * @property {string} credentials - Prefix of the environment variables holding the API credentials (e.g.,
+ * BINANCE_COMPANY for BINANCE_COMPANY_API_KEY and BINANCE_COMPANY_API_SECRET), used unless the credential store
+ * holds credentials for the account
+ */
+
+/**
+ * Models whose documents belong to an account
+ * @type {Array<mongoose.Model>}
+ */
+const ACCOUNT_MODELS = [Transaction, Trade, LedgerEntry, BalanceSnapshot, WebhookEvent, SyncState];
+
+/**
+ * Account IDs appear in URLs and sheet tabs, so they are limited to lowercase letters, digits and dashes
+ * @type {RegExp}
+ */
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Account registry holding the accounts of every enabled exchange and their adapters
+ *
+ * Accounts are listed in the accounts file. An enabled platform without any account there gets a default account
+ * named after the platform (e.g., binance), using the credentials of the configuration. The first account of a
+ * platform is its default account: it receives the data stored before accounts existed, the exchange streams and
+ * the webhook route without an account ID.
+ */
+class AccountRegistry {
+  constructor() {
+    this.accountsFile = config.accounts.file;
+    this.accounts = new Map();
+    this.adapters = new Map();
+    
+    this._loadAccounts().forEach(account => this.register(account));
+  }
+
+  /**
+   * Registers an account
+   * @param {Object} account - Account as written in the accounts file
+   * @returns {void}
+   */
+  register(account) {
+    const { id, platform } = account || {};
+    
+    if (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+      throw new Error(`Account IDs must be lowercase letters, digits and dashes, got "${id}"`);
+    }
+    
+    if (this.accounts.has(id)) {
+      throw new Error(`Account ${id} is already registered`);
+    }
+    
+    if (!exchangeRegistry.hasPlatform(platform)) {
+      throw new Error(`Account ${id} belongs to ${platform}, which is not an enabled exchange`);
+    }
+    
+    this.accounts.set(id, {
+      id,
+      label: account.label || id,
+      platform,
+      credentials: account.credentials || platform,
+    });
+  }
+
+  /**
+   * IDs of the registered accounts
+   * @type {Array<string>}
+   */
+  get ids() {
+    return [...this.accounts.keys()];
+  }
+
+  /**
+   * Returns the registered accounts
+   * @param {string} [platform] - Only return the accounts of this platform
+   * @returns {Array<Account>} Accounts in registration order
+   */
+  getAccounts(platform) {
+    const accounts = [...this.accounts.values()];
+    
+    return platform ? accounts.filter(account => account.platform === platform) : accounts;
+  }
+
+  /**
+   * Checks whether an account is registered
+   * @param {string} id - Account ID
+   * @returns {boolean} Whether the account exists
+   */
+  hasAccount(id) {
+    return this.accounts.has(id);
+  }
+
+  /**
+   * Returns a registered account
+   * @param {string} id - Account ID
+   * @returns {Account} Account
+   */
+  getAccount(id) {
+    if (!this.accounts.has(id)) {
+      throw new Error(`Unknown account: ${id}`);
+    }
+    
+    return this.accounts.get(id);
+  }
+
+  /**
+   * Returns the default account of a platform, its first account
+   * @param {string} platform - Registered platform code
+   * @returns {Account} Default account
+   */
+  getDefaultAccount(platform) {
+    const [account] = this.getAccounts(platform);
+    
+    if (!account) {
+      throw new Error(`${platform} has no account`);
+    }
+    
+    return account;
+  }
+
+  /**
+   * Returns the adapter of an account, created on first use
+   * @param {string} id - Account ID
+   * @returns {Object} Exchange adapter using the credentials of the account
+   */
+  getAdapter(id) {
+    if (!this.adapters.has(id)) {
+      this.adapters.set(id, this._createAdapter(this.getAccount(id)));
+    }
+    
+    return this.adapters.get(id);
+  }
+
+  /**
+   * Assigns the documents stored before accounts existed to the default account of their platform, then replaces
+   * the unique indexes that did not include the account
+   * @returns {Promise<Object<string, number>>} Number of documents updated per model
+   */
+  async assignDefaultAccounts() {
+    const updated = {};
+    
+    for (const Model of ACCOUNT_MODELS) {
+      const platforms = await Model.distinct('platform', { accountId: null });
+      
+      updated[Model.modelName] = 0;
+      
+      for (const platform of platforms) {
+        // A platform that is no longer enabled keeps the ID its default account had
+        const [account] = this.getAccounts(platform);
+        const accountId = account ? account.id : platform.toLowerCase();
+        const { modifiedCount } = await Model.updateMany({ platform, accountId: null }, { $set: { accountId } });
+        
+        updated[Model.modelName] += modifiedCount;
+      }
+      
+      await Model.syncIndexes();
+    }
+    
+    return updated;
+  }
+
+  /**
+   * Creates the adapter of an account from the registered adapter of its platform
+   *
+   * The adapter resolves the credentials of the account through the credential service before every request, so
+   * that credentials added, rotated or disabled at runtime apply without a restart.
+   * @param {Account} account - Account
+   * @returns {Object} Exchange adapter
+   * @private
+   */
+  _createAdapter(account) {
+    const adapter = exchangeRegistry.getAdapter(account.platform);
+    
+    if (typeof adapter.withCredentials !== 'function' || !adapter.credentialVariables) {
+      // A custom adapter without credential support keeps the credentials it was built with
+      if (account.credentials === account.platform) {
+        return adapter;
+      }
+      
+      throw new Error(`${account.platform} adapter does not support more than one account`);
+    }
+    
+    return adapter.withCredentials(() => credentialService.getCredentials(account, adapter.credentialVariables));
+  }
+
+  /**
+   * Reads the accounts file and adds a default account for every platform it does not list
+   * @returns {Array<Object>} Accounts to register
+   * @private
+   */
+  _loadAccounts() {
+    let accounts = [];
+    
+    if (fs.existsSync(this.accountsFile)) {
+      const file = JSON.parse(fs.readFileSync(this.accountsFile, 'utf8'));
+      
+      accounts = (Array.isArray(file) ? file : file.accounts || []).map(account => ({
+        ...account,
+        platform: typeof account.platform === 'string' ? account.platform.toUpperCase() : account.platform,
+      }));
+      
+      console.log(`Loaded ${accounts.length} accounts from ${this.accountsFile}`);
+    }
+    
+    const defaultAccounts = exchangeRegistry.getAdapters()
+      .filter(adapter => !accounts.some(account => account.platform === adapter.platform))
+      .map(adapter => ({ id: adapter.platform.toLowerCase(), label: adapter.name, platform: adapter.platform }));
+    
+    return [...accounts, ...defaultAccounts];
+  }
+}
+
+module.exports = new AccountRegistry(); 
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Service for issuing and checking the API keys of the service's endpoints, with per-key rate
+ * limits and an audit log
+ * @module services/apiKeyService
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const config = require('../config');
+const ApiKey = require('../models/apiKey');
+const AuditLogEntry = require('../models/auditLogEntry');
+
+/**
+ * Start of every issued key, so leaked keys are easy to search for
+ * @type {string}
+ */
+const KEY_PREFIX = 'abk';
+
+/**
+ * API key service backing the auth middleware
+ *
+ * Keys are only shown when issued: MongoDB keeps their SHA-256, which is enough for long random keys. Each key
+ * draws from its own token bucket, refilled with its rate limit every minute, so a burst up to the limit is
+ * allowed.
+ */
+class ApiKeyService {
+  constructor() {
+    this.scopes = ApiKey.SCOPES;
+    this.defaultRateLimit = config.auth.rateLimitPerMinute;
+    this.buckets = new Map();
+    this.defaultLimit = 100;
+    this.maxLimit = 1000;
+  }
+
+  /**
+   * Issues a new API key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Who or what uses the key
+   * @param {Array<string>} options.scopes - Granted scopes
+   * @param {number} [options.rateLimitPerMinute] - Requests allowed per minute, the configured default otherwise
+   * @returns {Promise<{apiKey: Object, key: string}|{error: string}>} Stored key and the key itself, shown only
+   * once, or a validation error
+   */
+  async createKey({ name, scopes, rateLimitPerMinute } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return { error: 'Missing key name' };
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !this.scopes.includes(scope))) {
+      return { error: `Invalid scopes, expected some of ${this.scopes.join(', ')}` };
+    }
+    
+    if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null
+      && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)) {
+      return { error: 'Invalid rateLimitPerMinute, expected a positive integer' };
+    }
+    
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      prefix,
+      keyHash: this._hash(key),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute: rateLimitPerMinute || null,
+    });
+    
+    return { apiKey: this._summarize(apiKey), key };
+  }
+
+  /**
+   * Lists the API keys, most recent first, without their hash
+   * @returns {Promise<Array>} API keys
+   */
+  async listKeys() {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+    
+    return apiKeys.map(apiKey => this._summarize(apiKey));
+  }
+
+  /**
+   * Revokes an API key, which is refused from then on
+   * @param {string} keyId - API key document ID
+   * @returns {Promise<Object|null>} Revoked key or null if not found
+   */
+  async revokeKey(keyId) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      return null;
+    }
+    
+    const apiKey = await ApiKey.findById(keyId);
+    
+    if (!apiKey) {
+      return null;
+    }
+    
+    if (apiKey.status !== 'REVOKED') {
+      apiKey.status = 'REVOKED';
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    
+    this.buckets.delete(String(apiKey._id));
+    
+    return this._summarize(apiKey);
+  }
+
+  /**
+   * Finds the active API key matching a key presented by a caller
+   * @param {string} key - Key sent with the request
+   * @returns {Promise<Object|null>} API key document or null if unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(`${KEY_PREFIX}_`)) {
+      return null;
+    }
+    
+    const apiKey = await ApiKey.findOne({ keyHash: this._hash(key), status: 'ACTIVE' });
+    
+    if (apiKey) {
+      // Only informative, so the request does not wait for it
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+        .catch(error => console.error('API key usage update error:', error.message));
+    }
+    
+    return apiKey;
+  }
+
+  /**
+   * Checks whether an API key grants a scope
+   * @param {Object} apiKey - API key document
+   * @param {string} scope - Required scope
+   * @returns {boolean} Whether the scope, or admin, was granted
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Takes a request from the rate limit of an API key
+   * @param {Object} apiKey - API key document
+   * @returns {number} 0 if the request is allowed, otherwise the seconds until it would be
+   */
+  consume(apiKey) {
+    const limit = apiKey.rateLimitPerMinute || this.defaultRateLimit;
+    const id = String(apiKey._id);
+    const now = Date.now();
+    const bucket = this.buckets.get(id) || { tokens: limit, updatedAt: now };
+    
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) / 60000 * limit);
+    bucket.updatedAt = now;
+    this.buckets.set(id, bucket);
+    
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / limit * 60);
+    }
+    
+    bucket.tokens -= 1;
+    
+    return 0;
+  }
+
+  /**
+   * Records a call to an authenticated endpoint in the audit log
+   * @param {Object} entry - Audit log entry, see the AuditLogEntry model
+   * @returns {Promise<void>}
+   */
+  async recordCall(entry) {
+    await AuditLogEntry.create(entry);
+  }
+
+  /**
+   * Lists audit log entries, most recent first
+   * @param {Object} filters - Audit log filters
+   * @param {string} [filters.key] - API key document ID
+   * @param {number} [filters.status] - HTTP status of the response
+   * @param {Date} [filters.from] - Earliest call time (inclusive)
+   * @param {Date} [filters.to] - Latest call time (inclusive)
+   * @param {number} [filters.limit] - Maximum number of entries
+   * @returns {Promise<Array>} Audit log entries
+   */
+  async listAuditLog({ key, status, from, to, limit } = {}) {
+    const filter = {};
+    
+    if (key) {
+      filter.apiKey = key;
+    }
+    
+    if (status) {
+      filter.status = status;
+    }
+    
+    if (from || to) {
+      filter.time = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      };
+    }
+    
+    return AuditLogEntry.find(filter)
+      .sort({ time: -1 })
+      .limit(Math.min(limit || this.defaultLimit, this.maxLimit));
+  }
+
+  /**
+   * Hashes a key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} Hex SHA-256 of the key
+   * @private
+   */
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Returns an API key without its hash
+   * @param {Object} apiKey - API key document
+   * @returns {Object} API key summary
+   * @private
+   */
+  _summarize(apiKey) {
+    const { keyHash, __v, ...summary } = apiKey.toObject();
+    
+    return summary;
+  }
+}
+
+module.exports = new ApiKeyService(); 
\ No newline at end of file
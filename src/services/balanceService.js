@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Service for snapshotting exchange balances and reconciling them with recorded transactions
+ * @module services/balanceService
+ */
+
+const BalanceSnapshot = require('../models/balanceSnapshot');
+const Transaction = require('../models/transaction');
+const Trade = require('../models/trade');
+const LedgerEntry = require('../models/ledgerEntry');
+const accountRegistry = require('./accountRegistry');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const config = require('../config');
+
+/**
+ * Balance service storing daily snapshots and flagging holdings the transaction log cannot explain
+ */
+class BalanceService {
+  constructor() {
+    this.tolerance = config.reconciliation.tolerance;
+    this.minimumDifference = config.reconciliation.minimumDifference;
+  }
+
+  /**
+   * Takes a balance snapshot of every account
+   * @returns {Promise<{snapshots: Array, failures: Array}>} Saved snapshots and accounts that failed
+   */
+  async takeSnapshots() {
+    const accounts = accountRegistry.getAccounts();
+    const results = await Promise.allSettled(accounts.map(account => this.takeSnapshot(account.id)));
+    
+    const snapshots = [];
+    const failures = [];
+    
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        snapshots.push(result.value);
+      } else {
+        console.error(`Failed to take ${accounts[index].id} balance snapshot:`, result.reason);
+        failures.push({
+          platform: accounts[index].platform,
+          account: accounts[index].id,
+          error: result.reason.message,
+        });
+      }
+    });
+    
+    return { snapshots, failures };
+  }
+
+  /**
+   * Fetches an account's balances, reconciles them with the recorded transactions and stores the snapshot
+   * @param {string} accountId - Registered account ID (e.g., binance)
+   * @returns {Promise<Object>} Saved balance snapshot document
+   */
+  async takeSnapshot(accountId) {
+    const { platform } = accountRegistry.getAccount(accountId);
+    const takenAt = new Date();
+    const rawBalances = await accountRegistry.getAdapter(accountId).fetchBalances();
+    
+    await symbolNormalizationService.loadAliases();
+    
+    const balances = this._normalizeBalances(rawBalances);
+    const holdings = await this.calculateImpliedHoldings(accountId);
+    const discrepancies = this._findDiscrepancies(balances, holdings);
+    
+    const snapshot = await BalanceSnapshot.create({
+      platform,
+      accountId,
+      takenAt,
+      balances,
+      discrepancies,
+      hasDiscrepancies: discrepancies.length > 0,
+    });
+    
+    if (discrepancies.length > 0) {
+      console.warn(
+        `${accountId} holdings differ from the transaction log for ${discrepancies.map(d => d.asset).join(', ')}`
+      );
+    } else {
+      console.log(`${accountId} balance snapshot matches the transaction log`);
+    }
+    
+    return snapshot;
+  }
+
+  /**
+   * Calculates the holdings implied by an account's recorded transactions, fees and ledger entries
+   * @param {string} accountId - Registered account ID (e.g., binance)
+   * @returns {Promise<Map<string, number>>} Net amount per normalized asset
+   */
+  async calculateImpliedHoldings(accountId) {
+    const [flows, fees, movements] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { accountId } },
+        {
+          $group: {
+            _id: { baseAsset: '$baseAsset', quoteAsset: '$quoteAsset', side: '$side' },
+            quantity: { $sum: { $ifNull: ['$executedQuantity', '$quantity'] } },
+            quoteQuantity: { $sum: '$quoteQuantity' },
+          },
+        },
+      ]),
+      Trade.aggregate([
+        { $match: { accountId } },
+        { $group: { _id: '$commissionAsset', commission: { $sum: '$commission' } } },
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { accountId } },
+        { $group: { _id: '$asset', amount: { $sum: '$amount' }, fee: { $sum: '$fee' } } },
+      ]),
+    ]);
+    
+    const holdings = new Map();
+    const add = (asset, amount) => {
+      if (asset) {
+        holdings.set(asset, (holdings.get(asset) || 0) + amount);
+      }
+    };
+    
+    // A purchase adds the base asset and spends the quote asset, a sale does the opposite
+    flows.forEach(({ _id, quantity, quoteQuantity }) => {
+      const sign = _id.side === 'BUY' ? 1 : -1;
+      
+      add(_id.baseAsset, sign * quantity);
+      add(_id.quoteAsset, -sign * quoteQuantity);
+    });
+    
+    fees.forEach(({ _id, commission }) => {
+      if (_id) {
+        add(symbolNormalizationService.normalizeAsset(_id), -commission);
+      }
+    });
+    
+    // Deposits, rewards and withdrawals move the asset directly, fees are charged on top
+    movements.forEach(({ _id, amount, fee }) => add(_id, amount - fee));
+    
+    return holdings;
+  }
+
+  /**
+   * Returns the most recent snapshot of every account
+   * @returns {Promise<Array>} Latest balance snapshot documents
+   */
+  async getLatestSnapshots() {
+    const snapshots = await Promise.all(
+      accountRegistry.ids.map(accountId => BalanceSnapshot.findOne({ accountId }).sort({ takenAt: -1 }))
+    );
+    
+    return snapshots.filter(Boolean);
+  }
+
+  /**
+   * Lists stored snapshots, most recent first
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.platform] - Only list snapshots of this platform
+   * @param {string} [options.account] - Only list snapshots of this account
+   * @param {boolean} [options.discrepanciesOnly=false] - Only list snapshots with discrepancies
+   * @param {number} [options.limit=30] - Maximum number of snapshots
+   * @returns {Promise<Array>} Balance snapshot documents
+   */
+  async listSnapshots({ platform, account, discrepanciesOnly = false, limit = 30 } = {}) {
+    const filter = {};
+    
+    if (platform) {
+      filter.platform = platform;
+    }
+    
+    if (account) {
+      filter.accountId = account;
+    }
+    
+    if (discrepanciesOnly) {
+      filter.hasDiscrepancies = true;
+    }
+    
+    return BalanceSnapshot.find(filter).sort({ takenAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Normalizes the asset codes of balances, merging balances that map to the same asset
+   * @param {Array} balances - Balances reported by the exchange
+   * @returns {Array} Normalized balances
+   * @private
+   */
+  _normalizeBalances(balances) {
+    const merged = new Map();
+    
+    balances.forEach(balance => {
+      const asset = symbolNormalizationService.normalizeAsset(balance.asset);
+      const current = merged.get(asset) || { asset, free: 0, locked: 0, total: 0 };
+      
+      current.free += balance.free;
+      current.locked += balance.locked;
+      current.total += balance.total;
+      merged.set(asset, current);
+    });
+    
+    return [...merged.values()];
+  }
+
+  /**
+   * Compares reported balances with implied holdings and keeps the assets that differ beyond the tolerance
+   * @param {Array} balances - Normalized balances reported by the exchange
+   * @param {Map<string, number>} holdings - Holdings implied by the transaction log
+   * @returns {Array} Discrepancies
+   * @private
+   */
+  _findDiscrepancies(balances, holdings) {
+    const reportedByAsset = new Map(balances.map(balance => [balance.asset, balance.total]));
+    const assets = new Set([...reportedByAsset.keys(), ...holdings.keys()]);
+    
+    return [...assets]
+      .map(asset => {
+        const reported = reportedByAsset.get(asset) || 0;
+        const implied = holdings.get(asset) || 0;
+        
+        return {
+          asset,
+          reported,
+          implied,
+          difference: reported - implied,
+        };
+      })
+      .filter(({ reported, implied, difference }) => {
+        const allowed = Math.max(this.minimumDifference, this.tolerance * Math.max(Math.abs(reported), Math.abs(implied)));
+        
+        return Math.abs(difference) > allowed;
+      })
+      .sort((a, b) => a.asset.localeCompare(b.asset));
+  }
+}
+
+module.exports = new BalanceService(); 
\ No newline at end of file
@@ -3,33 +3,110 @@
  * @module services/binanceService
  */
 
-const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Request weight per minute the requests stay below, out of the 6000 allowed by Binance
+ * @type {number}
+ */
+const WEIGHT_BUDGET = 4800;
+
+/**
+ * Error code of a signed request whose timestamp is outside the receive window
+ * @type {number}
+ */
+const INVALID_TIMESTAMP_CODE = -1021;
+
+/**
+ * Environment variables of the API credentials, without the prefix of the account (e.g., BINANCE_API_KEY)
+ * @type {Object<string, string>}
+ */
+const CREDENTIAL_VARIABLES = {
+  apiKey: 'API_KEY',
+  apiSecret: 'API_SECRET',
+};
 
 /**
  * Binance API service for fetching and processing transaction data
  */
 class BinanceService {
-  constructor() {
-    this.apiKey = config.binance.apiKey;
-    this.apiSecret = config.binance.apiSecret;
-    this.baseUrl = 'https://api.binance.com';
+  /**
+   * @param {function(): (Object|Promise<Object>)} [resolveCredentials] - Returns the API credentials of the account
+   * (apiKey and apiSecret), called before every signed request; those of the configuration by default
+   */
+  constructor(resolveCredentials = () => config.binance) {
+    this.platform = 'BINANCE';
+    this.name = 'Binance';
+    this.credentialVariables = CREDENTIAL_VARIABLES;
+    this.resolveCredentials = resolveCredentials;
+    this.baseUrl = config.binance.apiUrl;
+    this.recvWindow = config.binance.recvWindow;
+    this.symbols = config.binance.symbols;
+    this.pageLimit = 1000;
+    this.requestWeights = {
+      '/api/v3/allOrders': 20,
+      '/api/v3/order': 4,
+      '/api/v3/account': 20,
+      '/api/v3/exchangeInfo': 20,
+      '/api/v3/myTrades': 20,
+      '/api/v3/userDataStream': 2,
+      '/sapi/v1/capital/deposit/hisrec': 1,
+      '/sapi/v1/capital/withdraw/history': 18,
+      '/sapi/v1/asset/assetDividend': 10,
+    };
+    
+    // Difference between the Binance server clock and the local one, measured before the first signed request
+    this.timeOffset = null;
+    
+    // The bucket refills the weight budget over a minute; its capacity bounds the burst so that a full bucket
+    // plus a minute of refill stays below the Binance limit
+    this.http = new ExchangeHttpClient({
+      name: this.name,
+      rateLimit: { capacity: 1000, refillPerSecond: WEIGHT_BUDGET / 60 },
+      onResponse: response => this._trackUsedWeight(response.headers),
+      shouldRetry: error => this._shouldResyncClock(error),
+    });
+    
+    // Deposit, withdrawal and reward histories accept at most 90 days per request
+    this.historyWindowMs = 90 * 24 * 60 * 60 * 1000;
+    
+    // Order and trade histories accept at most 24 hours per request
+    this.tradeWindowMs = 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Creates the adapter of another Binance account
+   * @param {function(): (Object|Promise<Object>)} resolveCredentials - Returns the API credentials of the account,
+   * see the constructor
+   * @returns {BinanceService} Adapter signing its requests with the credentials
+   */
+  withCredentials(resolveCredentials) {
+    const service = new BinanceService(resolveCredentials);
+    
+    // Request weight is counted per IP address, so every account draws from the same bucket
+    service.http.bucket = this.http.bucket;
+    
+    return service;
   }
 
   /**
    * Generates a signature for Binance API authentication
    * @param {Object} params - Request parameters
+   * @param {string} apiSecret - Binance API secret
    * @returns {string} HMAC SHA256 signature
    * @private
    */
-  _generateSignature(params) {
+  _generateSignature(params, apiSecret) {
     const queryString = Object.keys(params)
       .map(key => `${key}=${params[key]}`)
       .join('&');
     
     return crypto
-      .createHmac('sha256', this.apiSecret)
+      .createHmac('sha256', apiSecret)
       .update(queryString)
       .digest('hex');
   }
@@ -43,57 +120,591 @@ class BinanceService {
    * @private
    */
   async _makeRequest(endpoint, params = {}, method = 'GET') {
-    const timestamp = Date.now();
-    const requestParams = {
-      ...params,
-      timestamp,
-    };
-
-    const signature = this._generateSignature(requestParams);
-    
-    const url = `${this.baseUrl}${endpoint}?${new URLSearchParams(requestParams)}&signature=${signature}`;
-    
-    try {
-      const response = await axios({
+    const response = await this.http.request(async () => {
+      if (this.timeOffset === null) {
+        await this._syncServerTime();
+      }
+      
+      const { apiKey, apiSecret } = await this.resolveCredentials();
+      
+      // Signed again on every attempt, so that a retried request carries a fresh timestamp
+      const requestParams = {
+        ...params,
+        recvWindow: this.recvWindow,
+        timestamp: Date.now() + this.timeOffset,
+      };
+      
+      const signature = this._generateSignature(requestParams, apiSecret);
+      
+      return {
         method,
-        url,
+        url: `${this.baseUrl}${endpoint}?${new URLSearchParams(requestParams)}&signature=${signature}`,
         headers: {
-          'X-MBX-APIKEY': this.apiKey,
+          'X-MBX-APIKEY': apiKey,
         },
-      });
+      };
+    }, { cost: this._weight(endpoint) });
+    
+    return response.data;
+  }
+
+  /**
+   * Makes a request to a Binance API endpoint that only needs the API key, not a signature
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _makeApiKeyRequest(endpoint, params = {}, method = 'GET') {
+    const response = await this.http.request(async () => {
+      const { apiKey } = await this.resolveCredentials();
       
-      return response.data;
-    } catch (error) {
-      console.error('Binance API request failed:', error.response?.data || error.message);
-      throw error;
+      return {
+        method,
+        url: `${this.baseUrl}${endpoint}`,
+        params,
+        headers: {
+          'X-MBX-APIKEY': apiKey,
+        },
+      };
+    }, { cost: this._weight(endpoint) });
+    
+    return response.data;
+  }
+
+  /**
+   * Makes an unauthenticated request to a public Binance API endpoint
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _makePublicRequest(endpoint, params = {}) {
+    const response = await this.http.request(() => ({
+      method: 'GET',
+      url: `${this.baseUrl}${endpoint}`,
+      params,
+    }), { cost: this._weight(endpoint) });
+    
+    return response.data;
+  }
+
+  /**
+   * Returns the request weight of an endpoint
+   * @param {string} endpoint - API endpoint
+   * @returns {number} Request weight
+   * @private
+   */
+  _weight(endpoint) {
+    return this.requestWeights[endpoint] || 1;
+  }
+
+  /**
+   * Measures the offset of the Binance server clock, assuming the response took as long to come as the request
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncServerTime() {
+    const requestedAt = Date.now();
+    const { serverTime } = await this._makePublicRequest('/api/v3/time');
+    const receivedAt = Date.now();
+    
+    this.timeOffset = serverTime - Math.round((requestedAt + receivedAt) / 2);
+    
+    if (Math.abs(this.timeOffset) > 1000) {
+      console.warn(`Binance server clock is ${this.timeOffset}ms off the local clock, correcting request timestamps`);
+    }
+  }
+
+  /**
+   * Tells whether a request was rejected for its timestamp, in which case the clock offset is measured again
+   * before the next attempt
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether to retry
+   * @private
+   */
+  _shouldResyncClock(error) {
+    if (error.response?.data?.code !== INVALID_TIMESTAMP_CODE) {
+      return false;
+    }
+    
+    this.timeOffset = null;
+    
+    return true;
+  }
+
+  /**
+   * Lowers the available request weight to what the X-MBX-USED-WEIGHT-1M response header leaves of the budget
+   * @param {Object} [headers] - Response headers
+   * @private
+   */
+  _trackUsedWeight(headers) {
+    const usedWeight = parseInt(headers?.['x-mbx-used-weight-1m'], 10);
+    
+    if (!isNaN(usedWeight)) {
+      this.http.bucket.limitTo(WEIGHT_BUDGET - usedWeight);
     }
   }
 
+  /**
+   * Fetches the account balances that are not empty
+   * @returns {Promise<Array>} Array of balances with asset, free and locked amounts
+   */
+  async fetchAccountBalances() {
+    const account = await this._makeRequest('/api/v3/account');
+    
+    return account.balances
+      .map(balance => ({
+        asset: balance.asset,
+        free: parseFloat(balance.free),
+        locked: parseFloat(balance.locked),
+      }))
+      .filter(balance => balance.free > 0 || balance.locked > 0);
+  }
+
+  /**
+   * Fetches the account balances in the common balance format
+   * @returns {Promise<Array>} Array of balances with asset, free, locked and total amounts
+   */
+  async fetchBalances() {
+    const balances = await this.fetchAccountBalances();
+    
+    return balances.map(balance => ({
+      ...balance,
+      total: balance.free + balance.locked,
+    }));
+  }
+
+  /**
+   * Fetches the trading pairs listed on the exchange
+   * @returns {Promise<Array>} Array of symbols with their base and quote assets
+   */
+  async fetchExchangeSymbols() {
+    const exchangeInfo = await this._makePublicRequest('/api/v3/exchangeInfo');
+    
+    return exchangeInfo.symbols.map(symbol => ({
+      symbol: symbol.symbol,
+      baseAsset: symbol.baseAsset,
+      quoteAsset: symbol.quoteAsset,
+      status: symbol.status,
+    }));
+  }
+
   /**
    * Fetches transactions (orders) for the current day
+   * @param {Array<string>} [symbols] - Trading pairs to query, defaults to the configured symbols
    * @returns {Promise<Array>} Array of transaction objects
    */
-  async fetchTodayTransactions() {
+  async fetchTodayTransactions(symbols = this.symbols) {
     // Calculate start of current day (UTC)
     const startOfDay = new Date();
     startOfDay.setUTCHours(0, 0, 0, 0);
     
-    const params = {
-      startTime: startOfDay.getTime(),
-    };
+    return this.fetchTransactionsInRange(startOfDay, new Date(), symbols);
+  }
+
+  /**
+   * Fetches transactions (orders) placed within a date range for the given symbols
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @param {Array<string>} [symbols] - Trading pairs to query, defaults to the configured symbols
+   * @returns {Promise<Array>} Array of transaction objects
+   */
+  async fetchTransactionsInRange(from, to, symbols = this.symbols) {
+    try {
+      const transactionsByKey = new Map();
+      
+      // allOrders only works per symbol, so query each pair in turn and merge the results
+      for (const symbol of symbols) {
+        const orders = await this._fetchSymbolOrdersInRange(symbol, from, to);
+        
+        // Order IDs are only unique within a symbol
+        orders.forEach(order => transactionsByKey.set(`${order.symbol}:${order.orderId}`, order));
+      }
+      
+      const transactions = [...transactionsByKey.values()];
+      
+      console.log(`Fetched ${transactions.length} transactions from Binance between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return symbolNormalizationService.normalizeTransactions(transactions);
+    } catch (error) {
+      console.error('Failed to fetch Binance transactions in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pages through allOrders for a single symbol using the orderId cursor
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Orders placed within the range
+   * @private
+   */
+  async _fetchSymbolOrdersInRange(symbol, from, to) {
+    return this._fetchSymbolWindowsInRange('/api/v3/allOrders', symbol, from, to, order => ({
+      orderId: order.orderId + 1,
+    }));
+  }
+
+  /**
+   * Pages through an order or trade history of a single symbol, one window of at most 24 hours at a time
+   *
+   * The first page of each window is bounded by its startTime and endTime, the following ones are anchored on
+   * the ID cursor of the last record seen, which cannot be combined with a time range, until they pass the end
+   * of the window.
+   * @param {string} endpoint - History endpoint (allOrders or myTrades)
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @param {function(Object): Object} getCursor - Returns the cursor parameters of the page after a record
+   * @returns {Promise<Array>} Raw Binance records within the range
+   * @private
+   */
+  async _fetchSymbolWindowsInRange(endpoint, symbol, from, to, getCursor) {
+    const records = [];
+    
+    for (let windowStart = from.getTime(); windowStart <= to.getTime(); windowStart += this.tradeWindowMs) {
+      const startTime = windowStart;
+      const endTime = Math.min(windowStart + this.tradeWindowMs - 1, to.getTime());
+      
+      let params = {
+        symbol,
+        startTime,
+        endTime,
+        limit: this.pageLimit,
+      };
+      
+      while (true) {
+        const page = await this._makeRequest(endpoint, params);
+        
+        records.push(...page.filter(record => record.time >= startTime && record.time <= endTime));
+        
+        const lastRecord = page[page.length - 1];
+        
+        if (page.length < this.pageLimit || lastRecord.time > endTime) {
+          break;
+        }
+        
+        params = {
+          symbol,
+          ...getCursor(lastRecord),
+          limit: this.pageLimit,
+        };
+      }
+    }
+    
+    return records;
+  }
+
+  /**
+   * Fetches a single order, whatever its placement time
+   * @param {string|number} orderId - Binance order ID
+   * @param {string} symbol - Trading pair symbol of the order (e.g., BTCUSDT)
+   * @returns {Promise<Object>} Transaction object
+   */
+  async fetchOrder(orderId, symbol) {
+    const order = await this._makeRequest('/api/v3/order', { symbol, orderId });
     
+    return symbolNormalizationService.normalizeTransaction(order);
+  }
+
+  /**
+   * Fetches the fills executed within a date range for the given symbols
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @param {Array<string>} [symbols] - Trading pairs to query, defaults to the configured symbols
+   * @returns {Promise<Array>} Array of trade objects
+   */
+  async fetchTradesInRange(from, to, symbols = this.symbols) {
+    try {
+      const trades = [];
+      
+      // myTrades only works per symbol, so query each pair in turn
+      for (const symbol of symbols) {
+        const symbolTrades = await this._fetchSymbolTradesInRange(symbol, from, to);
+        trades.push(...symbolTrades.map(trade => this._mapTrade(trade)));
+      }
+      
+      console.log(`Fetched ${trades.length} trades from Binance between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return trades;
+    } catch (error) {
+      console.error('Failed to fetch Binance trades in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pages through myTrades for a single symbol using the fromId cursor
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Raw Binance trades executed within the range
+   * @private
+   */
+  async _fetchSymbolTradesInRange(symbol, from, to) {
+    return this._fetchSymbolWindowsInRange('/api/v3/myTrades', symbol, from, to, trade => ({
+      fromId: trade.id + 1,
+    }));
+  }
+
+  /**
+   * Maps a Binance trade to the common trade format
+   * @param {Object} trade - Binance trade object
+   * @returns {Object} Trade object
+   * @private
+   */
+  _mapTrade(trade) {
+    return {
+      tradeId: String(trade.id),
+      orderId: String(trade.orderId),
+      symbol: trade.symbol,
+      side: trade.isBuyer ? 'BUY' : 'SELL',
+      price: parseFloat(trade.price),
+      quantity: parseFloat(trade.qty),
+      quoteQuantity: parseFloat(trade.quoteQty),
+      commission: parseFloat(trade.commission),
+      commissionAsset: trade.commissionAsset,
+      isMaker: trade.isMaker,
+      time: new Date(trade.time),
+    };
+  }
+
+  /**
+   * Fetches the deposits, withdrawals and distributions (staking rewards, airdrops) within a date range
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of ledger entry objects
+   */
+  async fetchLedgerEntriesInRange(from, to) {
     try {
-      // Fetch all orders for the current day
-      const allOrders = await this._makeRequest('/api/v3/allOrders', params);
+      const entries = [];
+      
+      for (let windowStart = from.getTime(); windowStart <= to.getTime(); windowStart += this.historyWindowMs) {
+        const startTime = windowStart;
+        const endTime = Math.min(windowStart + this.historyWindowMs - 1, to.getTime());
+        
+        const deposits = await this._fetchHistoryPages('/sapi/v1/capital/deposit/hisrec', { startTime, endTime });
+        const withdrawals = await this._fetchHistoryPages('/sapi/v1/capital/withdraw/history', { startTime, endTime });
+        const dividends = await this._makeRequest('/sapi/v1/asset/assetDividend', { startTime, endTime, limit: 500 });
+        
+        // The distribution history has no paging, a full page may hide older distributions of the window
+        if (dividends.rows.length === 500) {
+          console.warn(`Binance returned 500 distributions from ${new Date(startTime).toISOString()}, older ones may be missing`);
+        }
+        
+        // Deposits are credited once successful (1) or credited but locked (6), withdrawals once completed (6)
+        entries.push(
+          ...deposits.filter(deposit => [1, 6].includes(deposit.status)).map(deposit => this._mapDeposit(deposit)),
+          ...withdrawals.filter(withdrawal => withdrawal.status === 6).map(withdrawal => this._mapWithdrawal(withdrawal)),
+          ...dividends.rows.map(dividend => this._mapDividend(dividend))
+        );
+      }
       
-      console.log(`Fetched ${allOrders.length} transactions from Binance for today`);
+      console.log(`Fetched ${entries.length} ledger entries from Binance between ${from.toISOString()} and ${to.toISOString()}`);
       
-      return allOrders;
+      return entries;
     } catch (error) {
-      console.error('Failed to fetch today\'s transactions:', error);
+      console.error('Failed to fetch Binance ledger entries in range:', error);
       throw error;
     }
   }
+
+  /**
+   * Pages through a capital history endpoint using the offset parameter
+   * @param {string} endpoint - Deposit or withdrawal history endpoint
+   * @param {Object} params - Time window of the request
+   * @returns {Promise<Array>} Raw history records
+   * @private
+   */
+  async _fetchHistoryPages(endpoint, params) {
+    const records = [];
+    let page;
+    
+    do {
+      page = await this._makeRequest(endpoint, {
+        ...params,
+        offset: records.length,
+        limit: this.pageLimit,
+      });
+      
+      records.push(...page);
+    } while (page.length === this.pageLimit);
+    
+    return records;
+  }
+
+  /**
+   * Maps a Binance deposit to the common ledger entry format
+   * @param {Object} deposit - Binance deposit record
+   * @returns {Object} Ledger entry object
+   * @private
+   */
+  _mapDeposit(deposit) {
+    return {
+      entryId: String(deposit.id),
+      type: 'DEPOSIT',
+      asset: deposit.coin,
+      amount: parseFloat(deposit.amount),
+      fee: 0,
+      txId: deposit.txId || null,
+      description: deposit.network || null,
+      time: new Date(deposit.insertTime),
+    };
+  }
+
+  /**
+   * Maps a Binance withdrawal to the common ledger entry format
+   * @param {Object} withdrawal - Binance withdrawal record
+   * @returns {Object} Ledger entry object
+   * @private
+   */
+  _mapWithdrawal(withdrawal) {
+    return {
+      entryId: String(withdrawal.id),
+      type: 'WITHDRAWAL',
+      asset: withdrawal.coin,
+      amount: -parseFloat(withdrawal.amount),
+      fee: parseFloat(withdrawal.transactionFee || 0),
+      txId: withdrawal.txId || null,
+      description: withdrawal.network || null,
+      // Apply times are UTC without a time zone (e.g., 2024-01-05 10:00:00)
+      time: new Date(`${withdrawal.applyTime.replace(' ', 'T')}Z`),
+    };
+  }
+
+  /**
+   * Maps a Binance asset distribution to the common ledger entry format
+   * @param {Object} dividend - Binance asset dividend record
+   * @returns {Object} Ledger entry object
+   * @private
+   */
+  _mapDividend(dividend) {
+    return {
+      entryId: String(dividend.tranId),
+      // Distributions cover staking, savings and launchpool rewards as well as airdrops
+      type: /airdrop/i.test(dividend.enInfo) ? 'AIRDROP' : 'STAKING_REWARD',
+      asset: dividend.asset,
+      amount: parseFloat(dividend.amount),
+      fee: 0,
+      txId: null,
+      description: dividend.enInfo || null,
+      time: new Date(dividend.divTime),
+    };
+  }
+
+  /**
+   * Creates a listen key for the user data stream
+   * @returns {Promise<string>} Listen key, valid for 60 minutes unless kept alive
+   */
+  async createListenKey() {
+    const { listenKey } = await this._makeApiKeyRequest('/api/v3/userDataStream', {}, 'POST');
+    
+    return listenKey;
+  }
+
+  /**
+   * Extends the validity of a listen key by 60 minutes
+   * @param {string} listenKey - Listen key of the user data stream
+   * @returns {Promise<void>}
+   */
+  async keepAliveListenKey(listenKey) {
+    await this._makeApiKeyRequest('/api/v3/userDataStream', { listenKey }, 'PUT');
+  }
+
+  /**
+   * Closes the user data stream of a listen key
+   * @param {string} listenKey - Listen key of the user data stream
+   * @returns {Promise<void>}
+   */
+  async closeListenKey(listenKey) {
+    await this._makeApiKeyRequest('/api/v3/userDataStream', { listenKey }, 'DELETE');
+  }
+
+  /**
+   * Maps a user data stream executionReport event to an order in the allOrders format and, for a fill, a trade
+   * @param {Object} event - executionReport event
+   * @returns {{transaction: Object, trade: Object|null}} Order and the trade the event reports, if any
+   */
+  mapExecutionReport(event) {
+    const transaction = {
+      symbol: event.s,
+      orderId: event.i,
+      clientOrderId: event.c,
+      price: event.p,
+      origQty: event.q,
+      executedQty: event.z,
+      cummulativeQuoteQty: event.Z,
+      status: this.mapOrderStatus(event.X),
+      timeInForce: event.f,
+      type: event.o,
+      side: event.S,
+      time: event.O,
+      updateTime: event.E,
+      isWorking: event.w,
+    };
+    
+    // Every execution type other than TRADE (NEW, CANCELED, EXPIRED, ...) only changes the order
+    const trade = event.x === 'TRADE'
+      ? this._mapTrade({
+        id: event.t,
+        orderId: event.i,
+        symbol: event.s,
+        isBuyer: event.S === 'BUY',
+        price: event.L,
+        qty: event.l,
+        quoteQty: event.Y,
+        commission: event.n,
+        commissionAsset: event.N,
+        isMaker: event.m,
+        time: event.T,
+      })
+      : null;
+    
+    return { transaction, trade };
+  }
+
+  /**
+   * Validates the signature of a Binance webhook request, computed over its timestamp and raw body
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<boolean>} Whether the signature is valid and the delivery recent
+   */
+  async verifyWebhook(req) {
+    const { apiSecret } = await this.resolveCredentials();
+    
+    return verifyWebhookSignature(req, {
+      signatureHeader: 'x-binance-signature',
+      timestampHeader: 'x-binance-timestamp',
+      secret: apiSecret,
+    });
+  }
+
+  /**
+   * Maps a Binance webhook payload to the common transaction format
+   * @param {Object} data - Webhook payload, a Binance order
+   * @returns {Object|null} Transaction object or null if the payload is not an order
+   */
+  mapWebhookTransaction(data) {
+    if (!data.orderId) {
+      return null;
+    }
+    
+    return {
+      ...data,
+      status: this.mapOrderStatus(data.status),
+    };
+  }
+
+  /**
+   * Maps Binance order status to a common format
+   * @param {string} status - Binance order status
+   * @returns {string} Mapped status (Binance statuses are the common format)
+   */
+  mapOrderStatus(status) {
+    return status;
+  }
 }
 
 module.exports = new BinanceService(); 
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Service for working out which Binance trading pairs the account has traded
+ * @module services/binanceSymbolService
+ */
+
+const WatchedSymbol = require('../models/watchedSymbol');
+const binanceService = require('./binanceService');
+const accountRegistry = require('./accountRegistry');
+const config = require('../config');
+
+/**
+ * Binance symbol service combining balance-based discovery with a watch list stored in MongoDB
+ */
+class BinanceSymbolService {
+  constructor() {
+    this.configuredSymbols = config.binance.symbols;
+    this.quoteAssets = config.binance.quoteAssets;
+  }
+
+  /**
+   * Returns the symbols whose orders should be fetched, refreshing the discovered ones first
+   * @returns {Promise<Array<string>>} Array of trading pair symbols
+   */
+  async getSymbols() {
+    await this._seedConfiguredSymbols();
+    
+    try {
+      await this.discoverSymbols();
+    } catch (error) {
+      // Fall back to the stored watch list when discovery is unavailable
+      console.error('Binance symbol discovery failed, using stored watch list:', error.message);
+    }
+    
+    const watchedSymbols = await WatchedSymbol.find({ platform: 'BINANCE', enabled: true }).sort({ symbol: 1 });
+    
+    return watchedSymbols.map(watchedSymbol => watchedSymbol.symbol);
+  }
+
+  /**
+   * Discovers traded pairs from the balances of every Binance account and the exchange's listed symbols,
+   * and adds them to the watch list
+   * @returns {Promise<Array<string>>} Array of discovered trading pair symbols
+   */
+  async discoverSymbols() {
+    // Each account signs with its own credentials, resolved when the request is sent
+    const adapters = accountRegistry.getAccounts(binanceService.platform)
+      .map(account => accountRegistry.getAdapter(account.id));
+    
+    const [balances, exchangeSymbols] = await Promise.all([
+      Promise.all(adapters.map(adapter => adapter.fetchAccountBalances())),
+      binanceService.fetchExchangeSymbols(),
+    ]);
+    
+    const heldAssets = new Set(balances.flat().map(balance => balance.asset));
+    const quoteAssets = new Set([...this.quoteAssets, ...heldAssets]);
+    
+    // A held asset was acquired through a pair quoted in a common or another held asset
+    const discoveredSymbols = exchangeSymbols
+      .filter(exchangeSymbol => heldAssets.has(exchangeSymbol.baseAsset) && quoteAssets.has(exchangeSymbol.quoteAsset))
+      .map(exchangeSymbol => exchangeSymbol.symbol);
+    
+    if (discoveredSymbols.length > 0) {
+      const now = new Date();
+      
+      await WatchedSymbol.bulkWrite(discoveredSymbols.map(symbol => ({
+        updateOne: {
+          filter: { platform: 'BINANCE', symbol },
+          update: {
+            $set: { lastDiscoveredAt: now },
+            $setOnInsert: { source: 'DISCOVERED', enabled: true },
+          },
+          upsert: true,
+        },
+      })));
+    }
+    
+    console.log(`Discovered ${discoveredSymbols.length} Binance symbols from ${heldAssets.size} held assets`);
+    
+    return discoveredSymbols;
+  }
+
+  /**
+   * Lists the symbols on the watch list
+   * @returns {Promise<Array>} Array of watched symbol documents
+   */
+  async listSymbols() {
+    return WatchedSymbol.find({ platform: 'BINANCE' }).sort({ symbol: 1 });
+  }
+
+  /**
+   * Adds a symbol to the watch list, or re-enables it
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+   * @returns {Promise<Object|null>} Watched symbol document or null if Binance does not list the symbol
+   */
+  async addSymbol(symbol) {
+    const normalizedSymbol = symbol.toUpperCase();
+    const exchangeSymbols = await binanceService.fetchExchangeSymbols();
+    
+    if (!exchangeSymbols.some(exchangeSymbol => exchangeSymbol.symbol === normalizedSymbol)) {
+      return null;
+    }
+    
+    return WatchedSymbol.findOneAndUpdate(
+      { platform: 'BINANCE', symbol: normalizedSymbol },
+      {
+        $set: { enabled: true },
+        $setOnInsert: { source: 'MANUAL' },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Disables a symbol on the watch list so discovery does not add it back
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT)
+   * @returns {Promise<Object|null>} Updated watched symbol document or null if not watched
+   */
+  async disableSymbol(symbol) {
+    return WatchedSymbol.findOneAndUpdate(
+      { platform: 'BINANCE', symbol: symbol.toUpperCase() },
+      { $set: { enabled: false } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Adds the symbols from the BINANCE_SYMBOLS environment variable to the watch list
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _seedConfiguredSymbols() {
+    if (this.configuredSymbols.length === 0) {
+      return;
+    }
+    
+    await WatchedSymbol.bulkWrite(this.configuredSymbols.map(symbol => ({
+      updateOne: {
+        filter: { platform: 'BINANCE', symbol },
+        update: { $setOnInsert: { source: 'MANUAL', enabled: true } },
+        upsert: true,
+      },
+    })));
+  }
+}
+
+module.exports = new BinanceSymbolService(); 
\ No newline at end of file
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Consumer of the Binance user data stream for real-time order updates
+ * @module services/binanceUserStreamService
+ */
+
+const WebSocket = require('ws');
+const config = require('../config');
+const binanceService = require('./binanceService');
+const exchangeRegistry = require('./exchangeRegistry');
+const accountRegistry = require('./accountRegistry');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const transactionService = require('./transactionService');
+
+/**
+ * Interval between listen key keepalives, Binance expires a listen key after 60 minutes without one
+ * @type {number}
+ */
+const KEEPALIVE_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Delay before the first reconnection attempt, doubled after every failed attempt
+ * @type {number}
+ */
+const RECONNECT_MIN_MS = 1000;
+
+/**
+ * Longest delay between two reconnection attempts
+ * @type {number}
+ */
+const RECONNECT_MAX_MS = 60 * 1000;
+
+/**
+ * Time before a disconnection from which the catch-up fetches orders, covering events lost in flight
+ * @type {number}
+ */
+const CATCH_UP_MARGIN_MS = 60 * 1000;
+
+/**
+ * Binance user data stream consumer
+ *
+ * Binance does not push order updates over HTTP, so the Binance webhook is never called by Binance itself.
+ * This consumer keeps a listen key alive, stores the orders and fills of every executionReport event, and
+ * after a disconnection fetches the orders of the gap over the REST API before resuming. It follows the default
+ * Binance account; the other accounts are polled.
+ */
+class BinanceUserStreamService {
+  constructor() {
+    this.streamUrl = config.binance.streamUrl;
+    this.account = null;
+    this.adapter = null;
+    this.running = false;
+    this.socket = null;
+    this.listenKey = null;
+    this.keepAliveTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.reconnectAttempts = 0;
+    this.connected = false;
+    this.connectedAt = null;
+    this.lastMessageAt = null;
+    
+    // Start of the gap left by the last disconnection, until the catch-up is queued
+    this.disconnectedAt = null;
+    
+    // Events are processed one at a time, in the order received
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Connects to the user data stream, reconnecting until stopped
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    
+    if (!exchangeRegistry.hasPlatform(binanceService.platform)) {
+      console.warn('Binance is not an enabled exchange, the user data stream is not started');
+      return;
+    }
+    
+    this.account = accountRegistry.getDefaultAccount(binanceService.platform);
+    this.adapter = accountRegistry.getAdapter(this.account.id);
+    this.running = true;
+    
+    await this._connect();
+  }
+
+  /**
+   * Closes the user data stream and waits for the events already received to be processed
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.keepAliveTimer);
+    this.reconnectTimer = null;
+    this.keepAliveTimer = null;
+    
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    
+    this.connected = false;
+    
+    if (this.listenKey) {
+      await this.adapter.closeListenKey(this.listenKey).catch(error => {
+        console.warn('Failed to close the Binance listen key:', error.message);
+      });
+      this.listenKey = null;
+    }
+    
+    await this.queue;
+    
+    console.log('Binance user data stream stopped');
+  }
+
+  /**
+   * Returns the connection state, as reported by the health check
+   * @returns {Object} Whether the stream runs and is connected, with the times of its last changes
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      account: this.account ? this.account.id : null,
+      connected: this.connected,
+      connectedAt: this.connected ? this.connectedAt : null,
+      disconnectedAt: this.disconnectedAt,
+      lastMessageAt: this.lastMessageAt,
+      reconnectAttempts: this.reconnectAttempts,
+    };
+  }
+
+  /**
+   * Stores the order and, for a fill, the trade reported by an executionReport event
+   * @param {Object} event - executionReport event
+   * @returns {Promise<void>}
+   */
+  async handleExecutionReport(event) {
+    const { transaction, trade } = this.adapter.mapExecutionReport(event);
+    const { platform, id: accountId } = this.account;
+    
+    // Same normalization as polled orders, which are only saved once partially or fully filled
+    const [normalizedTransaction] = await symbolNormalizationService.normalizeTransactions([transaction]);
+    const savedTransactions = await transactionService.saveTransactionsToDatabase([
+      { ...normalizedTransaction, platform, accountId },
+    ]);
+    
+    if (trade) {
+      await transactionService.saveTradesToDatabase([{ ...trade, platform, accountId }]);
+    }
+    
+    if (savedTransactions.length > 0) {
+      await transactionService.syncTransactionsToSinks();
+    }
+  }
+
+  /**
+   * Creates a listen key and opens the stream, scheduling a reconnection if either fails
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _connect() {
+    try {
+      this.listenKey = await this.adapter.createListenKey();
+    } catch (error) {
+      console.error('Failed to create a Binance listen key:', error.message);
+      this._scheduleReconnect();
+      return;
+    }
+    
+    // The stream may have been stopped while the listen key was being created
+    if (!this.running) {
+      return;
+    }
+    
+    const socket = new WebSocket(`${this.streamUrl}/ws/${this.listenKey}`);
+    this.socket = socket;
+    
+    socket.on('open', () => this._onOpen());
+    socket.on('message', data => this._onMessage(data));
+    socket.on('error', error => console.error('Binance user data stream error:', error.message));
+    socket.on('close', () => this._onClose(socket));
+  }
+
+  /**
+   * Starts the keepalives and queues the catch-up of the gap left by a disconnection
+   * @returns {void}
+   * @private
+   */
+  _onOpen() {
+    console.log('Binance user data stream connected');
+    
+    this.connected = true;
+    this.connectedAt = new Date();
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.keepAliveTimer = setInterval(() => this._keepAlive(), KEEPALIVE_INTERVAL_MS);
+    
+    if (this.disconnectedAt) {
+      const from = new Date(this.disconnectedAt.getTime() - CATCH_UP_MARGIN_MS);
+      this.disconnectedAt = null;
+      
+      // Queued behind the events already received, so a stale REST order never overwrites a newer event
+      this._enqueue(() => this._catchUp(from));
+    }
+  }
+
+  /**
+   * Dispatches a stream message by event type
+   * @param {Buffer} data - Raw message
+   * @returns {void}
+   * @private
+   */
+  _onMessage(data) {
+    let event;
+    
+    this.lastMessageAt = new Date();
+    
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      console.warn('Ignoring malformed Binance user data stream message');
+      return;
+    }
+    
+    if (event.e === 'executionReport') {
+      this._enqueue(() => this.handleExecutionReport(event));
+    } else if (event.e === 'listenKeyExpired') {
+      // Reconnecting creates a new listen key, and the catch-up covers the time the stream was dead
+      console.warn('Binance listen key expired, reconnecting');
+      this.socket?.terminate();
+    }
+  }
+
+  /**
+   * Records the start of the gap and schedules a reconnection, unless the stream was stopped
+   * @param {Object} socket - WebSocket that closed
+   * @returns {void}
+   * @private
+   */
+  _onClose(socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+    
+    this.socket = null;
+    this.connected = false;
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    
+    if (!this.running) {
+      return;
+    }
+    
+    // Failed reconnections keep the start of the gap from the first disconnection
+    this.disconnectedAt = this.disconnectedAt || new Date();
+    console.warn('Binance user data stream disconnected');
+    
+    this._scheduleReconnect();
+  }
+
+  /**
+   * Schedules a reconnection with exponential backoff
+   * @returns {void}
+   * @private
+   */
+  _scheduleReconnect() {
+    if (!this.running) {
+      return;
+    }
+    
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+    this.reconnectAttempts++;
+    
+    console.log(`Reconnecting to the Binance user data stream in ${delay}ms`);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  /**
+   * Extends the listen key, reconnecting with a new one if it can no longer be extended
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _keepAlive() {
+    try {
+      await this.adapter.keepAliveListenKey(this.listenKey);
+    } catch (error) {
+      console.error('Failed to keep the Binance listen key alive:', error.message);
+      this.socket?.terminate();
+    }
+  }
+
+  /**
+   * Fetches and stores the orders, fills and ledger entries of a gap over the REST API
+   * @param {Date} from - Start of the gap
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _catchUp(from) {
+    const summary = await transactionService.backfillTransactions(this.account.id, from, new Date());
+    
+    console.log(
+      `Binance user data stream caught up from ${from.toISOString()}: ${summary.saved} transactions, ${summary.trades} trades saved`
+    );
+  }
+
+  /**
+   * Queues a task behind the events already received
+   * @param {function(): Promise<void>} task - Task to run
+   * @returns {void}
+   * @private
+   */
+  _enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('Failed to process Binance user data stream event:', error));
+  }
+}
+
+module.exports = new BinanceUserStreamService(); 
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Service for interacting with the Bitstamp API
+ * @module services/bitstampService
+ */
+
+const crypto = require('crypto');
+const querystring = require('querystring');
+const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Environment variables of the API credentials, without the prefix of the account (e.g., BITSTAMP_API_KEY)
+ * @type {Object<string, string>}
+ */
+const CREDENTIAL_VARIABLES = {
+  apiKey: 'API_KEY',
+  apiSecret: 'API_SECRET',
+};
+
+/**
+ * Bitstamp API service for fetching and processing transaction data
+ *
+ * Bitstamp only lists executed trades (user transactions), so orders are rebuilt from their fills.
+ */
+class BitstampService {
+  /**
+   * @param {function(): (Object|Promise<Object>)} [resolveCredentials] - Returns the API credentials of the account
+   * (apiKey and apiSecret), called before every request; those of the configuration by default
+   */
+  constructor(resolveCredentials = () => config.bitstamp) {
+    this.platform = 'BITSTAMP';
+    this.name = 'Bitstamp';
+    this.credentialVariables = CREDENTIAL_VARIABLES;
+    this.resolveCredentials = resolveCredentials;
+    this.host = 'www.bitstamp.net';
+    this.basePath = '/api/v2';
+    this.pageLimit = 1000;
+    
+    // Bitstamp allows 400 requests per second, but only 10000 per 10 minutes
+    this.http = new ExchangeHttpClient({
+      name: this.name,
+      rateLimit: { capacity: 100, refillPerSecond: 16 },
+      checkResponse: (response) => {
+        if (response.data && response.data.status === 'error') {
+          throw new Error(`Bitstamp API error: ${JSON.stringify(response.data.reason)}`);
+        }
+      },
+    });
+  }
+
+  /**
+   * Creates the adapter of another Bitstamp account
+   * @param {function(): (Object|Promise<Object>)} resolveCredentials - Returns the API credentials of the account,
+   * see the constructor
+   * @returns {BitstampService} Adapter signing its requests with the credentials
+   */
+  withCredentials(resolveCredentials) {
+    return new BitstampService(resolveCredentials);
+  }
+
+  /**
+   * Makes an authenticated request to Bitstamp API (v2 signature)
+   * @param {string} endpoint - API endpoint, with its trailing slash
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _makeRequest(endpoint, params = {}) {
+    const path = `${this.basePath}${endpoint}`;
+    const body = querystring.stringify(params);
+    const contentType = body ? 'application/x-www-form-urlencoded' : '';
+    
+    const response = await this.http.request(async () => {
+      const { apiKey, apiSecret } = await this.resolveCredentials();
+      
+      // Bitstamp rejects a reused nonce, so every attempt is signed again
+      const nonce = crypto.randomUUID();
+      const timestamp = String(Date.now());
+      
+      const message = `BITSTAMP ${apiKey}POST${this.host}${path}${contentType}${nonce}${timestamp}v2${body}`;
+      const signature = crypto
+        .createHmac('sha256', apiSecret)
+        .update(message)
+        .digest('hex');
+      
+      return {
+        method: 'POST',
+        url: `https://${this.host}${path}`,
+        headers: {
+          'X-Auth': `BITSTAMP ${apiKey}`,
+          'X-Auth-Signature': signature,
+          'X-Auth-Nonce': nonce,
+          'X-Auth-Timestamp': timestamp,
+          'X-Auth-Version': 'v2',
+          ...(contentType && { 'Content-Type': contentType }),
+        },
+        data: body || undefined,
+      };
+    });
+    
+    return response.data;
+  }
+
+  /**
+   * Fetches the account balances in the common balance format
+   * @returns {Promise<Array>} Array of balances with asset, free, locked and total amounts
+   */
+  async fetchBalances() {
+    const balances = await this._makeRequest('/account_balances/');
+    
+    return balances
+      .map(balance => ({
+        asset: balance.currency.toUpperCase(),
+        free: parseFloat(balance.available),
+        locked: parseFloat(balance.reserved),
+        total: parseFloat(balance.total),
+      }))
+      .filter(balance => balance.total > 0);
+  }
+
+  /**
+   * Fetches the orders filled within a date range, rebuilt from their trades
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of transaction objects
+   */
+  async fetchTransactionsInRange(from, to) {
+    try {
+      const trades = await this.fetchTradesInRange(from, to);
+      const tradesByOrder = new Map();
+      
+      trades.forEach(trade => {
+        if (!tradesByOrder.has(trade.orderId)) {
+          tradesByOrder.set(trade.orderId, []);
+        }
+        
+        tradesByOrder.get(trade.orderId).push(trade);
+      });
+      
+      const transactions = [...tradesByOrder.values()].map(orderTrades => this._mapOrder(orderTrades));
+      
+      console.log(`Fetched ${transactions.length} transactions from Bitstamp between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return symbolNormalizationService.normalizeTransactions(transactions);
+    } catch (error) {
+      console.error('Failed to fetch Bitstamp transactions in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuilds an order in the common transaction format from its trades
+   *
+   * Orders filled across the edges of a range only include the trades inside the range.
+   * @param {Array} trades - Trades of a single order, in the common trade format
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _mapOrder(trades) {
+    const [first] = trades;
+    const quantity = trades.reduce((sum, trade) => sum + trade.quantity, 0);
+    const quoteQuantity = trades.reduce((sum, trade) => sum + trade.quoteQuantity, 0);
+    const times = trades.map(trade => trade.time.getTime());
+    
+    return {
+      orderId: first.orderId,
+      symbol: first.symbol,
+      side: first.side,
+      // User transactions do not tell the order type
+      type: 'UNKNOWN',
+      price: quantity > 0 ? quoteQuantity / quantity : first.price,
+      origQty: quantity,
+      cummulativeQuoteQty: quoteQuantity,
+      executedQty: quantity,
+      status: 'FILLED',
+      time: new Date(Math.min(...times)),
+      updateTime: new Date(Math.max(...times)),
+      isWorking: false,
+    };
+  }
+
+  /**
+   * Fetches the trades executed within a date range, paging with offsets
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of trade objects
+   */
+  async fetchTradesInRange(from, to) {
+    try {
+      const trades = [];
+      let offset = 0;
+      let page;
+      
+      do {
+        page = await this._makeRequest('/user_transactions/', {
+          offset,
+          limit: this.pageLimit,
+          sort: 'asc',
+          since_timestamp: Math.floor(from.getTime() / 1000),
+          until_timestamp: Math.floor(to.getTime() / 1000),
+        });
+        
+        // Deposits, withdrawals and transfers are listed too, only market trades (type 2) are fills
+        trades.push(...page.filter(entry => String(entry.type) === '2').map(entry => this._mapTrade(entry)));
+        offset += page.length;
+      } while (page.length === this.pageLimit);
+      
+      console.log(`Fetched ${trades.length} trades from Bitstamp between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return trades;
+    } catch (error) {
+      console.error('Failed to fetch Bitstamp trades in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Bitstamp user transaction to the common trade format
+   * @param {Object} entry - Bitstamp user transaction of type 2 (market trade)
+   * @returns {Object} Trade object
+   * @private
+   */
+  _mapTrade(entry) {
+    // Trades hold a signed amount per currency and the rate under a "<base>_<quote>" key (e.g., btc_eur)
+    const pairKey = Object.keys(entry).find(key => {
+      const [base, quote] = key.split('_');
+      
+      return quote && base in entry && quote in entry;
+    });
+    
+    const [base, quote] = pairKey.split('_');
+    const quantity = parseFloat(entry[base]);
+    const quoteQuantity = Math.abs(parseFloat(entry[quote]));
+    
+    return {
+      tradeId: String(entry.id),
+      orderId: String(entry.order_id),
+      symbol: `${base.toUpperCase()}/${quote.toUpperCase()}`,
+      side: quantity > 0 ? 'BUY' : 'SELL',
+      price: parseFloat(entry[pairKey]),
+      quantity: Math.abs(quantity),
+      quoteQuantity,
+      commission: parseFloat(entry.fee || 0),
+      // Bitstamp charges fees in the quote currency
+      commissionAsset: quote.toUpperCase(),
+      isMaker: false,
+      time: new Date(`${entry.datetime.replace(' ', 'T')}Z`),
+    };
+  }
+
+  /**
+   * Validates the signature of a Bitstamp webhook request, computed over its timestamp and raw body
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<boolean>} Whether the signature is valid and the delivery recent
+   */
+  async verifyWebhook(req) {
+    const { apiSecret } = await this.resolveCredentials();
+    
+    return verifyWebhookSignature(req, {
+      signatureHeader: 'x-bitstamp-signature',
+      timestampHeader: 'x-bitstamp-timestamp',
+      secret: apiSecret,
+    });
+  }
+
+  /**
+   * Maps a Bitstamp webhook payload to the common transaction format
+   * @param {Object} data - Webhook payload, a Bitstamp user transaction
+   * @returns {Object|null} Transaction object or null if the payload is not a trade
+   */
+  mapWebhookTransaction(data) {
+    if (!data.order_id || String(data.type) !== '2') {
+      return null;
+    }
+    
+    return this._mapOrder([this._mapTrade(data)]);
+  }
+
+  /**
+   * Maps Bitstamp order status to a common format
+   * @param {string} status - Bitstamp order status
+   * @returns {string} Mapped status
+   */
+  mapOrderStatus(status) {
+    const statusMap = {
+      'Open': 'NEW',
+      'Finished': 'FILLED',
+      'Expired': 'EXPIRED',
+      'Canceled': 'CANCELED',
+    };
+    
+    return statusMap[status] || status.toUpperCase();
+  }
+}
+
+module.exports = new BitstampService(); 
\ No newline at end of file
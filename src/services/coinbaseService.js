@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Service for interacting with the Coinbase Advanced Trade API
+ * @module services/coinbaseService
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Environment variables of the API credentials, without the prefix of the account (e.g., COINBASE_API_KEY_NAME)
+ * @type {Object<string, string>}
+ */
+const CREDENTIAL_VARIABLES = {
+  apiKeyName: 'API_KEY_NAME',
+  apiPrivateKey: 'API_PRIVATE_KEY',
+  webhookSecret: 'WEBHOOK_SECRET',
+};
+
+/**
+ * Coinbase Advanced Trade API service for fetching and processing transaction data
+ */
+class CoinbaseService {
+  /**
+   * @param {function(): (Object|Promise<Object>)} [resolveCredentials] - Returns the API credentials of the account
+   * (apiKeyName, apiPrivateKey and webhookSecret), called before every request; those of the configuration by
+   * default
+   */
+  constructor(resolveCredentials = () => config.coinbase) {
+    this.platform = 'COINBASE';
+    this.name = 'Coinbase';
+    this.credentialVariables = CREDENTIAL_VARIABLES;
+    this.resolveCredentials = resolveCredentials;
+    this.host = 'api.coinbase.com';
+    this.basePath = '/api/v3/brokerage';
+    this.pageLimit = 250;
+    
+    // Private endpoints allow 30 requests per second
+    this.http = new ExchangeHttpClient({
+      name: this.name,
+      rateLimit: { capacity: 30, refillPerSecond: 25 },
+    });
+  }
+
+  /**
+   * Creates the adapter of another Coinbase account
+   * @param {function(): (Object|Promise<Object>)} resolveCredentials - Returns the API credentials of the account,
+   * see the constructor
+   * @returns {CoinbaseService} Adapter signing its requests with the credentials
+   */
+  withCredentials(resolveCredentials) {
+    return new CoinbaseService(resolveCredentials);
+  }
+
+  /**
+   * Generates the short-lived JWT authenticating a request with a CDP API key
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without query string
+   * @param {Object} credentials - API credentials of the account
+   * @param {string} credentials.apiKeyName - CDP API key name
+   * @param {string} credentials.apiPrivateKey - CDP API EC private key in PEM format
+   * @returns {string} Signed ES256 JWT
+   * @private
+   */
+  _generateJwt(method, path, { apiKeyName, apiPrivateKey }) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    
+    const header = {
+      alg: 'ES256',
+      typ: 'JWT',
+      kid: apiKeyName,
+      nonce: crypto.randomBytes(16).toString('hex'),
+    };
+    
+    const payload = {
+      sub: apiKeyName,
+      iss: 'cdp',
+      nbf: now,
+      exp: now + 120,
+      uri: `${method} ${this.host}${path}`,
+    };
+    
+    const unsignedToken = `${encode(header)}.${encode(payload)}`;
+    
+    // PEM keys are usually stored on a single line with escaped line breaks
+    const key = (apiPrivateKey || '').replace(/\\n/g, '\n');
+    
+    // JWTs carry the raw r||s signature rather than the DER encoding
+    const signature = crypto
+      .sign('sha256', Buffer.from(unsignedToken), { key, dsaEncoding: 'ieee-p1363' })
+      .toString('base64url');
+    
+    return `${unsignedToken}.${signature}`;
+  }
+
+  /**
+   * Makes an authenticated request to Coinbase Advanced Trade API
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _makeRequest(endpoint, params = {}) {
+    const path = `${this.basePath}${endpoint}`;
+    
+    // The JWT expires after two minutes, so every attempt gets a new one
+    const response = await this.http.request(async () => {
+      const credentials = await this.resolveCredentials();
+      
+      return {
+        method: 'GET',
+        url: `https://${this.host}${path}`,
+        headers: {
+          'Authorization': `Bearer ${this._generateJwt('GET', path, credentials)}`,
+          'Content-Type': 'application/json',
+        },
+        params,
+        // Repeated filters are sent as repeated keys (order_status=FILLED&order_status=CANCELLED)
+        paramsSerializer: { indexes: null },
+      };
+    });
+    
+    return response.data;
+  }
+
+  /**
+   * Fetches the account balances in the common balance format
+   * @returns {Promise<Array>} Array of balances with asset, free, locked and total amounts
+   */
+  async fetchBalances() {
+    const balances = [];
+    let cursor = null;
+    
+    do {
+      const response = await this._makeRequest('/accounts', {
+        limit: this.pageLimit,
+        ...(cursor && { cursor }),
+      });
+      
+      response.accounts.forEach(account => {
+        const free = parseFloat(account.available_balance?.value || 0);
+        const locked = parseFloat(account.hold?.value || 0);
+        
+        if (free + locked > 0) {
+          balances.push({
+            asset: account.currency,
+            free,
+            locked,
+            total: free + locked,
+          });
+        }
+      });
+      
+      cursor = response.has_next ? response.cursor : null;
+    } while (cursor);
+    
+    return balances;
+  }
+
+  /**
+   * Fetches orders created within a date range, following the page cursors
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of transaction objects
+   */
+  async fetchTransactionsInRange(from, to) {
+    try {
+      const transactions = [];
+      let cursor = null;
+      
+      do {
+        const response = await this._makeRequest('/orders/historical/batch', {
+          start_date: from.toISOString(),
+          end_date: to.toISOString(),
+          limit: this.pageLimit,
+          ...(cursor && { cursor }),
+        });
+        
+        transactions.push(...response.orders.map(order => this._mapOrder(order)));
+        cursor = response.has_next ? response.cursor : null;
+      } while (cursor);
+      
+      console.log(`Fetched ${transactions.length} transactions from Coinbase between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return symbolNormalizationService.normalizeTransactions(transactions);
+    } catch (error) {
+      console.error('Failed to fetch Coinbase transactions in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Coinbase order to the common transaction format
+   * @param {Object} order - Coinbase order object
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _mapOrder(order) {
+    // The order size and limit price live in a configuration keyed by order type (e.g., limit_limit_gtc)
+    const configuration = Object.values(order.order_configuration || {})[0] || {};
+    const filledSize = parseFloat(order.filled_size || 0);
+    const baseSize = parseFloat(configuration.base_size);
+    
+    return {
+      orderId: order.order_id,
+      symbol: order.product_id,
+      side: order.side,
+      type: order.order_type || 'UNKNOWN',
+      price: parseFloat(order.average_filled_price) || parseFloat(configuration.limit_price) || 0,
+      origQty: isNaN(baseSize) ? filledSize : baseSize,
+      cummulativeQuoteQty: parseFloat(order.filled_value || 0),
+      executedQty: filledSize,
+      status: this.mapOrderStatus(order.status),
+      time: new Date(order.created_time),
+      updateTime: new Date(order.last_fill_time || order.created_time),
+      isWorking: order.status === 'OPEN',
+    };
+  }
+
+  /**
+   * Fetches the fills executed within a date range, following the page cursors
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of trade objects
+   */
+  async fetchTradesInRange(from, to) {
+    try {
+      const trades = [];
+      let cursor = null;
+      
+      do {
+        const response = await this._makeRequest('/orders/historical/fills', {
+          start_sequence_timestamp: from.toISOString(),
+          end_sequence_timestamp: to.toISOString(),
+          limit: this.pageLimit,
+          ...(cursor && { cursor }),
+        });
+        
+        trades.push(...response.fills.map(fill => this._mapFill(fill)));
+        cursor = response.cursor || null;
+      } while (cursor);
+      
+      console.log(`Fetched ${trades.length} trades from Coinbase between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return trades;
+    } catch (error) {
+      console.error('Failed to fetch Coinbase trades in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Coinbase fill to the common trade format
+   * @param {Object} fill - Coinbase fill object
+   * @returns {Object} Trade object
+   * @private
+   */
+  _mapFill(fill) {
+    const price = parseFloat(fill.price);
+    const size = parseFloat(fill.size);
+    
+    // Market buys sized in quote currency report the size in quote units
+    const quantity = fill.size_in_quote ? size / price : size;
+    
+    return {
+      tradeId: fill.trade_id,
+      orderId: fill.order_id,
+      symbol: fill.product_id,
+      side: fill.side,
+      price,
+      quantity,
+      quoteQuantity: quantity * price,
+      commission: parseFloat(fill.commission || 0),
+      // Coinbase charges fees in the quote currency of the product
+      commissionAsset: fill.product_id.split('-')[1] || null,
+      isMaker: fill.liquidity_indicator === 'MAKER',
+      time: new Date(fill.trade_time),
+    };
+  }
+
+  /**
+   * Validates the signature of a Coinbase webhook request, computed over its timestamp and raw body
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<boolean>} Whether the signature is valid and the delivery recent
+   */
+  async verifyWebhook(req) {
+    const { webhookSecret } = await this.resolveCredentials();
+    
+    return verifyWebhookSignature(req, {
+      signatureHeader: 'x-coinbase-signature',
+      timestampHeader: 'x-coinbase-timestamp',
+      secret: webhookSecret,
+    });
+  }
+
+  /**
+   * Maps a Coinbase webhook payload to the common transaction format
+   * @param {Object} data - Webhook payload, a Coinbase order or an event wrapping one in `order`
+   * @returns {Object|null} Transaction object or null if the payload is not an order
+   */
+  mapWebhookTransaction(data) {
+    const order = data.order || data;
+    
+    if (!order.order_id) {
+      return null;
+    }
+    
+    return this._mapOrder(order);
+  }
+
+  /**
+   * Maps Coinbase order status to a common format
+   * @param {string} status - Coinbase order status
+   * @returns {string} Mapped status
+   */
+  mapOrderStatus(status) {
+    const statusMap = {
+      'FILLED': 'FILLED',
+      'CANCELLED': 'CANCELED',
+      'EXPIRED': 'EXPIRED',
+      'FAILED': 'REJECTED',
+      'OPEN': 'NEW',
+      'PENDING': 'PENDING',
+      'QUEUED': 'PENDING',
+      'CANCEL_QUEUED': 'PENDING_CANCEL',
+    };
+    
+    return statusMap[status] || status;
+  }
+}
+
+module.exports = new CoinbaseService(); 
\ No newline at end of file
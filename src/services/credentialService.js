@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Service for storing the API credentials of exchange accounts encrypted and resolving them per call
+ * @module services/credentialService
+ */
+
+const config = require('../config');
+const Credential = require('../models/credential');
+const { parseMasterKey, encryptEnvelope, decryptEnvelope } = require('../utils/envelopeEncryption');
+
+/**
+ * Credential service backing the adapters of the exchange accounts
+ *
+ * Credentials are read from the credential store when it is enabled (CREDENTIALS_MASTER_KEY) and holds a record
+ * for the account, and from the environment variables prefixed with the account's `credentials` otherwise. Resolved
+ * credentials are cached for a short time, and dropped as soon as they are added, rotated or disabled, so changes
+ * apply without a restart.
+ */
+class CredentialService {
+  constructor() {
+    this.masterKey = config.credentials.masterKey ? parseMasterKey(config.credentials.masterKey) : null;
+    this.cacheMs = config.credentials.cacheSeconds * 1000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Whether a master key is configured, without which credentials cannot be stored
+   * @type {boolean}
+   */
+  get enabled() {
+    return this.masterKey !== null;
+  }
+
+  /**
+   * Returns the API credentials of an account
+   * @param {Object} account - Registered exchange account
+   * @param {Object<string, string>} variables - Environment variables of the credential fields, without the prefix
+   * of the account (the adapter's credentialVariables)
+   * @returns {Promise<Object<string, string>>} Credentials by field (e.g., apiKey and apiSecret)
+   */
+  async getCredentials(account, variables) {
+    const cached = this.cache.get(account.id);
+    
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.resolve();
+    }
+    
+    const record = this.enabled ? await Credential.findOne({ accountId: account.id }) : null;
+    let resolve;
+    
+    if (!record) {
+      const credentials = Object.fromEntries(Object.entries(variables)
+        .map(([field, variable]) => [field, process.env[`${account.credentials}_${variable}`]]));
+      
+      resolve = () => credentials;
+    } else if (record.status === 'DISABLED') {
+      resolve = () => {
+        throw new Error(`Credentials of account ${account.id} are disabled`);
+      };
+    } else {
+      const credentials = JSON.parse(decryptEnvelope(record.envelope, this.masterKey, account.id));
+      
+      resolve = () => credentials;
+    }
+    
+    this.cache.set(account.id, { resolve, expiresAt: Date.now() + this.cacheMs });
+    
+    return resolve();
+  }
+
+  /**
+   * Lists where the credentials of the accounts come from, without any secret
+   * @param {Array<Object>} accounts - Registered exchange accounts
+   * @returns {Promise<Array>} Credential summary per account
+   */
+  async listCredentials(accounts) {
+    const records = this.enabled
+      ? await Credential.find({ accountId: { $in: accounts.map(account => account.id) } })
+      : [];
+    
+    return accounts.map((account) => {
+      const record = records.find(candidate => candidate.accountId === account.id);
+      
+      if (!record) {
+        return {
+          account: account.id,
+          platform: account.platform,
+          source: 'environment',
+          status: 'ACTIVE',
+        };
+      }
+      
+      return {
+        account: account.id,
+        platform: account.platform,
+        source: 'store',
+        status: record.status,
+        fields: record.fields,
+        keyHint: record.keyHint,
+        rotatedAt: record.rotatedAt,
+        disabledAt: record.disabledAt,
+        lastTestedAt: record.lastTestedAt,
+        lastTestSucceeded: record.lastTestSucceeded,
+        lastTestError: record.lastTestError,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+      };
+    });
+  }
+
+  /**
+   * Stores the first credentials of an account, which replace those of the environment
+   * @param {Object} account - Registered exchange account
+   * @param {Object<string, string>} variables - Credential fields of the account's adapter, see getCredentials
+   * @param {Object} credentials - Credentials by field
+   * @returns {Promise<{credential: Object}|{error: string}>} Stored credential summary or the reason it was refused
+   */
+  async addCredentials(account, variables, credentials) {
+    const error = this._validate(variables, credentials);
+    
+    if (error) {
+      return { error };
+    }
+    
+    if (await Credential.exists({ accountId: account.id })) {
+      return { error: `Credentials of account ${account.id} are already stored, rotate them instead` };
+    }
+    
+    await Credential.create({
+      accountId: account.id,
+      platform: account.platform,
+      ...this._seal(account, variables, credentials),
+    });
+    
+    // Dropped once stored, so a lookup in between cannot cache the credentials being replaced
+    this.cache.delete(account.id);
+    
+    return { credential: await this._summarize(account) };
+  }
+
+  /**
+   * Replaces the stored credentials of an account with new ones, encrypted with a new data key, and enables them
+   * @param {Object} account - Registered exchange account
+   * @param {Object<string, string>} variables - Credential fields of the account's adapter, see getCredentials
+   * @param {Object} credentials - Credentials by field
+   * @returns {Promise<{credential: Object}|{error: string}|null>} Stored credential summary, the reason it was
+   * refused, or null if the account has no stored credentials
+   */
+  async rotateCredentials(account, variables, credentials) {
+    const error = this._validate(variables, credentials);
+    
+    if (error) {
+      return { error };
+    }
+    
+    const record = await Credential.findOneAndUpdate(
+      { accountId: account.id },
+      {
+        $set: {
+          ...this._seal(account, variables, credentials),
+          status: 'ACTIVE',
+          rotatedAt: new Date(),
+          disabledAt: null,
+          lastTestedAt: null,
+          lastTestSucceeded: null,
+          lastTestError: null,
+        },
+      }
+    );
+    
+    if (!record) {
+      return null;
+    }
+    
+    this.cache.delete(account.id);
+    
+    return { credential: await this._summarize(account) };
+  }
+
+  /**
+   * Disables the stored credentials of an account, so that its adapter stops calling the exchange
+   * @param {Object} account - Registered exchange account
+   * @returns {Promise<Object|null>} Stored credential summary or null if the account has no stored credentials
+   */
+  async disableCredentials(account) {
+    const record = await Credential.findOneAndUpdate(
+      { accountId: account.id, status: { $ne: 'DISABLED' } },
+      { $set: { status: 'DISABLED', disabledAt: new Date() } }
+    );
+    
+    this.cache.delete(account.id);
+    
+    if (!record && !(await Credential.exists({ accountId: account.id }))) {
+      return null;
+    }
+    
+    return this._summarize(account);
+  }
+
+  /**
+   * Tests the credentials of an account by fetching its balances, and records the outcome of stored credentials
+   * @param {Object} account - Registered exchange account
+   * @param {Object} adapter - Adapter of the account
+   * @returns {Promise<{success: boolean, balanceCount: number}|{success: boolean, error: string}>} Test outcome
+   */
+  async testCredentials(account, adapter) {
+    // Test what is stored now rather than what was cached
+    this.cache.delete(account.id);
+    
+    let outcome;
+    
+    try {
+      const balances = await adapter.fetchBalances();
+      
+      outcome = { success: true, balanceCount: balances.length };
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+    
+    if (this.enabled) {
+      await Credential.updateOne(
+        { accountId: account.id },
+        {
+          $set: {
+            lastTestedAt: new Date(),
+            lastTestSucceeded: outcome.success,
+            lastTestError: outcome.error || null,
+          },
+        }
+      );
+    }
+    
+    return outcome;
+  }
+
+  /**
+   * Checks credentials against the fields of an adapter
+   * @param {Object<string, string>} variables - Credential fields of the adapter
+   * @param {Object} credentials - Credentials by field
+   * @returns {string|null} Validation error or null if the credentials are complete
+   * @private
+   */
+  _validate(variables, credentials) {
+    if (!this.enabled) {
+      return 'The credential store is disabled, set CREDENTIALS_MASTER_KEY';
+    }
+    
+    if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+      return 'Credentials must be an object';
+    }
+    
+    const fields = Object.keys(variables);
+    const unknown = Object.keys(credentials).filter(field => !fields.includes(field));
+    const missing = fields.filter(field => typeof credentials[field] !== 'string' || !credentials[field].trim());
+    
+    if (unknown.length) {
+      return `Unknown credential fields: ${unknown.join(', ')}, expected ${fields.join(', ')}`;
+    }
+    
+    if (missing.length) {
+      return `Missing credential fields: ${missing.join(', ')}`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Encrypts credentials for storage
+   * @param {Object} account - Registered exchange account
+   * @param {Object<string, string>} variables - Credential fields of the adapter
+   * @param {Object} credentials - Validated credentials by field
+   * @returns {Object} Credential fields to store
+   * @private
+   */
+  _seal(account, variables, credentials) {
+    const fields = Object.keys(variables);
+    const secret = JSON.stringify(Object.fromEntries(fields.map(field => [field, credentials[field].trim()])));
+    
+    return {
+      fields,
+      keyHint: credentials[fields[0]].trim().slice(-4),
+      envelope: encryptEnvelope(secret, this.masterKey, account.id),
+    };
+  }
+
+  /**
+   * Returns the credential summary of one account
+   * @param {Object} account - Registered exchange account
+   * @returns {Promise<Object>} Credential summary, see listCredentials
+   * @private
+   */
+  async _summarize(account) {
+    const [summary] = await this.listCredentials([account]);
+    
+    return summary;
+  }
+}
+
+module.exports = new CredentialService(); 
\ No newline at end of file
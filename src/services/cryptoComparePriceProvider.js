@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Historical price provider backed by the CryptoCompare API
+ * @module services/cryptoComparePriceProvider
+ */
+
+const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+
+/**
+ * Tells whether an error response reports an unknown pair, which is priced as missing rather than failed
+ * @param {Object} data - Response body
+ * @returns {boolean} Whether the pair is not traded
+ */
+const isUnknownMarket = data => /market does not exist/i.test(data.Message);
+
+/**
+ * CryptoCompare price provider returning hourly close prices
+ */
+class CryptoComparePriceProvider {
+  constructor() {
+    this.name = 'cryptocompare';
+    this.apiKey = config.pricing.cryptoCompareApiKey;
+    this.baseUrl = 'https://min-api.cryptocompare.com';
+    
+    // Well below the 50 calls per second of the free plan; valuations price one hour at a time
+    this.http = new ExchangeHttpClient({
+      name: 'CryptoCompare',
+      rateLimit: { capacity: 20, refillPerSecond: 10 },
+      checkResponse: (response) => {
+        // Errors are reported in successful responses
+        if (response.data.Response === 'Error' && !isUnknownMarket(response.data)) {
+          const error = new Error(`CryptoCompare API error: ${response.data.Message}`);
+          
+          error.rateLimited = /rate limit/i.test(response.data.Message);
+          error.retryable = error.rateLimited;
+          throw error;
+        }
+      },
+    });
+  }
+
+  /**
+   * Returns the price of an asset in another currency at a point in time
+   * @param {string} base - Asset being priced (e.g., BTC)
+   * @param {string} quote - Currency of the price (e.g., EUR)
+   * @param {Date} time - Start of the hour to price
+   * @returns {Promise<number|null>} Close price of the hour or null if the pair is not traded
+   */
+  async getRate(base, quote, time) {
+    const timestamp = Math.floor(time.getTime() / 1000);
+    
+    try {
+      const response = await this.http.request(() => ({
+        method: 'GET',
+        url: `${this.baseUrl}/data/v2/histohour`,
+        params: {
+          fsym: base,
+          tsym: quote,
+          limit: 1,
+          toTs: timestamp,
+        },
+        headers: this.apiKey ? { Authorization: `Apikey ${this.apiKey}` } : {},
+      }));
+      
+      // Unknown pairs are reported as errors rather than empty data
+      if (response.data.Response === 'Error') {
+        return null;
+      }
+      
+      const candles = response.data.Data.Data || [];
+      const candle = candles.find(c => c.time === timestamp) || candles[candles.length - 1];
+      
+      return candle && candle.close > 0 ? candle.close : null;
+    } catch (error) {
+      console.error(`Failed to fetch ${base}/${quote} price from CryptoCompare:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CryptoComparePriceProvider(); 
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Registry of the exchange adapters the service fetches transactions from
+ * @module services/exchangeRegistry
+ */
+
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Exchange adapter interface
+ * @typedef {Object} ExchangeAdapter
+ * @property {string} platform - Platform code stored on transactions (e.g., BINANCE)
+ * @property {string} name - Display name (e.g., Binance)
+ * @property {function(Date, Date, Array<string>=): Promise<Array>} fetchTransactionsInRange - Fetches orders
+ * in the common transaction format, with normalized base and quote assets
+ * @property {function(Date, Date, Array<string>=): Promise<Array>} fetchTradesInRange - Fetches fills in the
+ * common trade format
+ * @property {function(): Promise<Array>} fetchBalances - Fetches balances in the common balance format
+ * @property {function(Object): boolean} verifyWebhook - Validates the signature of a webhook request against its
+ * raw body (`req.rawBody`) and timestamp
+ * @property {function(Object): (Object|null)} mapWebhookTransaction - Maps a webhook payload to the common
+ * transaction format, null when the payload is not an order
+ * @property {function(string): string} mapOrderStatus - Maps a platform order status to the common format
+ * @property {function(Date, Date): Promise<Array>} [fetchLedgerEntriesInRange] - Fetches deposits, withdrawals,
+ * rewards and other movements that are not trades in the common ledger entry format (optional)
+ * @property {function(string, string): Promise<Object|null>} [fetchOrder] - Fetches a single order by order ID and
+ * symbol, used by polling for the orders filled after the window they were placed in (optional)
+ */
+
+/**
+ * Methods every adapter must implement
+ * @type {Array<string>}
+ */
+const REQUIRED_METHODS = [
+  'fetchTransactionsInRange',
+  'fetchTradesInRange',
+  'fetchBalances',
+  'verifyWebhook',
+  'mapWebhookTransaction',
+  'mapOrderStatus',
+];
+
+/**
+ * Modules of the adapters shipped with the service, by platform code
+ * @type {Object<string, string>}
+ */
+const BUILT_IN_ADAPTERS = {
+  BINANCE: './binanceService',
+  REVOLUT: './revolutService',
+  KRAKEN: './krakenService',
+  COINBASE: './coinbaseService',
+  BITSTAMP: './bitstampService',
+};
+
+/**
+ * Exchange registry holding the adapters enabled in the configuration
+ */
+class ExchangeRegistry {
+  constructor() {
+    this.adapters = new Map();
+    
+    // Entries are built-in platform codes or paths to custom adapter modules
+    config.exchanges.enabled.forEach(entry => {
+      const builtIn = BUILT_IN_ADAPTERS[entry.toUpperCase()];
+      const adapter = builtIn ? require(builtIn) : require(path.resolve(entry));
+      
+      this.register(adapter);
+    });
+  }
+
+  /**
+   * Registers an exchange adapter
+   * @param {ExchangeAdapter} adapter - Adapter to register
+   * @returns {void}
+   */
+  register(adapter) {
+    if (!adapter || typeof adapter.platform !== 'string' || !adapter.platform) {
+      throw new Error('Exchange adapters must have a platform code');
+    }
+    
+    const missingMethods = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+    
+    if (missingMethods.length > 0) {
+      throw new Error(`${adapter.platform} adapter is missing ${missingMethods.join(', ')}`);
+    }
+    
+    if (this.adapters.has(adapter.platform)) {
+      throw new Error(`${adapter.platform} adapter is already registered`);
+    }
+    
+    this.adapters.set(adapter.platform, adapter);
+  }
+
+  /**
+   * Codes of the registered platforms
+   * @type {Array<string>}
+   */
+  get platforms() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Returns the registered adapters
+   * @returns {Array<ExchangeAdapter>} Adapters in registration order
+   */
+  getAdapters() {
+    return [...this.adapters.values()];
+  }
+
+  /**
+   * Checks whether a platform is registered
+   * @param {string} platform - Platform code
+   * @returns {boolean} Whether the platform has an adapter
+   */
+  hasPlatform(platform) {
+    return this.adapters.has(platform);
+  }
+
+  /**
+   * Returns the adapter of a platform
+   * @param {string} platform - Platform code
+   * @returns {ExchangeAdapter} Platform adapter
+   */
+  getAdapter(platform) {
+    if (!this.adapters.has(platform)) {
+      throw new Error(`Unsupported platform: ${platform}`);
+    }
+    
+    return this.adapters.get(platform);
+  }
+}
+
+module.exports = new ExchangeRegistry(); 
\ No newline at end of file
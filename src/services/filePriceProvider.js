@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Historical price provider reading rates from a local CSV or JSON file
+ * @module services/filePriceProvider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * File price provider, a stand-in for an online provider
+ *
+ * The file lists rates with `date`, `base`, `quote` and `rate` columns (CSV) or properties (JSON array).
+ * A transaction is priced with the latest rate at or before its time.
+ */
+class FilePriceProvider {
+  constructor() {
+    this.name = 'file';
+    this.filePath = config.pricing.priceFile;
+    this.rates = null;
+  }
+
+  /**
+   * Returns the price of an asset in another currency at a point in time
+   * @param {string} base - Asset being priced (e.g., BTC)
+   * @param {string} quote - Currency of the price (e.g., EUR)
+   * @param {Date} time - Start of the hour to price
+   * @returns {Promise<number|null>} Latest listed rate or null if the file has none for the pair
+   */
+  async getRate(base, quote, time) {
+    const rates = this._loadRates();
+    
+    const direct = this._findRate(rates.get(`${base}/${quote}`), time);
+    
+    if (direct !== null) {
+      return direct;
+    }
+    
+    // Fall back to the inverse pair, e.g. EUR/USD when USD/EUR is requested
+    const inverse = this._findRate(rates.get(`${quote}/${base}`), time);
+    
+    return inverse !== null ? 1 / inverse : null;
+  }
+
+  /**
+   * Reads and indexes the price file on first use
+   * @returns {Map<string, Array<{time: number, rate: number}>>} Rates per pair, sorted by time
+   * @private
+   */
+  _loadRates() {
+    if (this.rates) {
+      return this.rates;
+    }
+    
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const entries = path.extname(this.filePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : parseCsv(content);
+    
+    const rates = new Map();
+    
+    entries.forEach(entry => {
+      const time = new Date(entry.date).getTime();
+      const rate = parseFloat(entry.rate);
+      
+      if (!entry.base || !entry.quote || isNaN(time) || !(rate > 0)) {
+        console.warn(`Skipping invalid price file entry: ${JSON.stringify(entry)}`);
+        return;
+      }
+      
+      const pair = `${entry.base.toUpperCase()}/${entry.quote.toUpperCase()}`;
+      
+      if (!rates.has(pair)) {
+        rates.set(pair, []);
+      }
+      
+      rates.get(pair).push({ time, rate });
+    });
+    
+    rates.forEach(pairRates => pairRates.sort((a, b) => a.time - b.time));
+    
+    console.log(`Loaded ${entries.length} prices for ${rates.size} pairs from ${this.filePath}`);
+    this.rates = rates;
+    
+    return rates;
+  }
+
+  /**
+   * Finds the latest rate at or before a time
+   * @param {Array<{time: number, rate: number}>} [pairRates] - Rates of a pair, sorted by time
+   * @param {Date} time - Time to price
+   * @returns {number|null} Rate or null if none precedes the time
+   * @private
+   */
+  _findRate(pairRates, time) {
+    if (!pairRates) {
+      return null;
+    }
+    
+    let low = 0;
+    let high = pairRates.length - 1;
+    let found = null;
+    
+    // Binary search for the last entry not after the requested time
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      
+      if (pairRates[middle].time <= time.getTime()) {
+        found = pairRates[middle].rate;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return found;
+  }
+}
+
+module.exports = new FilePriceProvider(); 
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Output sink writing transactions to a local CSV or JSONL file
+ * @module services/fileSink
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { RECORD_FIELDS, toRecord, recordKey } = require('../utils/transactionRecord');
+
+/**
+ * File sink keeping one line per transaction, in JSON Lines format for a .jsonl or .ndjson path and CSV otherwise
+ */
+class FileSink {
+  constructor() {
+    this.name = 'file';
+    this.filePath = config.sinks.filePath;
+    this.format = ['.jsonl', '.ndjson'].includes(path.extname(this.filePath).toLowerCase()) ? 'jsonl' : 'csv';
+  }
+
+  /**
+   * Writes transactions to the file, replacing the line of transactions already in it
+   * @param {Array} transactions - Transaction objects
+   * @returns {Promise<void>}
+   */
+  async writeTransactions(transactions) {
+    const records = this._readRecords();
+    
+    // A replaced record keeps its position in the map, so changed transactions stay on their line
+    transactions.forEach(transaction => {
+      const record = toRecord(transaction);
+      records.set(recordKey(record), record);
+    });
+    
+    this._writeRecords([...records.values()]);
+  }
+
+  /**
+   * Checks whether the file holds records written before they carried their account, which must be rewritten
+   * @returns {Promise<boolean>} Whether the file needs a rebuild
+   */
+  async needsRebuild() {
+    return [...this._readRecords().values()].some(record => !('accountId' in record));
+  }
+
+  /**
+   * Replaces the file with one line per transaction
+   * @param {Array} transactions - Every transaction object, in time order
+   * @returns {Promise<void>}
+   */
+  async rebuild(transactions) {
+    this._writeRecords(transactions.map(toRecord));
+  }
+
+  /**
+   * Reads the records already in the file
+   * @returns {Map<string, Object>} Records by transaction key, in file order
+   * @private
+   */
+  _readRecords() {
+    const records = new Map();
+    
+    if (!fs.existsSync(this.filePath)) {
+      return records;
+    }
+    
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const rows = this.format === 'jsonl'
+      ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : parseCsv(content);
+    
+    rows.forEach(record => records.set(recordKey(record), record));
+    
+    return records;
+  }
+
+  /**
+   * Writes records to a temporary file renamed over the file, so readers never see a partial file
+   * @param {Array<Object>} records - Transaction records
+   * @returns {void}
+   * @private
+   */
+  _writeRecords(records) {
+    const fields = RECORD_FIELDS.map(({ field }) => field);
+    const content = this.format === 'jsonl'
+      ? records.map(record => JSON.stringify(record)).join('\n')
+      : toCsv([fields, ...records.map(record => fields.map(field => record[field]))]);
+    const tempPath = `${this.filePath}.tmp`;
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, `${content}\n`);
+    fs.renameSync(tempPath, this.filePath);
+    
+    console.log(`${records.length} transactions written to ${this.filePath}`);
+  }
+}
+
+module.exports = new FileSink(); 
\ No newline at end of file
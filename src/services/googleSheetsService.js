@@ -7,6 +7,18 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const config = require('../config');
 
+/**
+ * Rows written per request, well below the Sheets request size limits
+ * @type {number}
+ */
+const BATCH_ROWS = 500;
+
+/**
+ * Attempts made for a request rejected by the Sheets quotas before giving up
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 5;
+
 /**
  * Google Sheets API service for writing transaction data
  */
@@ -46,52 +58,263 @@ class GoogleSheetsService {
   }
 
   /**
-   * Writes transactions to Google Sheets
-   * @param {Array} transactions - Array of transaction objects
+   * Reads the rows of a tab, creating it with its header row and number formats if it does not exist or is empty
+   * @param {string} title - Title of the sheet tab
+   * @param {Object} layout - Layout of the tab
+   * @param {Array<string>} layout.header - Header labels, one per column
+   * @param {Array<{column: number, type: string, pattern: string}>} layout.numberFormats - Formatted columns
+   * @returns {Promise<Array<Array>>} Row values, including the header row
+   */
+  async readRows(title, { header, numberFormats }) {
+    if (!this.sheets) {
+      await this.initialize();
+    }
+    
+    try {
+      const { sheetId } = await this._ensureSheet(title);
+      
+      const response = await this._withBackoff(() => this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.sheetId,
+        range: `'${title}'!A:${this.columnLetter(header.length)}`,
+      }));
+      
+      const values = response.data.values || [];
+      
+      if (values.length === 0) {
+        await this._withBackoff(() => this.sheets.spreadsheets.values.update({
+          spreadsheetId: this.sheetId,
+          range: `'${title}'!A1`,
+          valueInputOption: 'USER_ENTERED',
+          resource: {
+            values: [header],
+          },
+        }));
+        await this._applyNumberFormats(sheetId, numberFormats);
+      }
+      
+      return values;
+    } catch (error) {
+      console.error(`Failed to read rows of "${title}" sheet from Google Sheets:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Writes rows at their position in a tab, in chunks to stay within the Sheets quotas
+   * @param {string} title - Title of the sheet tab
+   * @param {Array<{row: number, values: Array}>} rows - Row number and values of each row
+   * @returns {Promise<number>} Number of rows written
+   */
+  async writeRows(title, rows) {
+    if (!this.sheets) {
+      await this.initialize();
+    }
+    
+    try {
+      let written = 0;
+      
+      for (let index = 0; index < rows.length; index += BATCH_ROWS) {
+        const data = rows.slice(index, index + BATCH_ROWS).map(({ row, values }) => ({
+          range: `'${title}'!A${row}:${this.columnLetter(values.length)}${row}`,
+          values: [values],
+        }));
+        
+        const response = await this._withBackoff(() => this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.sheetId,
+          resource: {
+            valueInputOption: 'USER_ENTERED',
+            data,
+          },
+        }));
+        
+        written += response.data.totalUpdatedRows || 0;
+      }
+      
+      console.log(`${written} rows written to "${title}" sheet`);
+      
+      return written;
+    } catch (error) {
+      console.error(`Failed to write rows to "${title}" sheet:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the contents of a tab with its header row and the given rows, in order
+   * @param {string} title - Title of the sheet tab
+   * @param {Object} layout - Layout of the tab
+   * @param {Array<string>} layout.header - Header labels, one per column
+   * @param {Array<{column: number, type: string, pattern: string}>} layout.numberFormats - Formatted columns
+   * @param {Array<Array>} rows - Row values, the first row written to row 2
+   * @returns {Promise<void>}
+   */
+  async rebuildTab(title, { header, numberFormats }, rows) {
+    if (!this.sheets) {
+      await this.initialize();
+    }
+    
+    try {
+      const { sheetId } = await this._ensureSheet(title);
+      
+      await this._withBackoff(() => this.sheets.spreadsheets.values.clear({
+        spreadsheetId: this.sheetId,
+        range: `'${title}'`,
+      }));
+      await this._applyNumberFormats(sheetId, numberFormats);
+      
+      const values = [header, ...rows];
+      
+      for (let index = 0; index < values.length; index += BATCH_ROWS) {
+        await this._withBackoff(() => this.sheets.spreadsheets.values.update({
+          spreadsheetId: this.sheetId,
+          range: `'${title}'!A${index + 1}`,
+          valueInputOption: 'USER_ENTERED',
+          resource: {
+            values: values.slice(index, index + BATCH_ROWS),
+          },
+        }));
+      }
+      
+      console.log(`"${title}" sheet rebuilt with ${rows.length} rows`);
+    } catch (error) {
+      console.error(`Failed to rebuild "${title}" sheet:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the contents of a sheet tab, creating the tab if it does not exist
+   * @param {string} title - Title of the sheet tab
+   * @param {Array<Array>} rows - Rows to write, including the header row
    * @returns {Promise<Object>} Response from Google Sheets API
    */
-  async writeTransactions(transactions) {
+  async replaceSheet(title, rows) {
     if (!this.sheets) {
       await this.initialize();
     }
     
     try {
-      // Transform transactions to sheet rows format
-      const rows = transactions.map(transaction => [
-        transaction.orderId,
-        transaction.platform,
-        transaction.symbol,
-        transaction.side,
-        transaction.type,
-        transaction.price,
-        transaction.quantity,
-        transaction.quoteQuantity,
-        transaction.status,
-        new Date(transaction.time).toISOString(),
-        new Date(transaction.updateTime).toISOString()
-      ]);
-      
-      // Prepare the values for insertion
-      const resource = {
-        values: rows,
-      };
-      
-      // Append to the sheet
-      const response = await this.sheets.spreadsheets.values.append({
+      await this._ensureSheet(title);
+      
+      // Remove the previous contents before writing the new ones
+      await this._withBackoff(() => this.sheets.spreadsheets.values.clear({
+        spreadsheetId: this.sheetId,
+        range: `'${title}'`,
+      }));
+      
+      const response = await this._withBackoff(() => this.sheets.spreadsheets.values.update({
         spreadsheetId: this.sheetId,
-        range: 'Transactions', // Assumes sheet named "Transactions"
+        range: `'${title}'!A1`,
         valueInputOption: 'USER_ENTERED',
-        resource,
-      });
+        resource: {
+          values: rows,
+        },
+      }));
       
-      console.log(`${response.data.updates.updatedRows} rows appended to Google Sheet`);
+      console.log(`${response.data.updatedRows} rows written to "${title}" sheet`);
       
       return response.data;
     } catch (error) {
-      console.error('Failed to write transactions to Google Sheets:', error);
+      console.error(`Failed to write "${title}" sheet to Google Sheets:`, error);
       throw error;
     }
   }
+
+  /**
+   * Runs a Sheets request, retrying with exponential backoff while it is rate limited or the service is unavailable
+   * @param {function(): Promise<Object>} request - Request to run
+   * @returns {Promise<Object>} Response from Google Sheets API
+   * @private
+   */
+  async _withBackoff(request) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const status = error.code || error.response?.status;
+        
+        if (![429, 500, 503].includes(status) || attempt >= MAX_ATTEMPTS) {
+          throw error;
+        }
+        
+        // Wait 1s, 2s, 4s, ... plus some jitter so concurrent writers do not retry together
+        const waitMs = 1000 * 2 ** (attempt - 1) + Math.floor(Math.random() * 500);
+        console.warn(`Google Sheets request failed with ${status}, retrying in ${waitMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+    }
+  }
+
+  /**
+   * Returns the A1 letter of a column
+   * @param {number} column - Column number, starting at 1
+   * @returns {string} Column letter (e.g., 14 -> N, 27 -> AA)
+   */
+  columnLetter(column) {
+    let letter = '';
+    
+    for (let remaining = column; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+      letter = String.fromCharCode(65 + (remaining - 1) % 26) + letter;
+    }
+    
+    return letter;
+  }
+
+  /**
+   * Sets the number format of whole columns below the header row
+   * @param {number} sheetId - Numeric ID of the sheet tab
+   * @param {Array<{column: number, type: string, pattern: string}>} numberFormats - Format of each column (0-based)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyNumberFormats(sheetId, numberFormats) {
+    if (numberFormats.length === 0) {
+      return;
+    }
+    
+    await this._withBackoff(() => this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.sheetId,
+      resource: {
+        requests: numberFormats.map(({ column, type, pattern }) => ({
+          repeatCell: {
+            range: { sheetId, startRowIndex: 1, startColumnIndex: column, endColumnIndex: column + 1 },
+            cell: { userEnteredFormat: { numberFormat: { type, pattern } } },
+            fields: 'userEnteredFormat.numberFormat',
+          },
+        })),
+      },
+    }));
+  }
+
+  /**
+   * Creates a sheet tab if the spreadsheet does not have it yet
+   * @param {string} title - Title of the sheet tab
+   * @returns {Promise<{created: boolean, sheetId: number}>} Whether the tab was created and its numeric ID
+   * @private
+   */
+  async _ensureSheet(title) {
+    const spreadsheet = await this._withBackoff(() => this.sheets.spreadsheets.get({
+      spreadsheetId: this.sheetId,
+      fields: 'sheets.properties(title,sheetId)',
+    }));
+    
+    const existing = spreadsheet.data.sheets.find(sheet => sheet.properties.title === title);
+    
+    if (existing) {
+      return { created: false, sheetId: existing.properties.sheetId };
+    }
+    
+    const response = await this._withBackoff(() => this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.sheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title } } }],
+      },
+    }));
+    
+    console.log(`Created "${title}" sheet in Google Sheet`);
+    
+    return { created: true, sheetId: response.data.replies[0].addSheet.properties.sheetId };
+  }
 }
 
 module.exports = new GoogleSheetsService(); 
\ No newline at end of file
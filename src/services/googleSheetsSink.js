@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Output sink writing transactions to the views of the Google Sheet
+ * @module services/googleSheetsSink
+ */
+
+const Transaction = require('../models/transaction');
+const LedgerEntry = require('../models/ledgerEntry');
+const googleSheetsService = require('./googleSheetsService');
+const sheetLayoutService = require('./sheetLayoutService');
+
+/**
+ * Tab ledger entries are written to
+ * @type {string}
+ */
+const LEDGER_TAB = 'Ledger';
+
+/**
+ * Layout of the ledger tab; the account comes last, as tabs written before it was shown have no such column
+ * @type {{header: Array<string>, numberFormats: Array}}
+ */
+const LEDGER_LAYOUT = {
+  header: ['Entry ID', 'Platform', 'Type', 'Asset', 'Amount', 'Fee', 'Tx ID', 'Description', 'Time', 'Account'],
+  numberFormats: [],
+};
+
+/**
+ * Google Sheets sink keeping every transaction on its own row of each sheet view
+ *
+ * Rows are assigned and stored before writing, so a sync interrupted after the write rewrites the same rows.
+ */
+class GoogleSheetsSink {
+  constructor() {
+    this.name = 'sheets';
+  }
+
+  /**
+   * Writes transactions to every sheet view, updating the row of transactions already in a tab
+   * @param {Array} transactions - Transaction documents, in time order
+   * @returns {Promise<void>}
+   */
+  async writeTransactions(transactions) {
+    for (const view of sheetLayoutService.views) {
+      for (const [tab, tabTransactions] of this._groupByTab(view, transactions)) {
+        await this._assignSheetRows(view, tab, tabTransactions);
+        await googleSheetsService.writeRows(tab, tabTransactions.map(transaction => ({
+          row: this._sheetRow(transaction, view, tab),
+          values: sheetLayoutService.toRow(view, transaction),
+        })));
+      }
+    }
+    
+    await this._writeSheetSummaries();
+  }
+
+  /**
+   * Writes ledger entries to the "Ledger" tab, updating the row of entries already in the tab
+   * @param {Array} entries - Ledger entry documents, in time order
+   * @returns {Promise<void>}
+   */
+  async writeLedgerEntries(entries) {
+    const values = await googleSheetsService.readRows(LEDGER_TAB, LEDGER_LAYOUT);
+    
+    await this._assignLedgerRows(entries, values);
+    
+    const rows = entries.map(entry => ({
+      row: entry.sheetRow,
+      values: [
+        entry.entryId,
+        entry.platform,
+        entry.type,
+        entry.asset,
+        entry.amount,
+        entry.fee,
+        entry.txId || '',
+        entry.description || '',
+        new Date(entry.time).toISOString(),
+        entry.accountId,
+      ],
+    }));
+    
+    // Tabs written before the account was shown get the current header
+    if (values.length > 0 && LEDGER_LAYOUT.header.some((label, index) => values[0][index] !== label)) {
+      rows.unshift({ row: 1, values: LEDGER_LAYOUT.header });
+    }
+    
+    await googleSheetsService.writeRows(LEDGER_TAB, rows);
+  }
+
+  /**
+   * Rewrites the tabs of every sheet view, one row per transaction in time order
+   * @param {Array} transactions - Every transaction document, in time order
+   * @returns {Promise<void>}
+   */
+  async rebuild(transactions) {
+    const sheetRows = new Map(transactions.map(transaction => [transaction, []]));
+    
+    for (const view of sheetLayoutService.views) {
+      for (const [tab, tabTransactions] of this._groupByTab(view, transactions)) {
+        // The header takes the first row
+        tabTransactions.forEach((transaction, index) => {
+          sheetRows.get(transaction).push({ view: view.name, tab, row: index + 2 });
+        });
+        
+        await googleSheetsService.rebuildTab(
+          tab,
+          sheetLayoutService.tabLayout(view),
+          tabTransactions.map(transaction => sheetLayoutService.toRow(view, transaction))
+        );
+      }
+    }
+    
+    // Not a change of the transaction itself, so updatedAt is kept for the sync state
+    await Transaction.bulkWrite(transactions.map(transaction => ({
+      updateOne: {
+        filter: { _id: transaction._id },
+        update: { $set: { sheetRows: sheetRows.get(transaction) } },
+        timestamps: false,
+      },
+    })));
+    await this._writeSheetSummaries();
+  }
+
+  /**
+   * Groups transactions by the tab of a sheet view they are written to
+   * @param {Object} view - Sheet view
+   * @param {Array} transactions - Transaction documents
+   * @returns {Map<string, Array>} Transactions per tab title, in their original order
+   * @private
+   */
+  _groupByTab(view, transactions) {
+    const byTab = new Map();
+    
+    transactions.forEach(transaction => {
+      const tab = sheetLayoutService.tabFor(view, transaction);
+      
+      if (!byTab.has(tab)) {
+        byTab.set(tab, []);
+      }
+      
+      byTab.get(tab).push(transaction);
+    });
+    
+    return byTab;
+  }
+
+  /**
+   * Returns the row of a transaction in a tab of a sheet view
+   * @param {Object} transaction - Transaction document
+   * @param {Object} view - Sheet view
+   * @param {string} tab - Tab title
+   * @returns {number|undefined} Row number, if assigned
+   * @private
+   */
+  _sheetRow(transaction, view, tab) {
+    const sheetRow = (transaction.sheetRows || []).find(entry => entry.view === view.name && entry.tab === tab);
+    
+    return sheetRow?.row;
+  }
+
+  /**
+   * Gives every transaction without a row in a tab its row, stored before anything is written
+   *
+   * Transactions already in the tab (e.g. appended before rows were tracked) keep their row, the others get
+   * the rows after the last one used.
+   * @param {Object} view - Sheet view
+   * @param {string} tab - Tab title
+   * @param {Array} transactions - Transaction documents written to the tab, updated in place
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _assignSheetRows(view, tab, transactions) {
+    const withoutRow = transactions.filter(transaction => !this._sheetRow(transaction, view, tab));
+    
+    if (withoutRow.length === 0) {
+      return;
+    }
+    
+    const values = await googleSheetsService.readRows(tab, sheetLayoutService.tabLayout(view));
+    const keyColumns = sheetLayoutService.keyColumns(view);
+    const [stored] = await Transaction.aggregate([
+      { $unwind: '$sheetRows' },
+      { $match: { 'sheetRows.view': view.name, 'sheetRows.tab': tab } },
+      { $group: { _id: null, lastRow: { $max: '$sheetRows.row' }, rows: { $addToSet: '$sheetRows.row' } } },
+    ]);
+    const assignedRows = new Set(stored ? stored.rows : []);
+    const rowsByKey = new Map();
+    
+    // The account is part of the key when the view shows it, as the same order ID can exist on several accounts
+    const keyOf = (accountId, platform, symbol, orderId) => (keyColumns.accountId === -1
+      ? `${platform}:${symbol}:${orderId}`
+      : `${platform}:${accountId}:${symbol}:${orderId}`);
+    
+    // Rows can only be recognized when the view shows the order ID, platform and symbol, and a row already
+    // assigned to another transaction is never handed out twice
+    if (keyColumns) {
+      values.forEach((row, index) => {
+        if (index > 0 && row[keyColumns.orderId] && !assignedRows.has(index + 1)) {
+          const key = keyOf(
+            row[keyColumns.accountId],
+            row[keyColumns.platform],
+            row[keyColumns.symbol],
+            row[keyColumns.orderId]
+          );
+          
+          rowsByKey.set(key, [...(rowsByKey.get(key) || []), index + 1]);
+        }
+      });
+    }
+    
+    let nextRow = Math.max(values.length, stored ? stored.lastRow : 1, 1) + 1;
+    
+    withoutRow.forEach(transaction => {
+      const matchingRows = keyColumns
+        ? rowsByKey.get(keyOf(transaction.accountId, transaction.platform, transaction.symbol, transaction.orderId))
+        : null;
+      const row = (matchingRows && matchingRows.shift()) || nextRow++;
+      
+      // A transaction has one row per view, any row in another tab of the view belongs to a previous layout
+      transaction.sheetRows = [
+        ...(transaction.sheetRows || []).filter(entry => entry.view !== view.name),
+        { view: view.name, tab, row },
+      ];
+    });
+    
+    // Not a change of the transaction itself, so updatedAt is kept for the sync state
+    await Transaction.bulkWrite(withoutRow.map(transaction => ({
+      updateOne: {
+        filter: { _id: transaction._id },
+        update: {
+          $set: { sheetRows: transaction.sheetRows.map(({ view, tab, row }) => ({ view, tab, row })) },
+        },
+        timestamps: false,
+      },
+    })));
+  }
+
+  /**
+   * Gives every ledger entry without a row its row in the "Ledger" tab, stored before anything is written
+   *
+   * Entries already in the tab (e.g. appended before rows were tracked) keep their row, the others get the rows
+   * after the last one used.
+   * @param {Array} entries - Ledger entry documents, updated in place
+   * @param {Array<Array>} values - Current values of the tab, header included
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _assignLedgerRows(entries, values) {
+    const withoutRow = entries.filter(entry => !entry.sheetRow);
+    
+    if (withoutRow.length === 0) {
+      return;
+    }
+    
+    const [stored] = await LedgerEntry.aggregate([
+      { $match: { sheetRow: { $ne: null } } },
+      { $group: { _id: null, lastRow: { $max: '$sheetRow' }, rows: { $addToSet: '$sheetRow' } } },
+    ]);
+    const assignedRows = new Set(stored ? stored.rows : []);
+    const rowsByKey = new Map();
+    
+    // Rows appended before rows were tracked have no account, so they match an entry of any account
+    values.forEach(([entryId, platform, type, , , , , , , accountId = ''], index) => {
+      if (index > 0 && entryId && !assignedRows.has(index + 1)) {
+        const key = `${platform}:${type}:${entryId}`;
+        
+        rowsByKey.set(key, [...(rowsByKey.get(key) || []), { row: index + 1, accountId }]);
+      }
+    });
+    
+    let nextRow = Math.max(values.length, stored ? stored.lastRow : 1, 1) + 1;
+    
+    withoutRow.forEach(entry => {
+      const candidates = rowsByKey.get(`${entry.platform}:${entry.type}:${entry.entryId}`) || [];
+      const index = candidates.findIndex(({ accountId }) => !accountId || accountId === entry.accountId);
+      
+      entry.sheetRow = index === -1 ? nextRow++ : candidates.splice(index, 1)[0].row;
+    });
+    
+    // Not a change of the entry itself, so updatedAt is kept for the sync state
+    await LedgerEntry.bulkWrite(withoutRow.map(entry => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { sheetRow: entry.sheetRow } },
+        timestamps: false,
+      },
+    })));
+  }
+
+  /**
+   * Rewrites the summary tabs of the sheet views, listing every month and asset with transactions
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeSheetSummaries() {
+    const views = sheetLayoutService.views.filter(view => view.summaries.length > 0);
+    
+    if (views.length === 0) {
+      return;
+    }
+    
+    const [groups, assets] = await Promise.all([
+      Transaction.aggregate([
+        {
+          $group: {
+            _id: {
+              platform: '$platform',
+              accountId: '$accountId',
+              month: { $dateToString: { format: '%Y-%m', date: '$time' } },
+            },
+          },
+        },
+      ]),
+      Transaction.distinct('baseAsset', { baseAsset: { $ne: null } }),
+    ]);
+    const months = [...new Set(groups.map(group => group._id.month))].sort();
+    
+    for (const view of views) {
+      // A platform, account and month stand in for the transactions of that platform, account and month
+      const tabs = [...new Set(groups.map(group => sheetLayoutService.tabFor(view, {
+        platform: group._id.platform,
+        accountId: group._id.accountId,
+        time: new Date(`${group._id.month}-01T00:00:00Z`),
+      })))].sort();
+      
+      for (const summary of sheetLayoutService.buildSummaries(view, { tabs, months, assets: assets.sort() })) {
+        await googleSheetsService.replaceSheet(summary.title, summary.rows);
+      }
+    }
+  }
+}
+
+module.exports = new GoogleSheetsSink(); 
\ No newline at end of file
@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Job runner recording every scheduled and manual run, with per-account outcomes and retries
+ * @module services/jobService
+ */
+
+const JobRun = require('../models/jobRun');
+const config = require('../config');
+const exchangeRegistry = require('./exchangeRegistry');
+const accountRegistry = require('./accountRegistry');
+const transactionService = require('./transactionService');
+const ledgerService = require('./ledgerService');
+const balanceService = require('./balanceService');
+const transferService = require('./transferService');
+const pollingService = require('./pollingService');
+
+/**
+ * Job interface
+ * @typedef {Object} Job
+ * @property {string} name - Job name used in the API (e.g., fetch-transactions)
+ * @property {string} description - What the job does
+ * @property {string|null} schedule - Cron expression of the scheduled runs, null for a job only run on demand
+ * @property {function(Object): ({params: Object}|{error: string})} [parseParams] - Validates the parameters of
+ * a manual run
+ * @property {function(JobContext, Object): Promise<Object|void>} run - Runs the job with its parameters,
+ * resolving to the counts of the whole run
+ */
+
+/**
+ * Context given to a running job
+ * @typedef {Object} JobContext
+ * @property {function(Array<string>, function(string): Promise<Object>): Promise<void>} forEachAccount - Runs a
+ * step for every account, retrying each failing account and recording its outcome and counts
+ * @property {function(function(): Promise<*>): Promise<*>} retry - Runs a step, retrying it if it fails
+ */
+
+/**
+ * Returns the start of the previous day (UTC)
+ *
+ * The daily runs start just after midnight UTC, so they fetch the previous day as well as the current one;
+ * stored records are upserted.
+ * @returns {Date} Midnight UTC of yesterday
+ */
+const startOfYesterday = () => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - 1);
+  
+  return date;
+};
+
+/**
+ * Returns the cron expression running a job every given number of minutes
+ * @param {number} minutes - Interval, below an hour or a whole number of hours below a day
+ * @returns {string} Cron expression
+ */
+const intervalSchedule = (minutes) => {
+  if (minutes >= 1 && minutes < 60) {
+    return `*/${minutes} * * * *`;
+  }
+  
+  if (minutes % 60 === 0 && minutes / 60 < 24) {
+    return `0 */${minutes / 60} * * *`;
+  }
+  
+  throw new Error(`Unsupported polling interval of ${minutes} minutes, expected 1 to 59 minutes or whole hours`);
+};
+
+/**
+ * Creates the job polling the accounts of a platform for the orders and fills that changed since their cursors
+ * @param {string} platform - Registered platform code (e.g., BINANCE)
+ * @param {number} minutes - Polling interval
+ * @returns {Job} Polling job
+ */
+const pollJob = (platform, minutes) => ({
+  name: `poll-${platform.toLowerCase()}`,
+  description: `Fetches the ${platform} orders and fills that changed since the last poll and syncs them to the output sinks`,
+  schedule: intervalSchedule(minutes),
+  run: async (context) => {
+    await context.forEachAccount(
+      accountRegistry.getAccounts(platform).map(account => account.id),
+      accountId => pollingService.pollAccount(accountId)
+    );
+    
+    const synced = await context.retry(() => transactionService.syncTransactionsToSinks());
+    
+    return { synced };
+  },
+});
+
+/**
+ * Jobs shipped with the service
+ * @type {Array<Job>}
+ */
+const BUILT_IN_JOBS = [
+  {
+    name: 'fetch-transactions',
+    description: "Fetches yesterday's and today's transactions and fills from every account and syncs them to the sinks",
+    schedule: '0 0 * * *',
+    run: async (context) => {
+      const from = startOfYesterday();
+      const to = new Date();
+      
+      await context.forEachAccount(
+        accountRegistry.ids,
+        accountId => transactionService.fetchAndStoreAccountTransactions(accountId, from, to)
+      );
+      
+      const synced = await context.retry(() => transactionService.syncTransactionsToSinks());
+      
+      return { synced };
+    },
+  },
+  {
+    name: 'fetch-ledger',
+    description: 'Fetches the ledger entries of yesterday and today from every account and matches transfers',
+    schedule: '15 0 * * *',
+    run: async (context) => {
+      const from = startOfYesterday();
+      const to = new Date();
+      
+      await context.forEachAccount(ledgerService.accountIds, async accountId => {
+        const entries = await ledgerService.fetchAndStoreEntries(accountId, from, to);
+        
+        return { saved: entries.length };
+      });
+      
+      await context.retry(() => ledgerService.syncEntriesToGoogleSheets());
+      const { matched } = await context.retry(() => transferService.matchTransfers());
+      
+      return { matched };
+    },
+  },
+  {
+    name: 'snapshot-balances',
+    description: 'Snapshots the balances of every account and reconciles them with the stored transactions',
+    schedule: '30 0 * * *',
+    run: async (context) => {
+      await context.forEachAccount(accountRegistry.ids, async accountId => {
+        const snapshot = await balanceService.takeSnapshot(accountId);
+        
+        return { balances: snapshot.balances.length, discrepancies: snapshot.discrepancies.length };
+      });
+    },
+  },
+  {
+    name: 'sync',
+    description: 'Writes new and changed transactions to every enabled output sink',
+    schedule: null,
+    run: async (context) => {
+      const synced = await context.retry(() => transactionService.syncTransactionsToSinks());
+      
+      return { synced };
+    },
+  },
+  {
+    name: 'backfill',
+    description: "Fetches an account's transactions, fills and ledger entries for a date range and syncs them to the sinks",
+    schedule: null,
+    parseParams: ({ account, platform, from, to } = {}) => {
+      let accountId = account;
+      
+      // A platform alone stands for its default account
+      if (!accountId && typeof platform === 'string' && exchangeRegistry.hasPlatform(platform.toUpperCase())) {
+        accountId = accountRegistry.getDefaultAccount(platform.toUpperCase()).id;
+      }
+      
+      if (!accountRegistry.hasAccount(accountId)) {
+        return { error: `Invalid account, expected one of ${accountRegistry.ids.join(', ')}` };
+      }
+      
+      const fromDate = new Date(from);
+      const toDate = to ? new Date(to) : new Date();
+      
+      if (!from || isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return { error: 'Invalid date range' };
+      }
+      
+      if (fromDate > toDate) {
+        return { error: '"from" must be before "to"' };
+      }
+      
+      return { params: { account: accountId, from: fromDate, to: toDate } };
+    },
+    run: async (context, { account, from, to }) => {
+      // Only the fetch is retried per account, a failing sink does not fetch the range again
+      await context.forEachAccount([account], async () => {
+        const { fetched, saved, trades, ledgerEntries } = await transactionService.fetchAndStoreAccountHistory(
+          account,
+          from,
+          to
+        );
+        
+        return { fetched, saved, trades, ledgerEntries };
+      });
+      
+      const synced = await context.retry(() => transactionService.syncTransactionsToSinks());
+      await context.retry(() => ledgerService.syncEntriesToGoogleSheets());
+      
+      return { synced };
+    },
+  },
+];
+
+/**
+ * Job service holding the jobs and recording their runs
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.maxAttempts = config.jobs.maxAttempts;
+    this.retryDelayMs = config.jobs.retryDelaySeconds * 1000;
+    
+    // Names of the jobs with a run in progress in this process
+    this.running = new Set();
+    
+    BUILT_IN_JOBS.forEach(job => this.register(job));
+    
+    // One polling job per platform, each on its own interval and polling every account of the platform
+    exchangeRegistry.platforms
+      .filter(platform => pollingService.getInterval(platform) > 0)
+      .forEach(platform => this.register(pollJob(platform, pollingService.getInterval(platform))));
+  }
+
+  /**
+   * Registers a job
+   * @param {Job} job - Job to register
+   * @returns {void}
+   */
+  register(job) {
+    if (!job || typeof job.name !== 'string' || !job.name) {
+      throw new Error('Jobs must have a name');
+    }
+    
+    if (typeof job.run !== 'function') {
+      throw new Error(`${job.name} job is missing run`);
+    }
+    
+    if (this.jobs.has(job.name)) {
+      throw new Error(`${job.name} job is already registered`);
+    }
+    
+    this.jobs.set(job.name, { schedule: null, ...job });
+  }
+
+  /**
+   * Names of the registered jobs
+   * @type {Array<string>}
+   */
+  get names() {
+    return [...this.jobs.keys()];
+  }
+
+  /**
+   * Returns the registered jobs
+   * @returns {Array<Job>} Jobs in registration order
+   */
+  getJobs() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Checks whether a job is registered
+   * @param {string} name - Job name
+   * @returns {boolean} Whether the job exists
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Returns a registered job
+   * @param {string} name - Job name
+   * @returns {Job} Job
+   */
+  getJob(name) {
+    if (!this.jobs.has(name)) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    
+    return this.jobs.get(name);
+  }
+
+  /**
+   * Checks whether a job has a run in progress
+   * @param {string} name - Job name
+   * @returns {boolean} Whether the job is running
+   */
+  isRunning(name) {
+    return this.running.has(name);
+  }
+
+  /**
+   * Lists the jobs with their schedule and last run
+   * @returns {Promise<Array<Object>>} Jobs with name, description, schedule, running and lastRun
+   */
+  async listJobs() {
+    const lastRuns = await JobRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', lastRun: { $first: '$$ROOT' } } },
+    ]);
+    const lastRunByJob = new Map(lastRuns.map(({ _id, lastRun }) => [_id, lastRun]));
+    
+    return this.getJobs().map(({ name, description, schedule }) => ({
+      name,
+      description,
+      schedule,
+      running: this.isRunning(name),
+      lastRun: lastRunByJob.get(name) || null,
+    }));
+  }
+
+  /**
+   * Lists the runs of a job, most recent first
+   * @param {string} name - Job name
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.status] - Run status
+   * @param {number} [filters.limit=50] - Maximum number of runs
+   * @returns {Promise<Array>} JobRun documents
+   */
+  async listRuns(name, { status, limit = 50 } = {}) {
+    return JobRun.find({ job: name, ...(status && { status }) })
+      .sort({ startedAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Starts a run of a job without waiting for it to finish
+   * @param {string} name - Job name
+   * @param {Object} [options] - Run options
+   * @param {string} [options.trigger='MANUAL'] - SCHEDULE or MANUAL
+   * @param {Object} [options.params] - Parameters, already validated with the job's parseParams
+   * @returns {Promise<{run: Object, finished: Promise<Object>}|null>} Started run and the promise of the finished
+   * run, or null if the job is already running
+   */
+  async start(name, { trigger = 'MANUAL', params = {} } = {}) {
+    const job = this.getJob(name);
+    
+    // Two runs of the same job would fetch and write the same data concurrently
+    if (this.isRunning(name)) {
+      return null;
+    }
+    
+    this.running.add(name);
+    
+    try {
+      const run = await JobRun.create({ job: name, trigger, params, startedAt: new Date() });
+      const finished = this._execute(job, run).finally(() => this.running.delete(name));
+      
+      return { run, finished };
+    } catch (error) {
+      this.running.delete(name);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a job and waits for it to finish
+   * @param {string} name - Job name
+   * @param {Object} [options] - Run options, see start
+   * @returns {Promise<Object|null>} Finished run, or null if the job is already running
+   */
+  async run(name, options) {
+    const started = await this.start(name, options);
+    
+    return started ? started.finished : null;
+  }
+
+  /**
+   * Marks the runs left RUNNING by a previous process as failed
+   * @returns {Promise<number>} Number of interrupted runs
+   */
+  async markInterruptedRuns() {
+    const { modifiedCount } = await JobRun.updateMany(
+      { status: 'RUNNING' },
+      { $set: { status: 'FAILED', error: 'Interrupted by a restart', finishedAt: new Date() } }
+    );
+    
+    if (modifiedCount > 0) {
+      console.warn(`${modifiedCount} job runs were interrupted by a restart`);
+    }
+    
+    return modifiedCount;
+  }
+
+  /**
+   * Runs a job and records its outcome on its run
+   * @param {Job} job - Job to run
+   * @param {Object} run - RUNNING JobRun document
+   * @returns {Promise<Object>} Finished run
+   * @private
+   */
+  async _execute(job, run) {
+    console.log(`[${run.startedAt.toISOString()}] Running ${job.name} job (${run.trigger.toLowerCase()})`);
+    
+    const context = {
+      forEachAccount: (accountIds, step) => this._forEachAccount(run, accountIds, step),
+      retry: step => this._retry(step, job.name),
+    };
+    
+    try {
+      const counts = await job.run(context, run.params);
+      const failed = run.platforms.filter(outcome => outcome.status === 'FAILED');
+      
+      run.counts = counts || {};
+      
+      if (failed.length === 0) {
+        run.status = 'SUCCEEDED';
+      } else {
+        run.status = failed.length === run.platforms.length ? 'FAILED' : 'PARTIAL';
+        run.error = `Failed accounts: ${failed.map(outcome => outcome.account).join(', ')}`;
+      }
+    } catch (error) {
+      console.error(`${job.name} job failed:`, error);
+      
+      run.status = 'FAILED';
+      run.error = error.message;
+    }
+    
+    run.finishedAt = new Date();
+    await run.save();
+    
+    console.log(`[${run.finishedAt.toISOString()}] ${job.name} job finished: ${run.status}`);
+    
+    return run;
+  }
+
+  /**
+   * Runs a step for every account in parallel and records the outcome of each
+   * @param {Object} run - RUNNING JobRun document
+   * @param {Array<string>} accountIds - Account IDs
+   * @param {function(string): Promise<Object>} step - Step run for an account, resolving to its counts
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forEachAccount(run, accountIds, step) {
+    const outcomes = await Promise.all(accountIds.map(async accountId => {
+      const { platform } = accountRegistry.getAccount(accountId);
+      let attempts = 0;
+      
+      try {
+        const counts = await this._retry(() => {
+          attempts++;
+          return step(accountId);
+        }, `${run.job} ${accountId}`);
+        
+        return { platform, account: accountId, status: 'SUCCEEDED', attempts, counts: counts || {} };
+      } catch (error) {
+        return { platform, account: accountId, status: 'FAILED', attempts, error: error.message };
+      }
+    }));
+    
+    run.platforms.push(...outcomes);
+    
+    // Saved as soon as known, so a run in progress already shows the accounts it is done with
+    await run.save();
+  }
+
+  /**
+   * Runs a step, retrying it with exponential backoff until it succeeds or the attempts are exhausted
+   * @param {function(): Promise<*>} step - Step to run
+   * @param {string} label - Name of the step in the logs
+   * @returns {Promise<*>} Result of the step
+   * @private
+   */
+  async _retry(step, label) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await step();
+      } catch (error) {
+        if (attempt >= this.maxAttempts) {
+          throw error;
+        }
+        
+        const delay = this.retryDelayMs * 2 ** (attempt - 1);
+        console.warn(`${label} failed (attempt ${attempt} of ${this.maxAttempts}), retrying in ${delay}ms:`, error.message);
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = new JobService(); 
\ No newline at end of file
@@ -0,0 +1,421 @@
+/**
+ * @fileoverview Consumer of the Kraken WebSocket v2 executions channel for real-time order updates
+ * @module services/krakenExecutionStreamService
+ */
+
+const WebSocket = require('ws');
+const config = require('../config');
+const krakenService = require('./krakenService');
+const exchangeRegistry = require('./exchangeRegistry');
+const accountRegistry = require('./accountRegistry');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const transactionService = require('./transactionService');
+
+/**
+ * Delay before the first reconnection attempt, doubled after every failed attempt
+ * @type {number}
+ */
+const RECONNECT_MIN_MS = 1000;
+
+/**
+ * Longest delay between two reconnection attempts
+ * @type {number}
+ */
+const RECONNECT_MAX_MS = 60 * 1000;
+
+/**
+ * Time without any message, heartbeats included, after which the connection is considered dead
+ * @type {number}
+ */
+const HEARTBEAT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Time executions are collected for before the output sinks are synced, so a burst (e.g. the snapshot of the
+ * open orders) is written in one sync
+ * @type {number}
+ */
+const SYNC_DELAY_MS = 2000;
+
+/**
+ * Time before a disconnection from which the resync fetches orders, covering executions lost in flight
+ * @type {number}
+ */
+const RESYNC_MARGIN_MS = 60 * 1000;
+
+/**
+ * Order statuses after which an order receives no further executions
+ * @type {Array<string>}
+ */
+const FINAL_STATUSES = ['filled', 'canceled', 'expired'];
+
+/**
+ * Fields an order needs before its executions can be mapped without querying the REST API
+ * @type {Array<string>}
+ */
+const ORDER_FIELDS = ['symbol', 'side', 'order_type', 'order_qty'];
+
+/**
+ * Kraken executions channel consumer
+ *
+ * Kraken does not sign HTTP callbacks, so the Kraken webhook is never called by Kraken itself. This consumer
+ * authenticates to the WebSocket v2 API with a token from GetWebSocketsToken, stores the fills and status
+ * changes of every execution, and after a disconnection resyncs the gap through ClosedOrders. It follows the
+ * default Kraken account; the other accounts are polled.
+ */
+class KrakenExecutionStreamService {
+  constructor() {
+    this.wsUrl = config.kraken.wsUrl;
+    this.account = null;
+    this.adapter = null;
+    this.running = false;
+    this.socket = null;
+    this.heartbeatTimer = null;
+    this.heartbeatTimeoutMs = HEARTBEAT_TIMEOUT_MS;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.syncTimer = null;
+    this.syncDelayMs = SYNC_DELAY_MS;
+    this.reconnectAttempts = 0;
+    this.subscribed = false;
+    this.connectedAt = null;
+    this.lastMessageAt = null;
+    
+    // Start of the gap left by the last disconnection, until the resync is queued
+    this.disconnectedAt = null;
+    
+    // Executions update an order with the fields that changed, so the fields seen so far are kept by order ID
+    this.orders = new Map();
+    
+    // Executions are processed one at a time, in the order received
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Connects to the executions channel, reconnecting until stopped
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    
+    if (!exchangeRegistry.hasPlatform(krakenService.platform)) {
+      console.warn('Kraken is not an enabled exchange, the executions stream is not started');
+      return;
+    }
+    
+    this.account = accountRegistry.getDefaultAccount(krakenService.platform);
+    this.adapter = accountRegistry.getAdapter(this.account.id);
+    this.running = true;
+    
+    await this._connect();
+  }
+
+  /**
+   * Closes the connection and waits for the executions already received to be processed and synced
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatTimer);
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    
+    this.subscribed = false;
+    
+    await this.queue;
+    
+    if (this.syncTimer) {
+      await this._syncSinks();
+    }
+    
+    console.log('Kraken executions stream stopped');
+  }
+
+  /**
+   * Returns the connection state, as reported by the health check
+   * @returns {Object} Whether the stream runs and is subscribed, with the times of its last changes
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      account: this.account ? this.account.id : null,
+      connected: this.subscribed,
+      connectedAt: this.subscribed ? this.connectedAt : null,
+      disconnectedAt: this.disconnectedAt,
+      lastMessageAt: this.lastMessageAt,
+      reconnectAttempts: this.reconnectAttempts,
+    };
+  }
+
+  /**
+   * Stores the order status change and, for a fill, the trade reported by an execution
+   * @param {Object} execution - Execution from the executions channel
+   * @returns {Promise<void>}
+   */
+  async handleExecution(execution) {
+    const previous = this.orders.get(execution.order_id) || { openedAt: execution.timestamp };
+    const order = { ...previous, ...execution };
+    const { platform, id: accountId } = this.account;
+    
+    if (FINAL_STATUSES.includes(order.order_status)) {
+      this.orders.delete(order.order_id);
+    } else {
+      this.orders.set(order.order_id, order);
+    }
+    
+    // An order placed before the connection may only come with the fields that changed
+    const transaction = ORDER_FIELDS.every(field => order[field] !== undefined)
+      ? this.adapter.mapExecutionOrder(order, await this.adapter.resolveWebSocketSymbol(order.symbol))
+      : await this.adapter.fetchOrder(order.order_id);
+    
+    if (!transaction) {
+      console.warn(`Ignoring execution of unknown Kraken order ${order.order_id}`);
+      return;
+    }
+    
+    // Same normalization as polled orders, which are only saved once partially or fully filled
+    const [normalizedTransaction] = await symbolNormalizationService.normalizeTransactions([transaction]);
+    const savedTransactions = await transactionService.saveTransactionsToDatabase([
+      { ...normalizedTransaction, platform, accountId },
+    ]);
+    
+    if (execution.exec_type === 'trade') {
+      const trade = this.adapter.mapExecutionTrade({ side: order.side, ...execution }, transaction.symbol);
+      
+      await transactionService.saveTradesToDatabase([{ ...trade, platform, accountId }]);
+    }
+    
+    if (savedTransactions.length > 0) {
+      this._scheduleSync();
+    }
+  }
+
+  /**
+   * Creates a token and opens the connection, scheduling a reconnection if either fails
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _connect() {
+    let token;
+    
+    try {
+      // A token is only valid for 15 minutes until used, so every connection gets a new one
+      token = await this.adapter.fetchWebSocketsToken();
+    } catch (error) {
+      console.error('Failed to create a Kraken WebSockets token:', error.message);
+      this._scheduleReconnect();
+      return;
+    }
+    
+    // The stream may have been stopped while the token was being created
+    if (!this.running) {
+      return;
+    }
+    
+    const socket = new WebSocket(this.wsUrl);
+    this.socket = socket;
+    
+    socket.on('open', () => this._onOpen(socket, token));
+    socket.on('message', data => this._onMessage(data));
+    socket.on('error', error => console.error('Kraken executions stream error:', error.message));
+    socket.on('close', () => this._onClose(socket));
+  }
+
+  /**
+   * Subscribes to the executions channel and watches for missing heartbeats
+   * @param {Object} socket - Opened WebSocket
+   * @param {string} token - WebSockets token
+   * @returns {void}
+   * @private
+   */
+  _onOpen(socket, token) {
+    this.lastMessageAt = new Date();
+    
+    socket.send(JSON.stringify({
+      method: 'subscribe',
+      params: {
+        channel: 'executions',
+        token,
+        snap_orders: true,
+        snap_trades: false,
+      },
+    }));
+    
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt.getTime() > this.heartbeatTimeoutMs) {
+        console.warn('No message from the Kraken executions stream, reconnecting');
+        socket.terminate();
+      }
+    }, this.heartbeatTimeoutMs / 2);
+  }
+
+  /**
+   * Dispatches a message by channel
+   * @param {Buffer} data - Raw message
+   * @returns {void}
+   * @private
+   */
+  _onMessage(data) {
+    let message;
+    
+    this.lastMessageAt = new Date();
+    
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      console.warn('Ignoring malformed Kraken executions stream message');
+      return;
+    }
+    
+    if (message.method === 'subscribe') {
+      this._onSubscribe(message);
+    } else if (message.channel === 'executions') {
+      // The snapshot lists the open orders, so their later executions can be mapped without the REST API
+      (message.data || []).forEach(execution => this._enqueue(() => this.handleExecution(execution)));
+    }
+  }
+
+  /**
+   * Handles the subscription acknowledgement, queuing the resync of the gap left by a disconnection
+   * @param {Object} message - Subscribe response
+   * @returns {void}
+   * @private
+   */
+  _onSubscribe(message) {
+    if (!message.success) {
+      // Reconnecting creates a new token
+      console.error('Kraken executions subscription failed:', message.error);
+      this.socket?.terminate();
+      return;
+    }
+    
+    console.log('Kraken executions stream connected');
+    
+    this.subscribed = true;
+    this.connectedAt = new Date();
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    
+    if (this.disconnectedAt) {
+      const from = new Date(this.disconnectedAt.getTime() - RESYNC_MARGIN_MS);
+      this.disconnectedAt = null;
+      
+      // Queued behind the snapshot, so a closed order from the REST API is not overwritten by an older execution
+      this._enqueue(() => this._resync(from));
+    }
+  }
+
+  /**
+   * Records the start of the gap and schedules a reconnection, unless the stream was stopped
+   * @param {Object} socket - WebSocket that closed
+   * @returns {void}
+   * @private
+   */
+  _onClose(socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+    
+    this.socket = null;
+    this.subscribed = false;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    
+    if (!this.running) {
+      return;
+    }
+    
+    // Failed reconnections keep the start of the gap from the first disconnection
+    this.disconnectedAt = this.disconnectedAt || new Date();
+    console.warn('Kraken executions stream disconnected');
+    
+    this._scheduleReconnect();
+  }
+
+  /**
+   * Schedules a reconnection with exponential backoff
+   * @returns {void}
+   * @private
+   */
+  _scheduleReconnect() {
+    if (!this.running) {
+      return;
+    }
+    
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+    this.reconnectAttempts++;
+    
+    console.log(`Reconnecting to the Kraken executions stream in ${delay}ms`);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  /**
+   * Schedules a sync of the output sinks, unless one is already pending for earlier executions
+   * @returns {void}
+   * @private
+   */
+  _scheduleSync() {
+    if (this.syncTimer) {
+      return;
+    }
+    
+    this.syncTimer = setTimeout(() => this._syncSinks(), this.syncDelayMs);
+  }
+
+  /**
+   * Syncs the executions stored since the last sync to the output sinks
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _syncSinks() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    
+    try {
+      await transactionService.syncTransactionsToSinks();
+    } catch (error) {
+      // The transactions stay unsynced, so the next sync writes them
+      console.error('Failed to sync Kraken executions to the output sinks:', error.message);
+    }
+  }
+
+  /**
+   * Fetches and stores the closed orders, fills and ledger entries of a gap over the REST API
+   * @param {Date} from - Start of the gap
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resync(from) {
+    const summary = await transactionService.backfillTransactions(this.account.id, from, new Date());
+    
+    console.log(
+      `Kraken executions stream resynced from ${from.toISOString()}: ${summary.saved} transactions, ${summary.trades} trades saved`
+    );
+  }
+
+  /**
+   * Queues a task behind the executions already received
+   * @param {function(): Promise<void>} task - Task to run
+   * @returns {void}
+   * @private
+   */
+  _enqueue(task) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => console.error('Failed to process Kraken execution:', error));
+  }
+}
+
+module.exports = new KrakenExecutionStreamService(); 
\ No newline at end of file
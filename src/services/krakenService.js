@@ -3,20 +3,140 @@
  * @module services/krakenService
  */
 
-const axios = require('axios');
 const crypto = require('crypto');
 const querystring = require('querystring');
 const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Asset codes of the REST API written differently by the WebSocket v2 API
+ * @type {Object<string, string>}
+ */
+const WEBSOCKET_ASSET_CODES = {
+  BTC: 'XBT',
+  DOGE: 'XDG',
+};
+
+/**
+ * API call counter limits by verification tier: the most calls the counter allows and how fast it decreases
+ * @type {Object<string, {capacity: number, refillPerSecond: number}>}
+ */
+const CALL_COUNTER_LIMITS = {
+  starter: { capacity: 15, refillPerSecond: 0.33 },
+  intermediate: { capacity: 20, refillPerSecond: 0.5 },
+  pro: { capacity: 20, refillPerSecond: 1 },
+};
+
+/**
+ * Private endpoints increasing the API call counter by 2 instead of 1
+ * @type {Array<string>}
+ */
+const HISTORY_ENDPOINTS = ['/private/Ledgers', '/private/QueryLedgers', '/private/TradesHistory', '/private/QueryTrades'];
+
+/**
+ * Errors of a request that may succeed when sent again
+ * @type {Array<string>}
+ */
+const RETRYABLE_ERRORS = [
+  'EAPI:Invalid nonce',
+  'EAPI:Rate limit exceeded',
+  'EGeneral:Temporary lockout',
+  'EService:Unavailable',
+  'EService:Busy',
+];
+
+/**
+ * Errors of a request rejected by the API call counter
+ * @type {Array<string>}
+ */
+const RATE_LIMIT_ERRORS = ['EAPI:Rate limit exceeded', 'EGeneral:Temporary lockout'];
+
+/**
+ * Throws the errors Kraken reports in the body of a successful response
+ * @param {Object} response - Axios response
+ * @returns {void}
+ */
+const checkResponse = (response) => {
+  const errors = response.data.error || [];
+  
+  if (errors.length > 0) {
+    const error = new Error(`Kraken API error: ${errors.join(', ')}`);
+    error.retryable = errors.some(message => RETRYABLE_ERRORS.includes(message));
+    error.rateLimited = errors.some(message => RATE_LIMIT_ERRORS.includes(message));
+    
+    throw error;
+  }
+};
+
+/**
+ * Environment variables of the API credentials, without the prefix of the account (e.g., KRAKEN_API_KEY)
+ * @type {Object<string, string>}
+ */
+const CREDENTIAL_VARIABLES = {
+  apiKey: 'API_KEY',
+  apiSecret: 'API_SECRET',
+};
 
 /**
  * Kraken API service for fetching and processing transaction data
  */
 class KrakenService {
-  constructor() {
-    this.apiKey = config.kraken.apiKey;
-    this.apiSecret = config.kraken.apiSecret;
-    this.baseUrl = 'https://api.kraken.com';
+  /**
+   * @param {function(): (Object|Promise<Object>)} [resolveCredentials] - Returns the API credentials of the account
+   * (apiKey and base64 apiSecret), called before every private request; those of the configuration by default
+   */
+  constructor(resolveCredentials = () => config.kraken) {
+    this.platform = 'KRAKEN';
+    this.name = 'Kraken';
+    this.credentialVariables = CREDENTIAL_VARIABLES;
+    this.resolveCredentials = resolveCredentials;
+    this.baseUrl = config.kraken.apiUrl;
     this.apiVersion = '0';
+    this.assetPairs = null;
+    
+    // Nonce of the last private request, so that two requests in the same millisecond still get increasing nonces
+    this.lastNonce = 0;
+    
+    // Private requests count against the API call counter of the account, public ones against a limit per IP
+    this.http = new ExchangeHttpClient({
+      name: this.name,
+      rateLimit: CALL_COUNTER_LIMITS[config.kraken.tier] || CALL_COUNTER_LIMITS.starter,
+      checkResponse,
+    });
+    this.publicHttp = new ExchangeHttpClient({
+      name: `${this.name} public`,
+      rateLimit: { capacity: 1, refillPerSecond: 1 },
+      checkResponse,
+    });
+  }
+
+  /**
+   * Creates the adapter of another Kraken account
+   * @param {function(): (Object|Promise<Object>)} resolveCredentials - Returns the API credentials of the account,
+   * see the constructor
+   * @returns {KrakenService} Adapter signing its requests with the credentials
+   */
+  withCredentials(resolveCredentials) {
+    const service = new KrakenService(resolveCredentials);
+    
+    // The API call counter and the nonces belong to the account, the public endpoints and asset pairs do not
+    service.publicHttp = this.publicHttp;
+    service.fetchAssetPairs = () => this.fetchAssetPairs();
+    
+    return service;
+  }
+
+  /**
+   * Returns a nonce greater than every nonce already sent, as Kraken rejects any other
+   * @returns {number} Nonce in microseconds
+   * @private
+   */
+  _nextNonce() {
+    this.lastNonce = Math.max(Date.now() * 1000, this.lastNonce + 1);
+    
+    return this.lastNonce;
   }
 
   /**
@@ -24,20 +144,20 @@ class KrakenService {
    * @param {string} path - API path
    * @param {Object} params - Request parameters
    * @param {number} nonce - Unique nonce value
+   * @param {string} apiSecret - Kraken API secret (base64)
    * @returns {string} Base64 encoded signature
    * @private
    */
-  _generateSignature(path, params, nonce) {
-    const postData = querystring.stringify(params);
-    const secret = Buffer.from(this.apiSecret, 'base64');
+  _generateSignature(path, params, nonce, apiSecret) {
+    const secret = Buffer.from(apiSecret, 'base64');
     
     // Create message to sign
     const message = querystring.stringify(params);
     const hash = crypto.createHash('sha256').update(nonce + message).digest();
     
-    // Create HMAC
+    // Create HMAC over the path followed by the raw hash bytes, which must not be turned into a string
     const hmac = crypto.createHmac('sha512', secret)
-      .update(path + hash)
+      .update(Buffer.concat([Buffer.from(path), hash]))
       .digest('base64');
     
     return hmac;
@@ -54,36 +174,80 @@ class KrakenService {
     const path = `/${this.apiVersion}${endpoint}`;
     const url = `${this.baseUrl}${path}`;
     
-    // Add nonce to parameters
-    const nonce = Date.now() * 1000;
-    const requestParams = {
-      ...params,
-      nonce,
-    };
-    
-    const signature = this._generateSignature(path, requestParams, nonce);
-    
-    try {
-      const response = await axios({
+    const response = await this.http.request(async () => {
+      const { apiKey, apiSecret } = await this.resolveCredentials();
+      
+      // A retried request needs a new nonce, and so a new signature
+      const nonce = this._nextNonce();
+      const requestParams = {
+        ...params,
+        nonce,
+      };
+      
+      const signature = this._generateSignature(path, requestParams, nonce, apiSecret);
+      
+      return {
         method: 'POST',
         url,
         headers: {
-          'API-Key': this.apiKey,
+          'API-Key': apiKey,
           'API-Sign': signature,
           'Content-Type': 'application/x-www-form-urlencoded',
         },
         data: querystring.stringify(requestParams),
-      });
-      
-      if (response.data.error && response.data.error.length > 0) {
-        throw new Error(`Kraken API error: ${response.data.error.join(', ')}`);
-      }
-      
-      return response.data.result;
-    } catch (error) {
-      console.error('Kraken API request failed:', error.response?.data || error.message);
-      throw error;
+      };
+    }, { cost: HISTORY_ENDPOINTS.includes(endpoint) ? 2 : 1 });
+    
+    return response.data.result;
+  }
+
+  /**
+   * Makes an unauthenticated request to a public Kraken API endpoint
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object>} Response data
+   * @private
+   */
+  async _makePublicRequest(endpoint, params = {}) {
+    const url = `${this.baseUrl}/${this.apiVersion}${endpoint}`;
+    
+    const response = await this.publicHttp.request(() => ({
+      method: 'GET',
+      url,
+      params,
+    }));
+    
+    return response.data.result;
+  }
+
+  /**
+   * Fetches the tradable asset pairs, cached for the lifetime of the service
+   * @returns {Promise<Object>} Asset pairs keyed by pair name
+   */
+  async fetchAssetPairs() {
+    if (!this.assetPairs) {
+      this.assetPairs = await this._makePublicRequest('/public/AssetPairs');
     }
+    
+    return this.assetPairs;
+  }
+
+  /**
+   * Fetches the account balances in the common balance format
+   * @returns {Promise<Array>} Array of balances with asset, free, locked and total amounts
+   */
+  async fetchBalances() {
+    const balances = await this._makeRequest('/private/Balance');
+    
+    // Kraken reports a single amount per asset, using its own asset codes (e.g., XXBT)
+    return Object.entries(balances)
+      .map(([asset, amount]) => ({
+        asset,
+        free: parseFloat(amount),
+        locked: 0,
+        total: parseFloat(amount),
+      }))
+      .filter(balance => balance.total > 0);
   }
 
   /**
@@ -91,56 +255,405 @@ class KrakenService {
    * @returns {Promise<Array>} Array of transaction objects
    */
   async fetchTodayTransactions() {
-    // Calculate start of current day (Unix timestamp in seconds)
+    // Calculate start of current day (UTC)
     const startOfDay = new Date();
     startOfDay.setUTCHours(0, 0, 0, 0);
-    const startTime = Math.floor(startOfDay.getTime() / 1000);
     
-    const params = {
-      start: startTime,
+    return this.fetchTransactionsInRange(startOfDay, new Date());
+  }
+
+  /**
+   * Fetches closed orders within a date range, paging with the ofs offset
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of transaction objects
+   */
+  async fetchTransactionsInRange(from, to) {
+    // Kraken expects Unix timestamps in seconds
+    const start = Math.floor(from.getTime() / 1000);
+    const end = Math.floor(to.getTime() / 1000);
+    
+    try {
+      const transactions = [];
+      let offset = 0;
+      let total = Infinity;
+      
+      while (offset < total) {
+        const closedOrders = await this._makeRequest('/private/ClosedOrders', {
+          start,
+          end,
+          ofs: offset,
+        });
+        
+        const page = Object.entries(closedOrders.closed);
+        total = closedOrders.count;
+        
+        if (page.length === 0) {
+          break;
+        }
+        
+        transactions.push(...page.map(([orderId, order]) => this._mapOrder(orderId, order)));
+        offset += page.length;
+      }
+      
+      console.log(`Fetched ${transactions.length} transactions from Kraken between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return symbolNormalizationService.normalizeTransactions(transactions);
+    } catch (error) {
+      console.error('Failed to fetch Kraken transactions in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Kraken order to the common transaction format
+   * @param {string} orderId - Kraken order ID
+   * @param {Object} order - Kraken order object
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _mapOrder(orderId, order) {
+    return {
+      orderId,
+      symbol: order.descr.pair,
+      side: order.descr.type.toUpperCase(),
+      type: order.descr.ordertype.toUpperCase(),
+      price: parseFloat(order.price),
+      origQty: parseFloat(order.vol),
+      cummulativeQuoteQty: parseFloat(order.cost),
+      executedQty: parseFloat(order.vol_exec),
+      status: this.mapOrderStatus(order.status),
+      time: new Date(order.opentm * 1000),
+      // Open orders have no close time yet
+      updateTime: new Date((order.closetm || order.opentm) * 1000),
+      isWorking: order.status === 'open',
+    };
+  }
+
+  /**
+   * Fetches a single order, open or closed
+   * @param {string} orderId - Kraken order ID, unique across pairs
+   * @returns {Promise<Object|null>} Transaction object or null if Kraken does not know the order
+   */
+  async fetchOrder(orderId) {
+    const orders = await this._makeRequest('/private/QueryOrders', { txid: orderId });
+    const order = orders[orderId];
+    
+    if (!order) {
+      return null;
+    }
+    
+    const [transaction] = await symbolNormalizationService.normalizeTransactions([this._mapOrder(orderId, order)]);
+    
+    return transaction;
+  }
+
+  /**
+   * Creates a token authenticating a WebSocket v2 connection to the private channels
+   * @returns {Promise<string>} Token, to be used within 15 minutes
+   */
+  async fetchWebSocketsToken() {
+    const { token } = await this._makeRequest('/private/GetWebSocketsToken');
+    
+    return token;
+  }
+
+  /**
+   * Resolves a WebSocket v2 symbol to the pair name stored on orders
+   * @param {string} wsSymbol - WebSocket v2 symbol (e.g., BTC/USD)
+   * @returns {Promise<string>} Alternate pair name (e.g., XBTUSD)
+   */
+  async resolveWebSocketSymbol(wsSymbol) {
+    const assetPairs = await this.fetchAssetPairs();
+    const wsname = wsSymbol
+      .split('/')
+      .map(asset => WEBSOCKET_ASSET_CODES[asset] || asset)
+      .join('/');
+    const assetPair = Object.values(assetPairs).find(pair => pair.wsname === wsname);
+    
+    return assetPair ? assetPair.altname : wsSymbol.replace('/', '');
+  }
+
+  /**
+   * Maps the accumulated executions of an order from the WebSocket v2 executions channel to the common
+   * transaction format
+   * @param {Object} order - Fields of every execution received for the order, the latest winning
+   * @param {string} symbol - Pair name resolved from the WebSocket symbol
+   * @returns {Object} Transaction object
+   */
+  mapExecutionOrder(order, symbol) {
+    return {
+      orderId: order.order_id,
+      symbol,
+      side: order.side.toUpperCase(),
+      type: order.order_type.toUpperCase(),
+      price: parseFloat(order.avg_price ?? order.limit_price ?? 0),
+      origQty: parseFloat(order.order_qty),
+      cummulativeQuoteQty: parseFloat(order.cum_cost ?? 0),
+      executedQty: parseFloat(order.cum_qty ?? 0),
+      status: this.mapOrderStatus(order.order_status),
+      time: new Date(order.openedAt),
+      updateTime: new Date(order.timestamp),
+      isWorking: ['new', 'partially_filled'].includes(order.order_status),
+    };
+  }
+
+  /**
+   * Maps a trade execution from the WebSocket v2 executions channel to the common trade format
+   * @param {Object} execution - Execution with exec_type trade
+   * @param {string} symbol - Pair name of the order
+   * @returns {Object} Trade object
+   */
+  mapExecutionTrade(execution, symbol) {
+    const fees = execution.fees || [];
+    
+    return {
+      // The execution ID is the trade ID of the REST API
+      tradeId: execution.exec_id,
+      orderId: execution.order_id,
+      symbol,
+      side: execution.side.toUpperCase(),
+      price: parseFloat(execution.last_price),
+      quantity: parseFloat(execution.last_qty),
+      quoteQuantity: parseFloat(execution.cost),
+      commission: fees.reduce((total, fee) => total + parseFloat(fee.qty), 0),
+      commissionAsset: fees.length > 0 ? fees[0].asset : null,
+      isMaker: execution.liquidity_ind === 'm',
+      time: new Date(execution.timestamp),
+    };
+  }
+
+  /**
+   * Fetches the fills executed within a date range, paging with the ofs offset
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of trade objects
+   */
+  async fetchTradesInRange(from, to) {
+    // Kraken expects Unix timestamps in seconds
+    const start = Math.floor(from.getTime() / 1000);
+    const end = Math.floor(to.getTime() / 1000);
+    
+    try {
+      const assetPairs = await this.fetchAssetPairs();
+      const trades = [];
+      let offset = 0;
+      let total = Infinity;
+      
+      while (offset < total) {
+        const tradesHistory = await this._makeRequest('/private/TradesHistory', {
+          start,
+          end,
+          ofs: offset,
+        });
+        
+        const page = Object.entries(tradesHistory.trades);
+        total = tradesHistory.count;
+        
+        if (page.length === 0) {
+          break;
+        }
+        
+        trades.push(...page.map(([tradeId, trade]) => this._mapTrade(tradeId, trade, assetPairs)));
+        offset += page.length;
+      }
+      
+      console.log(`Fetched ${trades.length} trades from Kraken between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return trades;
+    } catch (error) {
+      console.error('Failed to fetch Kraken trades in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Kraken trade to the common trade format
+   * @param {string} tradeId - Kraken trade ID
+   * @param {Object} trade - Kraken trade object
+   * @param {Object} assetPairs - Kraken asset pairs keyed by pair name
+   * @returns {Object} Trade object
+   * @private
+   */
+  _mapTrade(tradeId, trade, assetPairs) {
+    // Kraken charges fees in the quote currency of the pair
+    const assetPair = assetPairs[trade.pair];
+    
+    return {
+      tradeId,
+      orderId: trade.ordertxid,
+      // Orders use the pair's alternate name (XBTUSD rather than XXBTZUSD)
+      symbol: assetPair ? assetPair.altname : trade.pair,
+      side: trade.type.toUpperCase(),
+      price: parseFloat(trade.price),
+      quantity: parseFloat(trade.vol),
+      quoteQuantity: parseFloat(trade.cost),
+      commission: parseFloat(trade.fee),
+      commissionAsset: assetPair ? assetPair.quote : null,
+      isMaker: Boolean(trade.maker),
+      time: new Date(trade.time * 1000),
     };
+  }
+
+  /**
+   * Fetches the ledger entries that are not trades within a date range, paging with the ofs offset
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of ledger entry objects
+   */
+  async fetchLedgerEntriesInRange(from, to) {
+    // Kraken expects Unix timestamps in seconds
+    const start = Math.floor(from.getTime() / 1000);
+    const end = Math.floor(to.getTime() / 1000);
     
     try {
-      // Fetch closed orders for the current day
-      const closedOrders = await this._makeRequest('/private/ClosedOrders', params);
+      const entries = [];
+      let offset = 0;
+      let total = Infinity;
       
-      // Map Kraken orders to a common format
-      const transactions = Object.entries(closedOrders.closed).map(([orderId, order]) => ({
-        orderId,
-        symbol: order.descr.pair,
-        side: order.descr.type.toUpperCase(),
-        type: order.descr.ordertype.toUpperCase(),
-        price: parseFloat(order.price),
-        origQty: parseFloat(order.vol),
-        cummulativeQuoteQty: parseFloat(order.cost),
-        status: this._mapOrderStatus(order.status),
-        time: new Date(order.opentm * 1000),
-        updateTime: new Date(order.closetm * 1000),
-        isWorking: false,
-      }));
+      while (offset < total) {
+        const ledgers = await this._makeRequest('/private/Ledgers', {
+          start,
+          end,
+          ofs: offset,
+        });
+        
+        const page = Object.entries(ledgers.ledger);
+        total = ledgers.count;
+        
+        if (page.length === 0) {
+          break;
+        }
+        
+        entries.push(...page
+          .map(([entryId, entry]) => this._mapLedgerEntry(entryId, entry))
+          .filter(Boolean));
+        offset += page.length;
+      }
       
-      console.log(`Fetched ${transactions.length} transactions from Kraken for today`);
+      console.log(`Fetched ${entries.length} ledger entries from Kraken between ${from.toISOString()} and ${to.toISOString()}`);
       
-      return transactions;
+      return entries;
     } catch (error) {
-      console.error('Failed to fetch today\'s transactions from Kraken:', error);
+      console.error('Failed to fetch Kraken ledger entries in range:', error);
       throw error;
     }
   }
 
+  /**
+   * Maps a Kraken ledger entry to the common ledger entry format
+   * @param {string} entryId - Kraken ledger ID
+   * @param {Object} entry - Kraken ledger entry object
+   * @returns {Object|null} Ledger entry object or null if the entry belongs to a trade
+   * @private
+   */
+  _mapLedgerEntry(entryId, entry) {
+    const type = this._mapLedgerType(entry.type, entry.subtype);
+    
+    if (!type) {
+      return null;
+    }
+    
+    return {
+      entryId,
+      type,
+      asset: entry.asset,
+      amount: parseFloat(entry.amount),
+      fee: parseFloat(entry.fee || 0),
+      txId: null,
+      description: entry.subtype ? `${entry.type} ${entry.subtype}` : entry.type,
+      time: new Date(entry.time * 1000),
+    };
+  }
+
+  /**
+   * Maps a Kraken ledger type to a ledger entry type
+   * @param {string} type - Kraken ledger type
+   * @param {string} [subtype] - Kraken ledger subtype
+   * @returns {string|null} Ledger entry type or null for the trade legs already stored as transactions
+   * @private
+   */
+  _mapLedgerType(type, subtype) {
+    if (['trade', 'spend', 'receive', 'margin', 'rollover', 'settled'].includes(type)) {
+      return null;
+    }
+    
+    if (type === 'transfer' && subtype === 'airdrop') {
+      return 'AIRDROP';
+    }
+    
+    // Earn entries also move funds between the spot and the earn wallets, only rewards are income
+    if (type === 'earn') {
+      return subtype === 'reward' ? 'STAKING_REWARD' : 'TRANSFER';
+    }
+    
+    const typeMap = {
+      'deposit': 'DEPOSIT',
+      'withdrawal': 'WITHDRAWAL',
+      'staking': 'STAKING_REWARD',
+      'reward': 'STAKING_REWARD',
+      'dividend': 'STAKING_REWARD',
+      'transfer': 'TRANSFER',
+    };
+    
+    return typeMap[type] || 'OTHER';
+  }
+
+  /**
+   * Validates the signature of a Kraken webhook request, computed over its timestamp and raw body
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<boolean>} Whether the signature is valid and the delivery recent
+   */
+  async verifyWebhook(req) {
+    const { apiSecret } = await this.resolveCredentials();
+    
+    return verifyWebhookSignature(req, {
+      signatureHeader: 'x-kraken-signature',
+      timestampHeader: 'x-kraken-timestamp',
+      secret: Buffer.from(apiSecret || '', 'base64'),
+      algorithm: 'sha512',
+      encoding: 'base64',
+    });
+  }
+
+  /**
+   * Maps a Kraken webhook payload to the common transaction format
+   * @param {Object} data - Webhook payload, a Kraken order
+   * @returns {Object|null} Transaction object or null if the payload is not an order
+   */
+  mapWebhookTransaction(data) {
+    if (!data.orderid) {
+      return null;
+    }
+    
+    return {
+      orderId: data.orderid,
+      symbol: data.pair,
+      side: data.type.toUpperCase(),
+      type: data.ordertype.toUpperCase(),
+      price: parseFloat(data.price),
+      origQty: parseFloat(data.vol),
+      cummulativeQuoteQty: parseFloat(data.cost),
+      status: this.mapOrderStatus(data.status),
+      time: new Date(data.opentm * 1000),
+      updateTime: new Date(data.closetm * 1000),
+      isWorking: data.status === 'open',
+    };
+  }
+
   /**
    * Maps Kraken order status to a common format
-   * @param {string} status - Kraken order status
+   * @param {string} status - Kraken order status, from the REST API or the WebSocket v2 API
    * @returns {string} Mapped status
-   * @private
    */
-  _mapOrderStatus(status) {
+  mapOrderStatus(status) {
     const statusMap = {
       'closed': 'FILLED',
       'canceled': 'CANCELED',
       'expired': 'EXPIRED',
       'open': 'NEW',
       'pending': 'PENDING',
+      'pending_new': 'PENDING',
     };
     
     return statusMap[status] || status.toUpperCase();
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Service for fetching, storing and syncing ledger entries (movements that are not trades)
+ * @module services/ledgerService
+ */
+
+const LedgerEntry = require('../models/ledgerEntry');
+const accountRegistry = require('./accountRegistry');
+const sinkRegistry = require('./sinkRegistry');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const { hasChanges } = require('../utils/transactionRecord');
+
+/**
+ * Ledger service recording deposits, withdrawals, rewards and fees charged outside trades
+ */
+class LedgerService {
+  constructor() {
+    // Pending sync to the Google Sheet, so concurrent syncs never hand out the same rows
+    this.syncQueue = Promise.resolve();
+  }
+
+  /**
+   * IDs of the registered accounts whose adapter lists ledger entries
+   * @type {Array<string>}
+   */
+  get accountIds() {
+    return accountRegistry.ids
+      .filter(accountId => typeof accountRegistry.getAdapter(accountId).fetchLedgerEntriesInRange === 'function');
+  }
+
+  /**
+   * Fetches an account's ledger entries for a date range and stores them in MongoDB
+   * @param {string} accountId - Registered account ID (e.g., kraken)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of saved ledger entry documents, empty if the platform lists none
+   */
+  async fetchAndStoreEntries(accountId, from, to) {
+    const account = accountRegistry.getAccount(accountId);
+    const adapter = accountRegistry.getAdapter(accountId);
+    
+    if (typeof adapter.fetchLedgerEntriesInRange !== 'function') {
+      console.log(`${account.platform} does not list ledger entries`);
+      return [];
+    }
+    
+    const entries = await adapter.fetchLedgerEntriesInRange(from, to);
+    
+    await symbolNormalizationService.loadAliases();
+    
+    // Add platform and account identifiers and the normalized asset to each entry
+    return this.saveEntriesToDatabase(entries.map(entry => ({
+      ...entry,
+      platform: account.platform,
+      accountId,
+      asset: symbolNormalizationService.normalizeAsset(entry.asset),
+    })));
+  }
+
+  /**
+   * Saves ledger entries to MongoDB
+   * @param {Array} entries - Array of ledger entry objects from various platforms
+   * @returns {Promise<Array>} Array of saved ledger entry documents
+   */
+  async saveEntriesToDatabase(entries) {
+    try {
+      if (entries.length === 0) {
+        console.log('No ledger entries to save');
+        return [];
+      }
+      
+      const keyFilter = {
+        $or: entries.map(e => ({
+          entryId: e.entryId,
+          platform: e.platform,
+          type: e.type,
+          accountId: e.accountId
+        }))
+      };
+      const storedEntries = new Map(
+        (await LedgerEntry.find(keyFilter).lean()).map(stored => [this._entryKey(stored), stored])
+      );
+      
+      const operations = entries.flatMap(entry => {
+        const fields = {
+          asset: entry.asset,
+          amount: entry.amount,
+          fee: entry.fee,
+          txId: entry.txId,
+          description: entry.description,
+          time: new Date(entry.time),
+        };
+        
+        // Entries fetched again without any change keep their sync state and are not written
+        if (!hasChanges(storedEntries.get(this._entryKey(entry)), fields)) {
+          return [];
+        }
+        
+        return [{
+          updateOne: {
+            filter: {
+              entryId: entry.entryId,
+              platform: entry.platform,
+              type: entry.type,
+              accountId: entry.accountId
+            },
+            update: {
+              $set: {
+                entryId: entry.entryId,
+                platform: entry.platform,
+                accountId: entry.accountId,
+                type: entry.type,
+                ...fields,
+                syncState: [],
+              },
+            },
+            upsert: true,
+          },
+        }];
+      });
+      
+      if (operations.length > 0) {
+        await LedgerEntry.bulkWrite(operations);
+        console.log(`${operations.length} new or changed ledger entries saved to database`);
+      }
+      
+      return LedgerEntry.find(keyFilter);
+    } catch (error) {
+      console.error('Failed to save ledger entries to database:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Syncs the new and changed ledger entries to the "Ledger" tab, when the Google Sheets sink is enabled
+   *
+   * Entries keep their row like transactions do, so an entry that changes or a sync interrupted halfway rewrites
+   * the same row.
+   * @returns {Promise<Array>} Array of synced ledger entry documents
+   */
+  async syncEntriesToGoogleSheets() {
+    if (!sinkRegistry.hasSink('sheets')) {
+      return [];
+    }
+    
+    const sink = sinkRegistry.getSink('sheets');
+    const run = this.syncQueue.then(async () => {
+      try {
+        const unsyncedEntries = await LedgerEntry.find({ 'syncState.sink': { $ne: sink.name } }).sort({ time: 1 });
+        
+        if (unsyncedEntries.length === 0) {
+          console.log('No unsynced ledger entries to sync to Google Sheets');
+          return [];
+        }
+        
+        await sink.writeLedgerEntries(unsyncedEntries);
+        await this._markSynced(sink.name, unsyncedEntries);
+        
+        console.log(`${unsyncedEntries.length} ledger entries synced to Google Sheets`);
+        
+        return unsyncedEntries;
+      } catch (error) {
+        console.error('Failed to sync ledger entries to Google Sheets:', error);
+        throw error;
+      }
+    });
+    
+    // A failed sync must not block the following ones
+    this.syncQueue = run.catch(() => {});
+    
+    return run;
+  }
+
+  /**
+   * Lists stored ledger entries, most recent first
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.platform] - Platform code
+   * @param {string} [filters.account] - Account ID
+   * @param {string} [filters.type] - Entry type
+   * @param {string} [filters.asset] - Normalized asset code
+   * @param {Date} [filters.from] - Earliest entry time (inclusive)
+   * @param {Date} [filters.to] - Latest entry time (inclusive)
+   * @param {number} [filters.limit=100] - Maximum number of entries
+   * @returns {Promise<Array>} Ledger entry documents
+   */
+  async listEntries({ platform, account, type, asset, from, to, limit = 100 } = {}) {
+    const filter = {};
+    
+    if (platform) {
+      filter.platform = platform;
+    }
+    
+    if (account) {
+      filter.accountId = account;
+    }
+    
+    if (type) {
+      filter.type = type;
+    }
+    
+    if (asset) {
+      filter.asset = asset;
+    }
+    
+    if (from || to) {
+      filter.time = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      };
+    }
+    
+    return LedgerEntry.find(filter).sort({ time: -1 }).limit(limit);
+  }
+
+  /**
+   * Marks ledger entries as synced to a sink, unless they changed after being read
+   * @param {string} name - Sink name
+   * @param {Array} entries - Ledger entry documents as written to the sink
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markSynced(name, entries) {
+    const syncedAt = new Date();
+    
+    await LedgerEntry.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { _id: entry._id, updatedAt: entry.updatedAt, 'syncState.sink': { $ne: name } },
+        update: { $push: { syncState: { sink: name, syncedAt } } },
+        timestamps: false,
+      },
+    })));
+  }
+
+  /**
+   * Returns the key identifying a ledger entry, matching the unique index of stored entries
+   * @param {Object} entry - Ledger entry object or document
+   * @returns {string} Key in the form platform:accountId:type:entryId
+   * @private
+   */
+  _entryKey(entry) {
+    return `${entry.platform}:${entry.accountId}:${entry.type}:${entry.entryId}`;
+  }
+}
+
+module.exports = new LedgerService(); 
\ No newline at end of file
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Service for calculating realized profit and loss from stored transactions
+ * @module services/pnlService
+ */
+
+const Transaction = require('../models/transaction');
+const Trade = require('../models/trade');
+const RealizedGain = require('../models/realizedGain');
+const Transfer = require('../models/transfer');
+const googleSheetsService = require('./googleSheetsService');
+const priceService = require('./priceService');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Supported cost basis methods
+ * @type {Array<string>}
+ */
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'HIFO', 'AVERAGE'];
+
+/**
+ * Fiat currencies, whose holdings are not tracked as lots when they are the quote side of a trade
+ * @type {Array<string>}
+ */
+const FIAT_CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF', 'JPY', 'CAD', 'AUD'];
+
+/**
+ * Quantities below this threshold are treated as zero to absorb floating point noise
+ * @type {number}
+ */
+const EPSILON = 1e-12;
+
+/**
+ * P&L service replaying BUY and SELL transactions per asset to calculate realized gains in the reporting currency
+ */
+class PnlService {
+  constructor() {
+    this.methods = COST_BASIS_METHODS;
+  }
+
+  /**
+   * Calculates the realized gains of every sale in a year and stores them with the lots they consumed
+   * @param {Object} options - Calculation options
+   * @param {string} [options.method='FIFO'] - Cost basis method (FIFO, LIFO, HIFO, AVERAGE)
+   * @param {number} [options.year] - Tax year, defaults to the current year
+   * @returns {Promise<Object>} Method, year, per-asset totals and disposals
+   */
+  async calculateRealizedGains({ method = 'FIFO', year = new Date().getUTCFullYear() } = {}) {
+    try {
+      // Acquisitions from previous years are needed to know the cost basis of this year's sales
+      const endOfYear = new Date(Date.UTC(year + 1, 0, 1));
+      // Orders that never filled (NEW, or CANCELED before any fill) moved no assets
+      const transactions = await Transaction.find({
+        time: { $lt: endOfYear },
+        $or: [
+          { executedQuantity: { $gt: 0 } },
+          { executedQuantity: null, status: 'FILLED' },
+        ],
+      }).sort({ time: 1 });
+      const feesByTransaction = await this._getFeesByTransaction(transactions);
+      const transfers = await Transfer.find({ sentAt: { $lt: endOfYear }, fee: { $gt: 0 } }).sort({ sentAt: 1 });
+      
+      await symbolNormalizationService.loadAliases();
+      
+      const fxRates = await this._getFxRates(transactions);
+      const disposals = this._replayTransactions(transactions, feesByTransaction, fxRates, method, transfers)
+        .filter(disposal => disposal.disposedAt.getUTCFullYear() === year);
+      
+      await RealizedGain.deleteMany({ method, year });
+      
+      if (disposals.length > 0) {
+        await RealizedGain.insertMany(disposals.map(disposal => ({ ...disposal, method, year })));
+      }
+      
+      console.log(`Calculated ${disposals.length} realized gains for ${year} using ${method}`);
+      
+      return {
+        method,
+        year,
+        totals: this._summarize(disposals),
+        disposals,
+      };
+    } catch (error) {
+      console.error('Failed to calculate realized gains:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the realized gains of a year stored by the last calculation, without recalculating them
+   * @param {Object} options - Report options
+   * @param {string} [options.method='FIFO'] - Cost basis method (FIFO, LIFO, HIFO, AVERAGE)
+   * @param {number} [options.year] - Tax year, defaults to the current year
+   * @returns {Promise<Object>} Method, year, per-asset totals and disposals, empty until calculated
+   */
+  async getRealizedGains({ method = 'FIFO', year = new Date().getUTCFullYear() } = {}) {
+    const disposals = await RealizedGain.find({ method, year }).sort({ disposedAt: 1 }).lean();
+    
+    return {
+      method,
+      year,
+      totals: this._summarize(disposals),
+      disposals,
+    };
+  }
+
+  /**
+   * Calculates the realized gains of a year and writes them to the "P&L" sheet
+   * @param {Object} options - Calculation options, see calculateRealizedGains
+   * @returns {Promise<Object>} Calculated report
+   */
+  async syncRealizedGainsToGoogleSheets(options) {
+    const report = await this.calculateRealizedGains(options);
+    
+    const rows = [
+      ['Disposal Date', 'Platform', 'Order ID', 'Asset', 'Currency', 'Quantity', 'Proceeds', 'Cost Basis', 'Fees', 'Gain', 'Method'],
+      ...report.disposals.map(disposal => [
+        disposal.disposedAt.toISOString(),
+        disposal.platform,
+        disposal.orderId,
+        disposal.asset,
+        disposal.costCurrency,
+        disposal.quantity,
+        disposal.proceeds,
+        disposal.costBasis,
+        disposal.fees,
+        disposal.gain,
+        report.method
+      ]),
+    ];
+    
+    await googleSheetsService.replaceSheet('P&L', rows);
+    
+    return report;
+  }
+
+  /**
+   * Loads the fees of the fills behind each transaction
+   * @param {Array} transactions - Transaction documents
+   * @returns {Promise<Map>} Fees keyed by transaction ID
+   * @private
+   */
+  async _getFeesByTransaction(transactions) {
+    const trades = await Trade.find({ transaction: { $in: transactions.map(t => t._id) } });
+    const feesByTransaction = new Map();
+    
+    trades.forEach(trade => {
+      const key = String(trade.transaction);
+      
+      if (!feesByTransaction.has(key)) {
+        feesByTransaction.set(key, []);
+      }
+      
+      feesByTransaction.get(key).push({
+        amount: trade.commission,
+        asset: trade.commissionAsset,
+      });
+    });
+    
+    return feesByTransaction;
+  }
+
+  /**
+   * Loads the rate from the quote asset of each transaction to the reporting currency at its time
+   *
+   * Transactions already valued in the reporting currency keep their stored rate, the others are priced.
+   * @param {Array} transactions - Transaction documents
+   * @returns {Promise<Map>} Rates keyed by transaction ID, null when no price is available
+   * @private
+   */
+  async _getFxRates(transactions) {
+    const fxRates = new Map();
+    
+    for (const transaction of transactions) {
+      const { quoteAsset } = this._getAssets(transaction);
+      let fxRate = null;
+      
+      if (transaction.reportingCurrency === priceService.reportingCurrency && transaction.fxRate !== null) {
+        fxRate = transaction.fxRate;
+      } else if (quoteAsset) {
+        fxRate = await priceService.getRate(quoteAsset, priceService.reportingCurrency, transaction.time);
+      }
+      
+      fxRates.set(String(transaction._id), fxRate);
+    }
+    
+    return fxRates;
+  }
+
+  /**
+   * Replays transactions in time order, building lots from purchases and consuming them on sales
+   *
+   * Lots are pooled per base asset across platforms and quote currencies, with their cost basis valued in the
+   * reporting currency, so an asset bought with USDT and sold for EUR keeps its cost basis. Transfers between our
+   * own accounts keep their lots too; only the amount lost to transfer fees leaves the lots, without realizing a
+   * gain or loss. When the quote asset is a crypto asset (e.g. BTC for ETHBTC), a BUY also disposes of the quote
+   * asset spent at the value of the trade, and a SELL acquires a lot of the quote asset received.
+   * @param {Array} transactions - Transaction documents sorted by time
+   * @param {Map} feesByTransaction - Fees keyed by transaction ID
+   * @param {Map} fxRates - Rates from the quote asset to the reporting currency keyed by transaction ID
+   * @param {string} method - Cost basis method
+   * @param {Array} [transfers] - Transfer documents with a fee, sorted by time
+   * @returns {Array<Object>} Disposals with their realized gain and consumed lots
+   * @private
+   */
+  _replayTransactions(transactions, feesByTransaction, fxRates, method, transfers = []) {
+    const pools = new Map();
+    const disposals = [];
+    let transferIndex = 0;
+    
+    transactions.forEach(transaction => {
+      // Apply the transfers sent before this transaction
+      while (transferIndex < transfers.length && transfers[transferIndex].sentAt <= transaction.time) {
+        this._applyTransferFee(pools, transfers[transferIndex]);
+        transferIndex++;
+      }
+      
+      const assets = this._getAssets(transaction);
+      const quantity = this._getFilledQuantity(transaction);
+      
+      if (!assets.baseAsset || !assets.quoteAsset) {
+        console.warn(`Skipping transaction ${transaction.orderId} with unrecognised symbol ${transaction.symbol}`);
+        return;
+      }
+      
+      if (!(quantity > 0)) {
+        return;
+      }
+      
+      const fxRate = fxRates.get(String(transaction._id));
+      
+      if (fxRate === null || fxRate === undefined) {
+        console.warn(`Skipping transaction ${transaction.orderId} without a ${assets.quoteAsset} rate`);
+        return;
+      }
+      
+      const fees = this._splitFees(feesByTransaction.get(String(transaction._id)) || [], assets);
+      const value = transaction.quoteQuantity * fxRate;
+      const tracksQuote = this._isTrackedAsset(assets.quoteAsset);
+      
+      if (transaction.side === 'BUY') {
+        // Fees charged in the bought asset reduce the quantity received
+        this._getPool(pools, assets.baseAsset).push({
+          transaction: transaction._id,
+          platform: transaction.platform,
+          acquiredAt: transaction.time,
+          quantity: quantity - fees.base,
+          costBasis: value + fees.quote * fxRate,
+        });
+        
+        // The quote asset spent, fees included, is sold at its value; the fees are part of the purchase cost
+        if (tracksQuote) {
+          const spent = transaction.quoteQuantity + fees.quote;
+          
+          disposals.push(this._dispose(pools, transaction, assets.quoteAsset, spent, spent * fxRate, 0, method));
+        }
+        return;
+      }
+      
+      const unitPrice = value / quantity;
+      const saleFees = fees.quote * fxRate + fees.base * unitPrice;
+      
+      disposals.push(this._dispose(pools, transaction, assets.baseAsset, quantity, value, saleFees, method));
+      
+      // Fees charged in the quote asset reduce the quantity received
+      if (tracksQuote) {
+        const received = transaction.quoteQuantity - fees.quote;
+        
+        this._getPool(pools, assets.quoteAsset).push({
+          transaction: transaction._id,
+          platform: transaction.platform,
+          acquiredAt: transaction.time,
+          quantity: received,
+          costBasis: received * fxRate,
+        });
+      }
+    });
+    
+    return disposals;
+  }
+
+  /**
+   * Consumes the lots of an asset disposed of by a transaction and calculates the realized gain
+   * @param {Map} pools - Open lots keyed by asset, modified in place
+   * @param {Object} transaction - Transaction document disposing of the asset
+   * @param {string} asset - Asset disposed of
+   * @param {number} quantity - Quantity disposed of
+   * @param {number} proceeds - Value of the quantity in the reporting currency
+   * @param {number} fees - Fees of the disposal in the reporting currency
+   * @param {string} method - Cost basis method
+   * @returns {Object} Disposal with its realized gain and consumed lots
+   * @private
+   */
+  _dispose(pools, transaction, asset, quantity, proceeds, fees, method) {
+    const { consumedLots, unmatchedQuantity } = this._consumeLots(this._getPool(pools, asset), quantity, method);
+    const costBasis = consumedLots.reduce((sum, lot) => sum + lot.costBasis, 0);
+    
+    return {
+      transaction: transaction._id,
+      orderId: transaction.orderId,
+      platform: transaction.platform,
+      asset,
+      costCurrency: priceService.reportingCurrency,
+      disposedAt: transaction.time,
+      quantity,
+      proceeds,
+      costBasis,
+      fees,
+      gain: proceeds - fees - costBasis,
+      unmatchedQuantity,
+      lots: consumedLots,
+    };
+  }
+
+  /**
+   * Returns the open lots of an asset, creating its pool on first use
+   * @param {Map} pools - Open lots keyed by asset, modified in place
+   * @param {string} asset - Asset of the pool
+   * @returns {Array<Object>} Open lots of the asset
+   * @private
+   */
+  _getPool(pools, asset) {
+    if (!pools.has(asset)) {
+      pools.set(asset, []);
+    }
+    
+    return pools.get(asset);
+  }
+
+  /**
+   * Tells whether the holdings of an asset are tracked as lots when it is the quote side of a trade
+   * @param {string} asset - Normalized asset
+   * @returns {boolean} False for the reporting currency and fiat currencies
+   * @private
+   */
+  _isTrackedAsset(asset) {
+    return asset !== priceService.reportingCurrency && !FIAT_CURRENCIES.includes(asset);
+  }
+
+  /**
+   * Returns the quantity of an order that was actually filled
+   * @param {Object} transaction - Transaction document
+   * @returns {number} Executed quantity, the full quantity only for FILLED orders that do not record it
+   * @private
+   */
+  _getFilledQuantity(transaction) {
+    if (transaction.executedQuantity !== null && transaction.executedQuantity !== undefined) {
+      return transaction.executedQuantity;
+    }
+    
+    return transaction.status === 'FILLED' ? transaction.quantity : 0;
+  }
+
+  /**
+   * Removes the quantity lost to a transfer fee from the open lots of its asset, keeping their cost basis
+   * @param {Map} pools - Open lots keyed by asset, modified in place
+   * @param {Object} transfer - Transfer document
+   * @private
+   */
+  _applyTransferFee(pools, transfer) {
+    const lots = pools.get(transfer.asset) || [];
+    const available = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    
+    if (available <= EPSILON) {
+      return;
+    }
+    
+    // Every lot loses the same share, the remaining quantity carries the full cost basis
+    const share = Math.min(transfer.fee / available, 1);
+    
+    lots.forEach(lot => {
+      lot.quantity -= lot.quantity * share;
+    });
+  }
+
+  /**
+   * Consumes a quantity from the open lots of a pool according to the cost basis method
+   * @param {Array<Object>} lots - Open lots of the pool, modified in place
+   * @param {number} quantity - Quantity sold
+   * @param {string} method - Cost basis method
+   * @returns {{consumedLots: Array<Object>, unmatchedQuantity: number}} Consumed lots and quantity without lots
+   * @private
+   */
+  _consumeLots(lots, quantity, method) {
+    const consumedLots = [];
+    const available = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    
+    if (method === 'AVERAGE') {
+      // Every lot gives up the same share, so the consumed cost is the weighted average cost
+      const share = Math.min(quantity / available, 1) || 0;
+      
+      lots.forEach(lot => {
+        consumedLots.push(this._takeFromLot(lot, lot.quantity * share));
+      });
+    } else {
+      const orderedLots = [...lots].sort((a, b) => {
+        if (method === 'LIFO') {
+          return b.acquiredAt - a.acquiredAt;
+        }
+        
+        if (method === 'HIFO') {
+          return b.costBasis / b.quantity - a.costBasis / a.quantity;
+        }
+        
+        return a.acquiredAt - b.acquiredAt;
+      });
+      
+      let remaining = quantity;
+      
+      for (const lot of orderedLots) {
+        if (remaining <= EPSILON) {
+          break;
+        }
+        
+        const consumedLot = this._takeFromLot(lot, Math.min(remaining, lot.quantity));
+        consumedLots.push(consumedLot);
+        remaining -= consumedLot.quantity;
+      }
+    }
+    
+    // Drop exhausted lots from the pool
+    for (let index = lots.length - 1; index >= 0; index--) {
+      if (lots[index].quantity <= EPSILON) {
+        lots.splice(index, 1);
+      }
+    }
+    
+    return {
+      consumedLots: consumedLots.filter(lot => lot.quantity > EPSILON),
+      unmatchedQuantity: Math.max(quantity - available, 0),
+    };
+  }
+
+  /**
+   * Takes a quantity out of a lot together with its proportional cost basis
+   * @param {Object} lot - Lot to take from, modified in place
+   * @param {number} quantity - Quantity to take
+   * @returns {Object} Consumed part of the lot
+   * @private
+   */
+  _takeFromLot(lot, quantity) {
+    const costBasis = lot.quantity > 0 ? lot.costBasis * quantity / lot.quantity : 0;
+    
+    lot.quantity -= quantity;
+    lot.costBasis -= costBasis;
+    
+    return {
+      transaction: lot.transaction,
+      platform: lot.platform,
+      acquiredAt: lot.acquiredAt,
+      quantity,
+      costBasis,
+    };
+  }
+
+  /**
+   * Splits the fees of a transaction into those charged in its base and quote assets
+   * @param {Array<Object>} fees - Fees with amount and asset
+   * @param {Object} assets - Base and quote asset of the transaction
+   * @returns {{base: number, quote: number}} Fee totals per side
+   * @private
+   */
+  _splitFees(fees, { baseAsset, quoteAsset }) {
+    // Fees charged in a third asset (e.g. BNB) cannot be valued here and are left out
+    return fees.reduce((totals, fee) => {
+      const asset = fee.asset && symbolNormalizationService.normalizeAsset(fee.asset);
+      
+      if (asset === baseAsset) {
+        totals.base += fee.amount;
+      } else if (asset === quoteAsset) {
+        totals.quote += fee.amount;
+      }
+      
+      return totals;
+    }, { base: 0, quote: 0 });
+  }
+
+  /**
+   * Returns the normalized assets of a transaction, splitting the symbol of records not migrated yet
+   * @param {Object} transaction - Transaction document
+   * @returns {{baseAsset: string|null, quoteAsset: string|null}} Base and quote assets
+   * @private
+   */
+  _getAssets(transaction) {
+    if (transaction.baseAsset && transaction.quoteAsset) {
+      return {
+        baseAsset: transaction.baseAsset,
+        quoteAsset: transaction.quoteAsset,
+      };
+    }
+    
+    return symbolNormalizationService.splitSymbol(transaction.symbol);
+  }
+
+  /**
+   * Sums the disposals per asset and currency
+   * @param {Array<Object>} disposals - Disposals with their realized gain
+   * @returns {Array<Object>} Totals per asset and currency
+   * @private
+   */
+  _summarize(disposals) {
+    const totals = new Map();
+    
+    disposals.forEach(disposal => {
+      const key = `${disposal.asset}/${disposal.costCurrency}`;
+      
+      if (!totals.has(key)) {
+        totals.set(key, {
+          asset: disposal.asset,
+          costCurrency: disposal.costCurrency,
+          quantity: 0,
+          proceeds: 0,
+          costBasis: 0,
+          fees: 0,
+          gain: 0,
+        });
+      }
+      
+      const total = totals.get(key);
+      total.quantity += disposal.quantity;
+      total.proceeds += disposal.proceeds;
+      total.costBasis += disposal.costBasis;
+      total.fees += disposal.fees;
+      total.gain += disposal.gain;
+    });
+    
+    return [...totals.values()];
+  }
+}
+
+module.exports = new PnlService(); 
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Service polling each exchange for the orders and fills that changed since its cursor
+ * @module services/pollingService
+ */
+
+const SyncState = require('../models/syncState');
+const config = require('../config');
+const accountRegistry = require('./accountRegistry');
+const transactionService = require('./transactionService');
+
+/**
+ * Polling service keeping a cursor per account in the SyncState collection
+ */
+class PollingService {
+  constructor() {
+    this.intervalMinutes = config.polling.intervalMinutes;
+    this.intervals = config.polling.intervals;
+    this.overlapMs = config.polling.overlapMinutes * 60 * 1000;
+  }
+
+  /**
+   * Returns the polling interval of a platform
+   * @param {string} platform - Registered platform code (e.g., BINANCE)
+   * @returns {number} Minutes between two polls, 0 if the platform is not polled
+   */
+  getInterval(platform) {
+    return this.intervals[platform] ?? this.intervalMinutes;
+  }
+
+  /**
+   * Lists the cursor of every account polled so far
+   * @returns {Promise<Array>} SyncState documents
+   */
+  async getStates() {
+    return SyncState.find().sort({ platform: 1, accountId: 1 });
+  }
+
+  /**
+   * Fetches and stores an account's orders and fills from its cursor to now, then moves the cursor to now
+   *
+   * The cursor only moves once everything is saved, so a failed poll is fetched again from the same cursor by the
+   * next one. Polls start a few minutes before the cursor, for the updates an exchange reports late.
+   * @param {string} accountId - Registered account ID (e.g., binance)
+   * @returns {Promise<Object>} Counts of the poll: transactions fetched and saved, trades and orders saved
+   */
+  async pollAccount(accountId) {
+    const { platform } = accountRegistry.getAccount(accountId);
+    const state = await SyncState.findOne({ accountId });
+    const polledAt = new Date();
+    
+    // The first poll starts at the beginning of the day, like the daily fetch
+    const from = state?.cursor ? new Date(state.cursor.getTime() - this.overlapMs) : this._startOfToday();
+    
+    await SyncState.updateOne({ accountId }, { $set: { platform, lastPolledAt: polledAt } }, { upsert: true });
+    
+    try {
+      const counts = await transactionService.fetchAndStoreAccountTransactions(accountId, from, polledAt);
+      counts.orders = await transactionService.fetchAndStoreMissingOrders(accountId, from);
+      
+      // $max keeps the cursor from moving back if an older poll finishes last
+      await SyncState.updateOne(
+        { accountId },
+        {
+          $max: { cursor: polledAt },
+          $set: { lastSucceededAt: new Date(), lastCounts: counts, lastError: null },
+        }
+      );
+      
+      console.log(`Polled ${accountId} from ${from.toISOString()}: ${counts.saved} transactions, ${counts.trades} trades saved`);
+      
+      return counts;
+    } catch (error) {
+      await SyncState.updateOne({ accountId }, { $set: { lastError: error.message } });
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the start of the current day (UTC)
+   * @returns {Date} Midnight UTC
+   * @private
+   */
+  _startOfToday() {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    
+    return date;
+  }
+}
+
+module.exports = new PollingService(); 
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Output sink writing transactions to a PostgreSQL table
+ * @module services/postgresSink
+ */
+
+const config = require('../config');
+const { RECORD_FIELDS, KEY_COLUMNS, toRecord } = require('../utils/transactionRecord');
+
+/**
+ * Column types by record field kind
+ * @type {Object<string, string>}
+ */
+const COLUMN_TYPES = {
+  text: 'TEXT',
+  number: 'DOUBLE PRECISION',
+  date: 'TIMESTAMPTZ',
+};
+
+/**
+ * Rows inserted per statement, well below the 65535 bind parameters PostgreSQL allows
+ * @type {number}
+ */
+const BATCH_ROWS = 500;
+
+/**
+ * PostgreSQL sink upserting one row per transaction, keyed on platform, account, symbol and order ID
+ *
+ * Uses the optional `pg` package, loaded when the sink is first used.
+ */
+class PostgresSink {
+  constructor() {
+    this.name = 'postgres';
+    this.connectionString = config.sinks.postgresUrl;
+    this.table = config.sinks.table;
+    this.pool = null;
+    
+    // Set when a table from before account IDs was replaced, until the sink is rebuilt
+    this.outdated = false;
+  }
+
+  /**
+   * Checks whether the table was replaced because its key predates account IDs, so it must be rewritten
+   * @returns {Promise<boolean>} Whether the table needs a rebuild
+   */
+  async needsRebuild() {
+    await this._getPool();
+    
+    return this.outdated;
+  }
+
+  /**
+   * Upserts transactions into the table
+   * @param {Array} transactions - Transaction objects
+   * @returns {Promise<void>}
+   */
+  async writeTransactions(transactions) {
+    await this._inTransaction(async client => {
+      await this._upsert(client, transactions.map(toRecord));
+    });
+  }
+
+  /**
+   * Replaces the rows of the table with the given transactions
+   * @param {Array} transactions - Every transaction object, in time order
+   * @returns {Promise<void>}
+   */
+  async rebuild(transactions) {
+    await this._inTransaction(async client => {
+      await client.query(`DELETE FROM ${this.table}`);
+      await this._upsert(client, transactions.map(toRecord));
+    });
+    
+    this.outdated = false;
+  }
+
+  /**
+   * Upserts records in batches
+   * @param {Object} client - Connected pg client
+   * @param {Array<Object>} records - Transaction records
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _upsert(client, records) {
+    const columns = RECORD_FIELDS.map(({ column }) => column);
+    const updates = columns
+      .filter(column => !KEY_COLUMNS.includes(column))
+      .map(column => `${column} = EXCLUDED.${column}`);
+    
+    for (let index = 0; index < records.length; index += BATCH_ROWS) {
+      const batch = records.slice(index, index + BATCH_ROWS);
+      const placeholders = batch.map((record, row) => (
+        `(${columns.map((column, position) => `$${row * columns.length + position + 1}`).join(', ')})`
+      ));
+      
+      await client.query(
+        `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')} ` +
+        `ON CONFLICT (${KEY_COLUMNS.join(', ')}) DO UPDATE SET ${updates.join(', ')}`,
+        batch.flatMap(record => RECORD_FIELDS.map(({ field }) => record[field]))
+      );
+    }
+    
+    console.log(`${records.length} transactions written to PostgreSQL table ${this.table}`);
+  }
+
+  /**
+   * Runs queries in a database transaction, rolled back if any of them fails
+   * @param {function(Object): Promise<void>} work - Queries to run with the connected client
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _inTransaction(work) {
+    const pool = await this._getPool();
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      await work(client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Connects to the database on first use and creates the table if it does not exist
+   * @returns {Promise<Object>} pg connection pool
+   * @private
+   */
+  async _getPool() {
+    if (this.pool) {
+      return this.pool;
+    }
+    
+    if (!this.connectionString) {
+      throw new Error('SINK_POSTGRES_URL must be set to use the postgres sink');
+    }
+    
+    // The table name cannot be a bind parameter, so only plain identifiers are accepted
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid sink table name: ${this.table}`);
+    }
+    
+    const { Pool } = this._loadDriver();
+    const pool = new Pool({ connectionString: this.connectionString });
+    const columns = RECORD_FIELDS.map(({ column, kind }) => `${column} ${COLUMN_TYPES[kind]}`);
+    
+    // Unquoted table names are folded to lowercase
+    const { rows: existingColumns } = await pool.query(
+      'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+      [this.table.toLowerCase()]
+    );
+    
+    // A primary key cannot be changed without rewriting the rows, which the rebuild does from MongoDB anyway
+    if (existingColumns.length > 0 && !existingColumns.some(({ column_name: name }) => name === 'account_id')) {
+      console.warn(`PostgreSQL table ${this.table} predates account IDs, recreating it`);
+      await pool.query(`DROP TABLE ${this.table}`);
+      this.outdated = true;
+    }
+    
+    await pool.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (${columns.join(', ')}, PRIMARY KEY (${KEY_COLUMNS.join(', ')}))`
+    );
+    
+    this.pool = pool;
+    
+    return pool;
+  }
+
+  /**
+   * Loads the pg package, which is only installed when needed
+   * @returns {Object} pg module
+   * @private
+   */
+  _loadDriver() {
+    try {
+      return require('pg');
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        throw new Error('The postgres sink needs the pg package, install it with npm install pg');
+      }
+      
+      throw error;
+    }
+  }
+}
+
+module.exports = new PostgresSink(); 
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Service for valuing transactions in the reporting currency using historical prices
+ * @module services/priceService
+ */
+
+const Price = require('../models/price');
+const Transaction = require('../models/transaction');
+const cryptoComparePriceProvider = require('./cryptoComparePriceProvider');
+const filePriceProvider = require('./filePriceProvider');
+const config = require('../config');
+const { hasChanges } = require('../utils/transactionRecord');
+
+/**
+ * Price providers by name
+ *
+ * A provider has a `name` and a `getRate(base, quote, time)` method resolving to the price of one unit of
+ * `base` in `quote` at the given hour, or null when it has no price for the pair.
+ * @type {Object<string, Object>}
+ */
+const PROVIDERS = {
+  cryptocompare: cryptoComparePriceProvider,
+  file: filePriceProvider,
+};
+
+/**
+ * Price service caching provider prices in MongoDB
+ */
+class PriceService {
+  constructor() {
+    this.reportingCurrency = config.pricing.reportingCurrency;
+    this.providers = PROVIDERS;
+    this.provider = PROVIDERS[config.pricing.provider];
+    
+    if (!this.provider) {
+      throw new Error(
+        `Unsupported price provider: ${config.pricing.provider}, expected one of ${Object.keys(PROVIDERS).join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Returns the price of an asset in another currency at a point in time
+   * @param {string} base - Asset being priced (e.g., BTC)
+   * @param {string} quote - Currency of the price (e.g., EUR)
+   * @param {Date} time - Time to price, rounded down to the hour
+   * @returns {Promise<number|null>} Rate or null if the provider has no price for the pair
+   */
+  async getRate(base, quote, time) {
+    if (base === quote) {
+      return 1;
+    }
+    
+    const hour = new Date(time);
+    hour.setUTCMinutes(0, 0, 0);
+    
+    const cached = await Price.findOne({ base, quote, time: hour, source: this.provider.name });
+    
+    if (cached) {
+      return cached.rate;
+    }
+    
+    const rate = await this.provider.getRate(base, quote, hour);
+    
+    if (rate === null) {
+      console.warn(`No ${base}/${quote} price available for ${hour.toISOString()}`);
+      return null;
+    }
+    
+    await Price.updateOne(
+      { base, quote, time: hour, source: this.provider.name },
+      { $set: { rate } },
+      { upsert: true }
+    );
+    
+    return rate;
+  }
+
+  /**
+   * Values a transaction in the reporting currency from its quote amount
+   * @param {Object} transaction - Transaction with quoteAsset, quoteQuantity and time
+   * @returns {Promise<Object>} Reporting currency, FX rate applied and value (null when no rate is available)
+   */
+  async valueTransaction({ quoteAsset, quoteQuantity, time }) {
+    let fxRate = null;
+    
+    if (quoteAsset) {
+      try {
+        fxRate = await this.getRate(quoteAsset, this.reportingCurrency, new Date(time));
+      } catch (error) {
+        // Leave the transaction unvalued so it is picked up by the next revaluation
+        console.error(`Failed to value ${quoteAsset} amount in ${this.reportingCurrency}:`, error.message);
+      }
+    }
+    
+    return {
+      reportingCurrency: this.reportingCurrency,
+      fxRate,
+      valueInReportingCurrency: fxRate === null ? null : quoteQuantity * fxRate,
+    };
+  }
+
+  /**
+   * Values stored transactions that have no value in the current reporting currency
+   * @param {Object} [options] - Revaluation options
+   * @param {boolean} [options.all=false] - Revalue every transaction, not only unvalued ones
+   * @returns {Promise<Object>} Numbers of transactions examined and valued
+   */
+  async valueStoredTransactions({ all = false } = {}) {
+    const filter = all
+      ? {}
+      : {
+        $or: [
+          { valueInReportingCurrency: null },
+          { reportingCurrency: { $ne: this.reportingCurrency } },
+        ],
+      };
+    
+    const cursor = Transaction.find(filter).sort({ time: 1 }).cursor();
+    const batchSize = 500;
+    let operations = [];
+    let examined = 0;
+    let valued = 0;
+    
+    for await (const transaction of cursor) {
+      const valuation = await this.valueTransaction(transaction);
+      
+      examined++;
+      
+      if (valuation.fxRate !== null) {
+        valued++;
+      }
+      
+      // Valuations are written to the sinks, so transactions whose value changed are synced again
+      if (hasChanges(transaction, valuation)) {
+        operations.push({
+          updateOne: {
+            filter: { _id: transaction._id },
+            update: { $set: { ...valuation, syncState: [] } },
+          },
+        });
+      }
+      
+      if (operations.length >= batchSize) {
+        await Transaction.bulkWrite(operations);
+        operations = [];
+      }
+    }
+    
+    if (operations.length > 0) {
+      await Transaction.bulkWrite(operations);
+    }
+    
+    console.log(`${valued} of ${examined} transactions valued in ${this.reportingCurrency}`);
+    
+    return {
+      reportingCurrency: this.reportingCurrency,
+      examined,
+      valued,
+    };
+  }
+}
+
+module.exports = new PriceService(); 
\ No newline at end of file
@@ -3,35 +3,68 @@
  * @module services/revolutService
  */
 
-const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config');
+const { ExchangeHttpClient } = require('../utils/exchangeHttpClient');
+const { verifyWebhookSignature } = require('../utils/webhookSignature');
+const symbolNormalizationService = require('./symbolNormalizationService');
+
+/**
+ * Environment variables of the API credentials, without the prefix of the account (e.g., REVOLUT_API_KEY)
+ * @type {Object<string, string>}
+ */
+const CREDENTIAL_VARIABLES = {
+  apiKey: 'API_KEY',
+  apiSecret: 'API_SECRET',
+  clientId: 'CLIENT_ID',
+};
 
 /**
  * Revolut API service for fetching and processing transaction data
  */
 class RevolutService {
-  constructor() {
-    this.apiKey = config.revolut.apiKey;
-    this.apiSecret = config.revolut.apiSecret;
-    this.clientId = config.revolut.clientId;
+  /**
+   * @param {function(): (Object|Promise<Object>)} [resolveCredentials] - Returns the API credentials of the account
+   * (apiKey, apiSecret and clientId), called before every request; those of the configuration by default
+   */
+  constructor(resolveCredentials = () => config.revolut) {
+    this.platform = 'REVOLUT';
+    this.name = 'Revolut';
+    this.credentialVariables = CREDENTIAL_VARIABLES;
+    this.resolveCredentials = resolveCredentials;
     this.baseUrl = 'https://merchant.revolut.com/api/1.0';
+    this.pageLimit = 100;
+    this.http = new ExchangeHttpClient({
+      name: this.name,
+      rateLimit: { capacity: 10, refillPerSecond: 5 },
+    });
+  }
+
+  /**
+   * Creates the adapter of another Revolut account
+   * @param {function(): (Object|Promise<Object>)} resolveCredentials - Returns the API credentials of the account,
+   * see the constructor
+   * @returns {RevolutService} Adapter signing its requests with the credentials
+   */
+  withCredentials(resolveCredentials) {
+    return new RevolutService(resolveCredentials);
   }
 
   /**
    * Generates a signature for Revolut API authentication
    * @param {Object} params - Request parameters
+   * @param {string} apiSecret - Revolut API secret
    * @returns {string} HMAC SHA256 signature
    * @private
    */
-  _generateSignature(params) {
+  _generateSignature(params, apiSecret) {
     const queryString = Object.keys(params)
       .sort()
       .map(key => `${key}=${params[key]}`)
       .join('&');
     
     return crypto
-      .createHmac('sha256', this.apiSecret)
+      .createHmac('sha256', apiSecret)
       .update(queryString)
       .digest('hex');
   }
@@ -45,35 +78,55 @@ class RevolutService {
    * @private
    */
   async _makeRequest(endpoint, params = {}, method = 'GET') {
-    const timestamp = Math.floor(Date.now() / 1000);
-    const requestParams = {
-      ...params,
-      client_id: this.clientId,
-      timestamp,
-    };
-
-    const signature = this._generateSignature(requestParams);
-    
     const url = `${this.baseUrl}${endpoint}`;
     
-    try {
-      const response = await axios({
+    const response = await this.http.request(async () => {
+      const { apiKey, apiSecret, clientId } = await this.resolveCredentials();
+      const timestamp = Math.floor(Date.now() / 1000);
+      const requestParams = {
+        ...params,
+        client_id: clientId,
+        timestamp,
+      };
+      
+      const signature = this._generateSignature(requestParams, apiSecret);
+      
+      return {
         method,
         url,
         headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
+          'Authorization': `Bearer ${apiKey}`,
           'X-Client-Signature': signature,
           'Content-Type': 'application/json',
         },
         params: method === 'GET' ? requestParams : undefined,
         data: method !== 'GET' ? requestParams : undefined,
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error('Revolut API request failed:', error.response?.data || error.message);
-      throw error;
-    }
+      };
+    });
+    
+    return response.data;
+  }
+
+  /**
+   * Fetches the crypto account balances in the common balance format
+   * @returns {Promise<Array>} Array of balances with asset, free, locked and total amounts
+   */
+  async fetchBalances() {
+    const response = await this._makeRequest('/crypto/accounts');
+    
+    return response.accounts
+      .map(account => {
+        const total = parseFloat(account.balance);
+        const free = account.available !== undefined ? parseFloat(account.available) : total;
+        
+        return {
+          asset: account.currency,
+          free,
+          locked: total - free,
+          total,
+        };
+      })
+      .filter(balance => balance.total > 0);
   }
 
   /**
@@ -85,46 +138,222 @@ class RevolutService {
     const startOfDay = new Date();
     startOfDay.setUTCHours(0, 0, 0, 0);
     
+    return this.fetchTransactionsInRange(startOfDay, new Date());
+  }
+
+  /**
+   * Fetches crypto orders within a date range, following the page cursors
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of transaction objects
+   */
+  async fetchTransactionsInRange(from, to) {
+    const params = {
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000),
+      limit: this.pageLimit,
+    };
+    
+    try {
+      const transactions = [];
+      let cursor = null;
+      
+      do {
+        const response = await this._makeRequest('/crypto/orders', cursor ? { ...params, cursor } : params);
+        
+        transactions.push(...response.orders.map(order => this._mapOrder(order)));
+        cursor = response.next_cursor;
+      } while (cursor);
+      
+      console.log(`Fetched ${transactions.length} transactions from Revolut between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return symbolNormalizationService.normalizeTransactions(transactions);
+    } catch (error) {
+      console.error('Failed to fetch Revolut transactions in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Revolut order to the common transaction format
+   * @param {Object} order - Revolut order object
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _mapOrder(order) {
+    return {
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side.toUpperCase(),
+      type: order.type.toUpperCase(),
+      price: parseFloat(order.price),
+      origQty: parseFloat(order.amount),
+      // Only the filled part of the order was exchanged
+      cummulativeQuoteQty: parseFloat(order.filled_amount) * parseFloat(order.price),
+      executedQty: parseFloat(order.filled_amount),
+      status: this.mapOrderStatus(order.status),
+      time: new Date(order.created_at * 1000),
+      updateTime: new Date(order.updated_at * 1000),
+      isWorking: order.status === 'open',
+    };
+  }
+
+  /**
+   * Fetches the crypto fills executed within a date range, following the page cursors
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of trade objects
+   */
+  async fetchTradesInRange(from, to) {
+    const params = {
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000),
+      limit: this.pageLimit,
+    };
+    
+    try {
+      const trades = [];
+      let cursor = null;
+      
+      do {
+        const response = await this._makeRequest('/crypto/fills', cursor ? { ...params, cursor } : params);
+        
+        trades.push(...response.fills.map(fill => this._mapFill(fill)));
+        cursor = response.next_cursor;
+      } while (cursor);
+      
+      console.log(`Fetched ${trades.length} trades from Revolut between ${from.toISOString()} and ${to.toISOString()}`);
+      
+      return trades;
+    } catch (error) {
+      console.error('Failed to fetch Revolut trades in range:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Revolut fill to the common trade format
+   * @param {Object} fill - Revolut fill object
+   * @returns {Object} Trade object
+   * @private
+   */
+  _mapFill(fill) {
+    return {
+      tradeId: fill.id,
+      orderId: fill.order_id,
+      symbol: fill.symbol,
+      side: fill.side.toUpperCase(),
+      price: parseFloat(fill.price),
+      quantity: parseFloat(fill.amount),
+      quoteQuantity: parseFloat(fill.amount) * parseFloat(fill.price),
+      commission: parseFloat(fill.fee || 0),
+      commissionAsset: fill.fee_currency || null,
+      isMaker: fill.liquidity === 'maker',
+      time: new Date(fill.created_at * 1000),
+    };
+  }
+
+  /**
+   * Fetches the completed crypto transfers and rewards within a date range, following the page cursors
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Array>} Array of ledger entry objects
+   */
+  async fetchLedgerEntriesInRange(from, to) {
     const params = {
-      from: Math.floor(startOfDay.getTime() / 1000),
-      to: Math.floor(Date.now() / 1000),
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000),
+      limit: this.pageLimit,
     };
     
     try {
-      // Fetch all crypto orders for the current day
-      const response = await this._makeRequest('/crypto/orders', params);
+      const entries = [];
+      let cursor = null;
       
-      // Map Revolut orders to a common format
-      const transactions = response.orders.map(order => ({
-        orderId: order.id,
-        symbol: order.symbol,
-        side: order.side.toUpperCase(),
-        type: order.type.toUpperCase(),
-        price: parseFloat(order.price),
-        origQty: parseFloat(order.amount),
-        cummulativeQuoteQty: parseFloat(order.amount) * parseFloat(order.price),
-        status: this._mapOrderStatus(order.status),
-        time: new Date(order.created_at * 1000),
-        updateTime: new Date(order.updated_at * 1000),
-        isWorking: order.status === 'open',
-      }));
+      do {
+        const response = await this._makeRequest('/crypto/transfers', cursor ? { ...params, cursor } : params);
+        
+        entries.push(...response.transfers
+          .filter(transfer => transfer.state === 'completed')
+          .map(transfer => this._mapTransfer(transfer)));
+        cursor = response.next_cursor;
+      } while (cursor);
       
-      console.log(`Fetched ${transactions.length} transactions from Revolut for today`);
+      console.log(`Fetched ${entries.length} ledger entries from Revolut between ${from.toISOString()} and ${to.toISOString()}`);
       
-      return transactions;
+      return entries;
     } catch (error) {
-      console.error('Failed to fetch today\'s transactions from Revolut:', error);
+      console.error('Failed to fetch Revolut ledger entries in range:', error);
       throw error;
     }
   }
 
+  /**
+   * Maps a Revolut crypto transfer to the common ledger entry format
+   * @param {Object} transfer - Revolut transfer object
+   * @returns {Object} Ledger entry object
+   * @private
+   */
+  _mapTransfer(transfer) {
+    const typeMap = {
+      'deposit': 'DEPOSIT',
+      'withdrawal': 'WITHDRAWAL',
+      'staking_reward': 'STAKING_REWARD',
+      'reward': 'STAKING_REWARD',
+      'airdrop': 'AIRDROP',
+      'fee': 'FEE',
+      'transfer': 'TRANSFER',
+    };
+    const amount = Math.abs(parseFloat(transfer.amount));
+    const type = typeMap[transfer.type] || 'OTHER';
+    
+    return {
+      entryId: transfer.id,
+      type,
+      asset: transfer.currency,
+      // Revolut reports unsigned amounts, the direction follows from the type
+      amount: ['WITHDRAWAL', 'FEE'].includes(type) || transfer.direction === 'out' ? -amount : amount,
+      fee: parseFloat(transfer.fee || 0),
+      txId: transfer.tx_hash || null,
+      description: transfer.description || transfer.type,
+      time: new Date(transfer.created_at * 1000),
+    };
+  }
+
+  /**
+   * Validates the signature of a Revolut webhook request, computed over its timestamp and raw body
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<boolean>} Whether the signature is valid and the delivery recent
+   */
+  async verifyWebhook(req) {
+    const { apiSecret } = await this.resolveCredentials();
+    
+    return verifyWebhookSignature(req, {
+      signatureHeader: 'x-revolut-signature',
+      timestampHeader: 'x-revolut-timestamp',
+      secret: apiSecret,
+    });
+  }
+
+  /**
+   * Maps a Revolut webhook payload to the common transaction format
+   * @param {Object} data - Webhook payload, a Revolut order
+   * @returns {Object|null} Transaction object or null if the payload is not an order
+   */
+  mapWebhookTransaction(data) {
+    if (!data.id) {
+      return null;
+    }
+    
+    return this._mapOrder(data);
+  }
+
   /**
    * Maps Revolut order status to a common format
    * @param {string} status - Revolut order status
    * @returns {string} Mapped status
-   * @private
    */
-  _mapOrderStatus(status) {
+  mapOrderStatus(status) {
     const statusMap = {
       'completed': 'FILLED',
       'cancelled': 'CANCELED',
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Service describing how transactions are laid out in the Google Sheet
+ * @module services/sheetLayoutService
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const googleSheetsService = require('./googleSheetsService');
+const accountRegistry = require('./accountRegistry');
+
+/**
+ * Transaction fields that can be used as sheet columns, with their default header and kind
+ * @type {Object<string, {header: string, kind: string}>}
+ */
+const FIELDS = {
+  orderId: { header: 'Order ID', kind: 'text' },
+  platform: { header: 'Platform', kind: 'text' },
+  accountId: { header: 'Account', kind: 'text' },
+  symbol: { header: 'Symbol', kind: 'text' },
+  baseAsset: { header: 'Base Asset', kind: 'text' },
+  quoteAsset: { header: 'Quote Asset', kind: 'text' },
+  side: { header: 'Side', kind: 'text' },
+  type: { header: 'Type', kind: 'text' },
+  price: { header: 'Price', kind: 'number' },
+  quantity: { header: 'Quantity', kind: 'number' },
+  executedQuantity: { header: 'Executed Quantity', kind: 'number' },
+  quoteQuantity: { header: 'Quote Quantity', kind: 'number' },
+  status: { header: 'Status', kind: 'text' },
+  time: { header: 'Time', kind: 'date' },
+  updateTime: { header: 'Update Time', kind: 'date' },
+  reportingCurrency: { header: 'Reporting Currency', kind: 'text' },
+  fxRate: { header: 'FX Rate', kind: 'number' },
+  valueInReportingCurrency: { header: 'Value', kind: 'number' },
+};
+
+/**
+ * Columns of a view that does not list its own, the layout used before layouts were configurable
+ * @type {Array<string>}
+ */
+const DEFAULT_COLUMNS = [
+  'orderId', 'platform', 'symbol', 'side', 'type', 'price', 'quantity', 'quoteQuantity', 'status', 'time',
+  'updateTime', 'reportingCurrency', 'fxRate', 'valueInReportingCurrency',
+];
+
+/**
+ * How rows are routed to tabs: all in one, one tab per platform, per account, per month or per year
+ * @type {Array<string>}
+ */
+const TAB_MODES = ['single', 'platform', 'account', 'month', 'year'];
+
+/**
+ * Generated summary tabs, with the suffix added to the view title and the fields their formulas read
+ * @type {Object<string, {suffix: string, fields: Array<string>}>}
+ */
+const SUMMARIES = {
+  monthly: { suffix: 'Monthly Volume', fields: ['time', 'side', 'valueInReportingCurrency'] },
+  assets: { suffix: 'Asset Totals', fields: ['baseAsset', 'side', 'valueInReportingCurrency'] },
+};
+
+/**
+ * Sheet layout service loading the configured views of the transactions
+ *
+ * A view is a set of tabs showing the transactions with its own columns, header labels, number formats and
+ * routing of rows to tabs, optionally with summary tabs. Without a layout file, a single view reproduces the
+ * original "Transactions" sheet.
+ */
+class SheetLayoutService {
+  constructor() {
+    this.layoutFile = config.googleSheets.layoutFile;
+    this.loadedViews = null;
+  }
+
+  /**
+   * Configured views, loaded and validated on first use
+   * @returns {Array<Object>} Views with their name, title, tab mode, columns and summaries
+   */
+  get views() {
+    if (!this.loadedViews) {
+      this.loadedViews = this._loadViews();
+    }
+    
+    return this.loadedViews;
+  }
+
+  /**
+   * Returns the tab a transaction is written to in a view
+   * @param {Object} view - Sheet view
+   * @param {Object} transaction - Transaction object
+   * @returns {string} Tab title
+   */
+  tabFor(view, transaction) {
+    const time = new Date(transaction.time).toISOString();
+    
+    switch (view.tabs) {
+      case 'platform':
+        return `${view.title} ${transaction.platform}`;
+      case 'account': {
+        // Accounts removed from the accounts file keep a tab named after their ID
+        const label = accountRegistry.hasAccount(transaction.accountId)
+          ? accountRegistry.getAccount(transaction.accountId).label
+          : transaction.accountId;
+        
+        return `${view.title} ${label}`;
+      }
+      case 'month':
+        return `${view.title} ${time.slice(0, 7)}`;
+      case 'year':
+        return `${view.title} ${time.slice(0, 4)}`;
+      default:
+        return view.title;
+    }
+  }
+
+  /**
+   * Returns the header row and number formats of the tabs of a view
+   * @param {Object} view - Sheet view
+   * @returns {{header: Array<string>, numberFormats: Array<{column: number, type: string, pattern: string}>}}
+   * Header labels and the format of each formatted column (0-based)
+   */
+  tabLayout(view) {
+    return {
+      header: view.columns.map(column => column.header),
+      numberFormats: view.columns
+        .map((column, index) => column.format && {
+          column: index,
+          type: column.kind === 'date' ? 'DATE_TIME' : 'NUMBER',
+          pattern: column.format,
+        })
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Transforms a transaction to a row of a view
+   * @param {Object} view - Sheet view
+   * @param {Object} transaction - Transaction object
+   * @returns {Array} Row values, in the order of the view columns
+   */
+  toRow(view, transaction) {
+    return view.columns.map(column => {
+      const value = transaction[column.field];
+      
+      if (value === null || value === undefined) {
+        return '';
+      }
+      
+      if (column.kind !== 'date') {
+        return value;
+      }
+      
+      // A formatted date is written the way Sheets parses into a date, otherwise it stays ISO text
+      const iso = new Date(value).toISOString();
+      
+      return column.format ? `${iso.slice(0, 10)} ${iso.slice(11, 19)}` : iso;
+    });
+  }
+
+  /**
+   * Returns the columns identifying a transaction in the tabs of a view
+   * @param {Object} view - Sheet view
+   * @returns {{orderId: number, platform: number, symbol: number, accountId: number}|null} Column indexes
+   * (0-based, -1 for an account column the view does not show), or null if the view does not show the order ID,
+   * platform and symbol
+   */
+  keyColumns(view) {
+    const fields = view.columns.map(column => column.field);
+    const keys = {
+      orderId: fields.indexOf('orderId'),
+      platform: fields.indexOf('platform'),
+      symbol: fields.indexOf('symbol'),
+    };
+    
+    return Object.values(keys).includes(-1) ? null : { ...keys, accountId: fields.indexOf('accountId') };
+  }
+
+  /**
+   * Builds the summary tabs of a view, whose formulas read the rows of its data tabs
+   * @param {Object} view - Sheet view
+   * @param {Object} data - What the summaries list
+   * @param {Array<string>} data.tabs - Data tabs of the view
+   * @param {Array<string>} data.months - Months with transactions (YYYY-MM)
+   * @param {Array<string>} data.assets - Base assets with transactions
+   * @returns {Array<{title: string, rows: Array<Array>}>} Summary tabs
+   */
+  buildSummaries(view, { tabs, months, assets }) {
+    return view.summaries.map(summary => ({
+      title: `${view.title} ${SUMMARIES[summary].suffix}`,
+      rows: summary === 'monthly'
+        ? this._monthlyVolumeRows(view, tabs, months)
+        : this._assetTotalRows(view, tabs, assets),
+    }));
+  }
+
+  /**
+   * Builds the monthly volume rows: trades, bought and sold value per month
+   * @param {Object} view - Sheet view
+   * @param {Array<string>} tabs - Data tabs of the view
+   * @param {Array<string>} months - Months with transactions (YYYY-MM)
+   * @returns {Array<Array>} Rows including the header row
+   * @private
+   */
+  _monthlyVolumeRows(view, tabs, months) {
+    const currency = config.pricing.reportingCurrency;
+    const timeColumn = view.columns.find(column => column.field === 'time');
+    
+    // ISO text starts with the month, formatted dates are real dates
+    const monthOf = tab => (timeColumn.format
+      ? `TEXT(${this._range(view, tab, 'time')},"yyyy-mm")`
+      : `LEFT(${this._range(view, tab, 'time')},7)`);
+    
+    const rows = months.map((month, index) => {
+      const row = index + 2;
+      const sumOfSide = side => this._sumOverTabs(tabs, tab => (
+        `SUMPRODUCT((${monthOf(tab)}=A${row})*(${this._range(view, tab, 'side')}="${side}"),` +
+        `${this._range(view, tab, 'valueInReportingCurrency')})`
+      ));
+      
+      return [
+        `'${month}`,
+        this._sumOverTabs(tabs, tab => `SUMPRODUCT(--(${monthOf(tab)}=A${row}))`),
+        sumOfSide('BUY'),
+        sumOfSide('SELL'),
+        `=C${row}+D${row}`,
+      ];
+    });
+    
+    return [['Month', 'Trades', `Bought (${currency})`, `Sold (${currency})`, `Volume (${currency})`], ...rows];
+  }
+
+  /**
+   * Builds the per-asset total rows: quantity and value bought and sold per base asset
+   * @param {Object} view - Sheet view
+   * @param {Array<string>} tabs - Data tabs of the view
+   * @param {Array<string>} assets - Base assets with transactions
+   * @returns {Array<Array>} Rows including the header row
+   * @private
+   */
+  _assetTotalRows(view, tabs, assets) {
+    const currency = config.pricing.reportingCurrency;
+    const fields = view.columns.map(column => column.field);
+    
+    // The filled quantity is the one that changed hands, when the view shows it
+    const quantityField = fields.includes('executedQuantity') ? 'executedQuantity' : 'quantity';
+    
+    const rows = assets.map((asset, index) => {
+      const row = index + 2;
+      const sumOfSide = (side, field) => this._sumOverTabs(tabs, tab => (
+        `SUMPRODUCT((${this._range(view, tab, 'baseAsset')}=A${row})*(${this._range(view, tab, 'side')}="${side}"),` +
+        `${this._range(view, tab, field)})`
+      ));
+      
+      return [
+        `'${asset}`,
+        sumOfSide('BUY', quantityField),
+        sumOfSide('SELL', quantityField),
+        `=B${row}-C${row}`,
+        sumOfSide('BUY', 'valueInReportingCurrency'),
+        sumOfSide('SELL', 'valueInReportingCurrency'),
+      ];
+    });
+    
+    return [
+      ['Asset', 'Bought Quantity', 'Sold Quantity', 'Net Quantity', `Bought (${currency})`, `Sold (${currency})`],
+      ...rows,
+    ];
+  }
+
+  /**
+   * Builds a formula adding the same expression over every data tab
+   * @param {Array<string>} tabs - Data tabs of the view
+   * @param {function(string): string} expression - Expression for one tab
+   * @returns {string|number} Formula, or 0 when the view has no tab yet
+   * @private
+   */
+  _sumOverTabs(tabs, expression) {
+    return tabs.length > 0 ? `=${tabs.map(expression).join('+')}` : 0;
+  }
+
+  /**
+   * Returns the A1 range of a field's column below the header, e.g. 'Transactions'!J2:J
+   * @param {Object} view - Sheet view
+   * @param {string} tab - Tab title
+   * @param {string} field - Transaction field shown by the view
+   * @returns {string} A1 range
+   * @private
+   */
+  _range(view, tab, field) {
+    const letter = googleSheetsService.columnLetter(view.columns.findIndex(column => column.field === field) + 1);
+    
+    return `'${tab.replace(/'/g, "''")}'!${letter}2:${letter}`;
+  }
+
+  /**
+   * Reads the layout file, falling back to the default view when there is none
+   * @returns {Array<Object>} Validated views
+   * @private
+   */
+  _loadViews() {
+    if (!fs.existsSync(this.layoutFile)) {
+      return [this._normalizeView({ name: 'default', title: 'Transactions' })];
+    }
+    
+    const layout = JSON.parse(fs.readFileSync(this.layoutFile, 'utf8'));
+    const views = (Array.isArray(layout.views) ? layout.views : [layout]).map(view => this._normalizeView(view));
+    
+    ['name', 'title'].forEach(property => {
+      const values = views.map(view => view[property]);
+      const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+      
+      if (duplicate) {
+        throw new Error(`Sheet layout: ${property} "${duplicate}" is used by more than one view`);
+      }
+    });
+    
+    console.log(`Loaded ${views.length} sheet views from ${this.layoutFile}`);
+    
+    return views;
+  }
+
+  /**
+   * Validates a view from the layout file and fills in its defaults
+   * @param {Object} view - View as written in the layout file
+   * @returns {Object} View with its name, title, tab mode, columns and summaries
+   * @private
+   */
+  _normalizeView(view) {
+    const name = view.name || view.title;
+    
+    if (!name) {
+      throw new Error('Sheet layout: every view needs a name or a title');
+    }
+    
+    const tabs = view.tabs || 'single';
+    
+    if (!TAB_MODES.includes(tabs)) {
+      throw new Error(`Sheet layout: view "${name}" has unknown tabs mode "${tabs}" (expected ${TAB_MODES.join(', ')})`);
+    }
+    
+    // A column is a field name or an object with the field and its header and number format
+    const columns = (view.columns || DEFAULT_COLUMNS).map(column => {
+      const { field, header, format } = typeof column === 'string' ? { field: column } : column;
+      
+      if (!FIELDS[field]) {
+        throw new Error(`Sheet layout: view "${name}" has unknown column field "${field}"`);
+      }
+      
+      if (format && FIELDS[field].kind === 'text') {
+        throw new Error(`Sheet layout: view "${name}" formats text column "${field}"`);
+      }
+      
+      return { field, header: header || FIELDS[field].header, format: format || null, kind: FIELDS[field].kind };
+    });
+    
+    if (columns.length === 0) {
+      throw new Error(`Sheet layout: view "${name}" has no columns`);
+    }
+    
+    const summaries = view.summaries || [];
+    
+    summaries.forEach(summary => {
+      if (!SUMMARIES[summary]) {
+        throw new Error(`Sheet layout: view "${name}" has unknown summary "${summary}"`);
+      }
+      
+      const fields = columns.map(column => column.field);
+      const missing = SUMMARIES[summary].fields.filter(field => !fields.includes(field));
+      
+      if (summary === 'assets' && !fields.includes('executedQuantity') && !fields.includes('quantity')) {
+        missing.push('quantity');
+      }
+      
+      if (missing.length > 0) {
+        throw new Error(`Sheet layout: the ${summary} summary of view "${name}" needs the ${missing.join(', ')} columns`);
+      }
+    });
+    
+    return { name, title: view.title || name, tabs, columns, summaries };
+  }
+}
+
+module.exports = new SheetLayoutService(); 
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Registry of the output sinks transactions are synced to
+ * @module services/sinkRegistry
+ */
+
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Output sink interface
+ * @typedef {Object} OutputSink
+ * @property {string} name - Sink name stored in the sync state of transactions (e.g., sheets)
+ * @property {function(Array): Promise<void>} writeTransactions - Writes new and changed transactions, replacing
+ * the earlier version of a transaction already written
+ * @property {function(Array): Promise<void>} rebuild - Replaces everything written with the given transactions,
+ * in time order
+ * @property {function(): Promise<boolean>} [needsRebuild] - Whether what was written has an outdated layout, in
+ * which case the next sync rebuilds the sink instead of writing the unsynced transactions
+ */
+
+/**
+ * Methods every sink must implement
+ * @type {Array<string>}
+ */
+const REQUIRED_METHODS = ['writeTransactions', 'rebuild'];
+
+/**
+ * Modules of the sinks shipped with the service, by name
+ * @type {Object<string, string>}
+ */
+const BUILT_IN_SINKS = {
+  sheets: './googleSheetsSink',
+  file: './fileSink',
+  xlsx: './xlsxSink',
+  postgres: './postgresSink',
+  sqlite: './sqliteSink',
+};
+
+/**
+ * Sink registry holding the sinks enabled in the configuration
+ */
+class SinkRegistry {
+  constructor() {
+    this.sinks = new Map();
+    
+    // Entries are built-in sink names or paths to custom sink modules
+    config.sinks.enabled.forEach(entry => {
+      const builtIn = BUILT_IN_SINKS[entry.toLowerCase()];
+      const sink = builtIn ? require(builtIn) : require(path.resolve(entry));
+      
+      this.register(sink);
+    });
+  }
+
+  /**
+   * Registers an output sink
+   * @param {OutputSink} sink - Sink to register
+   * @returns {void}
+   */
+  register(sink) {
+    if (!sink || typeof sink.name !== 'string' || !sink.name) {
+      throw new Error('Output sinks must have a name');
+    }
+    
+    const missingMethods = REQUIRED_METHODS.filter(method => typeof sink[method] !== 'function');
+    
+    if (missingMethods.length > 0) {
+      throw new Error(`${sink.name} sink is missing ${missingMethods.join(', ')}`);
+    }
+    
+    if (this.sinks.has(sink.name)) {
+      throw new Error(`${sink.name} sink is already registered`);
+    }
+    
+    this.sinks.set(sink.name, sink);
+  }
+
+  /**
+   * Names of the registered sinks
+   * @type {Array<string>}
+   */
+  get names() {
+    return [...this.sinks.keys()];
+  }
+
+  /**
+   * Returns the registered sinks
+   * @returns {Array<OutputSink>} Sinks in registration order
+   */
+  getSinks() {
+    return [...this.sinks.values()];
+  }
+
+  /**
+   * Checks whether a sink is registered
+   * @param {string} name - Sink name
+   * @returns {boolean} Whether the sink is enabled
+   */
+  hasSink(name) {
+    return this.sinks.has(name);
+  }
+
+  /**
+   * Returns a registered sink
+   * @param {string} name - Sink name
+   * @returns {OutputSink} Sink
+   */
+  getSink(name) {
+    if (!this.sinks.has(name)) {
+      throw new Error(`Unknown sink: ${name}`);
+    }
+    
+    return this.sinks.get(name);
+  }
+}
+
+module.exports = new SinkRegistry(); 
\ No newline at end of file
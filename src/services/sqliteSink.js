@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Output sink writing transactions to a SQLite table
+ * @module services/sqliteSink
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { RECORD_FIELDS, KEY_COLUMNS, toRecord } = require('../utils/transactionRecord');
+
+/**
+ * Column types by record field kind, dates are stored as ISO text
+ * @type {Object<string, string>}
+ */
+const COLUMN_TYPES = {
+  text: 'TEXT',
+  number: 'REAL',
+  date: 'TEXT',
+};
+
+/**
+ * SQLite sink upserting one row per transaction, keyed on platform, account, symbol and order ID
+ *
+ * Uses the optional `better-sqlite3` package, loaded when the sink is first used.
+ */
+class SqliteSink {
+  constructor() {
+    this.name = 'sqlite';
+    this.filePath = config.sinks.sqlitePath;
+    this.table = config.sinks.table;
+    this.db = null;
+    
+    // Set when a table from before account IDs was replaced, until the sink is rebuilt
+    this.outdated = false;
+  }
+
+  /**
+   * Checks whether the table was replaced because its key predates account IDs, so it must be rewritten
+   * @returns {Promise<boolean>} Whether the table needs a rebuild
+   */
+  async needsRebuild() {
+    this._getDatabase();
+    
+    return this.outdated;
+  }
+
+  /**
+   * Upserts transactions into the table
+   * @param {Array} transactions - Transaction objects
+   * @returns {Promise<void>}
+   */
+  async writeTransactions(transactions) {
+    const db = this._getDatabase();
+    
+    db.transaction(records => this._upsert(db, records))(transactions.map(toRecord));
+  }
+
+  /**
+   * Replaces the rows of the table with the given transactions
+   * @param {Array} transactions - Every transaction object, in time order
+   * @returns {Promise<void>}
+   */
+  async rebuild(transactions) {
+    const db = this._getDatabase();
+    
+    db.transaction(records => {
+      db.prepare(`DELETE FROM ${this.table}`).run();
+      this._upsert(db, records);
+    })(transactions.map(toRecord));
+    
+    this.outdated = false;
+  }
+
+  /**
+   * Upserts records with a prepared statement
+   * @param {Object} db - Open better-sqlite3 database
+   * @param {Array<Object>} records - Transaction records
+   * @returns {void}
+   * @private
+   */
+  _upsert(db, records) {
+    const columns = RECORD_FIELDS.map(({ column }) => column);
+    const updates = columns
+      .filter(column => !KEY_COLUMNS.includes(column))
+      .map(column => `${column} = excluded.${column}`);
+    const statement = db.prepare(
+      `INSERT INTO ${this.table} (${columns.join(', ')}) ` +
+      `VALUES (${RECORD_FIELDS.map(({ field }) => `@${field}`).join(', ')}) ` +
+      `ON CONFLICT (${KEY_COLUMNS.join(', ')}) DO UPDATE SET ${updates.join(', ')}`
+    );
+    
+    records.forEach(record => statement.run(record));
+    
+    console.log(`${records.length} transactions written to SQLite table ${this.table}`);
+  }
+
+  /**
+   * Opens the database on first use and creates the table if it does not exist
+   * @returns {Object} Open better-sqlite3 database
+   * @private
+   */
+  _getDatabase() {
+    if (this.db) {
+      return this.db;
+    }
+    
+    // The table name cannot be a bind parameter, so only plain identifiers are accepted
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid sink table name: ${this.table}`);
+    }
+    
+    const Database = this._loadDriver();
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    
+    const db = new Database(this.filePath);
+    const columns = RECORD_FIELDS.map(({ column, kind }) => `${column} ${COLUMN_TYPES[kind]}`);
+    const existingColumns = db.prepare(`PRAGMA table_info(${this.table})`).all().map(({ name }) => name);
+    
+    // A primary key cannot be changed in place, and the rebuild rewrites every row from MongoDB anyway
+    if (existingColumns.length > 0 && !existingColumns.includes('account_id')) {
+      console.warn(`SQLite table ${this.table} predates account IDs, recreating it`);
+      db.prepare(`DROP TABLE ${this.table}`).run();
+      this.outdated = true;
+    }
+    
+    db.prepare(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (${columns.join(', ')}, PRIMARY KEY (${KEY_COLUMNS.join(', ')}))`
+    ).run();
+    
+    this.db = db;
+    
+    return db;
+  }
+
+  /**
+   * Loads the better-sqlite3 package, which is only installed when needed
+   * @returns {Function} better-sqlite3 Database constructor
+   * @private
+   */
+  _loadDriver() {
+    try {
+      return require('better-sqlite3');
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND') {
+        throw new Error('The sqlite sink needs the better-sqlite3 package, install it with npm install better-sqlite3');
+      }
+      
+      throw error;
+    }
+  }
+}
+
+module.exports = new SqliteSink(); 
\ No newline at end of file
@@ -0,0 +1,755 @@
+/**
+ * @fileoverview Service for importing transactions from exchange CSV statements
+ * @module services/statementImportService
+ */
+
+const crypto = require('crypto');
+const Transaction = require('../models/transaction');
+const Trade = require('../models/trade');
+const accountRegistry = require('./accountRegistry');
+const krakenService = require('./krakenService');
+const transactionService = require('./transactionService');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const { parseCsv } = require('../utils/csv');
+
+/**
+ * Supported statement formats with their platform and row mapper
+ * @type {Object<string, {platform: string, description: string, mapper: string}>}
+ */
+const FORMATS = {
+  'binance-trades': {
+    platform: 'BINANCE',
+    description: 'Binance spot trade history export',
+    mapper: '_mapBinanceTrades',
+  },
+  'kraken-trades': {
+    platform: 'KRAKEN',
+    description: 'Kraken trades.csv export',
+    mapper: '_mapKrakenTrades',
+  },
+  'kraken-ledgers': {
+    platform: 'KRAKEN',
+    description: 'Kraken ledgers.csv export',
+    mapper: '_mapKrakenLedgers',
+  },
+  'revolut-statement': {
+    platform: 'REVOLUT',
+    description: 'Revolut crypto account statement',
+    mapper: '_mapRevolutStatement',
+  },
+};
+
+/**
+ * Kraken's legacy pair names, prefixing crypto assets with X and fiat with Z (e.g., XXBTZEUR for XBTEUR)
+ * @type {RegExp}
+ */
+const KRAKEN_LEGACY_PAIR = /^(X[A-Z]{3})([XZ][A-Z]{3})$/;
+
+/**
+ * Kraken ledger entry types that belong to a trade
+ * @type {Array<string>}
+ */
+const KRAKEN_TRADE_LEDGER_TYPES = ['trade', 'spend', 'receive'];
+
+/**
+ * Statement import service mapping native CSV exports to the common transaction format
+ */
+class StatementImportService {
+  constructor() {
+    this.formats = FORMATS;
+  }
+
+  /**
+   * Imports the transactions of a CSV statement
+   * @param {string} format - Statement format (see FORMATS)
+   * @param {string} content - CSV text of the statement
+   * @param {Object} [options] - Import options
+   * @param {string} [options.account] - Account the statement belongs to, the default account of the format's
+   * platform by default
+   * @param {boolean} [options.dryRun=false] - Only report what would be imported
+   * @returns {Promise<{report: Object}|{error: string}>} Import report or a validation error
+   */
+  async importStatement(format, content, { account, dryRun = false } = {}) {
+    const definition = FORMATS[format];
+    
+    if (!definition) {
+      return { error: `Unsupported format, expected one of ${Object.keys(FORMATS).join(', ')}` };
+    }
+    
+    const accounts = accountRegistry.getAccounts(definition.platform).map(({ id }) => id);
+    
+    if (account && !accounts.includes(account)) {
+      return { error: `Invalid account, expected one of the ${definition.platform} accounts: ${accounts.join(', ')}` };
+    }
+    
+    // Statements of a disabled exchange are stored under the ID its default account would have
+    const accountId = account || accounts[0] || definition.platform.toLowerCase();
+    
+    const rows = parseCsv(content || '');
+    
+    if (rows.length === 0) {
+      return { error: 'The statement has no data rows' };
+    }
+    
+    await symbolNormalizationService.loadAliases();
+    
+    const result = await this[definition.mapper](rows, { platform: definition.platform, accountId });
+    
+    if (result.error) {
+      return { error: result.error };
+    }
+    
+    const transactions = (await symbolNormalizationService.normalizeTransactions(result.transactions))
+      .map(transaction => ({
+        ...transaction,
+        platform: definition.platform,
+        accountId,
+      }));
+    const imported = await this._excludeStored(
+      transactions,
+      result.trades.map(trade => ({ ...trade, platform: definition.platform, accountId })),
+      { platform: definition.platform, accountId }
+    );
+    
+    let saved = [];
+    let synced = false;
+    
+    if (!dryRun && (imported.transactions.length > 0 || imported.trades.length > 0)) {
+      saved = await transactionService.saveTransactionsToDatabase(imported.transactions);
+      
+      // The fills carry the statement fees, and are linked to the transactions of their orders
+      await transactionService.saveTradesToDatabase(imported.trades);
+      
+      try {
+        await transactionService.syncTransactionsToSinks();
+        synced = true;
+      } catch (error) {
+        // The transactions are stored and will be synced with the next scheduled fetch
+        console.error('Imported transactions could not be synced to every sink:', error.message);
+      }
+    }
+    
+    console.log(
+      `Imported ${format} statement: ${result.accepted} rows accepted, ${result.skipped.length} skipped, ` +
+      `${result.rejected.length} rejected, ${saved.length} transactions saved`
+    );
+    
+    return {
+      report: {
+        format,
+        platform: definition.platform,
+        account: accountId,
+        dryRun,
+        rows: rows.length,
+        accepted: result.accepted,
+        skipped: result.skipped.length,
+        rejected: result.rejected.length,
+        transactions: imported.transactions.length,
+        trades: imported.trades.length,
+        unchanged: imported.unchanged,
+        saved: saved.length,
+        synced,
+        skippedRows: result.skipped,
+        rejectedRows: result.rejected,
+      },
+    };
+  }
+
+  /**
+   * Maps a Binance trade history export, merging the fills of each order
+   *
+   * Supports the current columns (Date(UTC), Pair, Side, Price, Executed, Amount, Fee) and the legacy ones
+   * (Date(UTC), Market, Type, Price, Amount, Total, Fee, Fee Coin). The export has no order IDs, so fills take
+   * those of the same fills fetched from the API, and get IDs derived from their contents otherwise.
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Object} account - Platform and account the statement belongs to
+   * @returns {Promise<Object>} Mapped transactions and trades with accepted, skipped and rejected rows
+   * @private
+   */
+  async _mapBinanceTrades(rows, account) {
+    const legacy = 'Market' in rows[0];
+    const columns = legacy
+      ? ['Date(UTC)', 'Market', 'Type', 'Price', 'Amount', 'Total']
+      : ['Date(UTC)', 'Pair', 'Side', 'Price', 'Executed', 'Amount'];
+    const error = this._checkColumns(rows, columns);
+    
+    if (error) {
+      return { error };
+    }
+    
+    const result = this._createResult();
+    const fills = [];
+    
+    rows.forEach((row, index) => {
+      const symbol = legacy ? row.Market : row.Pair;
+      const side = (legacy ? row.Type : row.Side).toUpperCase();
+      const quantity = this._parseAmount(legacy ? row.Amount : row.Executed);
+      const quoteQuantity = this._parseAmount(legacy ? row.Total : row.Amount);
+      const time = this._parseUtcDate(row['Date(UTC)']);
+      
+      if (!symbol || !['BUY', 'SELL'].includes(side) || !(quantity > 0) || isNaN(quoteQuantity) || !time) {
+        result.rejected.push({ row: index + 2, reason: 'Invalid pair, side, amounts or date' });
+        return;
+      }
+      
+      // The current export appends the fee asset to the fee (e.g., 0.001BNB), the legacy one has its own column
+      const fee = legacy ? { amount: row.Fee, asset: row['Fee Coin'] } : this._splitAmountAsset(row.Fee);
+      
+      fills.push({
+        values: Object.values(row),
+        symbol,
+        side,
+        quantity,
+        quoteQuantity,
+        time,
+        commission: this._parseAmount(fee.amount) || 0,
+        commissionAsset: fee.asset || null,
+      });
+      result.accepted++;
+    });
+    
+    await this._addFills(result, fills, account);
+    
+    return result;
+  }
+
+  /**
+   * Maps a Kraken trades.csv export, merging the fills of each order
+   *
+   * The export names pairs by their full name (XXBTZEUR), which is mapped to the alternate name the API stores
+   * (XBTEUR).
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @returns {Promise<Object>} Mapped transactions and trades with accepted, skipped and rejected rows
+   * @private
+   */
+  async _mapKrakenTrades(rows) {
+    const error = this._checkColumns(rows, ['txid', 'ordertxid', 'pair', 'time', 'type', 'ordertype', 'cost', 'vol']);
+    
+    if (error) {
+      return { error };
+    }
+    
+    const result = this._createResult();
+    const assetPairs = await this._loadKrakenAssetPairs();
+    const fills = [];
+    
+    rows.forEach((row, index) => {
+      const side = row.type.toUpperCase();
+      const quantity = this._parseAmount(row.vol);
+      const quoteQuantity = this._parseAmount(row.cost);
+      const time = this._parseUtcDate(row.time);
+      
+      if (!row.txid || !row.ordertxid || !row.pair || !['BUY', 'SELL'].includes(side) || !(quantity > 0) || isNaN(quoteQuantity) || !time) {
+        result.rejected.push({ row: index + 2, reason: 'Invalid trade ID, order ID, pair, side, amounts or date' });
+        return;
+      }
+      
+      // Kraken charges fees in the quote currency of the pair
+      const { symbol, quote } = this._resolveKrakenPair(row.pair, assetPairs);
+      
+      fills.push({
+        tradeId: row.txid,
+        orderId: row.ordertxid,
+        symbol,
+        side,
+        type: row.ordertype.toUpperCase(),
+        quantity,
+        quoteQuantity,
+        time,
+        commission: this._parseAmount(row.fee) || 0,
+        commissionAsset: quote,
+      });
+      result.accepted++;
+    });
+    
+    this._addOrders(result, fills);
+    
+    return result;
+  }
+
+  /**
+   * Maps a Kraken ledgers.csv export, pairing the two ledger entries of each trade
+   *
+   * Ledger entries only reference the trade, so the order and pair are taken from the trade as fetched from the
+   * API or imported from trades.csv, and trades neither knows are rejected.
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Object} account - Platform and account the statement belongs to
+   * @returns {Promise<Object>} Mapped transactions and trades with accepted, skipped and rejected rows
+   * @private
+   */
+  async _mapKrakenLedgers(rows, { platform, accountId }) {
+    const error = this._checkColumns(rows, ['txid', 'refid', 'time', 'type', 'asset', 'amount']);
+    
+    if (error) {
+      return { error };
+    }
+    
+    const result = this._createResult();
+    const entriesByTrade = new Map();
+    
+    rows.forEach((row, index) => {
+      if (!KRAKEN_TRADE_LEDGER_TYPES.includes(row.type)) {
+        result.skipped.push({ row: index + 2, reason: `Ledger entry of type "${row.type}" is not a trade` });
+        return;
+      }
+      
+      if (!row.refid) {
+        result.rejected.push({ row: index + 2, reason: 'Missing trade reference' });
+        return;
+      }
+      
+      if (!entriesByTrade.has(row.refid)) {
+        entriesByTrade.set(row.refid, []);
+      }
+      
+      entriesByTrade.get(row.refid).push({
+        row: index + 2,
+        asset: row.asset,
+        amount: this._parseAmount(row.amount),
+        fee: this._parseAmount(row.fee) || 0,
+        time: this._parseUtcDate(row.time),
+      });
+    });
+    
+    const storedTrades = await Trade.find({
+      platform,
+      accountId,
+      tradeId: { $in: [...entriesByTrade.keys()] },
+    }).lean();
+    const tradesById = new Map(storedTrades.map(trade => [trade.tradeId, trade]));
+    const fills = [];
+    
+    entriesByTrade.forEach((entries, refid) => {
+      const spent = entries.find(entry => entry.amount < 0);
+      const received = entries.find(entry => entry.amount > 0);
+      const reject = reason => entries.forEach(entry => result.rejected.push({ row: entry.row, reason }));
+      
+      // A trade spends one asset and receives another
+      if (entries.length !== 2 || !spent || !received || !spent.time) {
+        reject(`Trade ${refid} does not have one spent and one received entry`);
+        return;
+      }
+      
+      const trade = tradesById.get(refid);
+      
+      if (!trade) {
+        reject(`Trade ${refid} is unknown, import trades.csv or fetch the account history first`);
+        return;
+      }
+      
+      const base = trade.side === 'BUY' ? received : spent;
+      const quote = base === received ? spent : received;
+      
+      fills.push({
+        tradeId: refid,
+        orderId: trade.orderId,
+        symbol: trade.symbol,
+        side: trade.side,
+        quantity: Math.abs(base.amount),
+        quoteQuantity: Math.abs(quote.amount),
+        time: spent.time,
+        commission: base.fee + quote.fee,
+        commissionAsset: base.fee > 0 ? base.asset : quote.asset,
+      });
+      result.accepted += entries.length;
+    });
+    
+    this._addOrders(result, fills);
+    
+    return result;
+  }
+
+  /**
+   * Maps a Revolut crypto account statement, keeping the completed exchanges between fiat and crypto
+   *
+   * Statements have no order IDs, so exchanges take those of the same fills fetched from the API, and get IDs
+   * derived from their contents otherwise.
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Object} account - Platform and account the statement belongs to
+   * @returns {Promise<Object>} Mapped transactions and trades with accepted, skipped and rejected rows
+   * @private
+   */
+  async _mapRevolutStatement(rows, account) {
+    const error = this._checkColumns(
+      rows,
+      ['Type', 'Started Date', 'Completed Date', 'Amount', 'Currency', 'Fiat amount', 'Base currency', 'State']
+    );
+    
+    if (error) {
+      return { error };
+    }
+    
+    const result = this._createResult();
+    const fills = [];
+    
+    rows.forEach((row, index) => {
+      if (row.Type.toUpperCase() !== 'EXCHANGE') {
+        result.skipped.push({ row: index + 2, reason: `Statement entry of type "${row.Type}" is not an exchange` });
+        return;
+      }
+      
+      if (row.State.toUpperCase() !== 'COMPLETED') {
+        result.skipped.push({ row: index + 2, reason: `Exchange is ${row.State.toLowerCase()}` });
+        return;
+      }
+      
+      const amount = this._parseAmount(row.Amount);
+      const quoteQuantity = Math.abs(this._parseAmount(row['Fiat amount']));
+      const time = this._parseUtcDate(row['Started Date']);
+      const updateTime = this._parseUtcDate(row['Completed Date']) || time;
+      
+      if (!row.Currency || !row['Base currency'] || !amount || isNaN(quoteQuantity) || !time) {
+        result.rejected.push({ row: index + 2, reason: 'Invalid currency, amounts or date' });
+        return;
+      }
+      
+      // Fees are charged in the fiat currency of the exchange
+      const commission = Math.abs(this._parseAmount(row.Fee)) || 0;
+      
+      fills.push({
+        values: Object.values(row),
+        symbol: `${row.Currency.toUpperCase()}-${row['Base currency'].toUpperCase()}`,
+        side: amount > 0 ? 'BUY' : 'SELL',
+        quantity: Math.abs(amount),
+        quoteQuantity,
+        time,
+        updateTime,
+        commission,
+        commissionAsset: commission > 0 ? row['Base currency'].toUpperCase() : null,
+      });
+      result.accepted++;
+    });
+    
+    await this._addFills(result, fills, account);
+    
+    return result;
+  }
+
+  /**
+   * Loads the Kraken asset pairs, or none when the API cannot be reached so that imports work offline
+   * @returns {Promise<Object>} Asset pairs keyed by pair name
+   * @private
+   */
+  async _loadKrakenAssetPairs() {
+    try {
+      return await krakenService.fetchAssetPairs();
+    } catch (error) {
+      console.warn(`Kraken asset pairs could not be loaded, deriving pair names from the export: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Resolves the pair name of a Kraken export to the alternate name the API stores, and its quote asset
+   *
+   * Without the asset pairs of the API, legacy names lose their X and Z prefixes (XXBTZEUR becomes XBTEUR) and
+   * other names are already the alternate ones.
+   * @param {string} pair - Pair name of the export (e.g., XXBTZEUR)
+   * @param {Object} assetPairs - Kraken asset pairs keyed by pair name, possibly empty
+   * @returns {{symbol: string, quote: (string|null)}} Alternate pair name and quote asset
+   * @private
+   */
+  _resolveKrakenPair(pair, assetPairs) {
+    const assetPair = assetPairs[pair];
+    
+    if (assetPair) {
+      return { symbol: assetPair.altname, quote: assetPair.quote };
+    }
+    
+    const legacy = pair.match(KRAKEN_LEGACY_PAIR);
+    
+    return {
+      symbol: legacy ? `${legacy[1].slice(1)}${legacy[2].slice(1)}` : pair,
+      quote: symbolNormalizationService.splitSymbol(pair).quoteAsset,
+    };
+  }
+
+  /**
+   * Leaves out what is already stored, so an import never replaces an order fetched from the API
+   *
+   * Imports only insert orders and fills. A stored order is only updated when its fills, stored and imported
+   * together, add up to more than its executed quantity (e.g. an order split across two statements), keeping its
+   * type and status.
+   * @param {Array} transactions - Mapped transactions of the statement
+   * @param {Array} trades - Mapped fills of the statement
+   * @param {Object} account - Platform and account the statement belongs to
+   * @returns {Promise<{transactions: Array, trades: Array, unchanged: number}>} Transactions and fills to save,
+   * and the number of stored orders left as they are
+   * @private
+   */
+  async _excludeStored(transactions, trades, { platform, accountId }) {
+    const storedOrders = new Map((await Transaction.find({
+      platform,
+      accountId,
+      orderId: { $in: transactions.map(transaction => transaction.orderId) },
+    }).lean()).map(order => [`${order.symbol}:${order.orderId}`, order]));
+    const storedTrades = await Trade.find({
+      platform,
+      accountId,
+      $or: [
+        { tradeId: { $in: trades.map(trade => trade.tradeId) } },
+        { orderId: { $in: [...storedOrders.values()].map(order => order.orderId) } },
+      ],
+    }).lean();
+    const storedTradeKeys = new Set(storedTrades.map(trade => `${trade.symbol}:${trade.tradeId}`));
+    const newTrades = trades.filter(trade => !storedTradeKeys.has(`${trade.symbol}:${trade.tradeId}`));
+    const newTransactions = [];
+    let unchanged = 0;
+    
+    transactions.forEach(transaction => {
+      const stored = storedOrders.get(`${transaction.symbol}:${transaction.orderId}`);
+      
+      if (!stored) {
+        newTransactions.push(transaction);
+        return;
+      }
+      
+      const fills = [...storedTrades, ...newTrades]
+        .filter(fill => fill.symbol === transaction.symbol && fill.orderId === transaction.orderId);
+      const executedQty = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+      const quoteQty = fills.reduce((sum, fill) => sum + fill.quoteQuantity, 0);
+      const storedExecutedQty = stored.executedQuantity ?? stored.quantity ?? 0;
+      
+      // Tolerates the rounding of the summed amounts
+      if (!(executedQty > storedExecutedQty * (1 + 1e-9))) {
+        unchanged++;
+        return;
+      }
+      
+      newTransactions.push({
+        ...transaction,
+        type: stored.type && stored.type !== 'UNKNOWN' ? stored.type : transaction.type,
+        price: quoteQty / executedQty,
+        origQty: Math.max(stored.quantity || 0, executedQty),
+        executedQty,
+        cummulativeQuoteQty: quoteQty,
+        status: stored.status,
+        time: new Date(Math.min(new Date(stored.time).getTime(), transaction.time.getTime())),
+        updateTime: new Date(Math.max(new Date(stored.updateTime || stored.time).getTime(), transaction.updateTime.getTime())),
+        isWorking: stored.isWorking,
+      });
+    });
+    
+    return { transactions: newTransactions, trades: newTrades, unchanged };
+  }
+
+  /**
+   * Adds the fills of a statement without order IDs to a mapping result
+   *
+   * A fill takes the trade and order IDs of the stored trade of the account with the same pair, side, quantity
+   * and time to the second, so a statement overlapping the API history updates the same transactions. Other
+   * fills get a stable ID derived from their row, used as both trade and order ID.
+   * @param {Object} result - Mapping result
+   * @param {Array<Object>} fills - Fills with the values of their row
+   * @param {Object} account - Platform and account the statement belongs to
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _addFills(result, fills, { platform, accountId }) {
+    if (fills.length === 0) {
+      return;
+    }
+    
+    const times = fills.map(fill => fill.time.getTime());
+    const storedTrades = await Trade.find({
+      platform,
+      accountId,
+      time: { $gte: new Date(Math.min(...times)), $lt: new Date(Math.max(...times) + 1000) },
+    }).lean();
+    const tradesByKey = new Map();
+    
+    storedTrades.forEach(trade => {
+      const key = this._fillKey(trade);
+      
+      tradesByKey.set(key, [...(tradesByKey.get(key) || []), trade]);
+    });
+    
+    const occurrences = new Map();
+    
+    this._addOrders(result, fills.map(({ values, ...fill }) => {
+      // A stored trade stands in for one fill only
+      const trade = (tradesByKey.get(this._fillKey(fill)) || []).shift();
+      const id = trade ? null : this._createOrderId(values, occurrences);
+      
+      return {
+        ...fill,
+        tradeId: trade ? trade.tradeId : id,
+        orderId: trade ? trade.orderId : id,
+      };
+    }));
+  }
+
+  /**
+   * Adds fills to a mapping result, merging those of each order into a transaction
+   * @param {Object} result - Mapping result
+   * @param {Array<Object>} fills - Fills with their trade and order IDs
+   * @returns {void}
+   * @private
+   */
+  _addOrders(result, fills) {
+    const fillsByOrder = new Map();
+    
+    fills.forEach(fill => {
+      if (!fillsByOrder.has(fill.orderId)) {
+        fillsByOrder.set(fill.orderId, []);
+      }
+      
+      fillsByOrder.get(fill.orderId).push(fill);
+      
+      result.trades.push({
+        tradeId: fill.tradeId,
+        orderId: fill.orderId,
+        symbol: fill.symbol,
+        side: fill.side,
+        price: fill.quoteQuantity / fill.quantity,
+        quantity: fill.quantity,
+        quoteQuantity: fill.quoteQuantity,
+        commission: fill.commission,
+        commissionAsset: fill.commissionAsset,
+        time: fill.time,
+      });
+    });
+    
+    fillsByOrder.forEach(orderFills => result.transactions.push(this._mergeFills(orderFills)));
+  }
+
+  /**
+   * Returns the key matching a statement fill with a trade fetched from the API
+   * @param {Object} fill - Fill or trade
+   * @returns {string} Key of pair, side, quantity and time to the second
+   * @private
+   */
+  _fillKey({ symbol, side, quantity, time }) {
+    return `${symbol}:${side}:${Number(quantity).toFixed(8)}:${Math.floor(new Date(time).getTime() / 1000)}`;
+  }
+
+  /**
+   * Checks that the statement has the columns a format needs
+   * @param {Array<Object>} rows - Parsed CSV rows
+   * @param {Array<string>} columns - Required columns
+   * @returns {string|null} Validation error or null when every column is present
+   * @private
+   */
+  _checkColumns(rows, columns) {
+    const missingColumns = columns.filter(column => !(column in rows[0]));
+    
+    return missingColumns.length > 0 ? `Missing columns: ${missingColumns.join(', ')}` : null;
+  }
+
+  /**
+   * Creates an empty mapping result
+   * @returns {{transactions: Array, trades: Array, accepted: number, skipped: Array, rejected: Array}} Mapping
+   * result
+   * @private
+   */
+  _createResult() {
+    return {
+      transactions: [],
+      trades: [],
+      accepted: 0,
+      skipped: [],
+      rejected: [],
+    };
+  }
+
+  /**
+   * Builds a transaction in the common format from an executed trade
+   * @param {Object} trade - Executed trade
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _toTransaction({ orderId, symbol, side, type = 'UNKNOWN', quantity, quoteQuantity, time, updateTime = time }) {
+    return {
+      orderId,
+      symbol,
+      side,
+      type,
+      price: quantity > 0 ? quoteQuantity / quantity : 0,
+      origQty: quantity,
+      executedQty: quantity,
+      cummulativeQuoteQty: quoteQuantity,
+      status: 'FILLED',
+      time,
+      updateTime,
+      isWorking: false,
+    };
+  }
+
+  /**
+   * Merges the fills of an order into a single transaction
+   * @param {Array<Object>} fills - Fills of one order
+   * @returns {Object} Transaction object
+   * @private
+   */
+  _mergeFills(fills) {
+    const times = fills.map(fill => fill.time.getTime());
+    const updateTimes = fills.map(fill => (fill.updateTime || fill.time).getTime());
+    
+    return this._toTransaction({
+      ...fills[0],
+      quantity: fills.reduce((sum, fill) => sum + fill.quantity, 0),
+      quoteQuantity: fills.reduce((sum, fill) => sum + fill.quoteQuantity, 0),
+      time: new Date(Math.min(...times)),
+      updateTime: new Date(Math.max(...updateTimes)),
+    });
+  }
+
+  /**
+   * Derives a stable order ID from the contents of a statement row
+   *
+   * Identical rows are told apart by their occurrence, so importing the same file twice yields the same IDs.
+   * @param {Array<string>} values - Row values
+   * @param {Map<string, number>} occurrences - Occurrences of each row seen so far in the file
+   * @returns {string} Order ID
+   * @private
+   */
+  _createOrderId(values, occurrences) {
+    const key = values.join('|');
+    const occurrence = occurrences.get(key) || 0;
+    
+    occurrences.set(key, occurrence + 1);
+    
+    return `CSV-${crypto.createHash('sha256').update(`${key}|${occurrence}`).digest('hex').slice(0, 24)}`;
+  }
+
+  /**
+   * Splits an amount followed by its asset (e.g., 0.001BNB)
+   * @param {string} value - Raw amount with asset
+   * @returns {{amount: string, asset: (string|null)}} Amount text and asset, null when the value names none
+   * @private
+   */
+  _splitAmountAsset(value) {
+    const [, amount = '', asset = null] = String(value || '').trim().match(/^([\d.,]*)\s*([A-Za-z]*)$/) || [];
+    
+    return { amount, asset: asset || null };
+  }
+
+  /**
+   * Parses an amount that may carry thousands separators or a trailing asset (e.g., 1,000.5USDT)
+   * @param {string} value - Raw amount
+   * @returns {number} Parsed amount, NaN when invalid
+   * @private
+   */
+  _parseAmount(value) {
+    return parseFloat(String(value || '').replace(/,/g, ''));
+  }
+
+  /**
+   * Parses a statement date without time zone as UTC (e.g., 2024-01-05 10:00:00)
+   * @param {string} value - Raw date
+   * @returns {Date|null} Parsed date or null when invalid
+   * @private
+   */
+  _parseUtcDate(value) {
+    if (!value) {
+      return null;
+    }
+    
+    const text = value.trim().replace(' ', 'T');
+    const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+    
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = new StatementImportService(); 
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Service for normalizing platform symbols into common base and quote assets
+ * @module services/symbolNormalizationService
+ */
+
+const AssetAlias = require('../models/assetAlias');
+const Transaction = require('../models/transaction');
+
+/**
+ * Aliases seeded into the alias table while it is empty
+ * @type {Object<string, string>}
+ */
+const DEFAULT_ALIASES = {
+  XBT: 'BTC',
+  XXBT: 'BTC',
+  XDG: 'DOGE',
+  XXDG: 'DOGE',
+  XETH: 'ETH',
+  XETC: 'ETC',
+  XLTC: 'LTC',
+  XXRP: 'XRP',
+  XXLM: 'XLM',
+  XXMR: 'XMR',
+  XZEC: 'ZEC',
+  ZEUR: 'EUR',
+  ZUSD: 'USD',
+  ZGBP: 'GBP',
+  ZCAD: 'CAD',
+  ZJPY: 'JPY',
+  ZCHF: 'CHF',
+};
+
+/**
+ * Quote assets recognised at the end of concatenated symbols such as BTCUSDT, longest first
+ * @type {Array<string>}
+ */
+const KNOWN_QUOTE_ASSETS = [
+  'FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'EURC', 'DAI', 'USD', 'EUR', 'GBP', 'CHF', 'CAD', 'JPY', 'AUD',
+  'TRY', 'BRL', 'BTC', 'XBT', 'ETH', 'BNB',
+];
+
+/**
+ * Symbol normalization service backed by the editable asset alias table
+ */
+class SymbolNormalizationService {
+  constructor() {
+    this.aliases = new Map(Object.entries(DEFAULT_ALIASES));
+    this.aliasesLoadedAt = 0;
+    this.cacheTtlMs = 60 * 1000;
+    this.migrationBatchSize = 500;
+  }
+
+  /**
+   * Loads the alias table into memory, seeding the default aliases into an empty table
+   * @param {boolean} [force=false] - Reload even if the cached table is still fresh
+   * @returns {Promise<void>}
+   */
+  async loadAliases(force = false) {
+    if (!force && Date.now() - this.aliasesLoadedAt < this.cacheTtlMs) {
+      return;
+    }
+    
+    // Only seed an empty table so that edited or removed aliases stay that way
+    if (await AssetAlias.estimatedDocumentCount() === 0) {
+      await AssetAlias.insertMany(
+        Object.entries(DEFAULT_ALIASES).map(([alias, asset]) => ({ alias, asset }))
+      );
+    }
+    
+    const assetAliases = await AssetAlias.find();
+    
+    this.aliases = new Map(assetAliases.map(assetAlias => [assetAlias.alias, assetAlias.asset]));
+    this.aliasesLoadedAt = Date.now();
+  }
+
+  /**
+   * Maps a platform-specific asset code to its common name using the loaded aliases
+   * @param {string} asset - Asset code (e.g., XBT, ZEUR)
+   * @returns {string} Common asset code (e.g., BTC, EUR)
+   */
+  normalizeAsset(asset) {
+    const upperAsset = asset.trim().toUpperCase();
+    
+    return this.aliases.get(upperAsset) || upperAsset;
+  }
+
+  /**
+   * Splits a platform symbol into its normalized base and quote assets
+   * @param {string} symbol - Trading pair symbol (e.g., BTCUSDT, XXBTZEUR, BTC-EUR)
+   * @returns {{baseAsset: string|null, quoteAsset: string|null}} Assets, null when not recognised
+   */
+  splitSymbol(symbol) {
+    const upperSymbol = symbol.toUpperCase();
+    const separated = upperSymbol.split(/[-/_]/);
+    
+    // Revolut (BTC-EUR) and Kraken WebSocket (XBT/EUR) separate the assets
+    if (separated.length === 2) {
+      return {
+        baseAsset: this.normalizeAsset(separated[0]),
+        quoteAsset: this.normalizeAsset(separated[1]),
+      };
+    }
+    
+    // Kraken's legacy names prefix crypto assets with X and fiat with Z (e.g., XXBTZEUR, XETHXXBT)
+    const krakenMatch = upperSymbol.match(/^(X[A-Z]{3})([XZ][A-Z]{3})$/);
+    
+    if (krakenMatch) {
+      return {
+        baseAsset: this.normalizeAsset(krakenMatch[1]),
+        quoteAsset: this.normalizeAsset(krakenMatch[2]),
+      };
+    }
+    
+    const candidates = KNOWN_QUOTE_ASSETS.filter(
+      asset => upperSymbol.endsWith(asset) && upperSymbol.length > asset.length
+    );
+    
+    // Prefer a split leaving a plausible base asset (XBTUSD is XBT/USD, not XB/TUSD)
+    const quoteAsset = candidates.find(asset => {
+      const baseAsset = upperSymbol.slice(0, -asset.length);
+      
+      return baseAsset.length >= 3 || this.aliases.has(baseAsset);
+    }) || candidates[0];
+    
+    if (!quoteAsset) {
+      console.warn(`Could not split symbol ${symbol} into base and quote assets`);
+      return { baseAsset: null, quoteAsset: null };
+    }
+    
+    return {
+      baseAsset: this.normalizeAsset(upperSymbol.slice(0, -quoteAsset.length)),
+      quoteAsset: this.normalizeAsset(quoteAsset),
+    };
+  }
+
+  /**
+   * Adds normalized base and quote assets to transactions in the common format
+   * @param {Array} transactions - Array of transaction objects
+   * @returns {Promise<Array>} Transactions with baseAsset and quoteAsset
+   */
+  async normalizeTransactions(transactions) {
+    await this.loadAliases();
+    
+    return transactions.map(transaction => ({
+      ...transaction,
+      ...this.splitSymbol(transaction.symbol),
+    }));
+  }
+
+  /**
+   * Adds normalized base and quote assets to a single transaction
+   * @param {Object} transaction - Transaction object
+   * @returns {Promise<Object>} Transaction with baseAsset and quoteAsset
+   */
+  async normalizeTransaction(transaction) {
+    const [normalizedTransaction] = await this.normalizeTransactions([transaction]);
+    
+    return normalizedTransaction;
+  }
+
+  /**
+   * Sets baseAsset and quoteAsset on stored transactions
+   * @param {Object} [options] - Migration options
+   * @param {boolean} [options.all=false] - Re-normalize every transaction, e.g. after editing aliases
+   * @returns {Promise<number>} Number of transactions updated
+   */
+  async migrateTransactions({ all = false } = {}) {
+    await this.loadAliases(true);
+    
+    const filter = all ? {} : { baseAsset: null };
+    const cursor = Transaction.find(filter).select('symbol').lean().cursor();
+    let operations = [];
+    let updated = 0;
+    
+    for await (const transaction of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: { $set: this.splitSymbol(transaction.symbol) },
+        },
+      });
+      
+      if (operations.length >= this.migrationBatchSize) {
+        await Transaction.bulkWrite(operations);
+        updated += operations.length;
+        operations = [];
+      }
+    }
+    
+    if (operations.length > 0) {
+      await Transaction.bulkWrite(operations);
+      updated += operations.length;
+    }
+    
+    console.log(`Normalized symbols of ${updated} stored transactions`);
+    
+    return updated;
+  }
+
+  /**
+   * Lists the asset aliases
+   * @returns {Promise<Array>} Array of asset alias documents
+   */
+  async listAliases() {
+    await this.loadAliases();
+    
+    return AssetAlias.find().sort({ alias: 1 });
+  }
+
+  /**
+   * Creates or updates an asset alias
+   * @param {string} alias - Platform-specific asset code
+   * @param {string} asset - Common asset code
+   * @returns {Promise<Object>} Asset alias document
+   */
+  async setAlias(alias, asset) {
+    const assetAlias = await AssetAlias.findOneAndUpdate(
+      { alias: alias.toUpperCase() },
+      { $set: { asset: asset.toUpperCase() } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    
+    await this.loadAliases(true);
+    
+    return assetAlias;
+  }
+
+  /**
+   * Removes an asset alias
+   * @param {string} alias - Platform-specific asset code
+   * @returns {Promise<Object|null>} Removed asset alias document or null if not found
+   */
+  async removeAlias(alias) {
+    const assetAlias = await AssetAlias.findOneAndDelete({ alias: alias.toUpperCase() });
+    
+    await this.loadAliases(true);
+    
+    return assetAlias;
+  }
+}
+
+module.exports = new SymbolNormalizationService(); 
\ No newline at end of file
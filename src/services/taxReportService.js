@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Service for generating the annual capital gains report
+ * @module services/taxReportService
+ */
+
+const ExcelJS = require('exceljs');
+const pnlService = require('./pnlService');
+const googleSheetsService = require('./googleSheetsService');
+const { toCsv } = require('../utils/csv');
+
+/**
+ * Column headers shared by every export format
+ * @type {Array<string>}
+ */
+const REPORT_HEADERS = [
+  'Asset',
+  'Currency',
+  'Platform',
+  'Order ID',
+  'Quantity',
+  'Acquisition Date',
+  'Disposal Date',
+  'Proceeds',
+  'Cost Basis',
+  'Fees',
+  'Gain',
+];
+
+/**
+ * Tax report service turning realized gains into one row per disposed lot
+ */
+class TaxReportService {
+  /**
+   * Generates the capital gains report of a year from the stored realized gains
+   * @param {Object} options - Report options
+   * @param {number} options.year - Tax year
+   * @param {string} [options.method='FIFO'] - Cost basis method (FIFO, LIFO, HIFO, AVERAGE)
+   * @returns {Promise<Object>} Report with disposal rows, per-asset totals and grand totals
+   */
+  async generateReport({ year, method = 'FIFO' }) {
+    const { disposals } = await pnlService.getRealizedGains({ method, year });
+    
+    const rows = disposals.flatMap(disposal => this._toRows(disposal));
+    
+    return {
+      year,
+      method,
+      generatedAt: new Date(),
+      rows,
+      assetTotals: this._sumRows(rows, row => `${row.asset}/${row.currency}`, row => ({
+        asset: row.asset,
+        currency: row.currency,
+      })),
+      // Quantities of different assets cannot be added up
+      grandTotals: this._sumRows(rows, row => row.currency, row => ({
+        currency: row.currency,
+      })).map(({ quantity, ...total }) => total),
+    };
+  }
+
+  /**
+   * Formats a report as CSV, with the totals appended below the disposals
+   * @param {Object} report - Report returned by generateReport
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    return toCsv(this._toSheetRows(report));
+  }
+
+  /**
+   * Formats a report as an XLSX workbook with disposal and totals worksheets
+   * @param {Object} report - Report returned by generateReport
+   * @returns {Promise<Buffer>} XLSX file contents
+   */
+  async toXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = report.generatedAt;
+    
+    const disposalsSheet = workbook.addWorksheet(`Disposals ${report.year}`);
+    disposalsSheet.addRow(REPORT_HEADERS).font = { bold: true };
+    report.rows.forEach(row => disposalsSheet.addRow(this._toCells(row)));
+    
+    const totalsSheet = workbook.addWorksheet('Totals');
+    totalsSheet.addRow(['Asset', 'Currency', 'Quantity', 'Proceeds', 'Cost Basis', 'Fees', 'Gain']).font = { bold: true };
+    report.assetTotals.forEach(total => totalsSheet.addRow(this._toTotalCells(total.asset, total)));
+    report.grandTotals.forEach(total => totalsSheet.addRow(this._toTotalCells('TOTAL', total)).font = { bold: true });
+    
+    return workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Recalculates the realized gains of a year, then writes its report to a "Tax Report <year>" sheet
+   * @param {Object} options - Report options, see generateReport
+   * @returns {Promise<Object>} Generated report
+   */
+  async syncTaxReportToGoogleSheets(options) {
+    await pnlService.calculateRealizedGains(options);
+    
+    const report = await this.generateReport(options);
+    
+    await googleSheetsService.replaceSheet(`Tax Report ${report.year}`, this._toSheetRows(report));
+    
+    return report;
+  }
+
+  /**
+   * Splits a disposal into one row per consumed lot, allocating proceeds and fees by quantity
+   * @param {Object} disposal - Disposal returned by the P&L service
+   * @returns {Array<Object>} Report rows
+   * @private
+   */
+  _toRows(disposal) {
+    const parts = disposal.lots.map(lot => ({
+      quantity: lot.quantity,
+      acquiredAt: lot.acquiredAt,
+      costBasis: lot.costBasis,
+    }));
+    
+    // Quantity sold without a recorded acquisition has no known cost basis
+    if (disposal.unmatchedQuantity > 0) {
+      parts.push({
+        quantity: disposal.unmatchedQuantity,
+        acquiredAt: null,
+        costBasis: 0,
+      });
+    }
+    
+    return parts.map(part => {
+      const share = part.quantity / disposal.quantity;
+      const proceeds = disposal.proceeds * share;
+      const fees = disposal.fees * share;
+      
+      return {
+        asset: disposal.asset,
+        currency: disposal.costCurrency,
+        platform: disposal.platform,
+        orderId: disposal.orderId,
+        quantity: part.quantity,
+        acquiredAt: part.acquiredAt,
+        disposedAt: disposal.disposedAt,
+        proceeds,
+        costBasis: part.costBasis,
+        fees,
+        gain: proceeds - fees - part.costBasis,
+      };
+    });
+  }
+
+  /**
+   * Sums report rows by a grouping key
+   * @param {Array<Object>} rows - Report rows
+   * @param {Function} getKey - Returns the grouping key of a row
+   * @param {Function} getLabels - Returns the identifying fields of a group
+   * @returns {Array<Object>} Totals per group
+   * @private
+   */
+  _sumRows(rows, getKey, getLabels) {
+    const totals = new Map();
+    
+    rows.forEach(row => {
+      const key = getKey(row);
+      
+      if (!totals.has(key)) {
+        totals.set(key, {
+          ...getLabels(row),
+          quantity: 0,
+          proceeds: 0,
+          costBasis: 0,
+          fees: 0,
+          gain: 0,
+        });
+      }
+      
+      const total = totals.get(key);
+      total.quantity += row.quantity;
+      total.proceeds += row.proceeds;
+      total.costBasis += row.costBasis;
+      total.fees += row.fees;
+      total.gain += row.gain;
+    });
+    
+    return [...totals.values()];
+  }
+
+  /**
+   * Builds the header, disposal and totals rows used by the CSV and sheet exports
+   * @param {Object} report - Report returned by generateReport
+   * @returns {Array<Array>} Rows of cells
+   * @private
+   */
+  _toSheetRows(report) {
+    return [
+      REPORT_HEADERS,
+      ...report.rows.map(row => this._toCells(row)),
+      [],
+      ['Asset', 'Currency', 'Quantity', 'Proceeds', 'Cost Basis', 'Fees', 'Gain'],
+      ...report.assetTotals.map(total => this._toTotalCells(total.asset, total)),
+      ...report.grandTotals.map(total => this._toTotalCells('TOTAL', total)),
+    ];
+  }
+
+  /**
+   * Converts a report row to its cells in header order
+   * @param {Object} row - Report row
+   * @returns {Array} Cells
+   * @private
+   */
+  _toCells(row) {
+    return [
+      row.asset,
+      row.currency,
+      row.platform,
+      row.orderId,
+      row.quantity,
+      row.acquiredAt ? row.acquiredAt.toISOString() : 'UNKNOWN',
+      row.disposedAt.toISOString(),
+      row.proceeds,
+      row.costBasis,
+      row.fees,
+      row.gain,
+    ];
+  }
+
+  /**
+   * Converts a totals entry to its cells
+   * @param {string} label - Asset or total label
+   * @param {Object} total - Totals entry
+   * @returns {Array} Cells
+   * @private
+   */
+  _toTotalCells(label, total) {
+    return [label, total.currency, total.quantity ?? '', total.proceeds, total.costBasis, total.fees, total.gain];
+  }
+}
+
+module.exports = new TaxReportService(); 
\ No newline at end of file
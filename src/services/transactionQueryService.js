@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Service for reading stored transactions with filters, pagination and aggregates
+ * @module services/transactionQueryService
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction');
+const Trade = require('../models/trade');
+const sinkRegistry = require('./sinkRegistry');
+
+/**
+ * Fields transactions can be sorted by
+ * @type {Array<string>}
+ */
+const SORT_FIELDS = ['time', 'updateTime', 'price', 'quantity', 'quoteQuantity'];
+
+/**
+ * Fields transactions can be grouped by in aggregates
+ * @type {Array<string>}
+ */
+const GROUP_BY_FIELDS = ['day', 'month', 'asset', 'platform', 'account'];
+
+/**
+ * Fields holding dates, restored from their ISO form when decoding cursors
+ * @type {Array<string>}
+ */
+const DATE_FIELDS = ['time', 'updateTime'];
+
+/**
+ * Transaction query service backing the read API
+ */
+class TransactionQueryService {
+  constructor() {
+    this.sortFields = SORT_FIELDS;
+    this.groupByFields = GROUP_BY_FIELDS;
+    this.defaultLimit = 50;
+    this.maxLimit = 500;
+  }
+
+  /**
+   * Lists transactions matching the filters, one page at a time
+   * @param {Object} filters - Transaction filters, see _buildFilter
+   * @param {Object} [options] - Pagination options
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - Cursor returned with the previous page
+   * @param {string} [options.sort='time'] - Sort field
+   * @param {string} [options.order='desc'] - Sort order (asc or desc)
+   * @returns {Promise<{transactions: Array, nextCursor: string|null}>} Page of transactions
+   */
+  async listTransactions(filters, { limit, cursor, sort = 'time', order = 'desc' } = {}) {
+    const pageSize = Math.min(limit || this.defaultLimit, this.maxLimit);
+    const direction = order === 'asc' ? 1 : -1;
+    const filter = this._buildFilter(filters);
+    
+    if (cursor) {
+      // Continue after the last document of the previous page, using _id to break ties
+      const { value, id } = this._decodeCursor(cursor, sort);
+      const operator = direction === 1 ? '$gt' : '$lt';
+      
+      filter.$and = [
+        ...(filter.$and || []),
+        {
+          $or: [
+            { [sort]: { [operator]: value } },
+            { [sort]: value, _id: { [operator]: id } },
+          ],
+        },
+      ];
+    }
+    
+    // Fetch one extra document to know whether there is a next page
+    const transactions = await Transaction.find(filter)
+      .sort({ [sort]: direction, _id: direction })
+      .limit(pageSize + 1);
+    
+    const hasMore = transactions.length > pageSize;
+    const page = hasMore ? transactions.slice(0, pageSize) : transactions;
+    const last = page[page.length - 1];
+    
+    return {
+      transactions: page,
+      nextCursor: hasMore ? this._encodeCursor(last[sort], last._id) : null,
+    };
+  }
+
+  /**
+   * Returns a transaction and its fills by platform and order ID
+   * @param {string} platform - Trading platform
+   * @param {string} orderId - Exchange order ID
+   * @param {string} [symbol] - Trading pair, needed when order IDs repeat across symbols (Binance)
+   * @param {string} [account] - Account ID, needed when order IDs repeat across accounts
+   * @returns {Promise<Object|null>} Transaction with its trades or null if not found
+   */
+  async getTransaction(platform, orderId, symbol, account) {
+    const filter = { platform, orderId };
+    
+    if (symbol) {
+      filter.symbol = symbol;
+    }
+    
+    if (account) {
+      filter.accountId = account;
+    }
+    
+    const transaction = await Transaction.findOne(filter).sort({ time: -1 });
+    
+    if (!transaction) {
+      return null;
+    }
+    
+    const trades = await Trade.find({ transaction: transaction._id }).sort({ time: 1 });
+    
+    return {
+      transaction,
+      trades,
+    };
+  }
+
+  /**
+   * Aggregates trade counts and volume of the matching transactions
+   * @param {Object} filters - Transaction filters, see _buildFilter
+   * @param {string} groupBy - Grouping (day, month, asset, platform or account)
+   * @returns {Promise<Array>} Aggregates per group and quote asset
+   */
+  async aggregateTransactions(filters, groupBy) {
+    const groupKeys = {
+      day: { $dateToString: { format: '%Y-%m-%d', date: '$time' } },
+      month: { $dateToString: { format: '%Y-%m', date: '$time' } },
+      asset: '$baseAsset',
+      platform: '$platform',
+      account: '$accountId',
+    };
+    
+    // Volumes in different quote currencies are kept apart
+    const results = await Transaction.aggregate([
+      { $match: this._buildFilter(filters) },
+      {
+        $group: {
+          _id: { group: groupKeys[groupBy], quoteAsset: '$quoteAsset' },
+          tradeCount: { $sum: 1 },
+          buyCount: { $sum: { $cond: [{ $eq: ['$side', 'BUY'] }, 1, 0] } },
+          sellCount: { $sum: { $cond: [{ $eq: ['$side', 'SELL'] }, 1, 0] } },
+          quantity: { $sum: { $ifNull: ['$executedQuantity', '$quantity'] } },
+          volume: { $sum: '$quoteQuantity' },
+          buyVolume: { $sum: { $cond: [{ $eq: ['$side', 'BUY'] }, '$quoteQuantity', 0] } },
+          sellVolume: { $sum: { $cond: [{ $eq: ['$side', 'SELL'] }, '$quoteQuantity', 0] } },
+          valueInReportingCurrency: { $sum: '$valueInReportingCurrency' },
+          unvaluedCount: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$valueInReportingCurrency', null] }, null] }, 1, 0] } },
+        },
+      },
+      { $sort: { '_id.group': 1, '_id.quoteAsset': 1 } },
+    ]);
+    
+    return results.map(({ _id, ...totals }) => ({
+      [groupBy]: _id.group,
+      quoteAsset: _id.quoteAsset,
+      ...totals,
+    }));
+  }
+
+  /**
+   * Builds a MongoDB filter from the API filters
+   * @param {Object} filters - Transaction filters
+   * @param {string} [filters.platform] - Trading platform
+   * @param {string} [filters.account] - Account ID
+   * @param {string} [filters.symbol] - Platform symbol or normalized base asset
+   * @param {string} [filters.side] - Order side (BUY or SELL)
+   * @param {string} [filters.status] - Order status
+   * @param {Date} [filters.from] - Earliest order time (inclusive)
+   * @param {Date} [filters.to] - Latest order time (inclusive)
+   * @param {boolean} [filters.synced] - Whether the order is synced to every enabled sink
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _buildFilter({ platform, account, symbol, side, status, from, to, synced } = {}) {
+    const filter = {};
+    
+    if (platform) {
+      filter.platform = platform;
+    }
+    
+    if (account) {
+      filter.accountId = account;
+    }
+    
+    if (symbol) {
+      filter.$or = [{ symbol }, { baseAsset: symbol }];
+    }
+    
+    if (side) {
+      filter.side = side;
+    }
+    
+    if (status) {
+      filter.status = status;
+    }
+    
+    if (from || to) {
+      filter.time = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      };
+    }
+    
+    if (synced !== undefined) {
+      const allSinks = { $all: sinkRegistry.names };
+      
+      filter['syncState.sink'] = synced ? allSinks : { $not: allSinks };
+    }
+    
+    return filter;
+  }
+
+  /**
+   * Checks whether a cursor can be decoded
+   * @param {string} cursor - Cursor returned with a previous page
+   * @param {string} sort - Sort field the cursor was created for
+   * @returns {boolean} Whether the cursor is valid
+   */
+  isValidCursor(cursor, sort) {
+    return this._decodeCursor(cursor, sort) !== null;
+  }
+
+  /**
+   * Encodes the position of a document in a page as an opaque cursor
+   * @param {*} value - Sort field value of the document
+   * @param {mongoose.Types.ObjectId} id - Document ID
+   * @returns {string} Cursor
+   * @private
+   */
+  _encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ value, id: String(id) })).toString('base64url');
+  }
+
+  /**
+   * Decodes a cursor created by _encodeCursor
+   *
+   * The cursor comes from the client, so only a value of the type of the sort field (or null, for documents
+   * without one) and a document ID are accepted, never an object that would reach the query as an operator.
+   * @param {string} cursor - Cursor
+   * @param {string} sort - Sort field the cursor was created for
+   * @returns {{value: *, id: mongoose.Types.ObjectId}|null} Sort field value and document ID, null when malformed
+   * @private
+   */
+  _decodeCursor(cursor, sort) {
+    let decoded;
+    
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    
+    const { value, id } = decoded || {};
+    
+    if (typeof id !== 'string' || !/^[0-9a-f]{24}$/i.test(id)) {
+      return null;
+    }
+    
+    if (value === null) {
+      return { value, id: new mongoose.Types.ObjectId(id) };
+    }
+    
+    if (DATE_FIELDS.includes(sort)) {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      
+      return date && !isNaN(date.getTime()) ? { value: date, id: new mongoose.Types.ObjectId(id) } : null;
+    }
+    
+    return Number.isFinite(value) ? { value, id: new mongoose.Types.ObjectId(id) } : null;
+  }
+}
+
+module.exports = new TransactionQueryService(); 
\ No newline at end of file
@@ -4,109 +4,191 @@
  */
 
 const Transaction = require('../models/transaction');
-const binanceService = require('./binanceService');
-const revolutService = require('./revolutService');
-const krakenService = require('./krakenService');
-const googleSheetsService = require('./googleSheetsService');
+const Trade = require('../models/trade');
+const accountRegistry = require('./accountRegistry');
+const binanceSymbolService = require('./binanceSymbolService');
+const sinkRegistry = require('./sinkRegistry');
+const priceService = require('./priceService');
+const ledgerService = require('./ledgerService');
+const { hasChanges } = require('../utils/transactionRecord');
 
 /**
  * Transaction service to manage fetching, storing, and syncing transactions
  */
 class TransactionService {
+  constructor() {
+    // Pending sync of each sink, by sink name
+    this.sinkQueues = new Map();
+  }
+
   /**
-   * Fetches today's transactions from all platforms, stores them in MongoDB, and syncs to Google Sheets
-   * @returns {Promise<Array>} Array of saved and synced transactions
+   * Fetches an account's transactions for a date range, stores them in MongoDB, and syncs them to the output sinks
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Object>} Summary of the backfill
    */
-  async fetchAndStoreTransactions() {
+  async backfillTransactions(accountId, from, to) {
     try {
-      // Fetch transactions from all platforms
-      const [binanceTransactions, revolutTransactions, krakenTransactions] = await Promise.allSettled([
-        this.fetchBinanceTransactions(),
-        this.fetchRevolutTransactions(),
-        this.fetchKrakenTransactions()
-      ]);
-      
-      const allTransactions = [
-        ...(binanceTransactions.status === 'fulfilled' ? binanceTransactions.value : []),
-        ...(revolutTransactions.status === 'fulfilled' ? revolutTransactions.value : []),
-        ...(krakenTransactions.status === 'fulfilled' ? krakenTransactions.value : [])
-      ];
+      const summary = await this.fetchAndStoreAccountHistory(accountId, from, to);
       
-      if (allTransactions.length === 0) {
-        console.log('No transactions found for today from any platform');
-        return [];
-      }
+      await this.syncTransactionsToSinks();
+      await ledgerService.syncEntriesToGoogleSheets();
       
-      console.log(`Processing ${allTransactions.length} transactions from all platforms`);
-      
-      // Store transactions in MongoDB
-      const savedTransactions = await this.saveTransactionsToDatabase(allTransactions);
-      
-      // Sync unsynchronized transactions to Google Sheets
-      await this.syncTransactionsToGoogleSheets();
-      
-      return savedTransactions;
+      return summary;
     } catch (error) {
-      console.error('Failed to fetch and store transactions:', error);
+      console.error(`Failed to backfill ${accountId} transactions:`, error);
       throw error;
     }
   }
 
   /**
-   * Fetches today's transactions from Binance
-   * @returns {Promise<Array>} Array of Binance transactions
+   * Fetches an account's transactions, fills and ledger entries for a date range and stores them in MongoDB,
+   * without syncing them to the output sinks
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<Object>} Summary of the backfill
    */
-  async fetchBinanceTransactions() {
-    try {
-      const transactions = await binanceService.fetchTodayTransactions();
-      
-      // Add platform identifier to each transaction
-      return transactions.map(transaction => ({
-        ...transaction,
-        platform: 'BINANCE'
-      }));
-    } catch (error) {
-      console.error('Failed to fetch Binance transactions:', error);
-      return [];
-    }
+  async fetchAndStoreAccountHistory(accountId, from, to) {
+    console.log(`Backfilling ${accountId} transactions from ${from.toISOString()} to ${to.toISOString()}`);
+    
+    const counts = await this.fetchAndStoreAccountTransactions(accountId, from, to);
+    const savedEntries = await ledgerService.fetchAndStoreEntries(accountId, from, to);
+    
+    return {
+      account: accountId,
+      platform: accountRegistry.getAccount(accountId).platform,
+      from,
+      to,
+      ...counts,
+      ledgerEntries: savedEntries.length,
+    };
   }
 
   /**
-   * Fetches today's transactions from Revolut
-   * @returns {Promise<Array>} Array of Revolut transactions
+   * Fetches an account's transactions and fills for a date range and stores them in MongoDB, without syncing
+   *
+   * A failed fetch is thrown so that its caller can record and retry it.
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @returns {Promise<{fetched: number, saved: number, trades: number}>} Number of transactions fetched and saved,
+   * and of trades saved
    */
-  async fetchRevolutTransactions() {
-    try {
-      const transactions = await revolutService.fetchTodayTransactions();
-      
-      // Add platform identifier to each transaction
-      return transactions.map(transaction => ({
-        ...transaction,
-        platform: 'REVOLUT'
-      }));
-    } catch (error) {
-      console.error('Failed to fetch Revolut transactions:', error);
-      return [];
-    }
+  async fetchAndStoreAccountTransactions(accountId, from, to) {
+    const account = accountRegistry.getAccount(accountId);
+    const service = this._getAccountService(accountId);
+    const symbols = await this._getPlatformSymbols(account.platform);
+    const transactions = await service.fetchTransactionsInRange(from, to, symbols);
+    
+    // Add platform and account identifiers to each transaction
+    const accountTransactions = transactions.map(transaction => this._withAccount(transaction, account));
+    
+    const savedTransactions = accountTransactions.length > 0
+      ? await this.saveTransactionsToDatabase(accountTransactions)
+      : [];
+    
+    const savedTrades = await this.fetchAndStoreTrades(accountId, from, to, symbols);
+    
+    return {
+      fetched: transactions.length,
+      saved: savedTransactions.length,
+      trades: savedTrades.length,
+    };
   }
 
   /**
-   * Fetches today's transactions from Kraken
-   * @returns {Promise<Array>} Array of Kraken transactions
+   * Fetches and stores the orders of an account's fills that were stored without their order, e.g. a limit order
+   * placed before the polled window and filled within it
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @param {Date} since - Time from which fills are considered
+   * @returns {Promise<number>} Number of orders saved
    */
-  async fetchKrakenTransactions() {
-    try {
-      const transactions = await krakenService.fetchTodayTransactions();
+  async fetchAndStoreMissingOrders(accountId, since) {
+    const account = accountRegistry.getAccount(accountId);
+    const service = this._getAccountService(accountId);
+    
+    if (typeof service.fetchOrder !== 'function') {
+      return 0;
+    }
+    
+    const unlinkedTrades = await Trade.find({ accountId, transaction: null, time: { $gte: since } })
+      .select('orderId symbol platform accountId')
+      .lean();
+    const orders = new Map(unlinkedTrades.map(trade => [`${trade.symbol}:${trade.orderId}`, trade]));
+    const transactions = [];
+    
+    for (const { orderId, symbol } of orders.values()) {
+      const transaction = await service.fetchOrder(orderId, symbol);
       
-      // Add platform identifier to each transaction
-      return transactions.map(transaction => ({
-        ...transaction,
-        platform: 'KRAKEN'
-      }));
-    } catch (error) {
-      console.error('Failed to fetch Kraken transactions:', error);
-      return [];
+      if (transaction) {
+        transactions.push(this._withAccount(transaction, account));
+      }
+    }
+    
+    if (transactions.length === 0) {
+      return 0;
     }
+    
+    const savedTransactions = await this.saveTransactionsToDatabase(transactions);
+    await this._linkTradesToTransactions(unlinkedTrades);
+    
+    return savedTransactions.length;
+  }
+
+  /**
+   * Returns the API service for an account
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @returns {Object} Exchange adapter using the account's credentials
+   * @private
+   */
+  _getAccountService(accountId) {
+    return accountRegistry.getAdapter(accountId);
+  }
+
+  /**
+   * Adds the platform and account identifiers to a transaction or trade fetched from an account
+   * @param {Object} record - Transaction or trade in the common format
+   * @param {Object} account - Account it was fetched from
+   * @returns {Object} Record with its platform and accountId
+   * @private
+   */
+  _withAccount(record, account) {
+    return {
+      ...record,
+      platform: account.platform,
+      accountId: account.id,
+    };
+  }
+
+  /**
+   * Returns the symbols to query for a platform that only lists orders per symbol
+   * @param {string} platform - Registered platform code (e.g., BINANCE)
+   * @returns {Promise<Array<string>|undefined>} Symbols for Binance, undefined for other platforms
+   * @private
+   */
+  async _getPlatformSymbols(platform) {
+    return platform === 'BINANCE' ? binanceSymbolService.getSymbols() : undefined;
+  }
+
+  /**
+   * Fetches an account's fills for a date range and stores them in MongoDB
+   * @param {string} accountId - Registered account ID (e.g., binance-company)
+   * @param {Date} from - Start of the range (inclusive)
+   * @param {Date} to - End of the range (inclusive)
+   * @param {Array<string>} [symbols] - Symbols to query, resolved for the platform when omitted
+   * @returns {Promise<Array>} Array of saved trade documents
+   */
+  async fetchAndStoreTrades(accountId, from, to, symbols) {
+    const account = accountRegistry.getAccount(accountId);
+    const service = this._getAccountService(accountId);
+    const platformSymbols = symbols || await this._getPlatformSymbols(account.platform);
+    
+    const trades = await service.fetchTradesInRange(from, to, platformSymbols);
+    
+    // Add platform and account identifiers to each trade
+    return this.saveTradesToDatabase(trades.map(trade => this._withAccount(trade, account)));
   }
 
   /**
@@ -117,9 +199,11 @@ class TransactionService {
    */
   async saveTransactionsToDatabase(transactions) {
     try {
-      // Filter out transactions that are not completed
+      // Filter out transactions that are not completed, keeping partially filled orders
       const completedTransactions = transactions.filter(
-        transaction => transaction.status === "FILLED" || transaction.status === "COMPLETED"
+        transaction => transaction.status === "FILLED"
+          || transaction.status === "COMPLETED"
+          || parseFloat(transaction.executedQty) > 0
       );
       
       if (completedTransactions.length === 0) {
@@ -129,47 +213,57 @@ class TransactionService {
       
       console.log(`Processing ${completedTransactions.length} completed transactions out of ${transactions.length} total`);
       
-      const operations = completedTransactions.map(transaction => {
-        return {
+      const valuations = await this._valueTransactions(completedTransactions);
+      const keyFilter = {
+        $or: completedTransactions.map(t => ({ 
+          orderId: t.orderId, 
+          platform: t.platform,
+          symbol: t.symbol,
+          accountId: t.accountId
+        }))
+      };
+      const storedTransactions = new Map(
+        (await Transaction.find(keyFilter).lean()).map(stored => [this._orderKey(stored), stored])
+      );
+      
+      const operations = completedTransactions.flatMap((transaction, index) => {
+        const fields = this._toTransactionFields(transaction, valuations[index]);
+        
+        // Orders fetched again without any change keep their sync state and are not written
+        if (!hasChanges(storedTransactions.get(this._orderKey(transaction)), fields)) {
+          return [];
+        }
+        
+        return [{
           updateOne: {
             filter: { 
               orderId: transaction.orderId,
-              platform: transaction.platform
+              platform: transaction.platform,
+              symbol: transaction.symbol,
+              accountId: transaction.accountId
             },
             update: {
               $set: {
                 orderId: transaction.orderId,
                 platform: transaction.platform,
+                accountId: transaction.accountId,
                 symbol: transaction.symbol,
-                side: transaction.side,
-                type: transaction.type,
-                price: parseFloat(transaction.price),
-                quantity: parseFloat(transaction.origQty),
-                quoteQuantity: parseFloat(transaction.cummulativeQuoteQty),
-                status: transaction.status,
-                time: new Date(transaction.time),
-                updateTime: new Date(transaction.updateTime),
-                isWorking: transaction.isWorking,
-                isSynced: false,
+                ...fields,
+                syncState: [],
               },
             },
             upsert: true,
           },
-        };
+        }];
       });
       
       if (operations.length > 0) {
         await Transaction.bulkWrite(operations);
-        console.log(`${operations.length} completed transactions saved to database`);
+        console.log(`${operations.length} new or changed transactions saved to database`);
       }
       
       // Retrieve the saved transactions to return
-      const savedTransactions = await Transaction.find({
-        $or: completedTransactions.map(t => ({ 
-          orderId: t.orderId, 
-          platform: t.platform 
-        }))
-      });
+      const savedTransactions = await Transaction.find(keyFilter);
       
       return savedTransactions;
     } catch (error) {
@@ -179,40 +273,330 @@ class TransactionService {
   }
 
   /**
-   * Syncs unsynced transactions to Google Sheets
-   * @returns {Promise<Array>} Array of synced transaction documents
+   * Values platform transactions in the reporting currency at their order time
+   * @param {Array} transactions - Array of transaction objects from various platforms
+   * @returns {Promise<Array<Object>>} Valuation of each transaction, in the same order
+   * @private
+   */
+  async _valueTransactions(transactions) {
+    const valuations = [];
+    
+    // Value one at a time so uncached prices do not flood the price provider
+    for (const transaction of transactions) {
+      valuations.push(await priceService.valueTransaction({
+        quoteAsset: transaction.quoteAsset,
+        quoteQuantity: parseFloat(transaction.cummulativeQuoteQty),
+        time: transaction.time,
+      }));
+    }
+    
+    return valuations;
+  }
+
+  /**
+   * Saves trades (order fills) to MongoDB and links them to their parent transactions
+   * @param {Array} trades - Array of trade objects from various platforms
+   * @returns {Promise<Array>} Array of saved trade documents
    */
-  async syncTransactionsToGoogleSheets() {
+  async saveTradesToDatabase(trades) {
     try {
-      // Find unsynced transactions
-      const unsyncedTransactions = await Transaction.find({ isSynced: false });
-      
-      if (unsyncedTransactions.length === 0) {
-        console.log('No unsynced transactions to sync to Google Sheets');
+      if (trades.length === 0) {
+        console.log('No trades to save');
         return [];
       }
       
-      console.log(`Found ${unsyncedTransactions.length} unsynced transactions`);
-      
-      // Write to Google Sheets
-      await googleSheetsService.writeTransactions(unsyncedTransactions);
+      const operations = trades.map(trade => ({
+        updateOne: {
+          filter: {
+            tradeId: trade.tradeId,
+            platform: trade.platform,
+            symbol: trade.symbol,
+            accountId: trade.accountId
+          },
+          update: {
+            $set: {
+              tradeId: trade.tradeId,
+              orderId: trade.orderId,
+              platform: trade.platform,
+              accountId: trade.accountId,
+              symbol: trade.symbol,
+              side: trade.side,
+              price: trade.price,
+              quantity: trade.quantity,
+              quoteQuantity: trade.quoteQuantity,
+              commission: trade.commission,
+              commissionAsset: trade.commissionAsset,
+              isMaker: trade.isMaker,
+              time: new Date(trade.time),
+            },
+          },
+          upsert: true,
+        },
+      }));
       
-      // Update transactions as synced
-      const transactionIds = unsyncedTransactions.map(t => t._id);
-      await Transaction.updateMany(
-        { _id: { $in: transactionIds } },
-        { $set: { isSynced: true } }
-      );
+      await Trade.bulkWrite(operations);
+      console.log(`${operations.length} trades saved to database`);
       
-      console.log(`${unsyncedTransactions.length} transactions synced to Google Sheets`);
+      await this._linkTradesToTransactions(trades);
       
-      return unsyncedTransactions;
+      return Trade.find({
+        $or: trades.map(t => ({
+          tradeId: t.tradeId,
+          platform: t.platform,
+          symbol: t.symbol,
+          accountId: t.accountId
+        }))
+      });
     } catch (error) {
-      console.error('Failed to sync transactions to Google Sheets:', error);
+      console.error('Failed to save trades to database:', error);
       throw error;
     }
   }
 
+  /**
+   * Links the trades of the given orders that have no parent yet to the stored transaction of their order
+   * @param {Array} trades - Trades just saved, or any objects with the platform, account, symbol and order ID of a
+   * trade
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _linkTradesToTransactions(trades) {
+    const orderKey = ({ accountId, platform, symbol, orderId }) => `${accountId}:${platform}:${symbol}:${orderId}`;
+    // Only the orders of these trades are looked at, not every unlinked trade
+    const orders = [...new Map(trades.map(t => [orderKey(t), {
+      orderId: t.orderId,
+      platform: t.platform,
+      symbol: t.symbol,
+      accountId: t.accountId
+    }])).values()];
+    
+    if (orders.length === 0) {
+      return;
+    }
+    
+    const unlinkedTrades = await Trade.find({ transaction: null, $or: orders }).select('orderId platform symbol accountId');
+    
+    if (unlinkedTrades.length === 0) {
+      return;
+    }
+    
+    const transactions = await Transaction.find({ $or: orders });
+    
+    const transactionIds = new Map(transactions.map(t => [orderKey(t), t._id]));
+    
+    const operations = unlinkedTrades
+      .filter(trade => transactionIds.has(orderKey(trade)))
+      .map(trade => ({
+        updateOne: {
+          filter: { _id: trade._id },
+          update: { $set: { transaction: transactionIds.get(orderKey(trade)) } },
+        },
+      }));
+    
+    if (operations.length > 0) {
+      await Trade.bulkWrite(operations);
+      console.log(`${operations.length} trades linked to their transactions`);
+    }
+  }
+
+  /**
+   * Returns the stored fields of a transaction in the common format, apart from its key
+   * @param {Object} transaction - Transaction object from a platform
+   * @param {Object} valuation - Valuation of the transaction in the reporting currency
+   * @returns {Object} Transaction fields
+   * @private
+   */
+  _toTransactionFields(transaction, valuation) {
+    return {
+      baseAsset: transaction.baseAsset,
+      quoteAsset: transaction.quoteAsset,
+      side: transaction.side,
+      type: transaction.type,
+      price: parseFloat(transaction.price),
+      quantity: parseFloat(transaction.origQty),
+      executedQuantity: this._parseOptionalNumber(transaction.executedQty),
+      quoteQuantity: parseFloat(transaction.cummulativeQuoteQty),
+      ...valuation,
+      status: transaction.status,
+      time: new Date(transaction.time),
+      updateTime: new Date(transaction.updateTime),
+      isWorking: transaction.isWorking,
+    };
+  }
+
+  /**
+   * Returns the key of an order, matching the unique index of stored transactions
+   * @param {Object} transaction - Transaction object or document
+   * @returns {string} Key in the form platform:accountId:symbol:orderId
+   * @private
+   */
+  _orderKey(transaction) {
+    return `${transaction.platform}:${transaction.accountId}:${transaction.symbol}:${transaction.orderId}`;
+  }
+
+  /**
+   * Parses a numeric value that platforms do not always provide
+   * @param {string|number|undefined} value - Raw value
+   * @returns {number|undefined} Parsed number or undefined when missing
+   * @private
+   */
+  _parseOptionalNumber(value) {
+    const number = parseFloat(value);
+    
+    return isNaN(number) ? undefined : number;
+  }
+
+  /**
+   * Syncs the new and changed transactions to every enabled sink
+   *
+   * Each sink keeps its own sync state, so a sink that fails is retried on the next sync without holding back
+   * the others.
+   * @returns {Promise<Object<string, number>>} Number of transactions synced per sink
+   */
+  async syncTransactionsToSinks() {
+    const synced = {};
+    const failedSinks = [];
+    
+    for (const sink of sinkRegistry.getSinks()) {
+      try {
+        synced[sink.name] = await this._enqueueSinkSync(sink.name, () => this._syncSink(sink));
+      } catch (error) {
+        console.error(`Failed to sync transactions to ${sink.name} sink:`, error);
+        failedSinks.push(sink.name);
+      }
+    }
+    
+    if (failedSinks.length > 0) {
+      throw new Error(`Failed to sync transactions to ${failedSinks.join(', ')} sinks`);
+    }
+    
+    return synced;
+  }
+
+  /**
+   * Returns the enabled sinks with the number of transactions each has not synced yet
+   * @returns {Promise<Array<{name: string, unsynced: number}>>} Sync status per sink
+   */
+  async getSinkStatus() {
+    return Promise.all(sinkRegistry.getSinks().map(async sink => ({
+      name: sink.name,
+      unsynced: await Transaction.countDocuments({ 'syncState.sink': { $ne: sink.name } }),
+    })));
+  }
+
+  /**
+   * Rewrites the enabled sinks, or one of them, from MongoDB with every stored transaction in time order
+   *
+   * Needed after changing a sink layout, as a sync only writes the transactions that changed.
+   * @param {string} [name] - Sink to rebuild, all of them by default
+   * @returns {Promise<Object<string, number>>} Number of transactions written per rebuilt sink
+   */
+  async rebuildSinks(name) {
+    const sinks = name ? [sinkRegistry.getSink(name)] : sinkRegistry.getSinks();
+    const rebuilt = {};
+    
+    for (const sink of sinks) {
+      rebuilt[sink.name] = await this._enqueueSinkSync(sink.name, async () => {
+        try {
+          return await this._rebuildSink(sink);
+        } catch (error) {
+          console.error(`Failed to rebuild ${sink.name} sink:`, error);
+          throw error;
+        }
+      });
+    }
+    
+    return rebuilt;
+  }
+
+  /**
+   * Rewrites a sink with every stored transaction in time order
+   * @param {OutputSink} sink - Output sink
+   * @returns {Promise<number>} Number of transactions written
+   * @private
+   */
+  async _rebuildSink(sink) {
+    const transactions = await Transaction.find().sort({ time: 1 });
+    
+    await sink.rebuild(transactions);
+    await this._markSynced(sink.name, transactions);
+    
+    console.log(`${sink.name} sink rebuilt from ${transactions.length} stored transactions`);
+    
+    return transactions.length;
+  }
+
+  /**
+   * Writes the transactions a sink has not synced yet, or rewrites the sink when it reports an outdated layout
+   * @param {OutputSink} sink - Output sink
+   * @returns {Promise<number>} Number of transactions written
+   * @private
+   */
+  async _syncSink(sink) {
+    if (sink.needsRebuild && await sink.needsRebuild()) {
+      console.log(`${sink.name} sink has an outdated layout, rebuilding it`);
+      return this._rebuildSink(sink);
+    }
+    
+    const unsyncedTransactions = await Transaction.find({ 'syncState.sink': { $ne: sink.name } }).sort({ time: 1 });
+    
+    if (unsyncedTransactions.length === 0) {
+      console.log(`No unsynced transactions to sync to ${sink.name} sink`);
+      return 0;
+    }
+    
+    console.log(`Found ${unsyncedTransactions.length} transactions unsynced to ${sink.name} sink`);
+    
+    await sink.writeTransactions(unsyncedTransactions);
+    await this._markSynced(sink.name, unsyncedTransactions);
+    
+    console.log(`${unsyncedTransactions.length} transactions synced to ${sink.name} sink`);
+    
+    return unsyncedTransactions.length;
+  }
+
+  /**
+   * Runs a sync of a sink once its previous one has finished
+   *
+   * Syncs of a sink run one at a time so concurrent runs never write the same transactions twice, e.g. hand
+   * out the same sheet rows.
+   * @param {string} name - Sink name
+   * @param {function(): Promise<*>} sync - Sync to run
+   * @returns {Promise<*>} Result of the sync
+   * @private
+   */
+  _enqueueSinkSync(name, sync) {
+    const run = (this.sinkQueues.get(name) || Promise.resolve()).then(sync);
+    
+    // A failed sync must not block the following ones
+    this.sinkQueues.set(name, run.catch(() => {}));
+    
+    return run;
+  }
+
+  /**
+   * Marks transactions as synced to a sink, unless they changed after being read
+   * @param {string} name - Sink name
+   * @param {Array} transactions - Transaction documents as written to the sink
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markSynced(name, transactions) {
+    if (transactions.length === 0) {
+      return;
+    }
+    
+    const syncedAt = new Date();
+    
+    await Transaction.bulkWrite(transactions.map(transaction => ({
+      updateOne: {
+        filter: { _id: transaction._id, updatedAt: transaction.updatedAt, 'syncState.sink': { $ne: name } },
+        update: { $push: { syncState: { sink: name, syncedAt } } },
+        timestamps: false,
+      },
+    })));
+  }
+
   /**
    * Processes a transaction update from the webhook
    * @param {Object} transactionData - Transaction data from webhook
@@ -226,40 +610,37 @@ class TransactionService {
         return null;
       }
       
-      // Ensure the platform is specified
-      if (!transactionData.platform) {
-        console.error('Platform not specified for webhook transaction');
-        throw new Error('Platform not specified');
+      // Ensure the platform and account are specified
+      if (!transactionData.platform || !transactionData.accountId) {
+        console.error('Platform or account not specified for webhook transaction');
+        throw new Error('Platform or account not specified');
       }
       
-      // Save transaction to database
-      const transaction = new Transaction({
+      const [valuation] = await this._valueTransactions([transactionData]);
+      const key = {
         orderId: transactionData.orderId,
         platform: transactionData.platform,
         symbol: transactionData.symbol,
-        side: transactionData.side,
-        type: transactionData.type,
-        price: parseFloat(transactionData.price),
-        quantity: parseFloat(transactionData.origQty),
-        quoteQuantity: parseFloat(transactionData.cummulativeQuoteQty),
-        status: transactionData.status,
-        time: new Date(transactionData.time),
-        updateTime: new Date(transactionData.updateTime),
-        isWorking: transactionData.isWorking,
-        isSynced: false,
-      });
+        accountId: transactionData.accountId,
+      };
+      const fields = this._toTransactionFields(transactionData, valuation);
+      const stored = await Transaction.findOne(key).lean();
       
-      await transaction.save();
-      console.log(`Completed transaction ${transaction.orderId} from ${transaction.platform} saved from webhook`);
-      
-      // Sync to Google Sheets
-      await googleSheetsService.writeTransactions([transaction]);
+      // Upsert on the order key, so a redelivered or replayed event updates the transaction instead of failing;
+      // a redelivery without any change keeps its sync state
+      const transaction = await Transaction.findOneAndUpdate(
+        key,
+        {
+          ...fields,
+          ...(hasChanges(stored, fields) && { syncState: [] }),
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
       
-      // Update as synced
-      transaction.isSynced = true;
-      await transaction.save();
+      console.log(`Completed transaction ${transaction.orderId} from ${transaction.accountId} saved from webhook`);
       
-      console.log(`Transaction ${transaction.orderId} from ${transaction.platform} synced to Google Sheets`);
+      // Sync to the output sinks
+      await this.syncTransactionsToSinks();
       
       return transaction;
     } catch (error) {
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Service for matching withdrawals and deposits into transfers between our own accounts
+ * @module services/transferService
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledgerEntry');
+const Transfer = require('../models/transfer');
+const config = require('../config');
+
+/**
+ * Deposits may be timestamped slightly before their withdrawal when platform clocks disagree
+ * @type {number}
+ */
+const CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+/**
+ * Transfer service pairing outgoing and incoming movements so they are not mistaken for disposals and acquisitions
+ */
+class TransferService {
+  constructor() {
+    this.feeTolerance = config.transfers.feeTolerance;
+    this.matchWindowMs = config.transfers.matchWindowHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Pairs the unmatched withdrawals and deposits, by transaction hash first and then by amount and time
+   * @returns {Promise<{matched: number, unmatchedWithdrawals: number, unmatchedDeposits: number}>} Matching summary
+   */
+  async matchTransfers() {
+    try {
+      const candidates = { transfer: null, isExternal: false };
+      const [withdrawals, deposits] = await Promise.all([
+        LedgerEntry.find({ ...candidates, type: 'WITHDRAWAL' }).sort({ time: 1 }),
+        LedgerEntry.find({ ...candidates, type: 'DEPOSIT' }).sort({ time: 1 }),
+      ]);
+      
+      const pairs = [];
+      const remainingDeposits = new Set(deposits);
+      
+      // A shared transaction hash identifies the transfer regardless of amounts and times
+      withdrawals.forEach(withdrawal => {
+        const deposit = withdrawal.txId && [...remainingDeposits].find(candidate => (
+          candidate.asset === withdrawal.asset && this._sameTxId(candidate.txId, withdrawal.txId)
+        ));
+        
+        if (deposit) {
+          pairs.push({ withdrawal, deposit, matchedBy: 'TXID' });
+          remainingDeposits.delete(deposit);
+        }
+      });
+      
+      const pairedWithdrawals = new Set(pairs.map(pair => pair.withdrawal));
+      
+      withdrawals
+        .filter(withdrawal => !pairedWithdrawals.has(withdrawal))
+        .forEach(withdrawal => {
+          const deposit = this._findDepositByAmount(withdrawal, remainingDeposits);
+          
+          if (deposit) {
+            pairs.push({ withdrawal, deposit, matchedBy: 'AMOUNT' });
+            remainingDeposits.delete(deposit);
+          }
+        });
+      
+      for (const pair of pairs) {
+        await this._createTransfer(pair);
+      }
+      
+      const summary = {
+        matched: pairs.length,
+        unmatchedWithdrawals: withdrawals.length - pairs.length,
+        unmatchedDeposits: remainingDeposits.size,
+      };
+      
+      console.log(
+        `Matched ${summary.matched} transfers, ${summary.unmatchedWithdrawals} withdrawals and ` +
+        `${summary.unmatchedDeposits} deposits left unmatched`
+      );
+      
+      return summary;
+    } catch (error) {
+      console.error('Failed to match transfers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lists matched transfers, most recent first
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.asset] - Normalized asset code
+   * @param {number} [filters.limit=100] - Maximum number of transfers
+   * @returns {Promise<Array>} Transfer documents with their ledger entries
+   */
+  async listTransfers({ asset, limit = 100 } = {}) {
+    return Transfer.find(asset ? { asset } : {})
+      .sort({ sentAt: -1 })
+      .limit(limit)
+      .populate('withdrawal')
+      .populate('deposit');
+  }
+
+  /**
+   * Lists the withdrawals and deposits left unmatched and not reviewed as external, most recent first
+   *
+   * Entries still within the match window are flagged as pending, their counterpart may not be fetched yet.
+   * @returns {Promise<Array<Object>>} Unmatched ledger entries with a pending flag
+   */
+  async getReviewList() {
+    const entries = await LedgerEntry.find({
+      type: { $in: ['WITHDRAWAL', 'DEPOSIT'] },
+      transfer: null,
+      isExternal: false,
+    }).sort({ time: -1 });
+    
+    const pendingSince = Date.now() - this.matchWindowMs;
+    
+    return entries.map(entry => ({
+      ...entry.toObject(),
+      pending: entry.time.getTime() > pendingSince,
+    }));
+  }
+
+  /**
+   * Pairs a withdrawal and a deposit manually
+   * @param {string} withdrawalId - ID of the withdrawal ledger entry
+   * @param {string} depositId - ID of the deposit ledger entry
+   * @returns {Promise<{transfer: Object}|{error: string}>} Created transfer or a validation error
+   */
+  async pairEntries(withdrawalId, depositId) {
+    if (!mongoose.isValidObjectId(withdrawalId) || !mongoose.isValidObjectId(depositId)) {
+      return { error: 'Invalid ledger entry ID' };
+    }
+    
+    const [withdrawal, deposit] = await Promise.all([
+      LedgerEntry.findById(withdrawalId),
+      LedgerEntry.findById(depositId),
+    ]);
+    
+    if (!withdrawal || withdrawal.type !== 'WITHDRAWAL') {
+      return { error: 'Withdrawal not found' };
+    }
+    
+    if (!deposit || deposit.type !== 'DEPOSIT') {
+      return { error: 'Deposit not found' };
+    }
+    
+    if (withdrawal.asset !== deposit.asset) {
+      return { error: `Cannot pair a ${withdrawal.asset} withdrawal with a ${deposit.asset} deposit` };
+    }
+    
+    if (withdrawal.transfer || deposit.transfer) {
+      return { error: 'Ledger entry already belongs to a transfer' };
+    }
+    
+    const transfer = await this._createTransfer({ withdrawal, deposit, matchedBy: 'MANUAL' });
+    
+    return { transfer };
+  }
+
+  /**
+   * Removes a transfer, returning its withdrawal and deposit to the review list
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<boolean>} Whether the transfer existed
+   */
+  async unpair(transferId) {
+    if (!mongoose.isValidObjectId(transferId)) {
+      return false;
+    }
+    
+    const transfer = await Transfer.findByIdAndDelete(transferId);
+    
+    if (!transfer) {
+      return false;
+    }
+    
+    await LedgerEntry.updateMany(
+      { _id: { $in: [transfer.withdrawal, transfer.deposit] } },
+      { $set: { transfer: null } }
+    );
+    
+    console.log(`Unpaired ${transfer.asset} transfer from ${transfer.fromPlatform} to ${transfer.toPlatform}`);
+    
+    return true;
+  }
+
+  /**
+   * Marks an unmatched withdrawal or deposit as external (or back as a transfer candidate)
+   * @param {string} entryId - Ledger entry ID
+   * @param {boolean} isExternal - Whether the movement comes from or goes to a third party
+   * @returns {Promise<Object|null>} Updated ledger entry or null if it is not an unmatched deposit or withdrawal
+   */
+  async setExternal(entryId, isExternal) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return null;
+    }
+    
+    return LedgerEntry.findOneAndUpdate(
+      { _id: entryId, type: { $in: ['WITHDRAWAL', 'DEPOSIT'] }, transfer: null },
+      { $set: { isExternal } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Finds the deposit on another account whose amount and time best fit a withdrawal
+   * @param {Object} withdrawal - Withdrawal ledger entry
+   * @param {Set<Object>} deposits - Unmatched deposit ledger entries
+   * @returns {Object|undefined} Best matching deposit
+   * @private
+   */
+  _findDepositByAmount(withdrawal, deposits) {
+    const sentAmount = Math.abs(withdrawal.amount);
+    const sentAt = withdrawal.time.getTime();
+    
+    // Network fees can only lower the amount received, never raise it
+    const candidates = [...deposits].filter(deposit => (
+      deposit.asset === withdrawal.asset
+      && deposit.accountId !== withdrawal.accountId
+      && deposit.time.getTime() >= sentAt - CLOCK_SKEW_MS
+      && deposit.time.getTime() <= sentAt + this.matchWindowMs
+      && deposit.amount <= sentAmount * (1 + Number.EPSILON)
+      && deposit.amount >= sentAmount * (1 - this.feeTolerance)
+    ));
+    
+    // Prefer the closest amount, then the earliest arrival
+    candidates.sort((a, b) => (
+      (sentAmount - a.amount) - (sentAmount - b.amount) || a.time - b.time
+    ));
+    
+    return candidates[0];
+  }
+
+  /**
+   * Stores a transfer and links its withdrawal and deposit to it
+   * @param {Object} pair - Withdrawal, deposit and how they were matched
+   * @returns {Promise<Object>} Saved transfer document
+   * @private
+   */
+  async _createTransfer({ withdrawal, deposit, matchedBy }) {
+    const sentAmount = Math.abs(withdrawal.amount);
+    
+    const transfer = await Transfer.create({
+      asset: withdrawal.asset,
+      withdrawal: withdrawal._id,
+      deposit: deposit._id,
+      fromPlatform: withdrawal.platform,
+      toPlatform: deposit.platform,
+      fromAccount: withdrawal.accountId,
+      toAccount: deposit.accountId,
+      sentAmount,
+      receivedAmount: deposit.amount,
+      fee: Math.max(withdrawal.fee + deposit.fee + sentAmount - deposit.amount, 0),
+      sentAt: withdrawal.time,
+      receivedAt: deposit.time,
+      txId: withdrawal.txId || deposit.txId || null,
+      matchedBy,
+    });
+    
+    await LedgerEntry.updateMany(
+      { _id: { $in: [withdrawal._id, deposit._id] } },
+      { $set: { transfer: transfer._id } }
+    );
+    
+    return transfer;
+  }
+
+  /**
+   * Compares transaction hashes, which platforms report with or without a 0x prefix and in any case
+   * @param {string} a - Transaction hash
+   * @param {string} b - Transaction hash
+   * @returns {boolean} Whether both hashes are the same
+   * @private
+   */
+  _sameTxId(a, b) {
+    const normalize = txId => (txId || '').trim().toLowerCase().replace(/^0x/, '');
+    
+    return Boolean(normalize(a)) && normalize(a) === normalize(b);
+  }
+}
+
+module.exports = new TransferService(); 
\ No newline at end of file
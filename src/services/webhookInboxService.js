@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Service storing exchange webhook deliveries and processing them with retries
+ * @module services/webhookInboxService
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/webhookEvent');
+const accountRegistry = require('./accountRegistry');
+const symbolNormalizationService = require('./symbolNormalizationService');
+const transactionService = require('./transactionService');
+const config = require('../config');
+
+/**
+ * Delay before the first retry of a failed event, doubled on every further attempt
+ * @type {number}
+ */
+const RETRY_BASE_MS = 60 * 1000;
+
+/**
+ * Longest delay between two retries
+ * @type {number}
+ */
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Webhook inbox service: every verified delivery is stored raw, once, before it is processed
+ */
+class WebhookInboxService {
+  constructor() {
+    this.maxAttempts = config.webhooks.maxAttempts;
+  }
+
+  /**
+   * Stores a webhook delivery, unless the same event was already received
+   * @param {Object} account - Registered account whose webhook route received the delivery
+   * @param {Object} adapter - Exchange adapter of the account
+   * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+   * @returns {Promise<{event: Object, duplicate: boolean}>} Stored event and whether it is a redelivery
+   */
+  async receive(account, adapter, req) {
+    const rawBody = req.rawBody.toString('utf8');
+    const eventId = crypto.createHash('sha256').update(req.rawBody).digest('hex');
+    
+    try {
+      const event = await WebhookEvent.create({
+        platform: adapter.platform,
+        accountId: account.id,
+        eventId,
+        headers: req.headers,
+        rawBody,
+      });
+      
+      return { event, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      
+      const event = await WebhookEvent.findOne({ platform: adapter.platform, accountId: account.id, eventId });
+      console.log(`Ignoring redelivered ${account.id} webhook event ${event._id}`);
+      
+      return { event, duplicate: true };
+    }
+  }
+
+  /**
+   * Processes a stored event: maps its payload, normalizes it and saves the transaction
+   *
+   * A failure is recorded on the event with the time of its next retry instead of being thrown.
+   * @param {Object} event - WebhookEvent document
+   * @returns {Promise<Object>} Updated event
+   */
+  async processEvent(event) {
+    event.attempts += 1;
+    
+    try {
+      const adapter = accountRegistry.getAdapter(event.accountId);
+      const transactionData = adapter.mapWebhookTransaction(JSON.parse(event.rawBody));
+      
+      if (!transactionData) {
+        return this._finish(event, 'IGNORED', 'Payload is not a transaction');
+      }
+      
+      // Add platform and account information and split the symbol into normalized base and quote assets
+      const normalizedData = await symbolNormalizationService.normalizeTransaction({
+        ...transactionData,
+        platform: adapter.platform,
+        accountId: event.accountId,
+      });
+      
+      const transaction = await transactionService.processWebhookTransaction(normalizedData);
+      
+      event.orderId = normalizedData.orderId;
+      
+      if (!transaction) {
+        return this._finish(event, 'IGNORED', `Transaction with status ${normalizedData.status} was not saved`);
+      }
+      
+      event.transaction = transaction._id;
+      
+      return this._finish(event, 'PROCESSED', null);
+    } catch (error) {
+      console.error(`Failed to process ${event.accountId} webhook event ${event._id}:`, error);
+      
+      event.status = 'FAILED';
+      event.lastError = error.message;
+      event.nextAttemptAt = event.attempts < this.maxAttempts
+        ? new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (event.attempts - 1), RETRY_MAX_MS))
+        : null;
+      
+      return event.save();
+    }
+  }
+
+  /**
+   * Processes the failed events whose retry time has come
+   * @returns {Promise<{retried: number, processed: number}>} Number of events retried and now processed
+   */
+  async retryFailedEvents() {
+    const events = await WebhookEvent.find({ status: 'FAILED', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 });
+    let processed = 0;
+    
+    for (const event of events) {
+      const result = await this.processEvent(event);
+      
+      if (result.status !== 'FAILED') {
+        processed++;
+      }
+    }
+    
+    if (events.length > 0) {
+      console.log(`Retried ${events.length} webhook events, ${processed} processed`);
+    }
+    
+    return { retried: events.length, processed };
+  }
+
+  /**
+   * Lists stored events, most recent first, without their raw body
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.platform] - Platform code
+   * @param {string} [filters.account] - Account ID
+   * @param {string} [filters.status] - Event status
+   * @param {number} [filters.limit=100] - Maximum number of events
+   * @returns {Promise<Array>} WebhookEvent documents
+   */
+  async listEvents({ platform, account, status, limit = 100 } = {}) {
+    return WebhookEvent.find({
+      ...(platform && { platform }),
+      ...(account && { accountId: account }),
+      ...(status && { status }),
+    })
+      .select('-rawBody -headers')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Returns a stored event with its headers and raw body
+   * @param {string} eventId - WebhookEvent ID
+   * @returns {Promise<Object|null>} WebhookEvent document or null if not found
+   */
+  async getEvent(eventId) {
+    if (!mongoose.isValidObjectId(eventId)) {
+      return null;
+    }
+    
+    return WebhookEvent.findById(eventId);
+  }
+
+  /**
+   * Processes a stored event again, whatever its status and attempts
+   * @param {string} eventId - WebhookEvent ID
+   * @returns {Promise<Object|null>} Updated event or null if not found
+   */
+  async replayEvent(eventId) {
+    const event = await this.getEvent(eventId);
+    
+    if (!event) {
+      return null;
+    }
+    
+    console.log(`Replaying ${event.accountId} webhook event ${event._id}`);
+    
+    return this.processEvent(event);
+  }
+
+  /**
+   * Records the outcome of a successful processing attempt
+   * @param {Object} event - WebhookEvent document
+   * @param {string} status - PROCESSED or IGNORED
+   * @param {string|null} reason - Why the event was ignored
+   * @returns {Promise<Object>} Saved event
+   * @private
+   */
+  _finish(event, status, reason) {
+    event.status = status;
+    event.lastError = reason;
+    event.nextAttemptAt = null;
+    event.processedAt = new Date();
+    
+    return event.save();
+  }
+}
+
+module.exports = new WebhookInboxService(); 
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Output sink writing transactions to a local XLSX workbook
+ * @module services/xlsxSink
+ */
+
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { RECORD_FIELDS, toRecord, recordKey } = require('../utils/transactionRecord');
+
+/**
+ * Title of the worksheet holding the transactions
+ * @type {string}
+ */
+const WORKSHEET = 'Transactions';
+
+/**
+ * XLSX sink keeping one row per transaction in a workbook
+ */
+class XlsxSink {
+  constructor() {
+    this.name = 'xlsx';
+    this.filePath = config.sinks.xlsxPath;
+  }
+
+  /**
+   * Writes transactions to the workbook, replacing the row of transactions already in it
+   * @param {Array} transactions - Transaction objects
+   * @returns {Promise<void>}
+   */
+  async writeTransactions(transactions) {
+    const records = await this._readRecords();
+    
+    // A replaced record keeps its position in the map, so changed transactions stay on their row
+    transactions.forEach(transaction => {
+      const record = toRecord(transaction);
+      records.set(recordKey(record), record);
+    });
+    
+    await this._writeRecords([...records.values()]);
+  }
+
+  /**
+   * Checks whether the workbook was written before records carried their account, so that its columns differ
+   * @returns {Promise<boolean>} Whether the workbook needs a rebuild
+   */
+  async needsRebuild() {
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+    
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(this.filePath);
+    
+    const header = workbook.getWorksheet(WORKSHEET)?.getRow(1).values || [];
+    
+    return header.length > 0 && RECORD_FIELDS.some(({ header: label }, index) => header[index + 1] !== label);
+  }
+
+  /**
+   * Replaces the workbook with one row per transaction
+   * @param {Array} transactions - Every transaction object, in time order
+   * @returns {Promise<void>}
+   */
+  async rebuild(transactions) {
+    await this._writeRecords(transactions.map(toRecord));
+  }
+
+  /**
+   * Reads the records already in the workbook
+   * @returns {Promise<Map<string, Object>>} Records by transaction key, in row order
+   * @private
+   */
+  async _readRecords() {
+    const records = new Map();
+    
+    if (!fs.existsSync(this.filePath)) {
+      return records;
+    }
+    
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(this.filePath);
+    
+    const worksheet = workbook.getWorksheet(WORKSHEET);
+    
+    worksheet?.eachRow((row, rowNumber) => {
+      // The header takes the first row
+      if (rowNumber === 1) {
+        return;
+      }
+      
+      const record = Object.fromEntries(RECORD_FIELDS.map(({ field }, index) => {
+        const value = row.getCell(index + 1).value;
+        
+        return [field, value instanceof Date ? value.toISOString() : value ?? null];
+      }));
+      
+      records.set(recordKey(record), record);
+    });
+    
+    return records;
+  }
+
+  /**
+   * Writes records to a temporary workbook renamed over the workbook, so readers never see a partial file
+   * @param {Array<Object>} records - Transaction records
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeRecords(records) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(WORKSHEET, { views: [{ state: 'frozen', ySplit: 1 }] });
+    
+    worksheet.columns = RECORD_FIELDS.map(({ header, kind }) => ({
+      header,
+      width: kind === 'date' ? 20 : 14,
+      style: kind === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {},
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    
+    records.forEach(record => worksheet.addRow(RECORD_FIELDS.map(({ field, kind }) => (
+      kind === 'date' && record[field] ? new Date(record[field]) : record[field]
+    ))));
+    
+    const tempPath = `${this.filePath}.tmp`;
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    await workbook.xlsx.writeFile(tempPath);
+    fs.renameSync(tempPath, this.filePath);
+    
+    console.log(`${records.length} transactions written to ${this.filePath}`);
+  }
+}
+
+module.exports = new XlsxSink(); 
\ No newline at end of file
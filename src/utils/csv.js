@@ -0,0 +1,91 @@
+/**
+ * @fileoverview CSV formatting and parsing utility
+ * @module utils/csv
+ */
+
+/**
+ * Escapes a value for a CSV cell, quoting it when it contains separators, quotes or line breaks
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ * @private
+ */
+const _escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as CSV text
+ * @param {Array<Array>} rows - Rows to format, including the header row
+ * @returns {string} CSV text
+ */
+const toCsv = (rows) => rows.map(row => row.map(_escapeCell).join(',')).join('\r\n');
+
+/**
+ * Parses CSV text into rows of cells, honouring quoted cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells, without blank lines
+ * @private
+ */
+const _parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  row.push(cell);
+  rows.push(row);
+  
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text with a header row into objects keyed by the trimmed header names
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+const parseCsv = (text) => {
+  const [header = [], ...rows] = _parseRows(text.replace(/^\uFEFF/, ''));
+  const keys = header.map(key => key.trim());
+  
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] || '').trim()])));
+};
+
+module.exports = { toCsv, parseCsv }; 
\ No newline at end of file
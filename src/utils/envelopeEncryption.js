@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Envelope encryption of secrets with AES-256-GCM: every secret gets its own data key, stored
+ * encrypted with the master key
+ * @module utils/envelopeEncryption
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Cipher of both the data keys and the secrets
+ * @type {string}
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Length of the master key and the data keys in bytes
+ * @type {number}
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Length of the random initialization vector of every encryption in bytes
+ * @type {number}
+ */
+const IV_LENGTH = 12;
+
+/**
+ * Length of the GCM authentication tag in bytes
+ * @type {number}
+ */
+const TAG_LENGTH = 16;
+
+/**
+ * Envelope of an encrypted secret
+ * @typedef {Object} Envelope
+ * @property {string} masterKeyId - Fingerprint of the master key that encrypted the data key
+ * @property {string} encryptedKey - Data key encrypted with the master key (base64 of IV, tag and ciphertext)
+ * @property {string} ciphertext - Secret encrypted with the data key (base64 of IV, tag and ciphertext)
+ */
+
+/**
+ * Parses a master key given as base64 or hex
+ * @param {string} value - Master key
+ * @returns {Buffer} 32-byte key
+ */
+const parseMasterKey = (value) => {
+  const text = (value || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`The master key must be ${KEY_LENGTH} bytes, given as base64 or hex`);
+  }
+  
+  return key;
+};
+
+/**
+ * Returns the fingerprint of a master key, stored with every envelope so a wrong key is reported as such
+ * @param {Buffer} masterKey - Master key
+ * @returns {string} First 16 hex digits of the SHA-256 of the key
+ */
+const masterKeyId = masterKey => crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16);
+
+/**
+ * Encrypts a buffer with a key
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} context - Associated data the ciphertext is bound to
+ * @returns {string} Base64 of IV, tag and ciphertext
+ */
+const seal = (key, plaintext, context) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Decrypts the output of seal, failing if it was altered or bound to another context
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - Base64 of IV, tag and ciphertext
+ * @param {string} context - Associated data the ciphertext was bound to
+ * @returns {Buffer} Decrypted data
+ */
+const open = (key, sealed, context) => {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+  
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+/**
+ * Encrypts a secret with a new data key, itself encrypted with the master key
+ *
+ * Both layers are bound to the context (e.g., an account ID), so an envelope copied onto another record does
+ * not decrypt.
+ * @param {string} secret - Secret to encrypt
+ * @param {Buffer} masterKey - Master key, see parseMasterKey
+ * @param {string} context - Record the envelope belongs to
+ * @returns {Envelope} Envelope of the secret
+ */
+const encryptEnvelope = (secret, masterKey, context) => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  
+  try {
+    return {
+      masterKeyId: masterKeyId(masterKey),
+      encryptedKey: seal(masterKey, dataKey, context),
+      ciphertext: seal(dataKey, Buffer.from(secret, 'utf8'), context),
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+/**
+ * Decrypts the secret of an envelope
+ * @param {Envelope} envelope - Envelope created by encryptEnvelope
+ * @param {Buffer} masterKey - Master key the envelope was created with
+ * @param {string} context - Record the envelope belongs to
+ * @returns {string} Secret
+ */
+const decryptEnvelope = (envelope, masterKey, context) => {
+  if (envelope.masterKeyId !== masterKeyId(masterKey)) {
+    throw new Error('The envelope was encrypted with another master key');
+  }
+  
+  const dataKey = open(masterKey, envelope.encryptedKey, context);
+  
+  try {
+    return open(dataKey, envelope.ciphertext, context).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+};
+
+module.exports = { parseMasterKey, encryptEnvelope, decryptEnvelope }; 
\ No newline at end of file
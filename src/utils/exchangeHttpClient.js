@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Shared HTTP client of the exchange adapters, with rate limiting, timeouts and retries
+ * @module utils/exchangeHttpClient
+ */
+
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Delay before the first retry of a failed request, doubled on every further retry
+ * @type {number}
+ */
+const RETRY_BASE_MS = 1000;
+
+/**
+ * Longest backoff between two attempts, unless the exchange asks for a longer one
+ * @type {number}
+ */
+const RETRY_MAX_MS = 30 * 1000;
+
+/**
+ * Pause of every request after a rate limit response that does not say how long to wait
+ * @type {number}
+ */
+const RATE_LIMIT_PAUSE_MS = 60 * 1000;
+
+/**
+ * Network error codes worth another attempt
+ * @type {Array<string>}
+ */
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Waits for a given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket shared by the requests to one exchange
+ *
+ * Requests take their cost in tokens, in the order they asked, and wait while the bucket is empty or paused.
+ * The token count may go negative when the exchange reports more usage than counted locally.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Most tokens the bucket holds, the largest burst of requests
+   * @param {number} refillPerSecond - Tokens added back every second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Waits until the bucket holds enough tokens and takes them
+   * @param {number} cost - Tokens taken
+   * @returns {Promise<void>}
+   */
+  take(cost) {
+    const turn = this.queue.then(() => this._take(Math.min(cost, this.capacity)));
+    this.queue = turn;
+    
+    return turn;
+  }
+
+  /**
+   * Lowers the available tokens, e.g. to the usage reported by the exchange
+   * @param {number} tokens - Tokens left at most
+   * @returns {void}
+   */
+  limitTo(tokens) {
+    this._refill();
+    this.tokens = Math.min(this.tokens, tokens);
+  }
+
+  /**
+   * Holds every request until a given time
+   * @param {number} time - Time in milliseconds
+   * @returns {void}
+   */
+  pauseUntil(time) {
+    this.pausedUntil = Math.max(this.pausedUntil, time);
+  }
+
+  /**
+   * Takes tokens once available
+   * @param {number} cost - Tokens taken
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _take(cost) {
+    for (;;) {
+      const pauseMs = this.pausedUntil - Date.now();
+      
+      if (pauseMs > 0) {
+        await sleep(pauseMs);
+        continue;
+      }
+      
+      this._refill();
+      
+      if (this.tokens >= cost) {
+        this.tokens -= cost;
+        return;
+      }
+      
+      await sleep(Math.ceil((cost - this.tokens) / this.refillPerSecond * 1000));
+    }
+  }
+
+  /**
+   * Adds the tokens refilled since the last update
+   * @returns {void}
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * HTTP client of one exchange
+ *
+ * Every request waits for its cost in the exchange's token bucket, is sent with a timeout, and is retried with
+ * jittered exponential backoff on network errors, 5xx and 429 responses and errors the adapter marks as
+ * retryable. A 429 or 418 response pauses every request to the exchange for its Retry-After time; a 418 (IP ban)
+ * is never retried.
+ */
+class ExchangeHttpClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.name - Exchange name used in logs
+   * @param {Object} options.rateLimit - Token bucket of the exchange
+   * @param {number} options.rateLimit.capacity - Largest burst, in request cost
+   * @param {number} options.rateLimit.refillPerSecond - Request cost allowed every second
+   * @param {function(Object): void} [options.checkResponse] - Throws on an error reported in a successful
+   *   response; the error may set `retryable` and `rateLimited`
+   * @param {function(Object): void} [options.onResponse] - Called with every response, failed ones included
+   * @param {function(Error): boolean} [options.shouldRetry] - Whether another error is worth another attempt
+   */
+  constructor({ name, rateLimit, checkResponse, onResponse, shouldRetry }) {
+    this.name = name;
+    this.bucket = new TokenBucket(rateLimit.capacity, rateLimit.refillPerSecond);
+    this.checkResponse = checkResponse || (() => {});
+    this.onResponse = onResponse || (() => {});
+    this.shouldRetry = shouldRetry || (() => false);
+    this.timeoutMs = config.http.timeoutSeconds * 1000;
+    this.maxAttempts = config.http.maxAttempts;
+  }
+
+  /**
+   * Sends a request, retrying it while it fails with a retryable error
+   * @param {function(): (Object|Promise<Object>)} prepare - Returns the axios request config, called again for
+   *   every attempt so that timestamps, nonces and signatures are fresh
+   * @param {Object} [options] - Request options
+   * @param {number} [options.cost=1] - Tokens taken from the bucket by every attempt
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(prepare, { cost = 1 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this.bucket.take(cost);
+      
+      try {
+        const response = await axios({ timeout: this.timeoutMs, ...(await prepare()) });
+        
+        this.onResponse(response);
+        this.checkResponse(response);
+        
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.onResponse(error.response);
+        }
+        
+        const retryAfterMs = this._handleRateLimit(error);
+        
+        if (!this._isRetryable(error) || attempt >= this.maxAttempts) {
+          console.error(`${this.name} API request failed:`, error.response?.data || error.message);
+          throw error;
+        }
+        
+        // Full jitter, so that concurrent requests do not retry together
+        const backoffMs = Math.floor(Math.random() * Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS));
+        const waitMs = Math.max(backoffMs, retryAfterMs);
+        
+        console.warn(
+          `${this.name} API request failed (${error.response?.status || error.code || error.message}), retrying in ${waitMs}ms`
+        );
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  /**
+   * Pauses or empties the bucket after a rate limit error
+   * @param {Error} error - Request error
+   * @returns {number} Milliseconds the exchange asked to wait, 0 if none
+   * @private
+   */
+  _handleRateLimit(error) {
+    const status = error.response?.status;
+    const retryAfterMs = this._parseRetryAfter(error.response?.headers?.['retry-after']);
+    
+    if (status === 429 || status === 418) {
+      this.bucket.pauseUntil(Date.now() + (retryAfterMs || RATE_LIMIT_PAUSE_MS));
+      this.bucket.limitTo(0);
+      
+      if (status === 418) {
+        console.error(`${this.name} banned this IP address for ${Math.round((retryAfterMs || RATE_LIMIT_PAUSE_MS) / 1000)}s`);
+      }
+      
+      return retryAfterMs || RATE_LIMIT_PAUSE_MS;
+    }
+    
+    if (error.rateLimited) {
+      this.bucket.limitTo(0);
+    }
+    
+    return 0;
+  }
+
+  /**
+   * Tells whether a failed attempt is worth another one
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether to retry
+   * @private
+   */
+  _isRetryable(error) {
+    const status = error.response?.status;
+    
+    if (status === 418) {
+      return false;
+    }
+    
+    if (status === 429 || status >= 500 || error.retryable) {
+      return true;
+    }
+    
+    if (!error.response && RETRYABLE_CODES.includes(error.code)) {
+      return true;
+    }
+    
+    return this.shouldRetry(error);
+  }
+
+  /**
+   * Parses a Retry-After header, given in seconds or as an HTTP date
+   * @param {string} [value] - Header value
+   * @returns {number} Milliseconds to wait, 0 if missing or invalid
+   * @private
+   */
+  _parseRetryAfter(value) {
+    if (!value) {
+      return 0;
+    }
+    
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    
+    return Number.isFinite(ms) && ms > 0 ? ms : 0;
+  }
+}
+
+module.exports = { ExchangeHttpClient }; 
\ No newline at end of file
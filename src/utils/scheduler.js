@@ -4,7 +4,8 @@
  */
 
 const cron = require('node-cron');
-const transactionService = require('../services/transactionService');
+const jobService = require('../services/jobService');
+const webhookInboxService = require('../services/webhookInboxService');
 
 /**
  * Scheduler class for managing periodic tasks
@@ -18,29 +19,62 @@ class Scheduler {
    * Initializes all scheduled tasks
    */
   initTasks() {
-    // Schedule daily transaction fetch at midnight UTC
-    this.scheduleDailyTransactionFetch();
+    // Schedule every job with a schedule: the daily transaction fetch at midnight UTC, the ledger fetch at
+    // 00:15 UTC and the balance snapshot at 00:30 UTC, once the daily transactions are stored
+    jobService.getJobs()
+      .filter(job => job.schedule)
+      .forEach(job => this.scheduleJob(job));
+    
+    // Retry failed webhook deliveries every minute
+    this.scheduleWebhookRetries();
     
     // Add more scheduled tasks here as needed
   }
 
   /**
-   * Schedules the daily transaction fetch task
+   * Schedules the runs of a job, each recorded in its run history
+   * @param {Object} job - Job with a cron schedule
    */
-  scheduleDailyTransactionFetch() {
-    // Run at midnight UTC every day
-    this.tasks.fetchTransactions = cron.schedule('0 0 * * *', async () => {
-      console.log(`[${new Date().toISOString()}] Running scheduled transaction fetch`);
+  scheduleJob(job) {
+    this.tasks[job.name] = cron.schedule(job.schedule, async () => {
+      try {
+        const run = await jobService.run(job.name, { trigger: 'SCHEDULE' });
+        
+        if (!run) {
+          console.warn(`[${new Date().toISOString()}] Skipping scheduled ${job.name} job, the previous run is still going`);
+        }
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Scheduled ${job.name} job failed:`, error);
+      }
+    });
+    
+    console.log(`${job.name} job scheduled (${job.schedule})`);
+  }
+
+  /**
+   * Schedules the retry of failed webhook events whose retry time has come
+   */
+  scheduleWebhookRetries() {
+    let running = false;
+    
+    this.tasks.retryWebhookEvents = cron.schedule('* * * * *', async () => {
+      // A slow run must not overlap the next one, or the same event would be processed twice
+      if (running) {
+        return;
+      }
+      
+      running = true;
       
       try {
-        await transactionService.fetchAndStoreTransactions();
-        console.log(`[${new Date().toISOString()}] Scheduled transaction fetch completed`);
+        await webhookInboxService.retryFailedEvents();
       } catch (error) {
-        console.error(`[${new Date().toISOString()}] Scheduled transaction fetch failed:`, error);
+        console.error(`[${new Date().toISOString()}] Webhook event retry failed:`, error);
+      } finally {
+        running = false;
       }
     });
     
-    console.log('Daily transaction fetch scheduled for midnight UTC');
+    console.log('Webhook event retries scheduled every minute');
   }
 
   /**
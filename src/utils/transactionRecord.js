@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Flat transaction record written by the file, workbook and database sinks
+ * @module utils/transactionRecord
+ */
+
+/**
+ * Fields of a transaction record, with their header label, their column name in database tables and their kind
+ * @type {Array<{field: string, header: string, column: string, kind: string}>}
+ */
+const RECORD_FIELDS = [
+  { field: 'orderId', header: 'Order ID', column: 'order_id', kind: 'text' },
+  { field: 'platform', header: 'Platform', column: 'platform', kind: 'text' },
+  { field: 'accountId', header: 'Account', column: 'account_id', kind: 'text' },
+  { field: 'symbol', header: 'Symbol', column: 'symbol', kind: 'text' },
+  { field: 'baseAsset', header: 'Base Asset', column: 'base_asset', kind: 'text' },
+  { field: 'quoteAsset', header: 'Quote Asset', column: 'quote_asset', kind: 'text' },
+  { field: 'side', header: 'Side', column: 'side', kind: 'text' },
+  { field: 'type', header: 'Type', column: 'type', kind: 'text' },
+  { field: 'price', header: 'Price', column: 'price', kind: 'number' },
+  { field: 'quantity', header: 'Quantity', column: 'quantity', kind: 'number' },
+  { field: 'executedQuantity', header: 'Executed Quantity', column: 'executed_quantity', kind: 'number' },
+  { field: 'quoteQuantity', header: 'Quote Quantity', column: 'quote_quantity', kind: 'number' },
+  { field: 'status', header: 'Status', column: 'status', kind: 'text' },
+  { field: 'time', header: 'Time', column: 'time', kind: 'date' },
+  { field: 'updateTime', header: 'Update Time', column: 'update_time', kind: 'date' },
+  { field: 'reportingCurrency', header: 'Reporting Currency', column: 'reporting_currency', kind: 'text' },
+  { field: 'fxRate', header: 'FX Rate', column: 'fx_rate', kind: 'number' },
+  { field: 'valueInReportingCurrency', header: 'Value', column: 'value_in_reporting_currency', kind: 'number' },
+];
+
+/**
+ * Transforms a transaction to a flat record, with dates as ISO text and missing values as null
+ * @param {Object} transaction - Transaction object
+ * @returns {Object<string, (string|number|null)>} Record keyed by field
+ */
+const toRecord = (transaction) => Object.fromEntries(RECORD_FIELDS.map(({ field, kind }) => {
+  const value = transaction[field];
+  
+  if (value === null || value === undefined) {
+    return [field, null];
+  }
+  
+  return [field, kind === 'date' ? new Date(value).toISOString() : value];
+}));
+
+/**
+ * Returns the key identifying the transaction of a record, matching the unique index of stored transactions
+ * (Binance order IDs are only unique within a symbol, and the same order ID may exist on several accounts)
+ * @param {Object} record - Transaction record or object
+ * @returns {string} Key in the form platform:accountId:symbol:orderId
+ */
+const recordKey = (record) => `${record.platform}:${record.accountId}:${record.symbol}:${record.orderId}`;
+
+/**
+ * Columns of the primary key of the database sinks, matching recordKey
+ * @type {Array<string>}
+ */
+const KEY_COLUMNS = ['platform', 'account_id', 'symbol', 'order_id'];
+
+/**
+ * Returns whether new field values differ from those of a stored transaction, so that it has to be synced again
+ * (dates are compared by time; undefined values are not written, so they change nothing)
+ * @param {Object|null} stored - Stored transaction, null when not stored yet
+ * @param {Object} fields - New field values
+ * @returns {boolean} Whether a field changed, always true for a transaction not stored yet
+ */
+const hasChanges = (stored, fields) => !stored || Object.entries(fields).some(([field, newValue]) => {
+  const storedValue = stored[field] ?? null;
+  
+  if (newValue === undefined) {
+    return false;
+  }
+  
+  if (storedValue instanceof Date || newValue instanceof Date) {
+    return storedValue === null || newValue === null
+      || new Date(storedValue).getTime() !== new Date(newValue).getTime();
+  }
+  
+  return !Object.is(storedValue, newValue);
+});
+
+module.exports = { RECORD_FIELDS, KEY_COLUMNS, toRecord, recordKey, hasChanges }; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Webhook signature verification against the raw request body
+ * @module utils/webhookSignature
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Verifies the HMAC signature of a webhook request
+ *
+ * The signature covers the delivery timestamp and the raw body as `<timestamp>.<body>`, so a captured delivery
+ * cannot be replayed outside the tolerance window with a fresh timestamp.
+ * @param {Object} req - Express request object, with the raw body captured as `rawBody`
+ * @param {Object} options - Verification options
+ * @param {string} options.signatureHeader - Header carrying the signature
+ * @param {string} options.timestampHeader - Header carrying the delivery time in Unix seconds
+ * @param {string|Buffer} options.secret - HMAC key
+ * @param {string} [options.algorithm='sha256'] - HMAC digest algorithm
+ * @param {string} [options.encoding='hex'] - Encoding of the signature header (hex or base64)
+ * @returns {boolean} Whether the signature is valid and the delivery recent
+ */
+const verifyWebhookSignature = (req, { signatureHeader, timestampHeader, secret, algorithm = 'sha256', encoding = 'hex' }) => {
+  const signature = req.headers[signatureHeader];
+  const timestamp = req.headers[timestampHeader];
+  
+  if (!signature || !timestamp || !secret || !Buffer.isBuffer(req.rawBody)) {
+    return false;
+  }
+  
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  
+  if (!Number.isFinite(age) || age > config.webhooks.toleranceSeconds) {
+    return false;
+  }
+  
+  const expected = crypto
+    .createHmac(algorithm, secret)
+    .update(`${timestamp}.`)
+    .update(req.rawBody)
+    .digest();
+  const received = Buffer.from(signature, encoding);
+  
+  // timingSafeEqual throws on different lengths, which only reveals the digest length
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+module.exports = { verifyWebhookSignature }; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+const ApiKey = require('../../src/models/apiKey');
+const apiKeyService = require('../../src/services/apiKeyService');
+
+const storedKey = fields => ({
+  _id: 'key-1',
+  toObject() {
+    const { toObject, ...document } = this;
+    return document;
+  },
+  ...fields,
+});
+
+describe('ApiKeyService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new apiKeyService.constructor();
+    service.defaultRateLimit = 60;
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('createKey and authenticate', () => {
+    it('stores only the hash of the issued key and finds the active key by it', async () => {
+      const create = jest.spyOn(ApiKey, 'create').mockImplementation(async document => storedKey(document));
+      const findOne = jest.spyOn(ApiKey, 'findOne').mockResolvedValue(storedKey({ name: 'sheets' }));
+      jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+      
+      const { apiKey, key } = await service.createKey({ name: ' sheets ', scopes: ['read:transactions'] });
+      const stored = create.mock.calls[0][0];
+      
+      expect(key.startsWith(`${stored.prefix}_`)).toBe(true);
+      expect(stored.keyHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain(key);
+      expect(apiKey).not.toHaveProperty('keyHash');
+      expect(apiKey).toMatchObject({ name: 'sheets', scopes: ['read:transactions'], rateLimitPerMinute: null });
+      
+      await expect(service.authenticate(key)).resolves.toMatchObject({ name: 'sheets' });
+      expect(findOne).toHaveBeenCalledWith({ keyHash: stored.keyHash, status: 'ACTIVE' });
+    });
+    
+    it('refuses a key without the issued prefix without looking it up', async () => {
+      const findOne = jest.spyOn(ApiKey, 'findOne');
+      
+      await expect(service.authenticate('not-a-key')).resolves.toBeNull();
+      await expect(service.authenticate(undefined)).resolves.toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+    
+    it.each([
+      [{ scopes: ['admin'] }, /^Missing key name$/],
+      [{ name: 'bot', scopes: [] }, /^Invalid scopes/],
+      [{ name: 'bot', scopes: ['write:everything'] }, /^Invalid scopes/],
+      [{ name: 'bot', scopes: ['admin'], rateLimitPerMinute: 0 }, /^Invalid rateLimitPerMinute/],
+    ])('rejects %j', async (options, error) => {
+      const create = jest.spyOn(ApiKey, 'create');
+      
+      await expect(service.createKey(options)).resolves.toEqual({ error: expect.stringMatching(error) });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('hasScope', () => {
+    it('grants the scopes of the key, and every scope to an admin key', () => {
+      const reader = { scopes: ['read:transactions'] };
+      
+      expect(service.hasScope(reader, 'read:transactions')).toBe(true);
+      expect(service.hasScope(reader, 'run:jobs')).toBe(false);
+      expect(service.hasScope({ scopes: ['admin'] }, 'run:jobs')).toBe(true);
+    });
+  });
+  
+  describe('consume', () => {
+    it('allows a burst up to the limit of the key, then refills it over the minute', () => {
+      let now = Date.parse('2026-10-19T12:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const apiKey = { _id: 'key-1', rateLimitPerMinute: 3 };
+      
+      expect([1, 2, 3, 4].map(() => service.consume(apiKey))).toEqual([0, 0, 0, 20]);
+      
+      now += 10 * 1000;
+      
+      expect(service.consume(apiKey)).toBe(10);
+      
+      now += 10 * 1000;
+      
+      expect(service.consume(apiKey)).toBe(0);
+      expect(service.consume({ _id: 'key-2', rateLimitPerMinute: null })).toBe(0);
+    });
+  });
+  
+  describe('revokeKey', () => {
+    it('revokes the key and drops its rate limit bucket', async () => {
+      const apiKey = storedKey({ rateLimitPerMinute: 1, status: 'ACTIVE', save: jest.fn() });
+      jest.spyOn(ApiKey, 'findById').mockResolvedValue(apiKey);
+      
+      service.consume(apiKey);
+      
+      await expect(service.revokeKey('64b7f0c2a1b2c3d4e5f60718')).resolves.toMatchObject({ status: 'REVOKED' });
+      expect(apiKey.save).toHaveBeenCalled();
+      expect(service.buckets.has('key-1')).toBe(false);
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,89 @@
+const BalanceSnapshot = require('../../src/models/balanceSnapshot');
+const Transaction = require('../../src/models/transaction');
+const Trade = require('../../src/models/trade');
+const LedgerEntry = require('../../src/models/ledgerEntry');
+const accountRegistry = require('../../src/services/accountRegistry');
+const balanceService = require('../../src/services/balanceService');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+
+describe('BalanceService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new balanceService.constructor();
+    service.tolerance = 0.001;
+    service.minimumDifference = 0.00000001;
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(symbolNormalizationService, 'loadAliases').mockResolvedValue();
+    // 1.5 BTC bought for 150 EUR and 0.5 BTC sold for 60 EUR, a 0.001 BTC fee, 200 EUR deposited with a 1 EUR fee
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+      { _id: { baseAsset: 'BTC', quoteAsset: 'EUR', side: 'BUY' }, quantity: 1.5, quoteQuantity: 150 },
+      { _id: { baseAsset: 'BTC', quoteAsset: 'EUR', side: 'SELL' }, quantity: 0.5, quoteQuantity: 60 },
+    ]);
+    jest.spyOn(Trade, 'aggregate').mockResolvedValue([{ _id: 'XXBT', commission: 0.001 }, { _id: null, commission: 5 }]);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([{ _id: 'EUR', amount: 200, fee: 1 }]);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('calculateImpliedHoldings', () => {
+    it('nets purchases, sales, fill fees and ledger movements per asset', async () => {
+      const holdings = await service.calculateImpliedHoldings('kraken');
+      
+      expect(holdings.get('BTC')).toBeCloseTo(0.999);
+      expect(holdings.get('EUR')).toBeCloseTo(109);
+      expect(holdings.size).toBe(2);
+    });
+  });
+  
+  describe('takeSnapshot', () => {
+    it('flags the assets whose reported balance differs from the log beyond the tolerance', async () => {
+      jest.spyOn(accountRegistry, 'getAccount').mockReturnValue({ id: 'kraken', platform: 'KRAKEN' });
+      jest.spyOn(accountRegistry, 'getAdapter').mockReturnValue({
+        fetchBalances: async () => [
+          // Within the 0.1% tolerance of the implied 0.999 BTC
+          { asset: 'XXBT', free: 0.9995, locked: 0, total: 0.9995 },
+          { asset: 'ZEUR', free: 100, locked: 0, total: 100 },
+          { asset: 'ETH', free: 2, locked: 0, total: 2 },
+        ],
+      });
+      const create = jest.spyOn(BalanceSnapshot, 'create').mockImplementation(async snapshot => snapshot);
+      
+      const snapshot = await service.takeSnapshot('kraken');
+      
+      expect(create).toHaveBeenCalled();
+      expect(snapshot.balances.map(balance => balance.asset)).toEqual(['BTC', 'EUR', 'ETH']);
+      expect(snapshot.hasDiscrepancies).toBe(true);
+      expect(snapshot.discrepancies.map(({ asset, difference }) => [asset, Math.round(difference)])).toEqual([
+        ['ETH', 2],
+        ['EUR', -9],
+      ]);
+    });
+  });
+  
+  describe('takeSnapshots', () => {
+    it('reports the accounts whose balances could not be fetched, keeping the other snapshots', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(accountRegistry, 'getAccounts').mockReturnValue([
+        { id: 'kraken', platform: 'KRAKEN' },
+        { id: 'binance', platform: 'BINANCE' },
+      ]);
+      jest.spyOn(service, 'takeSnapshot').mockImplementation(async (accountId) => {
+        if (accountId === 'binance') {
+          throw new Error('Invalid API-key');
+        }
+        
+        return { accountId };
+      });
+      
+      await expect(service.takeSnapshots()).resolves.toEqual({
+        snapshots: [{ accountId: 'kraken' }],
+        failures: [{ platform: 'BINANCE', account: 'binance', error: 'Invalid API-key' }],
+      });
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const binanceService = require('../../src/services/binanceService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('BinanceService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('_fetchSymbolOrdersInRange', () => {
+    it('queries the range in windows of at most 24 hours with an explicit endTime', async () => {
+      const makeRequest = jest.spyOn(binanceService, '_makeRequest').mockResolvedValue([]);
+      const from = new Date('2026-03-01T00:00:00Z');
+      const to = new Date(from.getTime() + 2.5 * DAY);
+      
+      await binanceService._fetchSymbolOrdersInRange('BTCUSDT', from, to);
+      
+      expect(makeRequest.mock.calls.map(([endpoint, params]) => [endpoint, params.startTime, params.endTime])).toEqual([
+        ['/api/v3/allOrders', from.getTime(), from.getTime() + DAY - 1],
+        ['/api/v3/allOrders', from.getTime() + DAY, from.getTime() + 2 * DAY - 1],
+        ['/api/v3/allOrders', from.getTime() + 2 * DAY, to.getTime()],
+      ]);
+    });
+    
+    it('continues a full page with the orderId cursor and keeps only the orders of the window', async () => {
+      const from = new Date('2026-03-01T00:00:00Z');
+      const to = new Date(from.getTime() + DAY - 1);
+      const fullPage = Array.from({ length: binanceService.pageLimit }, (_, index) => ({
+        orderId: index + 1,
+        time: from.getTime() + index,
+      }));
+      const makeRequest = jest.spyOn(binanceService, '_makeRequest')
+        .mockResolvedValueOnce(fullPage)
+        .mockResolvedValueOnce([{ orderId: 1001, time: to.getTime() }, { orderId: 1002, time: to.getTime() + 1 }]);
+      
+      const orders = await binanceService._fetchSymbolOrdersInRange('BTCUSDT', from, to);
+      
+      expect(makeRequest).toHaveBeenCalledTimes(2);
+      expect(makeRequest.mock.calls[1][1]).toEqual({
+        symbol: 'BTCUSDT',
+        orderId: binanceService.pageLimit + 1,
+        limit: binanceService.pageLimit,
+      });
+      expect(orders.map(order => order.orderId)).toEqual([...fullPage.map(order => order.orderId), 1001]);
+    });
+  });
+  
+  describe('_fetchSymbolTradesInRange', () => {
+    it('queries myTrades in windows of at most 24 hours with an explicit endTime', async () => {
+      const makeRequest = jest.spyOn(binanceService, '_makeRequest').mockResolvedValue([]);
+      const from = new Date('2026-03-01T12:00:00Z');
+      const to = new Date(from.getTime() + DAY);
+      
+      await binanceService._fetchSymbolTradesInRange('ETHUSDT', from, to);
+      
+      expect(makeRequest.mock.calls.map(([endpoint, params]) => [endpoint, params.startTime, params.endTime])).toEqual([
+        ['/api/v3/myTrades', from.getTime(), from.getTime() + DAY - 1],
+        ['/api/v3/myTrades', to.getTime(), to.getTime()],
+      ]);
+    });
+  });
+}); 
\ No newline at end of file
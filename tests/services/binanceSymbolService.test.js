@@ -0,0 +1,64 @@
+const WatchedSymbol = require('../../src/models/watchedSymbol');
+const accountRegistry = require('../../src/services/accountRegistry');
+const binanceService = require('../../src/services/binanceService');
+const binanceSymbolService = require('../../src/services/binanceSymbolService');
+
+const exchangeSymbol = (baseAsset, quoteAsset) => ({ symbol: `${baseAsset}${quoteAsset}`, baseAsset, quoteAsset });
+
+describe('BinanceSymbolService', () => {
+  let service;
+  let adapters;
+  
+  beforeEach(() => {
+    service = new binanceSymbolService.constructor();
+    service.configuredSymbols = [];
+    service.quoteAssets = ['USDT'];
+    adapters = {
+      binance: { fetchAccountBalances: jest.fn().mockResolvedValue([{ asset: 'BTC' }]) },
+      'binance-2': { fetchAccountBalances: jest.fn().mockResolvedValue([{ asset: 'ETH' }]) },
+    };
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(accountRegistry, 'getAccounts').mockReturnValue([{ id: 'binance' }, { id: 'binance-2' }]);
+    jest.spyOn(accountRegistry, 'getAdapter').mockImplementation(id => adapters[id]);
+    jest.spyOn(binanceService, 'fetchExchangeSymbols').mockResolvedValue([
+      exchangeSymbol('BTC', 'USDT'),
+      exchangeSymbol('ETH', 'BTC'),
+      exchangeSymbol('ETH', 'EUR'),
+      exchangeSymbol('SOL', 'USDT'),
+    ]);
+    jest.spyOn(WatchedSymbol, 'bulkWrite').mockResolvedValue({});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('discoverSymbols', () => {
+    it('watches the pairs of the assets held by every account, quoted in a common or another held asset', async () => {
+      const symbols = await service.discoverSymbols();
+      
+      expect(symbols).toEqual(['BTCUSDT', 'ETHBTC']);
+      expect(WatchedSymbol.bulkWrite.mock.calls[0][0].map(({ updateOne }) => [
+        updateOne.filter.symbol,
+        updateOne.update.$setOnInsert,
+      ])).toEqual([
+        ['BTCUSDT', { source: 'DISCOVERED', enabled: true }],
+        ['ETHBTC', { source: 'DISCOVERED', enabled: true }],
+      ]);
+    });
+  });
+  
+  describe('getSymbols', () => {
+    it('returns the enabled watch list when discovery fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      adapters.binance.fetchAccountBalances.mockRejectedValue(new Error('Invalid API-key'));
+      const find = jest.spyOn(WatchedSymbol, 'find').mockReturnValue({
+        sort: async () => [{ symbol: 'BTCUSDT' }, { symbol: 'SOLUSDT' }],
+      });
+      
+      await expect(service.getSymbols()).resolves.toEqual(['BTCUSDT', 'SOLUSDT']);
+      expect(find).toHaveBeenCalledWith({ platform: 'BINANCE', enabled: true });
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,153 @@
+const { WebSocketServer } = require('ws');
+const binanceUserStreamService = require('../../src/services/binanceUserStreamService');
+const exchangeRegistry = require('../../src/services/exchangeRegistry');
+const accountRegistry = require('../../src/services/accountRegistry');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+const transactionService = require('../../src/services/transactionService');
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('BinanceUserStreamService', () => {
+  let server;
+  let connections;
+  let adapter;
+  let stream;
+  
+  beforeEach(async () => {
+    connections = [];
+    server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    server.on('connection', (socket, req) => connections.push({ socket, url: req.url }));
+    await new Promise(resolve => server.once('listening', resolve));
+    
+    let listenKeys = 0;
+    adapter = {
+      createListenKey: jest.fn(async () => `key-${++listenKeys}`),
+      keepAliveListenKey: jest.fn().mockResolvedValue(),
+      closeListenKey: jest.fn().mockResolvedValue(),
+      mapExecutionReport: jest.fn(event => ({
+        transaction: { orderId: event.i, symbol: event.s, status: event.X },
+        trade: event.x === 'TRADE' ? { tradeId: event.t, orderId: event.i } : null,
+      })),
+    };
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(exchangeRegistry, 'hasPlatform').mockReturnValue(true);
+    jest.spyOn(accountRegistry, 'getDefaultAccount').mockReturnValue({ id: 'binance', platform: 'BINANCE' });
+    jest.spyOn(accountRegistry, 'getAdapter').mockReturnValue(adapter);
+    jest.spyOn(symbolNormalizationService, 'normalizeTransactions').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'saveTransactionsToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'saveTradesToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'syncTransactionsToSinks').mockResolvedValue({});
+    jest.spyOn(transactionService, 'backfillTransactions').mockResolvedValue({ saved: 0, trades: 0 });
+    
+    // A fresh consumer per test, pointed at the local server
+    stream = new binanceUserStreamService.constructor();
+    stream.streamUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterEach(async () => {
+    await stream.stop();
+    await new Promise(resolve => server.close(resolve));
+    connections.forEach(({ socket }) => socket.terminate());
+    jest.restoreAllMocks();
+  });
+  
+  it('connects with a new listen key and stores the orders and fills of execution reports', async () => {
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    expect(connections[0].url).toBe('/ws/key-1');
+    
+    connections[0].socket.send(JSON.stringify({ e: 'executionReport', i: 42, s: 'BTCUSDT', X: 'FILLED', x: 'TRADE', t: 7 }));
+    await waitFor(() => transactionService.syncTransactionsToSinks.mock.calls.length > 0);
+    
+    expect(transactionService.saveTransactionsToDatabase).toHaveBeenCalledWith([
+      { orderId: 42, symbol: 'BTCUSDT', status: 'FILLED', platform: 'BINANCE', accountId: 'binance' },
+    ]);
+    expect(transactionService.saveTradesToDatabase).toHaveBeenCalledWith([
+      { tradeId: 7, orderId: 42, platform: 'BINANCE', accountId: 'binance' },
+    ]);
+  });
+  
+  it('reconnects after a disconnection and catches up from before the gap', async () => {
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    connections[0].socket.close();
+    await waitFor(() => !stream.connected);
+    
+    const { disconnectedAt } = stream.getStatus();
+    
+    expect(disconnectedAt).toBeInstanceOf(Date);
+    
+    await waitFor(() => connections.length === 2 && stream.connected);
+    await waitFor(() => transactionService.backfillTransactions.mock.calls.length > 0);
+    
+    const [accountId, from] = transactionService.backfillTransactions.mock.calls[0];
+    
+    expect(connections[1].url).toBe('/ws/key-2');
+    expect(accountId).toBe('binance');
+    expect(from.getTime()).toBe(disconnectedAt.getTime() - 60 * 1000);
+    expect(stream.getStatus().disconnectedAt).toBeNull();
+  });
+  
+  it('extends the listen key of the open stream', async () => {
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    expect(stream.keepAliveTimer).not.toBeNull();
+    
+    await stream._keepAlive();
+    
+    expect(adapter.keepAliveListenKey).toHaveBeenCalledWith('key-1');
+    expect(stream.connected).toBe(true);
+  });
+  
+  it('reconnects with a new listen key when the listen key cannot be extended', async () => {
+    adapter.keepAliveListenKey.mockRejectedValue(new Error('Unknown listen key'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    await stream._keepAlive();
+    await waitFor(() => connections.length === 2 && stream.connected);
+    
+    expect(adapter.createListenKey).toHaveBeenCalledTimes(2);
+    expect(connections[1].url).toBe('/ws/key-2');
+  });
+  
+  it('reconnects with a new listen key when Binance reports it expired', async () => {
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    connections[0].socket.send(JSON.stringify({ e: 'listenKeyExpired' }));
+    await waitFor(() => connections.length === 2 && stream.connected);
+    await waitFor(() => transactionService.backfillTransactions.mock.calls.length > 0);
+    
+    expect(connections[1].url).toBe('/ws/key-2');
+  });
+  
+  it('closes the listen key and stops reconnecting once stopped', async () => {
+    await stream.start();
+    await waitFor(() => stream.connected);
+    
+    await stream.stop();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(adapter.closeListenKey).toHaveBeenCalledWith('key-1');
+    expect(stream.getStatus().running).toBe(false);
+    expect(connections).toHaveLength(1);
+  });
+}); 
\ No newline at end of file
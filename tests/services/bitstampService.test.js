@@ -0,0 +1,44 @@
+const bitstampService = require('../../src/services/bitstampService');
+
+describe('BitstampService', () => {
+  describe('_mapTrade', () => {
+    it('maps a trade to a fill of its pair, with the fee in the quote currency', () => {
+      expect(bitstampService._mapTrade({
+        id: 11,
+        order_id: 42,
+        type: '2',
+        datetime: '2026-03-01 10:00:00.000000',
+        btc: '-0.5',
+        eur: '50.00',
+        btc_eur: '100',
+        fee: '0.10',
+      })).toMatchObject({
+        tradeId: '11',
+        orderId: '42',
+        symbol: 'BTC/EUR',
+        side: 'SELL',
+        quantity: 0.5,
+        quoteQuantity: 50,
+        commission: 0.1,
+        commissionAsset: 'EUR',
+        time: new Date('2026-03-01T10:00:00Z'),
+      });
+    });
+  });
+  
+  describe('mapWebhookTransaction', () => {
+    it('maps a trade to a filled order and ignores the movements that are not trades', () => {
+      expect(bitstampService.mapWebhookTransaction({
+        id: 11,
+        order_id: 42,
+        type: '2',
+        datetime: '2026-03-01 10:00:00',
+        btc: '0.5',
+        eur: '-50.00',
+        btc_eur: '100',
+        fee: '0.10',
+      })).toMatchObject({ orderId: '42', side: 'BUY', executedQty: 0.5, cummulativeQuoteQty: 50, status: 'FILLED' });
+      expect(bitstampService.mapWebhookTransaction({ id: 12, type: '0', btc: '1' })).toBeNull();
+    });
+  });
+}); 
\ No newline at end of file
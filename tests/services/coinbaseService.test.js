@@ -0,0 +1,46 @@
+const coinbaseService = require('../../src/services/coinbaseService');
+
+describe('CoinbaseService', () => {
+  describe('_mapOrder', () => {
+    it('maps the size and limit price of the order configuration and the filled value', () => {
+      expect(coinbaseService._mapOrder({
+        order_id: 'C-1',
+        product_id: 'BTC-EUR',
+        side: 'BUY',
+        order_type: 'LIMIT',
+        order_configuration: { limit_limit_gtc: { base_size: '2', limit_price: '100' } },
+        filled_size: '0.5',
+        filled_value: '49.5',
+        average_filled_price: '99',
+        status: 'CANCELLED',
+        created_time: '2026-03-01T10:00:00Z',
+        last_fill_time: '2026-03-01T10:05:00Z',
+      })).toMatchObject({
+        orderId: 'C-1',
+        symbol: 'BTC-EUR',
+        price: 99,
+        origQty: 2,
+        executedQty: 0.5,
+        cummulativeQuoteQty: 49.5,
+        status: coinbaseService.mapOrderStatus('CANCELLED'),
+        updateTime: new Date('2026-03-01T10:05:00Z'),
+        isWorking: false,
+      });
+    });
+    
+    it('uses the filled size of market orders placed by quote size', () => {
+      expect(coinbaseService._mapOrder({
+        order_id: 'C-2',
+        product_id: 'ETH-EUR',
+        side: 'SELL',
+        order_type: 'MARKET',
+        order_configuration: { market_market_ioc: { quote_size: '100' } },
+        filled_size: '0.05',
+        filled_value: '100',
+        average_filled_price: '2000',
+        status: 'FILLED',
+        created_time: '2026-03-01T10:00:00Z',
+      })).toMatchObject({ origQty: 0.05, executedQty: 0.05, price: 2000, status: 'FILLED' });
+    });
+  });
+}); 
\ No newline at end of file
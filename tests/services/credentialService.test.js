@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const Credential = require('../../src/models/credential');
+const credentialService = require('../../src/services/credentialService');
+const { encryptEnvelope } = require('../../src/utils/envelopeEncryption');
+
+const account = { id: 'kraken', platform: 'KRAKEN', credentials: 'KRAKEN' };
+const variables = { apiKey: 'API_KEY', apiSecret: 'API_SECRET' };
+
+describe('CredentialService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new credentialService.constructor();
+    service.masterKey = crypto.randomBytes(32);
+    service.cacheMs = 60000;
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('getCredentials', () => {
+    it('decrypts the stored credentials of the account, falling back to the environment without a record', async () => {
+      const stored = { apiKey: 'stored-key', apiSecret: 'stored-secret' };
+      const envelope = encryptEnvelope(JSON.stringify(stored), service.masterKey, 'kraken');
+      jest.spyOn(Credential, 'findOne').mockResolvedValueOnce({ status: 'ACTIVE', envelope }).mockResolvedValueOnce(null);
+      process.env.KRAKEN_2_API_KEY = 'env-key';
+      
+      try {
+        await expect(service.getCredentials(account, variables)).resolves.toEqual(stored);
+        await expect(service.getCredentials({ ...account, id: 'kraken-2', credentials: 'KRAKEN_2' }, variables))
+          .resolves.toEqual({ apiKey: 'env-key', apiSecret: undefined });
+      } finally {
+        delete process.env.KRAKEN_2_API_KEY;
+      }
+    });
+    
+    it('refuses the credentials of a disabled record, also from the cache', async () => {
+      const findOne = jest.spyOn(Credential, 'findOne').mockResolvedValue({ status: 'DISABLED' });
+      
+      await expect(service.getCredentials(account, variables))
+        .rejects.toThrow('Credentials of account kraken are disabled');
+      await expect(service.getCredentials(account, variables)).rejects.toThrow('are disabled');
+      expect(findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  describe('rotateCredentials', () => {
+    it('drops the cached credentials only once the new ones are stored', async () => {
+      let cachedDuringWrite;
+      
+      service.cache.set(account.id, { resolve: () => ({ apiKey: 'old' }), expiresAt: Date.now() + 60000 });
+      jest.spyOn(Credential, 'findOneAndUpdate').mockImplementation(async () => {
+        cachedDuringWrite = service.cache.has(account.id);
+        return { accountId: account.id };
+      });
+      jest.spyOn(Credential, 'find').mockResolvedValue([]);
+      
+      await service.rotateCredentials(account, variables, { apiKey: 'new-key', apiSecret: 'new-secret' });
+      
+      expect(cachedDuringWrite).toBe(true);
+      expect(service.cache.has(account.id)).toBe(false);
+    });
+    
+    it('keeps the cached credentials when the new ones could not be stored', async () => {
+      service.cache.set(account.id, { resolve: () => ({ apiKey: 'old' }), expiresAt: Date.now() + 60000 });
+      jest.spyOn(Credential, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+      
+      await expect(service.rotateCredentials(account, variables, { apiKey: 'new-key', apiSecret: 'new-secret' }))
+        .rejects.toThrow('connection lost');
+      
+      await expect(service.getCredentials(account, variables)).resolves.toEqual({ apiKey: 'old' });
+    });
+  });
+}); 
\ No newline at end of file
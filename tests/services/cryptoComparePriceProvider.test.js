@@ -0,0 +1,42 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../../src/config');
+const cryptoComparePriceProvider = require('../../src/services/cryptoComparePriceProvider');
+
+describe('CryptoComparePriceProvider', () => {
+  const time = new Date('2026-03-01T10:00:00Z');
+  const timestamp = time.getTime() / 1000;
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    axios.mockReset();
+  });
+  
+  it('requests the hourly close through the shared client, with its timeout', async () => {
+    axios.mockResolvedValue({ data: { Response: 'Success', Data: { Data: [{ time: timestamp, close: 50000 }] } } });
+    
+    await expect(cryptoComparePriceProvider.getRate('BTC', 'EUR', time)).resolves.toBe(50000);
+    expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+      timeout: config.http.timeoutSeconds * 1000,
+      params: { fsym: 'BTC', tsym: 'EUR', limit: 1, toTs: timestamp },
+    }));
+  });
+  
+  it('prices an unknown pair as missing without retrying', async () => {
+    axios.mockResolvedValue({ data: { Response: 'Error', Message: 'cccagg market does not exist for this coin pair' } });
+    
+    await expect(cryptoComparePriceProvider.getRate('XYZ', 'EUR', time)).resolves.toBeNull();
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+  
+  it('fails on other errors reported in the response', async () => {
+    axios.mockResolvedValue({ data: { Response: 'Error', Message: 'fsym param is invalid' } });
+    
+    await expect(cryptoComparePriceProvider.getRate('BTC', 'EUR', time)).rejects.toThrow('fsym param is invalid');
+  });
+}); 
\ No newline at end of file
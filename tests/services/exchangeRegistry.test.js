@@ -0,0 +1,60 @@
+const exchangeRegistry = require('../../src/services/exchangeRegistry');
+
+const adapter = (platform, overrides = {}) => ({
+  platform,
+  name: platform,
+  fetchTransactionsInRange: async () => [],
+  fetchTradesInRange: async () => [],
+  fetchBalances: async () => [],
+  verifyWebhook: () => true,
+  mapWebhookTransaction: () => null,
+  mapOrderStatus: status => status,
+  ...overrides,
+});
+
+describe('ExchangeRegistry', () => {
+  let registry;
+  
+  beforeEach(() => {
+    registry = Object.create(exchangeRegistry.constructor.prototype);
+    registry.adapters = new Map();
+  });
+  
+  describe('register', () => {
+    it('registers an adapter implementing the interface under its platform code', () => {
+      registry.register(adapter('GEMINI'));
+      
+      expect(registry.platforms).toEqual(['GEMINI']);
+      expect(registry.getAdapter('GEMINI').platform).toBe('GEMINI');
+    });
+    
+    it('refuses adapters without a platform code, with missing methods or registered twice', () => {
+      expect(() => registry.register(adapter(''))).toThrow('Exchange adapters must have a platform code');
+      expect(() => registry.register(adapter('GEMINI', { fetchBalances: undefined, mapOrderStatus: 'FILLED' })))
+        .toThrow('GEMINI adapter is missing fetchBalances, mapOrderStatus');
+      
+      registry.register(adapter('GEMINI'));
+      
+      expect(() => registry.register(adapter('GEMINI'))).toThrow('GEMINI adapter is already registered');
+    });
+    
+    it('rejects platforms that are not registered', () => {
+      expect(registry.hasPlatform('GEMINI')).toBe(false);
+      expect(() => registry.getAdapter('GEMINI')).toThrow('Unsupported platform: GEMINI');
+    });
+  });
+  
+  describe('built-in adapters', () => {
+    it.each([
+      ['binanceService', 'BINANCE'],
+      ['revolutService', 'REVOLUT'],
+      ['krakenService', 'KRAKEN'],
+      ['coinbaseService', 'COINBASE'],
+      ['bitstampService', 'BITSTAMP'],
+    ])('%s implements the adapter interface', (module, platform) => {
+      registry.register(require(`../../src/services/${module}`));
+      
+      expect(registry.platforms).toEqual([platform]);
+    });
+  });
+}); 
\ No newline at end of file
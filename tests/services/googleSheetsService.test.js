@@ -0,0 +1,73 @@
+const googleSheetsService = require('../../src/services/googleSheetsService');
+
+const rateLimited = () => Object.assign(new Error('Quota exceeded'), { code: 429 });
+
+describe('GoogleSheetsService', () => {
+  let sheets;
+  let service;
+  
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+    
+    sheets = {
+      spreadsheets: {
+        get: jest.fn().mockResolvedValue({ data: { sheets: [] } }),
+        batchUpdate: jest.fn().mockResolvedValue({ data: { replies: [{ addSheet: { properties: { sheetId: 7 } } }] } }),
+        values: {
+          clear: jest.fn().mockResolvedValue({ data: {} }),
+          update: jest.fn().mockResolvedValue({ data: { updatedRows: 2 } }),
+        },
+      },
+    };
+    service = new googleSheetsService.constructor();
+    service.sheets = sheets;
+    service.sheetId = 'sheet-id';
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('writeRows', () => {
+    it('writes the rows at their position in chunks, retrying the rate limited ones', async () => {
+      sheets.spreadsheets.values.batchUpdate = jest.fn()
+        .mockRejectedValueOnce(rateLimited())
+        .mockImplementation(async ({ resource }) => ({ data: { totalUpdatedRows: resource.data.length } }));
+      const rows = Array.from({ length: 1200 }, (_, index) => ({ row: index + 2, values: [`O-${index}`, 'KRAKEN'] }));
+      
+      await expect(service.writeRows('Transactions', rows)).resolves.toBe(1200);
+      
+      const chunks = sheets.spreadsheets.values.batchUpdate.mock.calls.map(([{ resource }]) => resource.data);
+      
+      expect(chunks.map(chunk => chunk.length)).toEqual([500, 500, 500, 200]);
+      expect(chunks[1][0]).toEqual({ range: "'Transactions'!A2:B2", values: [['O-0', 'KRAKEN']] });
+    });
+  });
+  
+  describe('replaceSheet', () => {
+    it('retries every rate limited request of a rewrite, including the creation of the tab', async () => {
+      sheets.spreadsheets.get.mockRejectedValueOnce(rateLimited());
+      sheets.spreadsheets.batchUpdate.mockRejectedValueOnce(rateLimited());
+      sheets.spreadsheets.values.clear.mockRejectedValueOnce(rateLimited());
+      sheets.spreadsheets.values.update.mockRejectedValueOnce(rateLimited());
+      
+      const data = await service.replaceSheet('P&L', [['Asset'], ['BTC']]);
+      
+      expect(data.updatedRows).toBe(2);
+      expect(sheets.spreadsheets.get).toHaveBeenCalledTimes(2);
+      expect(sheets.spreadsheets.batchUpdate).toHaveBeenCalledTimes(2);
+      expect(sheets.spreadsheets.values.clear).toHaveBeenCalledTimes(2);
+      expect(sheets.spreadsheets.values.update).toHaveBeenCalledTimes(2);
+    });
+    
+    it('does not retry requests rejected for another reason', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      sheets.spreadsheets.get.mockRejectedValue(Object.assign(new Error('Forbidden'), { code: 403 }));
+      
+      await expect(service.replaceSheet('P&L', [])).rejects.toThrow('Forbidden');
+      expect(sheets.spreadsheets.get).toHaveBeenCalledTimes(1);
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,128 @@
+const Transaction = require('../../src/models/transaction');
+const LedgerEntry = require('../../src/models/ledgerEntry');
+const googleSheetsSink = require('../../src/services/googleSheetsSink');
+const googleSheetsService = require('../../src/services/googleSheetsService');
+const sheetLayoutService = require('../../src/services/sheetLayoutService');
+
+const HEADER = ['Entry ID', 'Platform', 'Type', 'Asset', 'Amount', 'Fee', 'Tx ID', 'Description', 'Time', 'Account'];
+
+const entry = (entryId, fields = {}) => ({
+  _id: `id-${entryId}`,
+  entryId,
+  platform: 'KRAKEN',
+  accountId: 'kraken',
+  type: 'DEPOSIT',
+  asset: 'BTC',
+  amount: 1,
+  fee: 0,
+  time: new Date('2026-03-01T00:00:00Z'),
+  sheetRow: null,
+  ...fields,
+});
+
+describe('GoogleSheetsSink', () => {
+  describe('writeTransactions', () => {
+    const view = { name: 'main', summaries: [] };
+    const transaction = (orderId, sheetRows) => ({
+      _id: `id-${orderId}`,
+      orderId,
+      platform: 'KRAKEN',
+      symbol: 'XBTEUR',
+      sheetRows,
+    });
+    
+    beforeEach(() => {
+      jest.spyOn(sheetLayoutService, 'views', 'get').mockReturnValue([view]);
+      jest.spyOn(sheetLayoutService, 'tabFor').mockReturnValue('Transactions');
+      jest.spyOn(sheetLayoutService, 'tabLayout').mockReturnValue({ header: ['Order ID', 'Platform', 'Symbol'] });
+      jest.spyOn(sheetLayoutService, 'keyColumns').mockReturnValue({ orderId: 0, platform: 1, symbol: 2, accountId: -1 });
+      jest.spyOn(sheetLayoutService, 'toRow').mockImplementation((_, t) => [t.orderId, t.platform, t.symbol]);
+      jest.spyOn(googleSheetsService, 'readRows').mockResolvedValue([
+        ['Order ID', 'Platform', 'Symbol'],
+        ['O-1', 'KRAKEN', 'XBTEUR'],
+        ['O-2', 'KRAKEN', 'XBTEUR'],
+      ]);
+      jest.spyOn(googleSheetsService, 'writeRows').mockResolvedValue(0);
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ lastRow: 2, rows: [2] }]);
+      jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('updates the rows of known transactions and stores the rows of the others before writing', async () => {
+      await googleSheetsSink.writeTransactions([
+        transaction('O-1', [{ view: 'main', tab: 'Transactions', row: 2 }]),
+        // Appended before rows were tracked
+        transaction('O-2'),
+        transaction('O-3'),
+      ]);
+      
+      const [[tab, rows]] = googleSheetsService.writeRows.mock.calls;
+      
+      expect(tab).toBe('Transactions');
+      expect(rows.map(({ row, values: [orderId] }) => [row, orderId])).toEqual([[2, 'O-1'], [3, 'O-2'], [4, 'O-3']]);
+      expect(Transaction.bulkWrite.mock.calls[0][0].map(({ updateOne }) => [
+        updateOne.filter._id,
+        updateOne.update.$set.sheetRows[0].row,
+      ])).toEqual([['id-O-2', 3], ['id-O-3', 4]]);
+      expect(Transaction.bulkWrite.mock.invocationCallOrder[0])
+        .toBeLessThan(googleSheetsService.writeRows.mock.invocationCallOrder[0]);
+    });
+  });
+  
+  describe('writeLedgerEntries', () => {
+    let values;
+    let storedRows;
+    
+    beforeEach(() => {
+      values = [HEADER];
+      storedRows = [];
+      
+      jest.spyOn(googleSheetsService, 'readRows').mockImplementation(async () => values);
+      jest.spyOn(googleSheetsService, 'writeRows').mockResolvedValue(0);
+      jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async () => (storedRows.length > 0
+        ? [{ lastRow: Math.max(...storedRows), rows: storedRows }]
+        : []));
+      jest.spyOn(LedgerEntry, 'bulkWrite').mockResolvedValue({});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('rewrites the row of an entry in place and appends new entries after the last row', async () => {
+      storedRows = [2];
+      values = [HEADER, ['L-1', 'KRAKEN', 'DEPOSIT', 'BTC', '1', '0', '', '', '', 'kraken']];
+      
+      await googleSheetsSink.writeLedgerEntries([entry('L-1', { sheetRow: 2, amount: 2 }), entry('L-2')]);
+      
+      const [[, rows]] = googleSheetsService.writeRows.mock.calls;
+      
+      expect(rows.map(({ row, values: [entryId] }) => [row, entryId])).toEqual([[2, 'L-1'], [3, 'L-2']]);
+      expect(LedgerEntry.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set.sheetRow))
+        .toEqual([3]);
+    });
+    
+    it('claims the rows appended before rows were tracked once each, and updates their header', async () => {
+      values = [
+        HEADER.slice(0, -1),
+        ['L-1', 'KRAKEN', 'DEPOSIT', 'BTC', '1', '0', '', '', ''],
+      ];
+      
+      await googleSheetsSink.writeLedgerEntries([
+        entry('L-1'),
+        entry('L-1', { _id: 'other-account', accountId: 'kraken-2' }),
+      ]);
+      
+      const [[, rows]] = googleSheetsService.writeRows.mock.calls;
+      
+      expect(rows.map(({ row, values: rowValues }) => [row, rowValues[rowValues.length - 1]])).toEqual([
+        [1, 'Account'],
+        [2, 'kraken'],
+        [3, 'kraken-2'],
+      ]);
+    });
+  });
+}); 
\ No newline at end of file
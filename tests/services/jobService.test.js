@@ -0,0 +1,128 @@
+const JobRun = require('../../src/models/jobRun');
+const accountRegistry = require('../../src/services/accountRegistry');
+const jobService = require('../../src/services/jobService');
+
+const jobRun = fields => ({
+  startedAt: new Date(),
+  platforms: [],
+  save: jest.fn(async function save() {
+    return this;
+  }),
+  ...fields,
+});
+
+describe('JobService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new jobService.constructor();
+    service.maxAttempts = 3;
+    service.retryDelayMs = 1000;
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+    jest.spyOn(JobRun, 'create').mockImplementation(async run => jobRun(run));
+    jest.spyOn(accountRegistry, 'getAccount').mockImplementation(id => ({ id, platform: id.toUpperCase() }));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('start', () => {
+    it('does not start a job again while a run of it is in progress', async () => {
+      let finish;
+      service.register({ name: 'test', run: () => new Promise(resolve => { finish = resolve; }) });
+      
+      const started = await service.start('test', { trigger: 'SCHEDULE' });
+      
+      await expect(service.start('test')).resolves.toBeNull();
+      expect(service.isRunning('test')).toBe(true);
+      expect(JobRun.create).toHaveBeenCalledTimes(1);
+      
+      finish({ synced: 2 });
+      
+      await expect(started.finished).resolves.toMatchObject({ status: 'SUCCEEDED', counts: { synced: 2 } });
+      expect(service.isRunning('test')).toBe(false);
+      await expect(service.start('test')).resolves.not.toBeNull();
+    });
+    
+    it('lets the job run again when its run could not be recorded', async () => {
+      service.register({ name: 'test', run: async () => {} });
+      JobRun.create.mockRejectedValueOnce(new Error('connection lost'));
+      
+      await expect(service.start('test')).rejects.toThrow('connection lost');
+      expect(service.isRunning('test')).toBe(false);
+    });
+  });
+  
+  describe('run', () => {
+    it('retries a failing account with doubling delays and records a partial run', async () => {
+      const attempts = { kraken: 0, binance: 0 };
+      service.register({
+        name: 'test',
+        run: context => context.forEachAccount(['kraken', 'binance'], async accountId => {
+          attempts[accountId]++;
+          
+          if (accountId === 'binance' || attempts.kraken < 2) {
+            throw new Error(`${accountId} unavailable`);
+          }
+          
+          return { saved: 3 };
+        }),
+      });
+      
+      const run = await service.run('test');
+      
+      expect(run.platforms).toEqual([
+        { platform: 'KRAKEN', account: 'kraken', status: 'SUCCEEDED', attempts: 2, counts: { saved: 3 } },
+        { platform: 'BINANCE', account: 'binance', status: 'FAILED', attempts: 3, error: 'binance unavailable' },
+      ]);
+      expect(run).toMatchObject({ status: 'PARTIAL', error: 'Failed accounts: binance' });
+      expect(setTimeout.mock.calls.map(([, delay]) => delay).sort((a, b) => a - b)).toEqual([1000, 1000, 2000]);
+    });
+    
+    it('fails the run when a step fails after its last attempt', async () => {
+      const step = jest.fn().mockRejectedValue(new Error('Sheets quota exceeded'));
+      service.register({ name: 'test', run: context => context.retry(step) });
+      
+      await expect(service.run('test')).resolves.toMatchObject({ status: 'FAILED', error: 'Sheets quota exceeded' });
+      expect(step).toHaveBeenCalledTimes(3);
+    });
+  });
+  
+  describe('markInterruptedRuns', () => {
+    it('fails the runs left running by a previous process', async () => {
+      const updateMany = jest.spyOn(JobRun, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      
+      await expect(service.markInterruptedRuns()).resolves.toBe(2);
+      expect(updateMany.mock.calls[0][0]).toEqual({ status: 'RUNNING' });
+      expect(updateMany.mock.calls[0][1].$set).toMatchObject({ status: 'FAILED', error: 'Interrupted by a restart' });
+    });
+  });
+  
+  describe('backfill parseParams', () => {
+    const { parseParams } = jobService.getJob('backfill');
+    
+    beforeEach(() => {
+      jest.spyOn(accountRegistry, 'hasAccount').mockImplementation(id => id === 'kraken');
+    });
+    
+    it('accepts an account and a date range, ending now by default', () => {
+      const { params } = parseParams({ account: 'kraken', from: '2026-01-01' });
+      
+      expect(params).toMatchObject({ account: 'kraken', from: new Date('2026-01-01') });
+      expect(params.to).toBeInstanceOf(Date);
+    });
+    
+    it.each([
+      [{ account: 'unknown', from: '2026-01-01' }, /^Invalid account/],
+      [{ account: 'kraken' }, /^Invalid date range$/],
+      [{ account: 'kraken', from: '2026-02-01', to: '2026-01-01' }, /must be before/],
+    ])('rejects %j', (body, error) => {
+      expect(parseParams(body).error).toMatch(error);
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,200 @@
+const { WebSocketServer } = require('ws');
+const krakenExecutionStreamService = require('../../src/services/krakenExecutionStreamService');
+const exchangeRegistry = require('../../src/services/exchangeRegistry');
+const accountRegistry = require('../../src/services/accountRegistry');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+const transactionService = require('../../src/services/transactionService');
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const execution = (fields) => ({
+  order_id: 'OABC-1',
+  symbol: 'BTC/EUR',
+  side: 'buy',
+  order_type: 'limit',
+  order_qty: 1,
+  order_status: 'new',
+  exec_type: 'new',
+  timestamp: '2026-03-01T00:00:00.000Z',
+  ...fields,
+});
+
+describe('KrakenExecutionStreamService', () => {
+  let server;
+  let connections;
+  let subscribeResponse;
+  let adapter;
+  let stream;
+  
+  beforeEach(async () => {
+    connections = [];
+    subscribeResponse = { method: 'subscribe', success: true, result: { channel: 'executions' } };
+    server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+    server.on('connection', socket => {
+      const connection = { socket, subscriptions: [] };
+      connections.push(connection);
+      
+      socket.on('message', data => {
+        const message = JSON.parse(data.toString());
+        
+        if (message.method === 'subscribe') {
+          connection.subscriptions.push(message.params);
+          socket.send(JSON.stringify(subscribeResponse));
+        }
+      });
+    });
+    await new Promise(resolve => server.once('listening', resolve));
+    
+    let tokens = 0;
+    adapter = {
+      fetchWebSocketsToken: jest.fn(async () => `token-${++tokens}`),
+      resolveWebSocketSymbol: jest.fn(async () => 'XBTEUR'),
+      mapExecutionOrder: jest.fn((order, symbol) => ({ orderId: order.order_id, symbol, status: order.order_status })),
+      mapExecutionTrade: jest.fn((trade, symbol) => ({ tradeId: trade.exec_id, orderId: trade.order_id, symbol })),
+      fetchOrder: jest.fn(),
+    };
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(exchangeRegistry, 'hasPlatform').mockReturnValue(true);
+    jest.spyOn(accountRegistry, 'getDefaultAccount').mockReturnValue({ id: 'kraken', platform: 'KRAKEN' });
+    jest.spyOn(accountRegistry, 'getAdapter').mockReturnValue(adapter);
+    jest.spyOn(symbolNormalizationService, 'normalizeTransactions').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'saveTransactionsToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'saveTradesToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'syncTransactionsToSinks').mockResolvedValue({});
+    jest.spyOn(transactionService, 'backfillTransactions').mockResolvedValue({ saved: 0, trades: 0 });
+    
+    // A fresh consumer per test, pointed at the local server
+    stream = new krakenExecutionStreamService.constructor();
+    stream.wsUrl = `ws://127.0.0.1:${server.address().port}`;
+    stream.syncDelayMs = 50;
+  });
+  
+  afterEach(async () => {
+    await stream.stop();
+    await new Promise(resolve => server.close(resolve));
+    connections.forEach(({ socket }) => socket.terminate());
+    jest.restoreAllMocks();
+  });
+  
+  it('subscribes to the executions channel with a new token', async () => {
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    expect(connections[0].subscriptions).toEqual([
+      { channel: 'executions', token: 'token-1', snap_orders: true, snap_trades: false },
+    ]);
+  });
+  
+  it('stores the executions and syncs a burst of them to the sinks once', async () => {
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    connections[0].socket.send(JSON.stringify({
+      channel: 'executions',
+      type: 'snapshot',
+      data: [
+        execution({ order_id: 'OABC-1' }),
+        execution({ order_id: 'OABC-2' }),
+        execution({ order_id: 'OABC-3', exec_type: 'trade', exec_id: 'T-1', order_status: 'filled' }),
+      ],
+    }));
+    await waitFor(() => transactionService.saveTransactionsToDatabase.mock.calls.length === 3);
+    
+    expect(transactionService.saveTradesToDatabase).toHaveBeenCalledWith([
+      { tradeId: 'T-1', orderId: 'OABC-3', symbol: 'XBTEUR', platform: 'KRAKEN', accountId: 'kraken' },
+    ]);
+    expect(transactionService.syncTransactionsToSinks).not.toHaveBeenCalled();
+    
+    await waitFor(() => transactionService.syncTransactionsToSinks.mock.calls.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    expect(transactionService.syncTransactionsToSinks).toHaveBeenCalledTimes(1);
+  });
+  
+  it('syncs the pending executions when stopped', async () => {
+    stream.syncDelayMs = 60 * 1000;
+    
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    connections[0].socket.send(JSON.stringify({ channel: 'executions', type: 'update', data: [execution()] }));
+    await waitFor(() => transactionService.saveTransactionsToDatabase.mock.calls.length === 1);
+    await stream.stop();
+    
+    expect(transactionService.syncTransactionsToSinks).toHaveBeenCalledTimes(1);
+  });
+  
+  it('reconnects with a new token after a disconnection and resyncs from before the gap', async () => {
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    connections[0].socket.close();
+    await waitFor(() => !stream.subscribed);
+    
+    const { disconnectedAt } = stream.getStatus();
+    
+    expect(disconnectedAt).toBeInstanceOf(Date);
+    
+    await waitFor(() => connections.length === 2 && stream.subscribed);
+    await waitFor(() => transactionService.backfillTransactions.mock.calls.length > 0);
+    
+    const [accountId, from] = transactionService.backfillTransactions.mock.calls[0];
+    
+    expect(connections[1].subscriptions[0].token).toBe('token-2');
+    expect(accountId).toBe('kraken');
+    expect(from.getTime()).toBe(disconnectedAt.getTime() - 60 * 1000);
+    expect(stream.getStatus().disconnectedAt).toBeNull();
+  });
+  
+  it('reconnects with a new token when the subscription is refused', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    subscribeResponse = { method: 'subscribe', success: false, error: 'EAPI:Invalid token' };
+    
+    await stream.start();
+    await waitFor(() => connections.length === 2 && connections[1].subscriptions.length === 1);
+    
+    expect(stream.subscribed).toBe(false);
+    expect(adapter.fetchWebSocketsToken).toHaveBeenCalledTimes(2);
+    expect(connections[1].subscriptions[0].token).toBe('token-2');
+  });
+  
+  it('reconnects when no message arrives within the heartbeat timeout', async () => {
+    stream.heartbeatTimeoutMs = 100;
+    
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    // The server never sends heartbeats
+    await waitFor(() => !stream.subscribed);
+    await waitFor(() => connections.length === 2 && stream.subscribed);
+    
+    expect(connections[1].subscriptions[0].token).toBe('token-2');
+  });
+  
+  it('keeps the connection while heartbeats arrive', async () => {
+    stream.heartbeatTimeoutMs = 200;
+    
+    await stream.start();
+    await waitFor(() => stream.subscribed);
+    
+    for (let beat = 0; beat < 6; beat++) {
+      connections[0].socket.send(JSON.stringify({ channel: 'heartbeat' }));
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    
+    expect(stream.subscribed).toBe(true);
+    expect(connections).toHaveLength(1);
+  });
+}); 
\ No newline at end of file
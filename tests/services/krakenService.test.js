@@ -0,0 +1,53 @@
+const krakenService = require('../../src/services/krakenService');
+
+describe('KrakenService', () => {
+  describe('_generateSignature', () => {
+    it('matches the example of the Kraken REST API documentation', () => {
+      const apiSecret = 'kQH5HW/8p1uGOVjbgWA7FunAmGO8lsSUXNsu3eow76sz84Q18fWxnyRzBHCd3pd5nE9qa99HAZtuZuj6F1huXg==';
+      const nonce = '1616492376594';
+      const params = {
+        nonce,
+        ordertype: 'limit',
+        pair: 'XBTUSD',
+        price: 37500,
+        type: 'buy',
+        volume: 1.25,
+      };
+      
+      const signature = krakenService._generateSignature('/0/private/AddOrder', params, nonce, apiSecret);
+      
+      expect(signature)
+        .toBe('4/dpxb3iT4tp/ZCVEwSnEsLxx0bqyhLpdfOpc6fn7OR8+UClSV5n9E6aSS8MPtnRfp32bAb0nmbRn6H8ndwLUQ==');
+    });
+  });
+  
+  describe('_mapTrade', () => {
+    it('maps a fill to the alternate pair name of its order, with its fee in the quote currency', () => {
+      const trade = krakenService._mapTrade('T-1', {
+        ordertxid: 'O-1',
+        pair: 'XXBTZEUR',
+        time: 1772359200.1234,
+        type: 'sell',
+        price: '100.5',
+        cost: '50.25',
+        fee: '0.13',
+        vol: '0.5',
+        maker: true,
+      }, { XXBTZEUR: { altname: 'XBTEUR', quote: 'ZEUR' } });
+      
+      expect(trade).toEqual({
+        tradeId: 'T-1',
+        orderId: 'O-1',
+        symbol: 'XBTEUR',
+        side: 'SELL',
+        price: 100.5,
+        quantity: 0.5,
+        quoteQuantity: 50.25,
+        commission: 0.13,
+        commissionAsset: 'ZEUR',
+        isMaker: true,
+        time: new Date(1772359200123.4),
+      });
+    });
+  });
+}); 
\ No newline at end of file
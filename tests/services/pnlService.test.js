@@ -0,0 +1,158 @@
+const pnlService = require('../../src/services/pnlService');
+
+const transaction = (id, side, quantity, quoteQuantity, time, fields = {}) => ({
+  _id: id,
+  orderId: id,
+  platform: 'BINANCE',
+  symbol: 'BTCEUR',
+  baseAsset: 'BTC',
+  quoteAsset: 'EUR',
+  side,
+  quantity,
+  executedQuantity: quantity,
+  quoteQuantity,
+  status: 'FILLED',
+  time: new Date(time),
+  ...fields,
+});
+
+const fxRatesOf = (transactions, fxRate = 1) => new Map(transactions.map(t => [String(t._id), fxRate]));
+
+describe('PnlService', () => {
+  describe('_replayTransactions', () => {
+    // Three lots of 1 BTC costing 100, 300 and 200, then 1.5 BTC sold for 600
+    const transactions = [
+      transaction('buy-1', 'BUY', 1, 100, '2026-01-01T00:00:00Z'),
+      transaction('buy-2', 'BUY', 1, 300, '2026-02-01T00:00:00Z'),
+      transaction('buy-3', 'BUY', 1, 200, '2026-03-01T00:00:00Z'),
+      transaction('sell-1', 'SELL', 1.5, 600, '2026-04-01T00:00:00Z'),
+    ];
+    
+    const replay = (method) => {
+      const [disposal] = pnlService._replayTransactions(
+        transactions.map(t => ({ ...t })),
+        new Map(),
+        fxRatesOf(transactions),
+        method
+      );
+      
+      return disposal;
+    };
+    
+    it('consumes the oldest lots first with FIFO', () => {
+      const disposal = replay('FIFO');
+      
+      expect(disposal.costBasis).toBeCloseTo(250);
+      expect(disposal.gain).toBeCloseTo(350);
+      expect(disposal.lots.map(lot => [lot.transaction, lot.quantity])).toEqual([['buy-1', 1], ['buy-2', 0.5]]);
+    });
+    
+    it('consumes the newest lots first with LIFO', () => {
+      const disposal = replay('LIFO');
+      
+      expect(disposal.costBasis).toBeCloseTo(350);
+      expect(disposal.gain).toBeCloseTo(250);
+      expect(disposal.lots.map(lot => [lot.transaction, lot.quantity])).toEqual([['buy-3', 1], ['buy-2', 0.5]]);
+    });
+    
+    it('consumes the most expensive lots first with HIFO', () => {
+      const disposal = replay('HIFO');
+      
+      expect(disposal.costBasis).toBeCloseTo(400);
+      expect(disposal.gain).toBeCloseTo(200);
+      expect(disposal.lots.map(lot => [lot.transaction, lot.quantity])).toEqual([['buy-2', 1], ['buy-3', 0.5]]);
+    });
+    
+    it('consumes every lot at the average cost with AVERAGE', () => {
+      const disposal = replay('AVERAGE');
+      
+      expect(disposal.costBasis).toBeCloseTo(300);
+      expect(disposal.gain).toBeCloseTo(300);
+      expect(disposal.lots).toHaveLength(3);
+      disposal.lots.forEach(lot => expect(lot.quantity).toBeCloseTo(0.5));
+    });
+    
+    it('keeps the cost basis of an asset bought and sold against different quote currencies', () => {
+      const crossTransactions = [
+        transaction('buy-1', 'BUY', 1, 1000, '2026-01-01T00:00:00Z', { symbol: 'BTCUSDT', quoteAsset: 'USDT' }),
+        transaction('sell-1', 'SELL', 1, 1200, '2026-02-01T00:00:00Z'),
+      ];
+      const fxRates = new Map([['buy-1', 0.9], ['sell-1', 1]]);
+      
+      const disposal = pnlService._replayTransactions(crossTransactions, new Map(), fxRates, 'FIFO')
+        .find(({ asset }) => asset === 'BTC');
+      
+      expect(disposal.costCurrency).toBe('EUR');
+      expect(disposal.costBasis).toBeCloseTo(900);
+      expect(disposal.gain).toBeCloseTo(300);
+      expect(disposal.unmatchedQuantity).toBe(0);
+    });
+    
+    it('disposes of the crypto quote asset spent and acquires the one received, in FIFO order', () => {
+      const ethBtc = { symbol: 'ETHBTC', baseAsset: 'ETH', quoteAsset: 'BTC' };
+      const roundTrip = [
+        transaction('buy-1', 'BUY', 1, 1000, '2026-01-01T00:00:00Z'),
+        transaction('eth-buy', 'BUY', 10, 0.5, '2026-02-01T00:00:00Z', ethBtc),
+        transaction('eth-sell', 'SELL', 10, 0.6, '2026-03-01T00:00:00Z', ethBtc),
+        transaction('sell-1', 'SELL', 1.1, 3300, '2026-04-01T00:00:00Z'),
+      ];
+      const fxRates = new Map([['buy-1', 1], ['eth-buy', 3000], ['eth-sell', 3000], ['sell-1', 1]]);
+      
+      const disposals = pnlService._replayTransactions(roundTrip, new Map(), fxRates, 'FIFO');
+      
+      expect(disposals.map(d => [d.transaction, d.asset, d.quantity])).toEqual([
+        ['eth-buy', 'BTC', 0.5],
+        ['eth-sell', 'ETH', 10],
+        ['sell-1', 'BTC', 1.1],
+      ]);
+      expect(disposals[0].proceeds).toBeCloseTo(1500);
+      expect(disposals[0].gain).toBeCloseTo(1000);
+      expect(disposals[1].costBasis).toBeCloseTo(1500);
+      expect(disposals[1].gain).toBeCloseTo(300);
+      expect(disposals[2].costBasis).toBeCloseTo(2300);
+      expect(disposals[2].gain).toBeCloseTo(1000);
+      expect(disposals[2].lots.map(lot => lot.transaction)).toEqual(['buy-1', 'eth-sell']);
+      disposals.forEach(disposal => expect(disposal.unmatchedQuantity).toBe(0));
+    });
+    
+    it('adds purchase fees to the cost basis and deducts sale fees from the gain', () => {
+      const feeTransactions = [
+        transaction('buy-1', 'BUY', 1, 100, '2026-01-01T00:00:00Z'),
+        transaction('sell-1', 'SELL', 1, 200, '2026-02-01T00:00:00Z'),
+      ];
+      const feesByTransaction = new Map([
+        ['buy-1', [{ amount: 1, asset: 'EUR' }]],
+        ['sell-1', [{ amount: 2, asset: 'EUR' }]],
+      ]);
+      
+      const [disposal] = pnlService._replayTransactions(
+        feeTransactions,
+        feesByTransaction,
+        fxRatesOf(feeTransactions),
+        'FIFO'
+      );
+      
+      expect(disposal.costBasis).toBeCloseTo(101);
+      expect(disposal.fees).toBeCloseTo(2);
+      expect(disposal.gain).toBeCloseTo(97);
+    });
+    
+    it('only replays the filled quantity of orders', () => {
+      const partialTransactions = [
+        transaction('buy-1', 'BUY', 2, 100, '2026-01-01T00:00:00Z', { executedQuantity: 1, status: 'CANCELED' }),
+        transaction('buy-2', 'BUY', 5, 1000, '2026-01-02T00:00:00Z', { executedQuantity: null, status: 'NEW' }),
+        transaction('sell-1', 'SELL', 2, 400, '2026-02-01T00:00:00Z'),
+      ];
+      
+      const [disposal] = pnlService._replayTransactions(
+        partialTransactions,
+        new Map(),
+        fxRatesOf(partialTransactions),
+        'FIFO'
+      );
+      
+      expect(disposal.costBasis).toBeCloseTo(100);
+      expect(disposal.unmatchedQuantity).toBeCloseTo(1);
+    });
+  });
+}); 
\ No newline at end of file
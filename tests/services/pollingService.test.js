@@ -0,0 +1,78 @@
+const SyncState = require('../../src/models/syncState');
+const accountRegistry = require('../../src/services/accountRegistry');
+const pollingService = require('../../src/services/pollingService');
+const transactionService = require('../../src/services/transactionService');
+
+describe('PollingService', () => {
+  let service;
+  let updateOne;
+  
+  beforeEach(() => {
+    service = new pollingService.constructor();
+    service.overlapMs = 5 * 60 * 1000;
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(accountRegistry, 'getAccount').mockReturnValue({ id: 'binance', platform: 'BINANCE' });
+    updateOne = jest.spyOn(SyncState, 'updateOne').mockResolvedValue({});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('getInterval', () => {
+    it('uses the interval of the platform, falling back to the default one', () => {
+      service.intervalMinutes = 15;
+      service.intervals = { KRAKEN: 0, BINANCE: 5 };
+      
+      expect(['BINANCE', 'KRAKEN', 'REVOLUT'].map(platform => service.getInterval(platform))).toEqual([5, 0, 15]);
+    });
+  });
+  
+  describe('pollAccount', () => {
+    it('fetches from a few minutes before the cursor and only moves the cursor forward once saved', async () => {
+      const cursor = new Date('2026-10-19T10:00:00Z');
+      jest.spyOn(SyncState, 'findOne').mockResolvedValue({ accountId: 'binance', cursor });
+      const fetch = jest.spyOn(transactionService, 'fetchAndStoreAccountTransactions')
+        .mockResolvedValue({ fetched: 2, saved: 2, trades: 3 });
+      jest.spyOn(transactionService, 'fetchAndStoreMissingOrders').mockResolvedValue(1);
+      
+      await expect(service.pollAccount('binance')).resolves.toEqual({ fetched: 2, saved: 2, trades: 3, orders: 1 });
+      
+      const [, from, polledAt] = fetch.mock.calls[0];
+      
+      expect(from).toEqual(new Date('2026-10-19T09:55:00Z'));
+      expect(updateOne).toHaveBeenCalledTimes(2);
+      expect(updateOne.mock.calls[0][1].$set).not.toHaveProperty('cursor');
+      expect(updateOne.mock.calls[1][1].$max).toEqual({ cursor: polledAt });
+      expect(updateOne.mock.calls[1][1].$set).toMatchObject({ lastError: null, lastCounts: { saved: 2, orders: 1 } });
+    });
+    
+    it('starts the first poll of an account at the beginning of the day', async () => {
+      jest.spyOn(SyncState, 'findOne').mockResolvedValue(null);
+      const fetch = jest.spyOn(transactionService, 'fetchAndStoreAccountTransactions')
+        .mockResolvedValue({ fetched: 0, saved: 0, trades: 0 });
+      jest.spyOn(transactionService, 'fetchAndStoreMissingOrders').mockResolvedValue(0);
+      
+      await service.pollAccount('binance');
+      
+      const [, from] = fetch.mock.calls[0];
+      
+      expect(from.getTime() % (24 * 60 * 60 * 1000)).toBe(0);
+      expect(Date.now() - from.getTime()).toBeLessThan(24 * 60 * 60 * 1000);
+      expect(updateOne.mock.calls[0][2]).toEqual({ upsert: true });
+    });
+    
+    it('keeps the cursor of a failed poll and records its error', async () => {
+      jest.spyOn(SyncState, 'findOne').mockResolvedValue({ accountId: 'binance', cursor: new Date() });
+      jest.spyOn(transactionService, 'fetchAndStoreAccountTransactions').mockResolvedValue({ saved: 0 });
+      jest.spyOn(transactionService, 'fetchAndStoreMissingOrders')
+        .mockRejectedValue(new Error('Timestamp outside recvWindow'));
+      
+      await expect(service.pollAccount('binance')).rejects.toThrow('Timestamp outside recvWindow');
+      
+      expect(updateOne.mock.calls.some(([, update]) => update.$max)).toBe(false);
+      expect(updateOne.mock.calls[1][1]).toEqual({ $set: { lastError: 'Timestamp outside recvWindow' } });
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const revolutService = require('../../src/services/revolutService');
+
+const order = (fields = {}) => ({
+  id: 'R-1',
+  symbol: 'BTC-EUR',
+  side: 'buy',
+  type: 'limit',
+  price: '100',
+  amount: '2',
+  filled_amount: '0.5',
+  status: 'cancelled',
+  created_at: 1772359200,
+  updated_at: 1772359260,
+  ...fields,
+});
+
+describe('RevolutService', () => {
+  describe('_mapOrder', () => {
+    it('values a partially filled order by the filled amount only', () => {
+      expect(revolutService._mapOrder(order())).toMatchObject({
+        origQty: 2,
+        executedQty: 0.5,
+        cummulativeQuoteQty: 50,
+        status: 'CANCELED',
+      });
+    });
+  });
+  
+  describe('mapWebhookTransaction', () => {
+    it('maps the order of the payload like the fetched orders', () => {
+      expect(revolutService.mapWebhookTransaction(order({ filled_amount: '2', status: 'completed' }))).toMatchObject({
+        orderId: 'R-1',
+        executedQty: 2,
+        cummulativeQuoteQty: 200,
+        status: 'FILLED',
+      });
+      expect(revolutService.mapWebhookTransaction({})).toBeNull();
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,93 @@
+const sheetLayoutService = require('../../src/services/sheetLayoutService');
+
+const transaction = {
+  orderId: 'O-1',
+  platform: 'KRAKEN',
+  accountId: 'kraken',
+  symbol: 'XBTEUR',
+  side: 'BUY',
+  price: 100,
+  quantity: 0.5,
+  time: new Date('2026-03-01T10:00:00Z'),
+  fxRate: null,
+};
+
+describe('SheetLayoutService', () => {
+  describe('_normalizeView', () => {
+    it('fills in the default columns, headers and tab mode', () => {
+      const view = sheetLayoutService._normalizeView({ title: 'Transactions' });
+      
+      expect(view).toMatchObject({ name: 'Transactions', title: 'Transactions', tabs: 'single', summaries: [] });
+      expect(view.columns[0]).toEqual({ field: 'orderId', header: 'Order ID', format: null, kind: 'text' });
+    });
+    
+    it.each([
+      [{ title: 'A', tabs: 'weekly' }, 'unknown tabs mode "weekly"'],
+      [{ title: 'A', columns: ['orderId', 'fee'] }, 'unknown column field "fee"'],
+      [{ title: 'A', columns: [{ field: 'side', format: '0.00' }] }, 'formats text column "side"'],
+      [{ title: 'A', columns: ['orderId'], summaries: ['monthly'] }, 'needs the time, side, valueInReportingCurrency'],
+    ])('rejects the view %j', (view, message) => {
+      expect(() => sheetLayoutService._normalizeView(view)).toThrow(message);
+    });
+  });
+  
+  describe('tabFor', () => {
+    it.each([
+      ['single', 'Trades'],
+      ['platform', 'Trades KRAKEN'],
+      ['month', 'Trades 2026-03'],
+      ['year', 'Trades 2026'],
+    ])('routes rows of the %s mode to their tab', (tabs, tab) => {
+      expect(sheetLayoutService.tabFor({ title: 'Trades', tabs }, transaction)).toBe(tab);
+    });
+  });
+  
+  describe('toRow and tabLayout', () => {
+    const view = sheetLayoutService._normalizeView({
+      title: 'Trades',
+      columns: [
+        { field: 'time', header: 'Date', format: 'yyyy-mm-dd' },
+        'symbol',
+        { field: 'quantity', format: '0.00000000' },
+        'fxRate',
+      ],
+    });
+    
+    it('writes the columns in order, formatted dates as Sheets dates and missing values as empty cells', () => {
+      expect(sheetLayoutService.toRow(view, transaction)).toEqual(['2026-03-01 10:00:00', 'XBTEUR', 0.5, '']);
+    });
+    
+    it('returns the header labels and the number formats of the formatted columns', () => {
+      expect(sheetLayoutService.tabLayout(view)).toEqual({
+        header: ['Date', 'Symbol', 'Quantity', 'FX Rate'],
+        numberFormats: [
+          { column: 0, type: 'DATE_TIME', pattern: 'yyyy-mm-dd' },
+          { column: 2, type: 'NUMBER', pattern: '0.00000000' },
+        ],
+      });
+    });
+  });
+  
+  describe('buildSummaries', () => {
+    it('sums the value of each month over every data tab with formulas', () => {
+      const view = sheetLayoutService._normalizeView({
+        title: 'Trades',
+        tabs: 'platform',
+        columns: ['time', 'side', 'valueInReportingCurrency'],
+        summaries: ['monthly'],
+      });
+      
+      const [summary] = sheetLayoutService.buildSummaries(view, {
+        tabs: ['Trades BINANCE', 'Trades KRAKEN'],
+        months: ['2026-03'],
+        assets: [],
+      });
+      
+      expect(summary.title).toBe('Trades Monthly Volume');
+      expect(summary.rows[1][0]).toBe("'2026-03");
+      expect(summary.rows[1][1])
+        .toBe("=SUMPRODUCT(--(LEFT('Trades BINANCE'!A2:A,7)=A2))+SUMPRODUCT(--(LEFT('Trades KRAKEN'!A2:A,7)=A2))");
+      expect(summary.rows[1][4]).toBe('=C2+D2');
+    });
+  });
+}); 
\ No newline at end of file
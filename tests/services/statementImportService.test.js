@@ -0,0 +1,172 @@
+const Transaction = require('../../src/models/transaction');
+const Trade = require('../../src/models/trade');
+const statementImportService = require('../../src/services/statementImportService');
+const krakenService = require('../../src/services/krakenService');
+const accountRegistry = require('../../src/services/accountRegistry');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+const transactionService = require('../../src/services/transactionService');
+
+const csv = (lines) => lines.join('\n');
+
+describe('StatementImportService', () => {
+  let storedTrades;
+  let storedOrders;
+  
+  beforeEach(() => {
+    storedTrades = [];
+    storedOrders = [];
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Transaction, 'find').mockImplementation(() => ({ lean: async () => storedOrders }));
+    jest.spyOn(Trade, 'find').mockImplementation(() => ({ lean: async () => storedTrades }));
+    jest.spyOn(accountRegistry, 'getAccounts').mockImplementation(platform => [{ id: platform.toLowerCase() }]);
+    jest.spyOn(symbolNormalizationService, 'loadAliases').mockResolvedValue();
+    jest.spyOn(symbolNormalizationService, 'normalizeTransactions').mockImplementation(async t => t);
+    jest.spyOn(krakenService, 'fetchAssetPairs').mockResolvedValue({
+      XXBTZEUR: { altname: 'XBTEUR', quote: 'ZEUR' },
+    });
+    jest.spyOn(transactionService, 'saveTransactionsToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'saveTradesToDatabase').mockImplementation(async t => t);
+    jest.spyOn(transactionService, 'syncTransactionsToSinks').mockResolvedValue({});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('maps Kraken trades to the order ID and pair name of the API, with their fees', async () => {
+    await statementImportService.importStatement('kraken-trades', csv([
+      'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol',
+      'T-1,O-1,XXBTZEUR,2026-03-01 10:00:00,buy,limit,100,50,0.1,0.5',
+      'T-2,O-1,XXBTZEUR,2026-03-01 10:00:05,buy,limit,100,50,0.1,0.5',
+    ]));
+    
+    const [[transactions]] = transactionService.saveTransactionsToDatabase.mock.calls;
+    const [[trades]] = transactionService.saveTradesToDatabase.mock.calls;
+    
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ orderId: 'O-1', symbol: 'XBTEUR', executedQty: 1, cummulativeQuoteQty: 100 });
+    expect(trades.map(trade => [trade.tradeId, trade.orderId, trade.commission, trade.commissionAsset]))
+      .toEqual([['T-1', 'O-1', 0.1, 'ZEUR'], ['T-2', 'O-1', 0.1, 'ZEUR']]);
+  });
+  
+  it('derives the pair names of Kraken trades when the asset pairs cannot be fetched', async () => {
+    krakenService.fetchAssetPairs.mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.kraken.com'));
+    
+    await statementImportService.importStatement('kraken-trades', csv([
+      'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol',
+      'T-1,O-1,XXBTZEUR,2026-03-01 10:00:00,buy,limit,100,50,0.1,0.5',
+      'T-2,O-2,ETHEUR,2026-03-01 10:00:05,sell,market,2000,200,0.2,0.1',
+    ]));
+    
+    const [[trades]] = transactionService.saveTradesToDatabase.mock.calls;
+    
+    expect(trades.map(trade => [trade.symbol, trade.commissionAsset])).toEqual([['XBTEUR', 'EUR'], ['ETHEUR', 'EUR']]);
+  });
+  
+  it('adds the missing fills of a stored API order without replacing its type, quantity or status', async () => {
+    storedOrders = [{
+      orderId: 'O-1',
+      symbol: 'XBTEUR',
+      type: 'LIMIT',
+      status: 'PARTIALLY_FILLED',
+      quantity: 2,
+      executedQuantity: 0.5,
+      time: new Date('2026-03-01T10:00:00Z'),
+      updateTime: new Date('2026-03-01T10:00:00Z'),
+      isWorking: true,
+    }];
+    storedTrades = [{ tradeId: 'T-1', orderId: 'O-1', symbol: 'XBTEUR', side: 'BUY', quantity: 0.5, quoteQuantity: 50 }];
+    
+    await statementImportService.importStatement('kraken-trades', csv([
+      'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol',
+      'T-1,O-1,XXBTZEUR,2026-03-01 10:00:00,buy,limit,100,50,0.1,0.5',
+      'T-2,O-1,XXBTZEUR,2026-03-01 10:00:05,buy,limit,110,55,0.1,0.5',
+    ]));
+    
+    const [[transactions]] = transactionService.saveTransactionsToDatabase.mock.calls;
+    const [[trades]] = transactionService.saveTradesToDatabase.mock.calls;
+    
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({
+      orderId: 'O-1',
+      type: 'LIMIT',
+      status: 'PARTIALLY_FILLED',
+      origQty: 2,
+      executedQty: 1,
+      cummulativeQuoteQty: 105,
+      isWorking: true,
+    });
+    expect(trades.map(trade => trade.tradeId)).toEqual(['T-2']);
+  });
+  
+  it('leaves a stored API order alone when the statement only repeats its fills', async () => {
+    storedOrders = [{
+      orderId: 'O-1',
+      symbol: 'XBTEUR',
+      type: 'LIMIT',
+      status: 'FILLED',
+      quantity: 1,
+      executedQuantity: 1,
+      time: new Date('2026-03-01T10:00:00Z'),
+    }];
+    storedTrades = [{ tradeId: 'T-1', orderId: 'O-1', symbol: 'XBTEUR', side: 'BUY', quantity: 1, quoteQuantity: 100 }];
+    
+    const { report } = await statementImportService.importStatement('kraken-trades', csv([
+      'txid,ordertxid,pair,time,type,ordertype,price,cost,fee,vol',
+      'T-1,O-1,XXBTZEUR,2026-03-01 10:00:00,buy,market,100,50,0.1,0.5',
+    ]));
+    
+    expect(report).toMatchObject({ transactions: 0, trades: 0, unchanged: 1 });
+    expect(transactionService.saveTransactionsToDatabase).not.toHaveBeenCalled();
+    expect(transactionService.syncTransactionsToSinks).not.toHaveBeenCalled();
+  });
+  
+  it('maps Kraken ledger trades to the order of the known trade, so both exports store the same order', async () => {
+    storedTrades = [{ tradeId: 'T-1', orderId: 'O-1', symbol: 'XBTEUR', side: 'BUY' }];
+    
+    const { report } = await statementImportService.importStatement('kraken-ledgers', csv([
+      'txid,refid,time,type,subtype,aclass,asset,amount,fee,balance',
+      'L-1,T-1,2026-03-01 10:00:00,trade,,currency,ZEUR,-50,0.1,950',
+      'L-2,T-1,2026-03-01 10:00:00,trade,,currency,XXBT,0.5,0,0.5',
+      'L-3,T-9,2026-03-02 10:00:00,trade,,currency,ZEUR,-20,0,930',
+      'L-4,T-9,2026-03-02 10:00:00,trade,,currency,XXBT,0.2,0,0.7',
+    ]));
+    
+    const [[transactions]] = transactionService.saveTransactionsToDatabase.mock.calls;
+    const [[trades]] = transactionService.saveTradesToDatabase.mock.calls;
+    
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ orderId: 'O-1', symbol: 'XBTEUR', side: 'BUY', executedQty: 0.5 });
+    // The fill itself is already stored
+    expect(trades).toEqual([]);
+    expect(report.rejectedRows.map(row => row.row)).toEqual([4, 5]);
+  });
+  
+  it('gives Binance fills the IDs of the same trades fetched from the API', async () => {
+    storedTrades = [{
+      tradeId: '7',
+      orderId: '42',
+      symbol: 'BTCUSDT',
+      side: 'BUY',
+      quantity: 0.5,
+      time: new Date('2026-03-01T10:00:00.123Z'),
+    }];
+    
+    await statementImportService.importStatement('binance-trades', csv([
+      'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+      '2026-03-01 10:00:00,BTCUSDT,BUY,100,0.5BTC,50USDT,0.0005BTC',
+      '2026-03-02 10:00:00,BTCUSDT,SELL,110,0.5BTC,55USDT,0.055USDT',
+    ]));
+    
+    const [[transactions]] = transactionService.saveTransactionsToDatabase.mock.calls;
+    const [[trades]] = transactionService.saveTradesToDatabase.mock.calls;
+    
+    expect(transactions[0].orderId).toBe('42');
+    expect(transactions[1].orderId).toMatch(/^CSV-/);
+    expect(trades.map(trade => [trade.tradeId, trade.commission, trade.commissionAsset])).toEqual([
+      [transactions[1].orderId, 0.055, 'USDT'],
+    ]);
+  });
+}); 
\ No newline at end of file
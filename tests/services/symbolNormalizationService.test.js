@@ -0,0 +1,75 @@
+const AssetAlias = require('../../src/models/assetAlias');
+const Transaction = require('../../src/models/transaction');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+
+describe('SymbolNormalizationService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new symbolNormalizationService.constructor();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('splitSymbol', () => {
+    it.each([
+      ['BTCUSDT', 'BTC', 'USDT'],
+      ['XBTUSD', 'BTC', 'USD'],
+      ['XXBTZEUR', 'BTC', 'EUR'],
+      ['XETHXXBT', 'ETH', 'BTC'],
+      ['XDGEUR', 'DOGE', 'EUR'],
+      ['BTC-EUR', 'BTC', 'EUR'],
+      ['XBT/EUR', 'BTC', 'EUR'],
+      ['ethbtc', 'ETH', 'BTC'],
+    ])('splits %s into %s and %s', (symbol, baseAsset, quoteAsset) => {
+      expect(service.splitSymbol(symbol)).toEqual({ baseAsset, quoteAsset });
+    });
+    
+    it('leaves the assets of an unrecognised symbol empty', () => {
+      expect(service.splitSymbol('FOOBAR')).toEqual({ baseAsset: null, quoteAsset: null });
+    });
+  });
+  
+  describe('loadAliases', () => {
+    it('uses the edited alias table instead of the defaults, without seeding a table that has rows', async () => {
+      jest.spyOn(AssetAlias, 'estimatedDocumentCount').mockResolvedValue(1);
+      const insertMany = jest.spyOn(AssetAlias, 'insertMany');
+      jest.spyOn(AssetAlias, 'find').mockResolvedValue([{ alias: 'XBT', asset: 'BTC' }, { alias: 'WETH', asset: 'ETH' }]);
+      
+      await service.loadAliases(true);
+      
+      expect(insertMany).not.toHaveBeenCalled();
+      expect(service.normalizeAsset('weth')).toBe('ETH');
+      expect(service.normalizeAsset('XDG')).toBe('XDG');
+    });
+  });
+  
+  describe('migrateTransactions', () => {
+    it('sets the assets of the stored transactions not normalized yet', async () => {
+      jest.spyOn(service, 'loadAliases').mockResolvedValue();
+      const find = jest.spyOn(Transaction, 'find').mockReturnValue({
+        select: () => ({
+          lean: () => ({
+            cursor: async function* cursor() {
+              yield { _id: 'a', symbol: 'XXBTZEUR' };
+              yield { _id: 'b', symbol: 'BTC-EUR' };
+            },
+          }),
+        }),
+      });
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({});
+      
+      await expect(service.migrateTransactions()).resolves.toBe(2);
+      
+      expect(find).toHaveBeenCalledWith({ baseAsset: null });
+      expect(bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$set)).toEqual([
+        { baseAsset: 'BTC', quoteAsset: 'EUR' },
+        { baseAsset: 'BTC', quoteAsset: 'EUR' },
+      ]);
+    });
+  });
+}); 
\ No newline at end of file
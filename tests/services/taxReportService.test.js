@@ -0,0 +1,91 @@
+const ExcelJS = require('exceljs');
+const pnlService = require('../../src/services/pnlService');
+const taxReportService = require('../../src/services/taxReportService');
+
+const disposal = (asset, fields = {}) => ({
+  asset,
+  costCurrency: 'EUR',
+  platform: 'KRAKEN',
+  orderId: `${asset}-sale`,
+  disposedAt: new Date('2026-06-01T00:00:00Z'),
+  quantity: 2,
+  proceeds: 400,
+  fees: 4,
+  costBasis: 250,
+  unmatchedQuantity: 0,
+  lots: [
+    { quantity: 1, acquiredAt: new Date('2026-01-01T00:00:00Z'), costBasis: 100 },
+    { quantity: 1, acquiredAt: new Date('2026-02-01T00:00:00Z'), costBasis: 150 },
+  ],
+  ...fields,
+});
+
+describe('TaxReportService', () => {
+  let report;
+  
+  beforeEach(async () => {
+    jest.spyOn(pnlService, 'getRealizedGains').mockResolvedValue({
+      disposals: [
+        disposal('BTC'),
+        disposal('ETH', {
+          quantity: 3,
+          proceeds: 300,
+          fees: 3,
+          unmatchedQuantity: 1,
+          lots: [{ quantity: 2, acquiredAt: new Date('2026-03-01T00:00:00Z'), costBasis: 120 }],
+        }),
+      ],
+    });
+    
+    report = await taxReportService.generateReport({ year: 2026 });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('generateReport', () => {
+    it('splits each disposal into its lots, allocating proceeds and fees by quantity', () => {
+      expect(report.rows.map(row => [row.asset, row.quantity, row.proceeds, row.fees, row.costBasis, row.gain]))
+        .toEqual([
+          ['BTC', 1, 200, 2, 100, 98],
+          ['BTC', 1, 200, 2, 150, 48],
+          ['ETH', 2, 200, 2, 120, 78],
+          ['ETH', 1, 100, 1, 0, 99],
+        ]);
+      expect(report.rows[3].acquiredAt).toBeNull();
+    });
+    
+    it('totals the rows per asset and per currency', () => {
+      expect(report.assetTotals.map(total => [total.asset, total.quantity, total.gain])).toEqual([
+        ['BTC', 2, 146],
+        ['ETH', 3, 177],
+      ]);
+      expect(report.grandTotals).toEqual([
+        { currency: 'EUR', proceeds: 700, costBasis: 370, fees: 7, gain: 323 },
+      ]);
+    });
+  });
+  
+  describe('toCsv', () => {
+    it('lists the disposals, then the totals, marking unknown acquisition dates', () => {
+      const lines = taxReportService.toCsv(report).trim().split(/\r?\n/);
+      
+      expect(lines[0]).toBe('Asset,Currency,Platform,Order ID,Quantity,Acquisition Date,Disposal Date,Proceeds,Cost Basis,Fees,Gain');
+      expect(lines[4]).toContain('UNKNOWN');
+      expect(lines[lines.length - 1]).toBe('TOTAL,EUR,,700,370,7,323');
+    });
+  });
+  
+  describe('toXlsx', () => {
+    it('writes a disposals and a totals worksheet', async () => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await taxReportService.toXlsx(report));
+      
+      expect(workbook.worksheets.map(sheet => [sheet.name, sheet.rowCount])).toEqual([
+        ['Disposals 2026', 5],
+        ['Totals', 4],
+      ]);
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const transactionQueryService = require('../../src/services/transactionQueryService');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('TransactionQueryService', () => {
+  describe('isValidCursor', () => {
+    const id = '65f0c0ffee0000000000abcd';
+    
+    it('accepts the cursors it creates', () => {
+      expect(transactionQueryService.isValidCursor(
+        transactionQueryService._encodeCursor(new Date('2026-03-01T00:00:00Z'), id),
+        'time'
+      )).toBe(true);
+      expect(transactionQueryService.isValidCursor(transactionQueryService._encodeCursor(101.5, id), 'price')).toBe(true);
+      expect(transactionQueryService.isValidCursor(transactionQueryService._encodeCursor(null, id), 'price')).toBe(true);
+    });
+    
+    it('rejects cursors that are not encoded JSON', () => {
+      expect(transactionQueryService.isValidCursor('not a cursor', 'time')).toBe(false);
+      expect(transactionQueryService.isValidCursor(encode(null), 'time')).toBe(false);
+    });
+    
+    it('rejects invalid dates, values of another type and invalid document IDs', () => {
+      expect(transactionQueryService.isValidCursor(encode({ value: 'yesterday', id }), 'time')).toBe(false);
+      expect(transactionQueryService.isValidCursor(encode({ value: '100', id }), 'price')).toBe(false);
+      expect(transactionQueryService.isValidCursor(encode({ value: 1, id: 'twelve chars' }), 'price')).toBe(false);
+    });
+    
+    it('rejects query operators passed as the value', () => {
+      expect(transactionQueryService.isValidCursor(encode({ value: { $gt: '' }, id }), 'time')).toBe(false);
+      expect(transactionQueryService.isValidCursor(encode({ value: { $ne: null }, id }), 'price')).toBe(false);
+    });
+  });
+}); 
\ No newline at end of file
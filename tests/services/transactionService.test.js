@@ -0,0 +1,106 @@
+const Transaction = require('../../src/models/transaction');
+const Trade = require('../../src/models/trade');
+const sinkRegistry = require('../../src/services/sinkRegistry');
+const transactionService = require('../../src/services/transactionService');
+
+const trade = (tradeId, orderId, fields = {}) => ({
+  tradeId,
+  orderId,
+  platform: 'BINANCE',
+  accountId: 'binance',
+  symbol: 'BTCUSDT',
+  side: 'BUY',
+  price: 100,
+  quantity: 1,
+  quoteQuantity: 100,
+  commission: 0,
+  commissionAsset: 'BNB',
+  time: new Date('2026-03-01T00:00:00Z'),
+  ...fields,
+});
+
+describe('TransactionService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('saveTransactionsToDatabase', () => {
+    it('stores the executed quantity of partially filled orders and leaves out the unfilled ones', async () => {
+      const order = (orderId, status, executedQty) => ({
+        orderId,
+        platform: 'BINANCE',
+        accountId: 'binance',
+        symbol: 'BTCUSDT',
+        side: 'BUY',
+        type: 'LIMIT',
+        price: '100',
+        origQty: '2',
+        executedQty,
+        cummulativeQuoteQty: String(executedQty * 100),
+        status,
+        time: 1772359200000,
+        updateTime: 1772359200000,
+      });
+      
+      jest.spyOn(transactionService, '_valueTransactions').mockImplementation(async t => t.map(() => ({})));
+      jest.spyOn(Transaction, 'find')
+        .mockReturnValueOnce({ lean: async () => [] })
+        .mockResolvedValueOnce([]);
+      const bulkWrite = jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({});
+      
+      await transactionService.saveTransactionsToDatabase([
+        order('1', 'CANCELED', '0.5'),
+        order('2', 'CANCELED', '0'),
+        order('3', 'NEW', '0'),
+        order('4', 'FILLED', '2'),
+      ]);
+      
+      expect(bulkWrite.mock.calls[0][0].map(({ updateOne: { update: { $set } } }) => [
+        $set.orderId,
+        $set.quantity,
+        $set.executedQuantity,
+        $set.quoteQuantity,
+      ])).toEqual([['1', 2, 0.5, 50], ['4', 2, 2, 200]]);
+    });
+  });
+  
+  describe('rebuildSinks', () => {
+    it('returns the number of transactions written to each sink', async () => {
+      const sinks = [{ name: 'sheets', rebuild: jest.fn() }, { name: 'sqlite', rebuild: jest.fn() }];
+      const stored = [{ _id: 'a', updatedAt: new Date() }, { _id: 'b', updatedAt: new Date() }];
+      
+      jest.spyOn(sinkRegistry, 'getSinks').mockReturnValue(sinks);
+      jest.spyOn(Transaction, 'find').mockReturnValue({ sort: async () => stored });
+      jest.spyOn(Transaction, 'bulkWrite').mockResolvedValue({});
+      
+      await expect(transactionService.rebuildSinks()).resolves.toEqual({ sheets: 2, sqlite: 2 });
+      sinks.forEach(sink => expect(sink.rebuild).toHaveBeenCalledWith(stored));
+    });
+  });
+  
+  describe('saveTradesToDatabase', () => {
+    it('only links the unlinked trades of the orders just saved', async () => {
+      const stored = [trade('1', '42'), trade('2', '42')].map((t, index) => ({ ...t, _id: `trade-${index}` }));
+      const findTrades = jest.spyOn(Trade, 'find')
+        .mockReturnValueOnce({ select: async () => stored })
+        .mockResolvedValueOnce(stored);
+      const findTransactions = jest.spyOn(Transaction, 'find').mockResolvedValue([
+        { _id: 'transaction-42', orderId: '42', platform: 'BINANCE', symbol: 'BTCUSDT', accountId: 'binance' },
+      ]);
+      const bulkWrite = jest.spyOn(Trade, 'bulkWrite').mockResolvedValue({});
+      
+      await transactionService.saveTradesToDatabase([trade('1', '42'), trade('2', '42')]);
+      
+      const orderFilter = { orderId: '42', platform: 'BINANCE', symbol: 'BTCUSDT', accountId: 'binance' };
+      
+      expect(findTrades.mock.calls[0][0]).toEqual({ transaction: null, $or: [orderFilter] });
+      expect(findTransactions).toHaveBeenCalledWith({ $or: [orderFilter] });
+      expect(bulkWrite.mock.calls[1][0].map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set.transaction]))
+        .toEqual([['trade-0', 'transaction-42'], ['trade-1', 'transaction-42']]);
+    });
+  });
+}); 
\ No newline at end of file
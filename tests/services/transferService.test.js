@@ -0,0 +1,88 @@
+const LedgerEntry = require('../../src/models/ledgerEntry');
+const Transfer = require('../../src/models/transfer');
+const transferService = require('../../src/services/transferService');
+
+const HOUR = 60 * 60 * 1000;
+const SENT_AT = new Date('2026-03-01T10:00:00Z').getTime();
+
+const entry = (id, type, accountId, amount, hours, fields = {}) => ({
+  _id: id,
+  type,
+  platform: accountId.toUpperCase(),
+  accountId,
+  asset: 'BTC',
+  amount,
+  fee: 0,
+  txId: null,
+  time: new Date(SENT_AT + hours * HOUR),
+  ...fields,
+});
+
+describe('TransferService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new transferService.constructor();
+    service.feeTolerance = 0.01;
+    service.matchWindowMs = 24 * HOUR;
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('_findDepositByAmount', () => {
+    const withdrawal = entry('w', 'WITHDRAWAL', 'binance', -1, 0);
+    
+    it('picks the closest amount received on another account within the fee tolerance and time window', () => {
+      const deposits = new Set([
+        entry('same-account', 'DEPOSIT', 'binance', 1, 1),
+        entry('more', 'DEPOSIT', 'kraken', 1.001, 1),
+        entry('fee-too-high', 'DEPOSIT', 'kraken', 0.98, 1),
+        entry('too-late', 'DEPOSIT', 'kraken', 1, 25),
+        entry('other-asset', 'DEPOSIT', 'kraken', 1, 1, { asset: 'ETH' }),
+        entry('farther', 'DEPOSIT', 'kraken', 0.995, 1),
+        entry('closest', 'DEPOSIT', 'kraken', 0.999, 2),
+      ]);
+      
+      expect(service._findDepositByAmount(withdrawal, deposits)._id).toBe('closest');
+    });
+    
+    it('accepts a deposit timestamped slightly before its withdrawal', () => {
+      expect(service._findDepositByAmount(withdrawal, new Set([entry('early', 'DEPOSIT', 'kraken', 1, -0.5)]))._id)
+        .toBe('early');
+    });
+  });
+  
+  describe('matchTransfers', () => {
+    it('pairs by transaction hash first, then by amount, and counts what is left for review', async () => {
+      const withdrawals = [
+        entry('w-hash', 'WITHDRAWAL', 'binance', -1, 0, { txId: '0xABC', fee: 0.0005 }),
+        entry('w-amount', 'WITHDRAWAL', 'binance', -2, 1),
+        entry('w-unmatched', 'WITHDRAWAL', 'binance', -5, 2),
+      ];
+      const deposits = [
+        // Outside the fee tolerance of its withdrawal, but the shared hash still pairs them
+        entry('d-hash', 'DEPOSIT', 'kraken', 0.9, 3, { txId: 'abc' }),
+        entry('d-amount', 'DEPOSIT', 'kraken', 1.99, 2),
+        entry('d-unmatched', 'DEPOSIT', 'kraken', 3, 4),
+      ];
+      
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(LedgerEntry, 'find').mockImplementation(({ type }) => ({
+        sort: async () => (type === 'WITHDRAWAL' ? withdrawals : deposits),
+      }));
+      const create = jest.spyOn(Transfer, 'create').mockImplementation(async transfer => ({ _id: 't', ...transfer }));
+      jest.spyOn(LedgerEntry, 'updateMany').mockResolvedValue({});
+      
+      await expect(service.matchTransfers()).resolves.toEqual({
+        matched: 2,
+        unmatchedWithdrawals: 1,
+        unmatchedDeposits: 1,
+      });
+      expect(create.mock.calls.map(([transfer]) => [transfer.withdrawal, transfer.deposit, transfer.matchedBy]))
+        .toEqual([['w-hash', 'd-hash', 'TXID'], ['w-amount', 'd-amount', 'AMOUNT']]);
+      expect(create.mock.calls[0][0].fee).toBeCloseTo(0.1005);
+    });
+  });
+}); 
\ No newline at end of file
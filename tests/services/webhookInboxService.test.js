@@ -0,0 +1,96 @@
+const WebhookEvent = require('../../src/models/webhookEvent');
+const accountRegistry = require('../../src/services/accountRegistry');
+const symbolNormalizationService = require('../../src/services/symbolNormalizationService');
+const transactionService = require('../../src/services/transactionService');
+const webhookInboxService = require('../../src/services/webhookInboxService');
+
+const account = { id: 'revolut' };
+const adapter = { platform: 'REVOLUT', mapWebhookTransaction: jest.fn() };
+
+const storedEvent = (fields = {}) => ({
+  _id: 'event-1',
+  accountId: 'revolut',
+  rawBody: '{"id":"R-1"}',
+  attempts: 0,
+  save: jest.fn(async function save() {
+    return this;
+  }),
+  ...fields,
+});
+
+describe('WebhookInboxService', () => {
+  let service;
+  
+  beforeEach(() => {
+    service = new webhookInboxService.constructor();
+    service.maxAttempts = 3;
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(accountRegistry, 'getAdapter').mockReturnValue(adapter);
+    jest.spyOn(symbolNormalizationService, 'normalizeTransaction').mockImplementation(async t => t);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('receive', () => {
+    it('stores a delivery once, keyed by the hash of its raw body, and reports redeliveries', async () => {
+      const req = { headers: {}, rawBody: Buffer.from('{"id":"R-1"}') };
+      const create = jest.spyOn(WebhookEvent, 'create')
+        .mockImplementationOnce(async event => ({ _id: 'event-1', ...event }))
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      jest.spyOn(WebhookEvent, 'findOne').mockResolvedValue({ _id: 'event-1' });
+      
+      const first = await service.receive(account, adapter, req);
+      const second = await service.receive(account, adapter, req);
+      
+      expect(first.duplicate).toBe(false);
+      expect(first.event.rawBody).toBe('{"id":"R-1"}');
+      expect(create.mock.calls[0][0].eventId).toBe(create.mock.calls[1][0].eventId);
+      expect(second).toEqual({ event: { _id: 'event-1' }, duplicate: true });
+    });
+  });
+  
+  describe('processEvent', () => {
+    it('saves the transaction of the payload and records it on the event', async () => {
+      adapter.mapWebhookTransaction.mockReturnValue({ orderId: 'R-1', symbol: 'BTC-EUR', status: 'FILLED' });
+      const processWebhookTransaction = jest.spyOn(transactionService, 'processWebhookTransaction')
+        .mockResolvedValue({ _id: 'transaction-1' });
+      
+      const event = await service.processEvent(storedEvent());
+      
+      expect(processWebhookTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 'R-1',
+        platform: 'REVOLUT',
+        accountId: 'revolut',
+      }));
+      expect(event).toMatchObject({ status: 'PROCESSED', orderId: 'R-1', transaction: 'transaction-1', attempts: 1 });
+    });
+    
+    it('schedules a failed event for a later retry, doubling the delay, until the last attempt', async () => {
+      adapter.mapWebhookTransaction.mockReturnValue({ orderId: 'R-1', symbol: 'BTC-EUR', status: 'FILLED' });
+      jest.spyOn(transactionService, 'processWebhookTransaction').mockRejectedValue(new Error('Mongo unavailable'));
+      const now = Date.now();
+      
+      const first = await service.processEvent(storedEvent());
+      const second = await service.processEvent(storedEvent({ attempts: 1 }));
+      const last = await service.processEvent(storedEvent({ attempts: 2 }));
+      
+      expect(first).toMatchObject({ status: 'FAILED', lastError: 'Mongo unavailable' });
+      expect(first.nextAttemptAt.getTime() - now).toBeGreaterThanOrEqual(60 * 1000);
+      expect(second.nextAttemptAt.getTime() - now).toBeGreaterThanOrEqual(2 * 60 * 1000);
+      expect(last).toMatchObject({ status: 'FAILED', attempts: 3, nextAttemptAt: null });
+    });
+    
+    it('ignores payloads that are not transactions', async () => {
+      adapter.mapWebhookTransaction.mockReturnValue(null);
+      
+      await expect(service.processEvent(storedEvent())).resolves.toMatchObject({
+        status: 'IGNORED',
+        lastError: 'Payload is not a transaction',
+      });
+    });
+  });
+}); 
\ No newline at end of file
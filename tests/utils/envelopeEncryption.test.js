@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { parseMasterKey, encryptEnvelope, decryptEnvelope } = require('../../src/utils/envelopeEncryption');
+
+describe('envelopeEncryption', () => {
+  const masterKey = crypto.randomBytes(32);
+  const secret = JSON.stringify({ apiKey: 'key', apiSecret: 'secret' });
+  
+  describe('parseMasterKey', () => {
+    it('reads a 32-byte key given as hex or base64', () => {
+      expect(parseMasterKey(masterKey.toString('hex')).equals(masterKey)).toBe(true);
+      expect(parseMasterKey(` ${masterKey.toString('base64')}\n`).equals(masterKey)).toBe(true);
+    });
+    
+    it('rejects a key of another length', () => {
+      expect(() => parseMasterKey(crypto.randomBytes(16).toString('base64'))).toThrow('must be 32 bytes');
+    });
+  });
+  
+  describe('encryptEnvelope and decryptEnvelope', () => {
+    it('round-trips a secret, with a new data key for every envelope', () => {
+      const first = encryptEnvelope(secret, masterKey, 'kraken');
+      const second = encryptEnvelope(secret, masterKey, 'kraken');
+      
+      expect(decryptEnvelope(first, masterKey, 'kraken')).toBe(secret);
+      expect(first.ciphertext).not.toContain('secret');
+      expect(first.encryptedKey).not.toBe(second.encryptedKey);
+      expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+    
+    it('does not decrypt an envelope copied onto another account', () => {
+      const envelope = encryptEnvelope(secret, masterKey, 'kraken');
+      
+      expect(() => decryptEnvelope(envelope, masterKey, 'kraken-2')).toThrow();
+    });
+    
+    it('reports an envelope encrypted with another master key', () => {
+      const envelope = encryptEnvelope(secret, masterKey, 'kraken');
+      
+      expect(() => decryptEnvelope(envelope, crypto.randomBytes(32), 'kraken'))
+        .toThrow('The envelope was encrypted with another master key');
+    });
+    
+    it('does not decrypt an altered ciphertext', () => {
+      const envelope = encryptEnvelope(secret, masterKey, 'kraken');
+      const data = Buffer.from(envelope.ciphertext, 'base64');
+      
+      data[data.length - 1] ^= 1;
+      
+      expect(() => decryptEnvelope({ ...envelope, ciphertext: data.toString('base64') }, masterKey, 'kraken'))
+        .toThrow();
+    });
+  });
+}); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { hasChanges, recordKey, toRecord } = require('../../src/utils/transactionRecord');
+
+describe('transactionRecord', () => {
+  describe('recordKey', () => {
+    it('tells apart the same order ID on two accounts', () => {
+      const transaction = { orderId: '42', platform: 'BINANCE', symbol: 'BTCUSDT' };
+      
+      expect(recordKey(toRecord({ ...transaction, accountId: 'main' })))
+        .not.toBe(recordKey(toRecord({ ...transaction, accountId: 'savings' })));
+      expect(recordKey(toRecord({ ...transaction, accountId: 'main' }))).toBe('BINANCE:main:BTCUSDT:42');
+    });
+  });
+  
+  describe('hasChanges', () => {
+    const stored = {
+      status: 'FILLED',
+      price: 100,
+      executedQuantity: null,
+      isWorking: false,
+      time: new Date('2026-03-01T00:00:00Z'),
+    };
+    
+    it('is true for a transaction not stored yet', () => {
+      expect(hasChanges(null, { status: 'FILLED' })).toBe(true);
+    });
+    
+    it('is false when every field keeps its value', () => {
+      expect(hasChanges(stored, {
+        status: 'FILLED',
+        price: 100,
+        executedQuantity: null,
+        isWorking: undefined,
+        time: new Date('2026-03-01T00:00:00Z'),
+      })).toBe(false);
+    });
+    
+    it('is true when a field changed', () => {
+      expect(hasChanges(stored, { status: 'CANCELED' })).toBe(true);
+      expect(hasChanges(stored, { executedQuantity: 1 })).toBe(true);
+      expect(hasChanges(stored, { time: new Date('2026-03-01T00:00:01Z') })).toBe(true);
+    });
+  });
+}); 
\ No newline at end of file
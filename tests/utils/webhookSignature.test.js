@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const config = require('../../src/config');
+const { verifyWebhookSignature } = require('../../src/utils/webhookSignature');
+
+const SECRET = 'webhook-secret';
+const OPTIONS = { signatureHeader: 'x-signature', timestampHeader: 'x-timestamp', secret: SECRET };
+
+const signedRequest = (body, { timestamp = Math.floor(Date.now() / 1000), secret = SECRET, encoding = 'hex' } = {}) => {
+  const rawBody = Buffer.from(body);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest(encoding);
+  
+  return { headers: { 'x-signature': signature, 'x-timestamp': String(timestamp) }, rawBody };
+};
+
+describe('verifyWebhookSignature', () => {
+  const body = '{"id":"R-1","status":"completed"}';
+  
+  it('accepts a recent delivery signed over its timestamp and raw body', () => {
+    expect(verifyWebhookSignature(signedRequest(body), OPTIONS)).toBe(true);
+    expect(verifyWebhookSignature(signedRequest(body, { encoding: 'base64' }), { ...OPTIONS, encoding: 'base64' }))
+      .toBe(true);
+  });
+  
+  it('rejects a body that differs from the signed bytes, even only by whitespace', () => {
+    const req = signedRequest(body);
+    
+    req.rawBody = Buffer.from('{"id": "R-1", "status": "completed"}');
+    
+    expect(verifyWebhookSignature(req, OPTIONS)).toBe(false);
+  });
+  
+  it('rejects a signature made with another secret or of another length', () => {
+    const req = signedRequest(body, { secret: 'other-secret' });
+    
+    expect(verifyWebhookSignature(req, OPTIONS)).toBe(false);
+    
+    req.headers['x-signature'] = 'abcd';
+    
+    expect(verifyWebhookSignature(req, OPTIONS)).toBe(false);
+  });
+  
+  it('rejects a replayed delivery whose timestamp is outside the tolerance window', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - config.webhooks.toleranceSeconds - 10;
+    
+    expect(verifyWebhookSignature(signedRequest(body, { timestamp }), OPTIONS)).toBe(false);
+  });
+  
+  it('rejects a delivery without a signature, timestamp, secret or raw body', () => {
+    const req = signedRequest(body);
+    
+    expect(verifyWebhookSignature({ ...req, headers: { 'x-timestamp': req.headers['x-timestamp'] } }, OPTIONS))
+      .toBe(false);
+    expect(verifyWebhookSignature({ ...req, headers: { 'x-signature': req.headers['x-signature'] } }, OPTIONS))
+      .toBe(false);
+    expect(verifyWebhookSignature(req, { ...OPTIONS, secret: undefined })).toBe(false);
+    expect(verifyWebhookSignature({ ...req, rawBody: undefined }, OPTIONS)).toBe(false);
+  });
+}); 
\ No newline at end of file